@@ -0,0 +1,717 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/**
+ * Command-line interface for the ShadeOfColor container format.
+ * It drives the isomorphic core in src/core, like the web app's adapter, so images are interchangeable both ways.
+ * Carriers are read as PNG or JPEG bytes; there is no canvas to fall back to for other formats.
+ */
+import fs from 'node:fs/promises';
+import { openSync } from 'node:fs';
+import path from 'node:path';
+import tty from 'node:tty';
+import { parseArgs } from 'node:util';
+import { Container, CoverImage, Deniable, Ecc, Keys, Lsb, Signature, Stego, isJpeg, isPng } from '../src/core/index.js';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_BAD_PASSWORD = 3;
+const EXIT_NO_PAYLOAD = 4;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `Usage: shade-of-color <command> [options]
+
+Commands:
+  hide <file|dir|->...          Hide files in a new generated PNG
+  hide <file|dir|->... --carrier <image> [--carrier <image>...]
+                                Hide files in existing PNGs (LSB) or a baseline JPEG (DCT)
+  hide --message <text|-> [--markdown] [--carrier <image>...]
+                                Hide a text message; extract prints it instead of writing a file
+  extract <image|->...          Extract the hidden file; give every part of a multi-part payload
+  info <image|->...             Show the container header
+  mark <image|-> <text|->       Add a robust mark (up to 32 bytes of text) that survives recompression and resizing
+  read-mark <image|->           Read a robust mark and its confidence
+  keygen                        Create a key pair for recipient encryption; prints the public key
+  public-key <keyfile|->        Print the public key of a private key file
+
+Options:
+  -o, --output <path|->         Output file, or directory for bundles and multi-part output ("-" = stdout)
+  -c, --carrier <image>         Carrier image; repeat to split the payload across several PNGs
+  -b, --bit-depth <1-8>         LSBs per channel (default: the smallest depth that fits; 2 for --cover)
+      --cover <style>           Generate a natural-looking picture instead of static: gradient, clouds or tiles
+      --scatter                 Scatter LSB bits with the password or stego key
+      --chunk                   Store the container in a private PNG chunk instead of the pixels
+      --deniable                Fully encrypted PNG carrier with no visible header (needs a password)
+      --decoy <file|dir>        Decoy files for a deniable carrier, opened by their own password
+      --decoy-password-env <VAR>
+                                Read the decoy password from an environment variable (-p prompts for it)
+      --ecc <low|medium|high>   Add Reed-Solomon error correction (LSB and JPEG carriers)
+      --encrypt-header          Encrypt the header too, so the carrier shows no name, size or signature
+                                (LSB and JPEG carriers; needs a password)
+      --alpha                   Also use the alpha LSBs of semi-transparent pixels (one PNG carrier)
+      --low-bytes               Also use the low byte of every sample of a 16-bit PNG carrier
+      --stego-key <key>         Key for scattered LSB or robust marks, if different from the password
+      --name <name>             File name to record for a payload read from stdin
+  -m, --message <text|->        Hide a text message instead of files
+      --markdown                Mark the message as Markdown
+  -r, --recipient <key|file>    Encrypt for a public key (socpub1...) or every key in a file; repeatable
+  -i, --identity <keyfile>      Private key file that opens files encrypted for recipients; repeatable
+  -s, --sign <keyfile>          Sign the header with the private key in a key file
+      --trust <key|file>        Public key, or file of them, whose signatures count as verified; repeatable
+  -p, --password                Prompt for a password
+      --password-env <VAR>      Read the password from an environment variable
+  -f, --force                   Overwrite existing output files
+      --json                    Print info as JSON
+  -q, --quiet                   No progress output
+  -h, --help                    Show this help
+
+Robust marks are read from PNGs here; convert recompressed JPEGs to PNG first.
+Images with an encrypted header look empty to info and extract without -p or --password-env.
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 wrong password or key, 4 no hidden data found.`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  carrier: { type: 'string', short: 'c', multiple: true },
+  'bit-depth': { type: 'string', short: 'b' },
+  cover: { type: 'string' },
+  scatter: { type: 'boolean' },
+  chunk: { type: 'boolean' },
+  deniable: { type: 'boolean' },
+  decoy: { type: 'string' },
+  'decoy-password-env': { type: 'string' },
+  ecc: { type: 'string' },
+  'encrypt-header': { type: 'boolean' },
+  alpha: { type: 'boolean' },
+  'low-bytes': { type: 'boolean' },
+  'stego-key': { type: 'string' },
+  name: { type: 'string' },
+  message: { type: 'string', short: 'm' },
+  markdown: { type: 'boolean' },
+  recipient: { type: 'string', short: 'r', multiple: true },
+  identity: { type: 'string', short: 'i', multiple: true },
+  sign: { type: 'string', short: 's' },
+  trust: { type: 'string', multiple: true },
+  password: { type: 'boolean', short: 'p' },
+  'password-env': { type: 'string' },
+  force: { type: 'boolean', short: 'f' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const ENCODING_NAMES = {
+  [Container.ENCODING_TYPE_GENERATED]: 'generated image',
+  [Container.ENCODING_TYPE_LSB]: 'LSB',
+  [Container.ENCODING_TYPE_LSB_SCATTERED]: 'scattered LSB',
+  [Container.ENCODING_TYPE_CHUNK]: 'PNG chunk',
+  [Container.ENCODING_TYPE_JPEG_DCT]: 'JPEG DCT',
+  [Container.ENCODING_TYPE_ROBUST]: 'robust mark',
+};
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+const usageError = (message) => new CliError(message, EXIT_USAGE);
+
+// --- Input and output ---
+
+let stdinConsumed = false;
+
+const readStdin = async () => {
+  if (stdinConsumed) throw usageError('stdin ("-") can only be used once.');
+  stdinConsumed = true;
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// A file argument as { name, data }, or stdin under `stdinName`
+const readFileArg = async (arg, stdinName) => {
+  if (arg === '-') return { name: stdinName, data: new Uint8Array(await readStdin()) };
+  try {
+    return { name: path.basename(arg), data: new Uint8Array(await fs.readFile(arg)) };
+  } catch (error) {
+    throw new CliError(`Cannot read ${arg}: ${error.message}`, EXIT_FAILURE);
+  }
+};
+
+const readTextArg = async (arg, stdinName) => new TextDecoder().decode((await readFileArg(arg, stdinName)).data);
+
+const listDirectory = async (dir, prefix) => {
+  const entries = [];
+  for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, dirent.name);
+    const entryPath = `${prefix}/${dirent.name}`;
+    if (dirent.isDirectory()) entries.push(...await listDirectory(fullPath, entryPath));
+    else if (dirent.isFile()) entries.push({ path: entryPath, data: new Uint8Array(await fs.readFile(fullPath)) });
+  }
+  return entries;
+};
+
+/**
+ * Reads the payload arguments into a core payload the way the web app's dropzone does: one plain file stays
+ * a single file, anything else (several files, folders) becomes a bundle of { path, data } entries.
+ */
+const readPayload = async (args, stdinName) => {
+  const entries = [];
+  for (const arg of args) {
+    const stat = arg === '-' ? null : await fs.stat(arg).catch(() => null);
+    if (stat?.isDirectory()) {
+      entries.push(...await listDirectory(arg, path.basename(path.resolve(arg))));
+    } else {
+      const { name, data } = await readFileArg(arg, stdinName);
+      entries.push({ path: name, data });
+    }
+  }
+  if (entries.length === 1 && !entries[0].path.includes('/')) return { fileName: entries[0].path, data: entries[0].data };
+  return { fileName: Container.getBundleName(entries.map((entry) => entry.path)), files: entries };
+};
+
+const writeStdout = (data) => new Promise((resolve, reject) => {
+  process.stdout.write(data, (error) => (error ? reject(error) : resolve()));
+});
+
+const writeOutput = async (target, data, force) => {
+  if (target === '-') return writeStdout(data);
+  try {
+    await fs.writeFile(target, data, { flag: force ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') throw new CliError(`${target} already exists; use --force to overwrite it.`, EXIT_FAILURE);
+    throw error;
+  }
+  return undefined;
+};
+
+const blobBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// Bundle paths come from the image, so never let them escape the output directory
+const safeJoin = (dir, entryPath) => {
+  const resolved = path.resolve(dir, entryPath);
+  if (!resolved.startsWith(path.resolve(dir) + path.sep)) throw new CliError(`Refusing to write outside ${dir}: ${entryPath}`, EXIT_FAILURE);
+  return resolved;
+};
+
+// --- Passwords and progress ---
+
+const promptHidden = (question) => new Promise((resolve, reject) => {
+  let input = process.stdin;
+  let ownsInput = false;
+  if (!input.isTTY) {
+    // stdin may carry the payload, so ask on the controlling terminal instead
+    try {
+      input = new tty.ReadStream(openSync('/dev/tty', 'r'));
+      ownsInput = true;
+    } catch (error) {
+      reject(usageError('No terminal available for the password prompt; use --password-env instead.'));
+      return;
+    }
+  }
+
+  let value = '';
+  const finish = () => {
+    input.setRawMode(false);
+    input.off('data', onData);
+    if (ownsInput) input.destroy();
+    else input.pause();
+    process.stderr.write('\n');
+  };
+  const onData = (chunk) => {
+    for (const char of chunk) {
+      if (char === '\r' || char === '\n' || char === '\u0004') {
+        finish();
+        resolve(value);
+        return;
+      }
+      if (char === '\u0003') {
+        finish();
+        reject(new CliError('Interrupted.', EXIT_INTERRUPTED));
+        return;
+      }
+      value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+    }
+  };
+
+  process.stderr.write(question);
+  input.setRawMode(true);
+  input.setEncoding('utf8');
+  input.on('data', onData);
+  input.resume();
+});
+
+const readPassword = async (values, { confirm = false, label = 'Password', envOption = 'password-env' } = {}) => {
+  const envName = values[envOption];
+  if (envName) {
+    if (process.env[envName] == null) throw usageError(`Environment variable ${envName} is not set.`);
+    return process.env[envName];
+  }
+  if (!values.password) return null;
+  const password = await promptHidden(`${label}: `);
+  if (confirm && await promptHidden(`Confirm ${label.toLowerCase()}: `) !== password) throw usageError(`${label}s do not match.`);
+  return password;
+};
+
+const readKeys = async (arg, stdinName) => {
+  try {
+    return Keys.parseKeyFile(await readTextArg(arg, stdinName));
+  } catch (error) {
+    if (error instanceof CliError) throw error;
+    throw usageError(`${arg}: ${error.message}`);
+  }
+};
+
+// Public keys given inline or as files of keys, as for --recipient and --trust
+const readPublicKeys = async (args) => {
+  const publicKeys = [];
+  for (const arg of args || []) {
+    if (arg.startsWith(Keys.PUBLIC_PREFIX)) {
+      publicKeys.push(arg);
+    } else {
+      const keys = (await readKeys(arg, 'keys')).publicKeys;
+      if (keys.length === 0) throw usageError(`${arg} holds no public key.`);
+      publicKeys.push(...keys);
+    }
+  }
+  for (const publicKey of publicKeys) {
+    try {
+      Keys.parsePublicKey(publicKey);
+    } catch (error) {
+      throw usageError(`${error.message} (${publicKey.slice(0, 20)}...)`);
+    }
+  }
+  return publicKeys;
+};
+
+const readKeyFile = async (arg) => {
+  const { privateKeys } = await readKeys(arg, 'identity');
+  if (privateKeys.length === 0) throw usageError(`${arg} holds no private key.`);
+  return privateKeys;
+};
+
+const readIdentities = async (values) => {
+  const privateKeys = [];
+  for (const arg of values.identity || []) privateKeys.push(...await readKeyFile(arg));
+  return privateKeys;
+};
+
+const readSigningKey = async (values) => {
+  if (!values.sign) return null;
+  const [signingKey] = await readKeyFile(values.sign);
+  await Keys.importSigningKeyAsync(signingKey).catch((error) => {
+    throw usageError(`${values.sign}: ${error.message}`);
+  });
+  return signingKey;
+};
+
+// Signers count as verified when their key is given with --trust, or is one of the user's own (-i)
+const readTrustedKeys = async (values, privateKeys = []) => {
+  const ownKeys = await Promise.all(privateKeys.map((privateKey) => Keys.getPublicKeyAsync(privateKey)));
+  return [...await readPublicKeys(values.trust), ...ownKeys];
+};
+
+const createProgress = (values) => {
+  if (values.quiet || !process.stderr.isTTY) return null;
+  return (percent) => process.stderr.write(`\r${String(percent).padStart(3)}%${percent >= 100 ? '\n' : ''}`);
+};
+
+// --- Commands ---
+
+const baseNameOf = (name) => (name.lastIndexOf('.') > 0 ? name.substring(0, name.lastIndexOf('.')) : name);
+
+// Decodes the pixels of a PNG; `kind` names what the image is for in the error about other formats
+const decodeImage = ({ name, data }, kind = 'LSB carriers') => {
+  if (!isPng(data)) throw usageError(`${name} is not a PNG; ${kind} must be PNGs.`);
+  return Stego.decodePixels(data);
+};
+
+// The bytes a carrier gains from its alpha channel (per bit depth, 1 to 8) and its low bytes, for the channels asked for
+const getExtraCapacity = ({ data, data16 }, { alpha, lowBytes }) => ({
+  alpha: Array.from({ length: 8 }, (_, i) => (alpha ? Lsb.extraCapacity(data, data16, i + 1, { alpha: true }) : 0)),
+  lowBytes: lowBytes ? Lsb.extraCapacity(data, data16, 1, { lowBytes: true }) : 0,
+});
+
+// The smallest bit depth whose combined capacity fits the payload, like the web app's default. `sizeOptions`
+// describe the encryption and signature (see Stego.estimateLsbContainerSizeAsync), and `extra` is the bytes a
+// single carrier gains from its alpha channel and low bytes (see getExtraCapacity).
+const chooseBitDepth = async (payload, carriers, parityBytes, sizeOptions, extra = null) => {
+  const required = await Stego.estimateLsbContainerSizeAsync(payload, carriers.length, sizeOptions);
+  for (let depth = 1; depth <= 8; depth++) {
+    const capacity = carriers.reduce((sum, { width, height }) => {
+      const carrierCapacity = Math.floor((width * height * 3 * depth) / 8);
+      return sum + (parityBytes ? Ecc.maxContainerSize(carrierCapacity, parityBytes) : carrierCapacity);
+    }, 0) + (extra ? extra.alpha[depth - 1] + extra.lowBytes : 0);
+    if (required <= capacity) return depth;
+  }
+  throw new CliError('The payload does not fit in the carrier image(s) even at 8 bits per channel.', EXIT_FAILURE);
+};
+
+// The smallest bit depth at which the larger of a deniable carrier's payloads fits in one slot. The slot's own
+// encryption is left out of Deniable.capacity, so only the signature adds to the containers.
+const chooseDeniableBitDepth = async (payloads, { width, height }, isSigned) => {
+  const required = Math.max(...await Promise.all(payloads.map((payload) => Stego.estimateLsbContainerSizeAsync(payload, 1, { isSigned }))));
+  for (let depth = 1; depth <= 8; depth++) {
+    if (required <= Deniable.capacity(width, height, depth)) return depth;
+  }
+  throw new CliError('The payload does not fit in a slot of the carrier image even at 8 bits per channel.', EXIT_FAILURE);
+};
+
+const hideCommand = async (positionals, values) => {
+  const isMessage = values.message !== undefined;
+  if (isMessage && positionals.length > 0) throw usageError('Give either files or --message, not both.');
+  if (!isMessage && positionals.length === 0) throw usageError('hide needs at least one file to hide, or --message.');
+  if (values.markdown && !isMessage) throw usageError('--markdown needs --message.');
+  const carriers = values.carrier || [];
+  if (values.chunk && carriers.length !== 1) throw usageError('--chunk needs exactly one --carrier.');
+  if (values.cover && carriers.length > 0) throw usageError('--cover is for generated images; leave out --carrier.');
+  if (values.cover && !CoverImage.STYLES.includes(values.cover)) throw usageError(`--cover must be one of: ${CoverImage.STYLES.join(', ')}.`);
+  if (values.scatter && carriers.length === 0) throw usageError('--scatter needs a --carrier.');
+  if (values['bit-depth'] && carriers.length === 0 && !values.cover) throw usageError('--bit-depth needs a --carrier or --cover.');
+  if (values.ecc && !(values.ecc in Ecc.LEVELS)) throw usageError('--ecc must be low, medium or high.');
+  if (values.ecc && (values.chunk || carriers.length === 0)) throw usageError('--ecc needs an LSB or JPEG --carrier.');
+  const ecc = values.ecc || null;
+  const isDeniable = Boolean(values.deniable || values.decoy);
+  if (isDeniable && (carriers.length !== 1 || values.chunk)) throw usageError('--deniable needs exactly one PNG --carrier.');
+  if (isDeniable && (values.scatter || ecc || values.recipient)) throw usageError('--deniable does not combine with --scatter, --ecc or --recipient.');
+  const encryptHeader = Boolean(values['encrypt-header']);
+  if (encryptHeader && (carriers.length === 0 || values.chunk || isDeniable)) throw usageError('--encrypt-header needs an LSB or JPEG --carrier.');
+  if (encryptHeader && (ecc || values.recipient)) throw usageError('--encrypt-header does not combine with --ecc or --recipient.');
+  const isExtended = Boolean(values.alpha || values['low-bytes']);
+  if (isExtended && (carriers.length !== 1 || values.chunk || isDeniable)) throw usageError('--alpha and --low-bytes need exactly one PNG --carrier.');
+  if (isExtended && (values.scatter || ecc)) throw usageError('--alpha and --low-bytes do not combine with --scatter or --ecc.');
+
+  const payload = isMessage
+    ? Container.createMessagePayload(
+      values.message === '-' ? (await readStdin()).toString('utf8') : values.message,
+      values.markdown ? Container.CONTENT_TYPE_MARKDOWN : Container.CONTENT_TYPE_TEXT,
+    )
+    : await readPayload(positionals, values.name || 'stdin.bin');
+  const carrierFiles = await Promise.all(carriers.map((carrier) => readFileArg(carrier, 'carrier')));
+  const recipients = await readPublicKeys(values.recipient);
+  if (recipients.length && (values.password || values['password-env'])) throw usageError('Use either a password or --recipient, not both.');
+  const signingKey = await readSigningKey(values);
+  const password = await readPassword(values, { confirm: true });
+  if (encryptHeader && password == null) throw usageError('--encrypt-header needs a password (-p or --password-env).');
+  const encryption = { recipients: recipients.length ? recipients : null, signingKey };
+  const onProgress = createProgress(values);
+  const baseName = baseNameOf(payload.fileName);
+
+  let output;
+  let defaultName;
+  if (carrierFiles.length === 0) {
+    const bitDepth = values['bit-depth'] ? Number(values['bit-depth']) : CoverImage.DEFAULT_BIT_DEPTH;
+    if (!Number.isInteger(bitDepth) || bitDepth < 1 || bitDepth > 8) throw usageError('--bit-depth must be between 1 and 8.');
+    const cover = values.cover ? { style: values.cover, bitDepth } : {};
+    output = await blobBytes(await Stego.createImageAsync(payload, { ...encryption, ...cover, password, onProgress }));
+    defaultName = `${baseName}-generated.png`;
+  } else if (values.chunk) {
+    if (!isPng(carrierFiles[0].data)) throw usageError(`${carrierFiles[0].name} is not a PNG; --chunk needs a PNG carrier.`);
+    output = await Stego.hideInPngChunkAsync(payload, carrierFiles[0].data, { ...encryption, password });
+    defaultName = `${baseName}-chunk.png`;
+  } else if (carrierFiles.length === 1 && isJpeg(carrierFiles[0].data)) {
+    if (values.scatter || values['bit-depth']) throw usageError('--scatter and --bit-depth do not apply to JPEG carriers.');
+    if (isDeniable) throw usageError('--deniable needs a PNG carrier.');
+    if (isExtended) throw usageError('--alpha and --low-bytes need a PNG carrier.');
+    output = await Stego.hideInJpegAsync(payload, carrierFiles[0].data, { ...encryption, password, ecc, encryptHeader });
+    defaultName = `${baseName}-jsteg.jpg`;
+  } else if (isDeniable) {
+    const carrier = decodeImage(carrierFiles[0]);
+    if (password == null) throw usageError('--deniable needs a password (-p or --password-env).');
+    const decoy = values.decoy ? await readPayload([values.decoy], 'decoy.bin') : null;
+    const decoyPassword = decoy ? await readPassword(values, { confirm: true, label: 'Decoy password', envOption: 'decoy-password-env' }) : null;
+    if (decoy && decoyPassword == null) throw usageError('--decoy needs its own password (-p or --decoy-password-env).');
+    const bitDepth = values['bit-depth']
+      ? Number(values['bit-depth'])
+      : await chooseDeniableBitDepth(decoy ? [payload, decoy] : [payload], carrier, signingKey != null);
+    if (!Number.isInteger(bitDepth) || bitDepth < 1 || bitDepth > 8) throw usageError('--bit-depth must be between 1 and 8.');
+    const pixels = await Stego.hideDeniableAsync(payload, carrier, { password, decoyPayload: decoy, decoyPassword, signingKey, bitDepth, onProgress });
+    output = await blobBytes(Stego.encodePixels(pixels));
+    defaultName = `${baseName}-lsb-encoded.png`;
+  } else {
+    const carriers = carrierFiles.map((file) => decodeImage(file));
+    const extraChannels = { alpha: Boolean(values.alpha), lowBytes: Boolean(values['low-bytes']) };
+    let extra = null;
+    if (isExtended) {
+      if (extraChannels.lowBytes && !carriers[0].data16) throw usageError('--low-bytes needs a 16-bit PNG carrier.');
+      extra = getExtraCapacity(carriers[0], extraChannels);
+    }
+    const bitDepth = values['bit-depth']
+      ? Number(values['bit-depth'])
+      : await chooseBitDepth(payload, carriers, Ecc.getParityBytes(ecc), {
+        isEncrypted: password != null, recipientCount: recipients.length, isSigned: signingKey != null, isHeaderEncrypted: encryptHeader,
+      }, extra);
+    if (!Number.isInteger(bitDepth) || bitDepth < 1 || bitDepth > 8) throw usageError('--bit-depth must be between 1 and 8.');
+    if (values.scatter && !password && !values['stego-key']) throw usageError('--scatter needs a password or --stego-key.');
+    const options = { ...encryption, password, bitDepth, onProgress, scatter: Boolean(values.scatter), stegoKey: values['stego-key'] || null, ecc, encryptHeader };
+
+    if (carriers.length > 1) {
+      const parts = await Stego.hideAcrossPixelsAsync(payload, carriers, options);
+      const outputDir = values.output || '.';
+      if (outputDir === '-') throw usageError('Multi-part output is written to a directory, not stdout.');
+      await fs.mkdir(outputDir, { recursive: true });
+      for (const [i, part] of parts.entries()) {
+        const partName = `${baseNameOf(carrierFiles[i].name)}-part${i + 1}-of-${parts.length}.png`;
+        await writeOutput(path.join(outputDir, partName), await blobBytes(Stego.encodePixels(part)), values.force);
+        if (!values.quiet) process.stderr.write(`Wrote ${path.join(outputDir, partName)}\n`);
+      }
+      return EXIT_OK;
+    }
+    output = await blobBytes(Stego.encodePixels(await Stego.hideInPixelsAsync(payload, carriers[0], { ...options, ...extraChannels })));
+    defaultName = `${baseName}-lsb-encoded.png`;
+  }
+
+  const target = values.output || (process.stdout.isTTY ? defaultName : '-');
+  await writeOutput(target, output, values.force);
+  if (target !== '-' && !values.quiet) process.stderr.write(`Wrote ${target}\n`);
+  return EXIT_OK;
+};
+
+const readImages = (positionals) => {
+  if (positionals.length === 0) throw usageError('Give at least one image.');
+  return Promise.all(positionals.map((arg) => readFileArg(arg, 'image')));
+};
+
+// The headers of a set of multi-part carriers: which parts are present (see Container.collectParts), and who signed them
+const inspectParts = async (images, options) => {
+  const headers = [];
+  for (const image of images) headers.push(await Stego.readMetadataAsync(image.data, options));
+  return { ...Container.collectParts(headers), signer: Signature.combine(headers.map((header) => header.signer)) };
+};
+
+const extractCommand = async (positionals, values) => {
+  const images = await readImages(positionals);
+  const privateKeys = await readIdentities(values);
+  const options = { stegoKey: values['stego-key'] || null, privateKeys, trustedKeys: await readTrustedKeys(values, privateKeys) };
+  let password = await readPassword(values);
+
+  if (password == null && privateKeys.length === 0) {
+    // Ask for a password only when the header says one is needed (scattered headers stay hidden without a key)
+    const header = await (images.length > 1
+      ? inspectParts(images, options)
+      : Stego.readMetadataAsync(images[0].data, options)).catch(() => null);
+    if (header && Container.isForRecipients(header)) {
+      throw new CliError('The file is encrypted for recipients; give your private key with -i.', EXIT_BAD_PASSWORD);
+    }
+    if (header?.isEncrypted) {
+      password = await promptHidden('Password: ').catch((error) => {
+        throw error.exitCode === EXIT_USAGE ? new CliError('The file is encrypted; give the password with -p or --password-env.', EXIT_BAD_PASSWORD) : error;
+      });
+    }
+  }
+
+  const onProgress = createProgress(values);
+  const extracted = images.length > 1
+    ? await Stego.extractMultipartAsync(images.map((image) => decodeImage(image).data), { ...options, password, onProgress })
+    : await Stego.extractAsync(images[0].data, { ...options, password, onProgress });
+  if (extracted.correctedBytes > 0 && !values.quiet) process.stderr.write(`Repaired ${extracted.correctedBytes} damaged bytes.\n`);
+  // A bad signature is reported even with --quiet; the payload itself passed its hash check
+  if (extracted.signer && (!values.quiet || extracted.signer.status === Signature.UNVERIFIED)) {
+    process.stderr.write(`Signed by ${describeSigner(extracted.signer)}\n`);
+  }
+
+  if (extracted.files) {
+    const outputDir = values.output || path.basename(extracted.fileName);
+    if (outputDir === '-') throw usageError('A bundle of several files cannot be written to stdout; use -o <directory>.');
+    for (const entry of extracted.files) {
+      const target = safeJoin(outputDir, entry.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await writeOutput(target, entry.data, values.force);
+    }
+    if (!values.quiet) process.stderr.write(`Wrote ${extracted.files.length} files to ${outputDir}\n`);
+    return EXIT_OK;
+  }
+
+  // Messages are printed, even on a terminal, unless -o names a file
+  if (Container.isMessage(extracted) && !values.output) {
+    const text = new TextDecoder().decode(extracted.data);
+    await writeStdout(process.stdout.isTTY && !text.endsWith('\n') ? `${text}\n` : text);
+    return EXIT_OK;
+  }
+
+  const target = values.output || (process.stdout.isTTY ? path.basename(extracted.fileName) : '-');
+  await writeOutput(target, extracted.data, values.force);
+  if (target !== '-' && !values.quiet) process.stderr.write(`Wrote ${target}\n`);
+  return EXIT_OK;
+};
+
+const describeEncryption = (header) => {
+  if (!header.isEncrypted) return 'no';
+  if (Container.isForRecipients(header)) {
+    const keyIds = header.kdf.recipients.map(({ keyId }) => Keys.formatKeyId(keyId));
+    return `yes (for ${keyIds.length} recipient${keyIds.length === 1 ? '' : 's'}: ${keyIds.join(', ')})`;
+  }
+  return `yes${header.kdf ? ` (PBKDF2-SHA256, ${header.kdf.iterations} iterations)` : ''}`;
+};
+
+const describeSigner = (signer) => {
+  if (!signer) return 'no';
+  if (signer.status === Signature.VERIFIED) return `${signer.keyId} (verified)`;
+  if (signer.status === Signature.UNKNOWN_SIGNER) return `${signer.keyId} (unknown signer; add their key with --trust)`;
+  return `${signer.keyId} (INVALID SIGNATURE: the header was altered or forged)`;
+};
+
+const describeHeader = (header) => {
+  const rows = [
+    ['File name', header.fileName],
+    ['Size', `${header.fileSize} bytes`],
+    ['Encoding', ENCODING_NAMES[header.encodingType] || `unknown (${header.encodingType})`],
+    ['Container', `v${header.version}`],
+  ];
+  if (header.bitDepth) rows.push(['Bit depth', header.bitDepth]);
+  rows.push(['Compressed', header.isCompressed ? 'yes' : 'no']);
+  rows.push(['Encrypted', describeEncryption(header)]);
+  if (header.isHeaderEncrypted) rows.push(['Header', 'encrypted']);
+  if (header.usesAlpha || header.usesLowBytes) {
+    rows.push(['Extra channels', [header.usesAlpha && 'alpha', header.usesLowBytes && '16-bit low bytes'].filter(Boolean).join(', ')]);
+  }
+  if (header.isArchive) rows.push(['Bundle', 'yes']);
+  if (Container.isMessage(header)) rows.push(['Content', header.contentType === Container.CONTENT_TYPE_MARKDOWN ? 'message (Markdown)' : 'message (plain text)']);
+  if (header.isMultipart) rows.push(['Part', `${header.partIndex + 1} of ${header.partCount}`]);
+  if (header.ecc) rows.push(['Error correction', `${header.ecc.parityBytes} parity bytes per block, ${header.ecc.correctedBytes} bytes repaired`]);
+  rows.push(['SHA-256', Container.toHex(header.sha256Hash)]);
+  rows.push(['Signed by', describeSigner(header.signer)]);
+  return rows;
+};
+
+const toJson = (value) => JSON.stringify(value, (key, item) => (item instanceof Uint8Array ? Container.toHex(item) : item), 2);
+
+const infoCommand = async (positionals, values) => {
+  const images = await readImages(positionals);
+  const password = await readPassword(values);
+  const options = {
+    password,
+    stegoKey: values['stego-key'] || password,
+    trustedKeys: await readTrustedKeys(values, await readIdentities(values)),
+  };
+
+  if (images.length > 1) {
+    const parts = await inspectParts(images, options);
+    if (values.json) {
+      process.stdout.write(`${toJson(parts)}\n`);
+    } else {
+      process.stdout.write(`File name: ${parts.fileName}\nEncrypted: ${parts.isEncrypted ? 'yes' : 'no'}\n`);
+      process.stdout.write(`Parts:     ${parts.foundParts.length} of ${parts.partCount}`);
+      process.stdout.write(parts.missingParts.length ? ` (missing ${parts.missingParts.map((index) => index + 1).join(', ')})\n` : '\n');
+      process.stdout.write(`Signed by: ${describeSigner(parts.signer)}\n`);
+    }
+    return parts.missingParts.length ? EXIT_FAILURE : EXIT_OK;
+  }
+
+  const header = await Stego.readMetadataAsync(images[0].data, options);
+  if (values.json) {
+    const { signed, ...fields } = header;
+    process.stdout.write(`${toJson(fields)}\n`);
+  } else {
+    const rows = describeHeader(header);
+    const width = Math.max(...rows.map(([label]) => label.length)) + 1;
+    for (const [label, value] of rows) process.stdout.write(`${`${label}:`.padEnd(width)} ${value}\n`);
+  }
+  return EXIT_OK;
+};
+
+const markCommand = async (positionals, values) => {
+  if (positionals.length !== 2) throw usageError('mark needs an image and the text to mark into it.');
+  const [imageArg, textArg] = positionals;
+  if (imageArg === '-' && textArg === '-') throw usageError('stdin ("-") can only be used once.');
+  const carrier = await readFileArg(imageArg, 'carrier.png');
+  const text = textArg === '-' ? (await readStdin()).toString('utf8').replace(/\r?\n$/, '') : textArg;
+  const key = values['stego-key'] || (await readPassword(values, { confirm: true }));
+
+  const pixels = await Stego.hideRobustMarkAsync(new TextEncoder().encode(text), decodeImage(carrier, 'robust marks'), { stegoKey: key, onProgress: createProgress(values) });
+  const target = values.output || (process.stdout.isTTY ? `${baseNameOf(carrier.name)}-marked.png` : '-');
+  await writeOutput(target, await blobBytes(Stego.encodePixels(pixels)), values.force);
+  if (target !== '-' && !values.quiet) process.stderr.write(`Wrote ${target}\n`);
+  return EXIT_OK;
+};
+
+const readMarkCommand = async (positionals, values) => {
+  if (positionals.length !== 1) throw usageError('read-mark needs exactly one image.');
+  const [image] = await readImages(positionals);
+  const key = values['stego-key'] || (await readPassword(values));
+  const { message, confidence } = await Stego.extractRobustMarkAsync(decodeImage(image, 'robust marks'), { stegoKey: key });
+  const text = new TextDecoder().decode(message);
+  if (values.json) {
+    process.stdout.write(`${toJson({ message: text, confidence })}\n`);
+  } else {
+    process.stdout.write(`${text}\n`);
+    if (!values.quiet) process.stderr.write(`Confidence: ${Math.round(confidence * 100)}%\n`);
+  }
+  return EXIT_OK;
+};
+
+const keygenCommand = async (positionals, values) => {
+  if (positionals.length !== 0) throw usageError('keygen takes no arguments.');
+  const { publicKey, privateKey } = await Keys.generateAsync();
+  const keyFile = await Keys.createKeyFileAsync(privateKey);
+
+  const target = values.output || '-';
+  if (target === '-') {
+    await writeStdout(keyFile);
+  } else {
+    await writeOutput(target, keyFile, values.force);
+    await fs.chmod(target, 0o600);
+    if (!values.quiet) process.stderr.write(`Wrote ${target}\n`);
+  }
+  if (target !== '-' || !process.stdout.isTTY) process.stderr.write(`Public key: ${publicKey}\n`);
+  return EXIT_OK;
+};
+
+const publicKeyCommand = async (positionals) => {
+  if (positionals.length !== 1) throw usageError('public-key needs exactly one private key file.');
+  for (const privateKey of await readKeyFile(positionals[0])) process.stdout.write(`${await Keys.getPublicKeyAsync(privateKey)}\n`);
+  return EXIT_OK;
+};
+
+const COMMANDS = {
+  hide: hideCommand,
+  extract: extractCommand,
+  info: infoCommand,
+  mark: markCommand,
+  'read-mark': readMarkCommand,
+  keygen: keygenCommand,
+  'public-key': publicKeyCommand,
+};
+
+const exitCodeFor = (error) => {
+  if (error instanceof CliError) return error.exitCode;
+  if (/Decryption failed|no password was provided|no private key was provided|none of the given private keys/.test(error.message)) return EXIT_BAD_PASSWORD;
+  if (/Invalid signature|No robust mark found/.test(error.message)) return EXIT_NO_PAYLOAD;
+  return EXIT_FAILURE;
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (!command) {
+    process.stderr.write(`${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) throw usageError(`Unknown command: ${command}`);
+  return COMMANDS[command](positionals, parsed.values);
+};
+
+// A closed pipe (e.g. "| head") just means nobody wants the rest of the output
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(process.exitCode ?? EXIT_OK);
+});
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  process.stderr.write(`shade-of-color: ${error.message}\n`);
+  if (exitCodeFor(error) === EXIT_USAGE) process.stderr.write('Run "shade-of-color --help" for usage.\n');
+  process.exitCode = exitCodeFor(error);
+}
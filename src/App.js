@@ -1,24 +1,193 @@
-/* global pako */
-import React, { useState, useEffect } from 'react';
-import { Lock, Unlock, Upload, FileImage, CheckCircle, XCircle, KeyRound, ScanEye, Server, Image as ImageIcon, Shield, Zap, Database } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Lock, Unlock, Upload, FileImage, CheckCircle, XCircle, KeyRound, ScanEye, Server, Image as ImageIcon, Shield, Zap, Database, Ban, Shuffle, Key, FolderOpen, Download, Eye, Layers, Package, ScanSearch, LifeBuoy, Radio, Users, PenLine, EyeOff, FileLock, Palette, Blend, Binary, FileText, MessageSquareText, ListChecks, FolderSearch } from 'lucide-react';
 import MatrixRain from './components/MatrixRain';
+import ScanReport from './components/ScanReport';
+import SteganalysisReport from './components/SteganalysisReport';
+import BatchQueue from './components/BatchQueue';
+import FilePreview from './components/FilePreview';
+import ImageDiff from './components/ImageDiff';
+import KeyManager from './components/KeyManager';
+import MessageEditor from './components/MessageEditor';
+import MessageViewer from './components/MessageViewer';
+import SignerStatus from './components/SignerStatus';
+import { Container, CoverImage, Deniable, Ecc, Keys, SpreadSpectrum, Steganalysis } from './core/index.js';
 import ClientImageProcessor from './services/ClientImageProcessor';
+import KeyStore from './services/KeyStore';
+import WorkerProcessor from './services/WorkerProcessor';
+import ZipWriter from './services/ZipWriter';
 import './App.css';
 
-const FileDropzone = ({ onDrop, file, title, subtitle, accept, error, className = '' }) => {
+const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// Recursively collects { file, path } entries from a dropped file or directory entry.
+const readEntryFilesAsync = async (entry, prefix = '') => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: `${prefix}${entry.name}` }];
+  }
+  const reader = entry.createReader();
+  const children = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    children.push(...batch);
+  }
+  const nested = await Promise.all(children.map((child) => readEntryFilesAsync(child, `${prefix}${entry.name}/`)));
+  return nested.flat();
+};
+
+// Container bytes the carriers hold at this depth; error correction leaves each carrier room for less,
+// and a deniable carrier holds this much in each of its two slots
+const carrierCapacityForDepth = (sizes, depth, parityBytes = 0, isDeniable = false) => sizes.reduce((sum, { width, height }) => {
+  if (isDeniable) return sum + Deniable.capacity(width, height, depth);
+  const capacity = Math.floor((width * height * 3 * depth) / 8);
+  return sum + (parityBytes ? Ecc.maxContainerSize(capacity, parityBytes) : capacity);
+}, 0);
+
+// Bytes a single PNG carrier gains from its alpha channel and 16-bit low bytes (see getExtraCapacityAsync)
+const extraCapacityForDepth = (extra, depth, { alpha, lowBytes }) => (alpha ? extra.alpha[depth - 1] : 0) + (lowBytes ? extra.lowBytes : 0);
+
+const ANALYZE_TARGETS = { image: { name: 'One image', icon: ScanSearch }, folder: { name: 'Scan a folder', icon: FolderSearch } };
+
+const BATCH_OPERATIONS = { hide: { name: 'Hide', icon: Lock }, extract: { name: 'Extract', icon: Unlock } };
+
+const BATCH_CARRIER_SOURCES = { generate: 'New images', carriers: 'Carrier folder' };
+
+const baseName = (name) => (name.lastIndexOf('.') > 0 ? name.substring(0, name.lastIndexOf('.')) : name);
+
+const toResultFile = async (path, blob) => ({ path, data: new Uint8Array(await blob.arrayBuffer()) });
+
+// Queue tasks (see BatchQueue) for a batch: one per payload, each paired in name order with a carrier or given a
+// generated image, or one per image to extract from. Batches use the password only; extraction also tries the
+// saved keys. Returns { tasks, error }.
+const buildBatchTasks = ({ operation, carrierSource, payloadFile, carrierFile, password, keys }) => {
+  const byPath = (dropped) => (Array.isArray(dropped) ? [...dropped] : [{ file: dropped, path: dropped.name }])
+    .sort((a, b) => a.path.localeCompare(b.path));
+  if (!payloadFile) return { tasks: [], error: null };
+
+  if (operation === 'extract') {
+    const extractOptions = { privateKeys: keys.filter((entry) => entry.privateKey).map((entry) => entry.privateKey), trustedKeys: keys.map((entry) => entry.publicKey) };
+    const images = byPath(payloadFile).filter(({ file }) => isJpegFile(file) || /\.png$/i.test(file.name));
+    const tasks = images.map(({ file, path }) => ({
+      id: path,
+      name: path,
+      run: async (jobOptions) => {
+        const extracted = await WorkerProcessor.run('extractFileAsync', [file, password, extractOptions], jobOptions);
+        // Bundles come out as a folder of their files
+        if (extracted.files) return extracted.files.map((entry) => ({ path: `${extracted.fileName}/${entry.path}`, data: entry.data }));
+        return [{ path: extracted.fileName, data: extracted.data }];
+      },
+    }));
+    return { tasks, error: tasks.length ? null : 'Drop PNG or JPEG images to extract from.' };
+  }
+
+  const payloads = byPath(payloadFile);
+  if (carrierSource === 'generate') {
+    const tasks = payloads.map(({ file, path }) => ({
+      id: path,
+      name: path,
+      run: async (jobOptions) => [await toResultFile(`${baseName(file.name)}-generated.png`, await WorkerProcessor.run('createCarrierImageAsync', [file, password], jobOptions))],
+    }));
+    return { tasks, error: null };
+  }
+
+  if (!carrierFile) return { tasks: [], error: null };
+  const carriers = byPath(carrierFile).filter(({ file }) => file.type.startsWith('image/'));
+  if (carriers.length < payloads.length) {
+    return { tasks: [], error: `Each file needs a carrier image of its own: ${payloads.length} files, but ${carriers.length} ${carriers.length === 1 ? 'image' : 'images'}.` };
+  }
+  const tasks = payloads.map(({ file, path }, i) => ({
+    id: path,
+    name: `${path} → ${carriers[i].path}`,
+    run: async (jobOptions) => {
+      const carrier = carriers[i].file;
+      // Batch hides encrypt with the password alone: no recipients, signature or encrypted header
+      const sizeOptions = { isEncrypted: password != null };
+      const [requiredBytes, size] = await Promise.all([WorkerProcessor.run('estimateLsbPayloadSizeAsync', [file, 1, sizeOptions]), loadImageSize(carrier)]);
+      const bitDepth = [1, 2, 3, 4, 5, 6, 7, 8].find((depth) => carrierCapacityForDepth([size], depth) >= requiredBytes);
+      if (!bitDepth) throw new Error(`Too large for ${carrier.name}, even at 8 bits per channel.`);
+      const blob = await WorkerProcessor.run('hideInExistingImageAsync', [file, carrier, password, bitDepth], jobOptions);
+      return [await toResultFile(`${baseName(file.name)}-lsb-encoded.png`, blob)];
+    },
+  }));
+  return { tasks, error: null };
+};
+
+const ECC_LEVEL_NAMES = { none: 'None', low: 'Low', medium: 'Medium', high: 'High' };
+
+// "static" is the classic generated image, whose pixels are the container bytes themselves
+const COVER_STYLE_NAMES = { static: 'Static', gradient: 'Gradient', clouds: 'Clouds', tiles: 'Tiles' };
+
+const ENCRYPTION_MODES = { password: 'Password', recipients: 'Recipients' };
+
+const PAYLOAD_TYPES = { file: { name: 'File', icon: FileText }, message: { name: 'Message', icon: MessageSquareText } };
+
+// Without a worker a job runs on the page itself, which stays frozen until it is done (see WorkerProcessor)
+const CAN_CANCEL_JOBS = WorkerProcessor.isSupported();
+
+const isJpegFile = (file) => file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name);
+
+const loadImageSize = (file) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve({ width: img.width, height: img.height });
+  img.onerror = reject;
+  img.src = URL.createObjectURL(file);
+});
+
+const toFileList = (payload) => (Array.isArray(payload) ? payload.map((entry) => entry.file) : [payload]);
+
+// A single plain file stays a File; anything else becomes a bundle of { file, path } entries.
+const toPayload = (entries) => (entries.length === 1 && !entries[0].path.includes('/') ? entries[0].file : entries);
+
+const FileDropzone = ({ onDrop, file, title, subtitle, accept, error, className = '', multiple = false }) => {
   const [dragActive, setDragActive] = useState(false);
+  const folderInputRef = useRef(null);
   const handleDrag = (e) => { e.preventDefault(); e.stopPropagation(); if (e.type === 'dragenter' || e.type === 'dragover') setDragActive(true); else if (e.type === 'dragleave') setDragActive(false); };
-  const handleDrop = (e) => { e.preventDefault(); e.stopPropagation(); setDragActive(false); if (e.dataTransfer.files?.[0]) onDrop(e.dataTransfer.files[0]); };
-  const handleFileChange = (e) => { if (e.target.files?.[0]) onDrop(e.target.files[0]); };
+  const handleDrop = async (e) => {
+    e.preventDefault(); e.stopPropagation(); setDragActive(false);
+    if (!multiple) {
+      if (e.dataTransfer.files?.[0]) onDrop(e.dataTransfer.files[0]);
+      return;
+    }
+    // Entries must be taken synchronously, before the drop event is released
+    const entries = Array.from(e.dataTransfer.items || []).map((item) => item.webkitGetAsEntry?.()).filter(Boolean);
+    const files = entries.length
+      ? (await Promise.all(entries.map((entry) => readEntryFilesAsync(entry)))).flat()
+      : Array.from(e.dataTransfer.files || []).map((f) => ({ file: f, path: f.name }));
+    if (files.length) onDrop(toPayload(files));
+  };
+  const handleFileChange = (e) => {
+    if (!e.target.files?.[0]) return;
+    if (!multiple) { onDrop(e.target.files[0]); return; }
+    onDrop(toPayload(Array.from(e.target.files).map((f) => ({ file: f, path: f.webkitRelativePath || f.name }))));
+  };
+  const bundle = Array.isArray(file) ? file : null;
+  const displayName = bundle ? `${bundle.length} files` : file?.name;
+  const displaySize = bundle ? bundle.reduce((sum, entry) => sum + entry.file.size, 0) : file?.size;
   return (
     <div onDragEnter={handleDrag} onDragLeave={handleDrag} onDragOver={handleDrag} onDrop={handleDrop} className={`relative border-2 border-dashed rounded-xl p-6 sm:p-8 md:p-10 min-h-[250px] sm:min-h-[300px] md:min-h-[350px] flex flex-col justify-center items-center transition-all duration-300 dropzone-hover ${className} ${dragActive ? 'border-green-400 bg-green-500/10 scale-105' : 'border-green-500/40 hover:border-green-400/60'} ${error ? 'border-red-500/60' : ''}`}>
-      <input type="file" onChange={handleFileChange} className="absolute inset-0 w-full h-full opacity-0 cursor-pointer" accept={accept} />
+      <input type="file" onChange={handleFileChange} className="absolute inset-0 w-full h-full opacity-0 cursor-pointer" accept={accept} multiple={multiple} />
+      {multiple && <input type="file" ref={folderInputRef} onChange={handleFileChange} className="hidden" webkitdirectory="" multiple />}
       <div className="scanline"></div>
       {file ? (
         <div className="animate-scale-in">
           <FileImage className="w-10 h-10 mx-auto mb-2 text-green-400" />
-          <p className="text-sm text-green-400 font-semibold truncate" title={file.name}>{file.name}</p>
-          <p className="text-xs text-green-600">{(file.size / 1024 / 1024).toFixed(2)} MB</p>
+          <p className="text-sm text-green-400 font-semibold truncate" title={displayName}>{displayName}</p>
+          <p className="text-xs text-green-600">{(displaySize / 1024 / 1024).toFixed(2)} MB</p>
+          {bundle && (
+            <ul className="mt-2 text-xs text-green-700 max-w-[220px] mx-auto">
+              {bundle.slice(0, 3).map((entry) => <li key={entry.path} className="truncate" title={entry.path}>{entry.path}</li>)}
+              {bundle.length > 3 && <li>+{bundle.length - 3} more</li>}
+            </ul>
+          )}
         </div>
       ) : (
         <div className="float">
@@ -27,6 +196,11 @@ const FileDropzone = ({ onDrop, file, title, subtitle, accept, error, className
           <p className="text-sm text-green-700">{subtitle}</p>
         </div>
       )}
+      {multiple && (
+        <button type="button" onClick={() => folderInputRef.current?.click()} className="relative z-10 mt-3 text-xs text-green-500 hover:text-green-300 underline underline-offset-4 flex items-center gap-1">
+          <FolderOpen className="w-3 h-3" /> or choose a folder
+        </button>
+      )}
       {error && <p className="text-xs text-red-400 mt-2 animate-fade-in">{error}</p>}
     </div>
   );
@@ -36,6 +210,9 @@ function App() {
   const [mode, setMode] = useState('crypt');
   const [stegoMode, setStegoMode] = useState('generate');
   const [payloadFile, setPayloadFile] = useState(null);
+  const [payloadType, setPayloadType] = useState('file');
+  const [messageText, setMessageText] = useState('');
+  const [messageFormat, setMessageFormat] = useState(Container.CONTENT_TYPE_TEXT);
   const [carrierFile, setCarrierFile] = useState(null);
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -45,61 +222,182 @@ function App() {
   const [metadata, setMetadata] = useState(null);
   const [metadataError, setMetadataError] = useState(null);
   const [metadataLoading, setMetadataLoading] = useState(false);
-  const [carrierImgSize, setCarrierImgSize] = useState(null);
+  const [carrierImgSizes, setCarrierImgSizes] = useState(null);
+  const [jpegCapacity, setJpegCapacity] = useState(null);
+  const [extraCapacity, setExtraCapacity] = useState(null);
   const [carrierError, setCarrierError] = useState(null);
   const [payloadTooLargeError, setPayloadTooLargeError] = useState(null);
+  const [requiredContainerBytes, setRequiredContainerBytes] = useState(null);
   const [bitDepth, setBitDepth] = useState(1);
   const [minBitDepth, setMinBitDepth] = useState(1);
+  const [scatterLsb, setScatterLsb] = useState(false);
+  const [deniable, setDeniable] = useState(false);
+  const [decoyFile, setDecoyFile] = useState(null);
+  const [decoyPassword, setDecoyPassword] = useState('');
+  const [encryptHeader, setEncryptHeader] = useState(false);
+  const [headerPassword, setHeaderPassword] = useState('');
+  const [eccLevel, setEccLevel] = useState('none');
+  const [useAlpha, setUseAlpha] = useState(false);
+  const [useLowBytes, setUseLowBytes] = useState(false);
+  const [coverStyle, setCoverStyle] = useState('static');
+  const [coverBitDepth, setCoverBitDepth] = useState(CoverImage.DEFAULT_BIT_DEPTH);
+  const [robustMessage, setRobustMessage] = useState('');
+  const [readRobustMark, setReadRobustMark] = useState(false);
+  const [robustMark, setRobustMark] = useState(null);
+  const [stegoKey, setStegoKey] = useState('');
+  const [keys, setKeys] = useState(() => KeyStore.list());
+  const [encryptionMode, setEncryptionMode] = useState('password');
+  const [recipientKeyIds, setRecipientKeyIds] = useState([]);
+  const [signingKeyId, setSigningKeyId] = useState('');
+  const [showKeys, setShowKeys] = useState(false);
+  const [extractedBundle, setExtractedBundle] = useState(null);
+  const [extractedMessage, setExtractedMessage] = useState(null);
+  const [extractedFile, setExtractedFile] = useState(null);
+  const [batchOperation, setBatchOperation] = useState('hide');
+  const [batchCarrierSource, setBatchCarrierSource] = useState('generate');
+  const [analysis, setAnalysis] = useState(null);
+  const [analyzeTarget, setAnalyzeTarget] = useState('image');
+  const [scanResults, setScanResults] = useState(null);
+  const [encodingDiff, setEncodingDiff] = useState(null);
+  const abortControllerRef = useRef(null);
+  // What HIDE mode hides: the dropped file(s), or the typed message in the form the image processor takes
+  const payload = useMemo(() => {
+    if (payloadType === 'file') return payloadFile;
+    return messageText ? { message: messageText, contentType: messageFormat } : null;
+  }, [payloadType, payloadFile, messageText, messageFormat]);
+  // What encryption and signing add to an LSB or JPEG container, so the capacity checks match hide (see Stego.estimateLsbContainerSizeAsync)
+  const hasPassword = password.length > 0;
+  const isSigning = keys.some((entry) => entry.privateKey && entry.keyId === signingKeyId);
+  const recipientCount = encryptionMode === 'recipients' ? keys.filter((entry) => recipientKeyIds.includes(entry.keyId)).length : 0;
+  const sizeOptions = useMemo(() => ({
+    isEncrypted: encryptionMode === 'password' && hasPassword,
+    recipientCount,
+    isSigned: isSigning,
+    isHeaderEncrypted: encryptionMode === 'password' && encryptHeader,
+  }), [encryptionMode, hasPassword, recipientCount, isSigning, encryptHeader]);
 
   useEffect(() => {
     setPayloadFile(null);
+    setPayloadType('file');
+    setMessageText('');
+    setMessageFormat(Container.CONTENT_TYPE_TEXT);
     setCarrierFile(null);
     setResult(null);
     setPassword('');
     setMetadata(null);
     setMetadataError(null);
-    setCarrierImgSize(null);
+    setCarrierImgSizes(null);
+    setJpegCapacity(null);
     setCarrierError(null);
     setPayloadTooLargeError(null);
     setBitDepth(1);
     setMinBitDepth(1);
+    setScatterLsb(false);
+    setDeniable(false);
+    setDecoyFile(null);
+    setDecoyPassword('');
+    setEncryptHeader(false);
+    setHeaderPassword('');
+    setEccLevel('none');
+    setUseAlpha(false);
+    setUseLowBytes(false);
+    setCoverStyle('static');
+    setCoverBitDepth(CoverImage.DEFAULT_BIT_DEPTH);
+    setRobustMessage('');
+    setReadRobustMark(false);
+    setRobustMark(null);
+    setStegoKey('');
+    setEncryptionMode('password');
+    setRecipientKeyIds([]);
+    setSigningKeyId('');
+    setShowKeys(false);
+    setExtractedBundle(null);
+    setExtractedMessage(null);
+    setExtractedFile(null);
+    setBatchOperation('hide');
+    setBatchCarrierSource('generate');
+    setAnalysis(null);
+    setAnalyzeTarget('image');
+    setScanResults(null);
+    setEncodingDiff(null);
   }, [mode, stegoMode]);
 
   useEffect(() => {
-    if (mode === 'decrypt' && payloadFile) {
+    setAnalysis(null);
+    setScanResults(null);
+    setEncodingDiff(null);
+  }, [payloadFile, carrierFile]);
+
+  useEffect(() => {
+    setExtractedBundle(null);
+    setExtractedMessage(null);
+    setExtractedFile(null);
+    setRobustMark(null);
+    if (mode === 'decrypt' && payloadFile && !readRobustMark) {
+      setMetadata(null);
+      setMetadataError(null);
       setMetadataLoading(true);
-      ClientImageProcessor.extractMetadataAsync(payloadFile).then(setMetadata).catch(err => setMetadataError(err.message)).finally(() => setMetadataLoading(false));
+      // Encrypted headers only open once the password has been submitted with "Show File Info"
+      const options = { password: headerPassword || null };
+      const metadataJob = Array.isArray(payloadFile)
+        ? WorkerProcessor.run('inspectMultipartAsync', [toFileList(payloadFile), options]).then((parts) => ({ ...parts, fileSize: parts.totalSize, isMultipart: true }))
+        : WorkerProcessor.run('extractMetadataAsync', [payloadFile, options]);
+      metadataJob.then(setMetadata).catch(err => setMetadataError(err.message)).finally(() => setMetadataLoading(false));
     } else {
       setMetadata(null);
       setMetadataError(null);
       setMetadataLoading(false);
     }
-  }, [payloadFile, mode]);
+  }, [payloadFile, mode, readRobustMark, headerPassword]);
 
   useEffect(() => {
-    if (mode === 'crypt' && stegoMode === 'lsb' && carrierFile) {
-      const img = new Image();
-      img.onload = () => setCarrierImgSize({ width: img.width, height: img.height });
-      img.onerror = () => setCarrierError('Could not read carrier image.');
-      img.src = URL.createObjectURL(carrierFile);
+    setJpegCapacity(null);
+    setExtraCapacity(null);
+    if (mode === 'crypt' && stegoMode === 'lsb' && carrierFile && !Array.isArray(carrierFile) && isJpegFile(carrierFile)) {
+      // JPEG carriers are embedded in DCT coefficients, so capacity depends on the image content, not its size
+      setCarrierImgSizes(null);
+      WorkerProcessor.run('getJpegCapacityAsync', [carrierFile])
+        .then((capacity) => { setJpegCapacity(capacity); setCarrierError(null); })
+        .catch((err) => setCarrierError(err.message));
+    } else if (mode === 'crypt' && stegoMode === 'lsb' && carrierFile) {
+      Promise.all(toFileList(carrierFile).map(loadImageSize))
+        .then((sizes) => { setCarrierImgSizes(sizes); setCarrierError(null); })
+        .catch(() => setCarrierError('Could not read carrier image.'));
+      // The alpha channel and 16-bit low bytes are only carried through by single PNG carriers
+      if (!Array.isArray(carrierFile)) {
+        WorkerProcessor.run('getExtraCapacityAsync', [carrierFile]).then(setExtraCapacity).catch(() => setExtraCapacity(null));
+      }
     } else {
-      setCarrierImgSize(null);
+      setCarrierImgSizes(null);
       setCarrierError(null);
     }
   }, [carrierFile, mode, stegoMode]);
 
   useEffect(() => {
-    if (mode === 'crypt' && stegoMode === 'lsb' && payloadFile && carrierImgSize) {
+    const parityBytes = Ecc.getParityBytes(eccLevel);
+    setRequiredContainerBytes(null);
+    if (mode === 'crypt' && stegoMode === 'lsb' && payload && jpegCapacity !== null) {
+      const usableCapacity = parityBytes ? Ecc.maxContainerSize(jpegCapacity, parityBytes) : jpegCapacity;
+      WorkerProcessor.run('estimateLsbPayloadSizeAsync', [payload, 1, sizeOptions])
+        .then((requiredBytes) => setPayloadTooLargeError(requiredBytes > usableCapacity
+          ? `File is too large. This JPEG can hold ${(usableCapacity / 1024).toFixed(2)} KB${parityBytes ? ' with this error correction level' : ''}.`
+          : null))
+        .catch(() => setPayloadTooLargeError('Could not calculate required capacity.'));
+    } else if (mode === 'crypt' && stegoMode === 'lsb' && payload && carrierImgSizes) {
       const checkCapacity = async () => {
         try {
-          const payloadData = await ClientImageProcessor._readFileAsArrayBuffer(payloadFile);
-          const compressedPayload = pako.deflate(payloadData);
-          const header = ClientImageProcessor._createHeader(compressedPayload.byteLength, payloadFile.name, new Uint8Array(32), false, 1, true, 1);
-          const requiredBytes = header.length + compressedPayload.byteLength;
+          // A deniable carrier has to fit the larger of the file and the decoy in one slot, which it encrypts itself
+          const deniableSizeOptions = { isSigned: sizeOptions.isSigned };
+          const requiredBytes = Math.max(
+            await WorkerProcessor.run('estimateLsbPayloadSizeAsync', [payload, carrierImgSizes.length, deniable ? deniableSizeOptions : sizeOptions]),
+            deniable && decoyFile ? await WorkerProcessor.run('estimateLsbPayloadSizeAsync', [decoyFile, 1, deniableSizeOptions]) : 0,
+          );
+          setRequiredContainerBytes(requiredBytes);
 
+          const extraBytes = (depth) => (extraCapacity && !deniable ? extraCapacityForDepth(extraCapacity, depth, { alpha: useAlpha, lowBytes: useLowBytes }) : 0);
           let foundMinDepth = false;
           for (let depth = 1; depth <= 8; depth++) {
-            const capacity = Math.floor((carrierImgSize.width * carrierImgSize.height * 3 * depth) / 8);
+            const capacity = carrierCapacityForDepth(carrierImgSizes, depth, parityBytes, deniable) + extraBytes(depth);
             if (requiredBytes <= capacity) {
               setMinBitDepth(depth);
               setBitDepth(depth);
@@ -109,8 +407,8 @@ function App() {
             }
           }
           if (!foundMinDepth) {
-            const maxCapacity = Math.floor((carrierImgSize.width * carrierImgSize.height * 3 * 8) / 8);
-            setPayloadTooLargeError(`File is too large. Max capacity at 8 bits: ${(maxCapacity / 1024).toFixed(2)} KB.`);
+            const maxCapacity = carrierCapacityForDepth(carrierImgSizes, 8, parityBytes, deniable) + extraBytes(8);
+            setPayloadTooLargeError(`File is too large. Max capacity at 8 bits: ${(maxCapacity / 1024).toFixed(2)} KB. Add more carrier images to split it across them.`);
           }
         } catch (e) {
           setPayloadTooLargeError('Could not calculate required capacity.');
@@ -120,93 +418,430 @@ function App() {
     } else {
       setPayloadTooLargeError(null);
     }
-  }, [payloadFile, carrierImgSize, mode, stegoMode]);
+  }, [payload, decoyFile, carrierImgSizes, jpegCapacity, extraCapacity, mode, stegoMode, eccLevel, deniable, useAlpha, useLowBytes, sizeOptions]);
 
   const triggerPasswordShake = () => {
     setShakePassword(true);
     setTimeout(() => setShakePassword(false), 500);
   };
 
+  const isRobustHide = mode === 'crypt' && stegoMode === 'robust';
+  const robustMessageSize = isRobustHide ? new TextEncoder().encode(robustMessage).length : 0;
+  const hasInput = mode !== 'batch' && (isRobustHide ? Boolean(carrierFile && robustMessage) : Boolean(mode === 'crypt' ? payload : payloadFile));
+  const isDeniable = mode === 'crypt' && stegoMode === 'lsb' && deniable && jpegCapacity === null;
+  const isForRecipients = mode === 'crypt' && encryptionMode === 'recipients' && !isDeniable;
+  const canEncryptHeader = mode === 'crypt' && stegoMode === 'lsb' && !isDeniable && !isForRecipients;
+  const useEncryptedHeader = canEncryptHeader && encryptHeader;
+  const canExtendLsb = mode === 'crypt' && stegoMode === 'lsb' && !isDeniable && extraCapacity !== null;
+  const extraChannels = { alpha: canExtendLsb && useAlpha && extraCapacity.alpha[bitDepth - 1] > 0, lowBytes: canExtendLsb && useLowBytes && extraCapacity.lowBytes > 0 };
+  const isExtendedLsb = extraChannels.alpha || extraChannels.lowBytes;
+  const metadataForRecipients = Boolean(metadata && Container.isForRecipients(metadata));
+  const ownKeys = keys.filter((entry) => entry.privateKey);
+  const isFolderScan = mode === 'analyze' && analyzeTarget === 'folder';
+  const batch = useMemo(() => (mode === 'batch'
+    ? buildBatchTasks({ operation: batchOperation, carrierSource: batchCarrierSource, payloadFile, carrierFile, password: password || null, keys })
+    : { tasks: [], error: null }), [mode, batchOperation, batchCarrierSource, payloadFile, carrierFile, password, keys]);
+
   const handleProcess = async () => {
-    if (!payloadFile || (mode === 'crypt' && stegoMode === 'lsb' && !carrierFile)) return;
+    if (!hasInput || (mode === 'crypt' && stegoMode !== 'generate' && !carrierFile)) return;
     if (payloadTooLargeError) {
       setResult({ success: false, message: payloadTooLargeError });
       return;
     }
+    const usePassword = password.length > 0 && !isForRecipients ? password : null;
+    const useStegoKey = stegoKey.length > 0 ? stegoKey : null;
+    if (mode === 'crypt' && stegoMode === 'lsb' && jpegCapacity === null && scatterLsb && !usePassword && !useStegoKey) {
+      setResult({ success: false, message: 'Scattered mode needs a password or stego key.' });
+      return;
+    }
+    if (isDeniable && (!usePassword || (decoyFile && !decoyPassword))) {
+      setResult({ success: false, message: decoyFile ? 'Deniable mode needs a password for the file and another for the decoy.' : 'Deniable mode needs a password.' });
+      return;
+    }
+    if (isDeniable && Array.isArray(carrierFile)) {
+      setResult({ success: false, message: 'Deniable mode takes a single carrier PNG.' });
+      return;
+    }
+    if (useEncryptedHeader && !usePassword) {
+      setResult({ success: false, message: 'Encrypting the header needs a password.' });
+      return;
+    }
+    if (isForRecipients && recipientKeyIds.length === 0) {
+      setResult({ success: false, message: 'Pick at least one recipient to encrypt for.' });
+      return;
+    }
 
     setLoading(true);
     setProgress(0);
     setResult(null);
-    const usePassword = password.length > 0 ? password : null;
+    setEncodingDiff(null);
+    const encryption = {
+      recipients: isForRecipients ? keys.filter((entry) => recipientKeyIds.includes(entry.keyId)).map((entry) => entry.publicKey) : null,
+      signingKey: ownKeys.find((entry) => entry.keyId === signingKeyId)?.privateKey ?? null,
+    };
+    const privateKeys = ownKeys.map((entry) => entry.privateKey);
+    const extractOptions = { stegoKey: useStegoKey, privateKeys, trustedKeys: keys.map((entry) => entry.publicKey) };
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    const jobOptions = { onProgress: setProgress, signal: abortController.signal };
 
     try {
+      if (isFolderScan) {
+        const images = (Array.isArray(payloadFile) ? payloadFile : [{ file: payloadFile, path: payloadFile.name }])
+          .filter(({ file }) => file.type.startsWith('image/'));
+        if (images.length === 0) throw new Error('There are no images to scan.');
+        const scanOptions = { password: usePassword, trustedKeys: keys.map((entry) => entry.publicKey) };
+        const results = await WorkerProcessor.run('scanImagesAsync', [images.map(({ file }) => file), scanOptions], jobOptions);
+        setScanResults(results.map((scanned, i) => ({ ...scanned, path: images[i].path, imageSize: images[i].file.size })));
+        return;
+      }
+      if (mode === 'analyze') {
+        setAnalysis(await WorkerProcessor.run('analyzeImageAsync', [payloadFile, carrierFile], jobOptions));
+        return;
+      }
+
       let blob, outputFilename;
-      if (mode === 'crypt') {
-        const baseName = payloadFile.name.lastIndexOf('.') > 0 ? payloadFile.name.substring(0, payloadFile.name.lastIndexOf('.')) : payloadFile.name;
+      // Single-carrier LSB outputs are compared with their carrier once saved
+      let comparedCarrier = null;
+      if (isRobustHide) {
+        blob = await WorkerProcessor.run('hideRobustMarkAsync', [robustMessage, carrierFile, useStegoKey], jobOptions);
+        outputFilename = `${carrierFile.name.replace(/\.[^.]+$/, '')}-marked.png`;
+      } else if (mode === 'crypt') {
+        const payloadName = ClientImageProcessor.getPayloadName(payload);
+        const baseName = payloadName.lastIndexOf('.') > 0 ? payloadName.substring(0, payloadName.lastIndexOf('.')) : payloadName;
         if (stegoMode === 'generate') {
-          blob = await ClientImageProcessor.createCarrierImageAsync(payloadFile, usePassword, setProgress);
+          const coverOptions = coverStyle === 'static' ? {} : { style: coverStyle, bitDepth: coverBitDepth };
+          blob = await WorkerProcessor.run('createCarrierImageAsync', [payload, usePassword, { ...encryption, ...coverOptions }], jobOptions);
           outputFilename = `${baseName}-generated.png`;
-        } else {
-          blob = await ClientImageProcessor.hideInExistingImageAsync(payloadFile, carrierFile, usePassword, bitDepth, setProgress);
+        } else if (stegoMode === 'chunk') {
+          blob = await WorkerProcessor.run('hideInChunkAsync', [payload, carrierFile, usePassword, encryption], jobOptions);
+          outputFilename = `${baseName}-chunk.png`;
+        } else if (isDeniable) {
+          const deniableOptions = { decoyFile, decoyPassword: decoyFile ? decoyPassword : null, signingKey: encryption.signingKey };
+          blob = await WorkerProcessor.run('hideDeniableAsync', [payload, carrierFile, usePassword, bitDepth, deniableOptions], jobOptions);
+          comparedCarrier = carrierFile;
+          // Named like any LSB output, so the file name does not give the mode away
           outputFilename = `${baseName}-lsb-encoded.png`;
+        } else if (jpegCapacity !== null) {
+          blob = await WorkerProcessor.run('hideInJpegAsync', [payload, carrierFile, usePassword, { ...encryption, ecc: eccLevel, encryptHeader: useEncryptedHeader }], jobOptions);
+          outputFilename = `${baseName}-jsteg.jpg`;
+        } else {
+          const lsbOptions = { ...encryption, scatter: scatterLsb, stegoKey: useStegoKey, ecc: eccLevel, encryptHeader: useEncryptedHeader, ...extraChannels };
+          if (Array.isArray(carrierFile)) {
+            const carrierFiles = toFileList(carrierFile);
+            const parts = await WorkerProcessor.run('hideAcrossImagesAsync', [payload, carrierFiles, usePassword, bitDepth, lsbOptions], jobOptions);
+            blob = ZipWriter.createZip(await Promise.all(parts.map(async (part, i) => {
+              const carrierName = carrierFiles[i].name.replace(/\.[^.]+$/, '');
+              return { path: `${carrierName}-part${i + 1}-of-${parts.length}.png`, data: new Uint8Array(await part.arrayBuffer()) };
+            })));
+            outputFilename = `${baseName}-lsb-parts.zip`;
+          } else {
+            blob = await WorkerProcessor.run('hideInExistingImageAsync', [payload, carrierFile, usePassword, bitDepth, lsbOptions], jobOptions);
+            comparedCarrier = carrierFile;
+            outputFilename = `${baseName}-lsb-encoded.png`;
+          }
         }
+      } else if (readRobustMark) {
+        if (Array.isArray(payloadFile)) throw new Error('Drop a single image to read its robust mark.');
+        setRobustMark(await WorkerProcessor.run('extractRobustMarkAsync', [payloadFile, useStegoKey], jobOptions));
+        return;
       } else {
-        const extracted = await ClientImageProcessor.extractFileAsync(payloadFile, usePassword, setProgress);
+        const extracted = Array.isArray(payloadFile)
+          ? await WorkerProcessor.run('extractMultipartAsync', [toFileList(payloadFile), usePassword, extractOptions], jobOptions)
+          : await WorkerProcessor.run('extractFileAsync', [payloadFile, usePassword, extractOptions], jobOptions);
         blob = new Blob([extracted.data]);
         const originalName = extracted.fileName;
         const lastDotIndex = originalName.lastIndexOf('.');
         outputFilename = lastDotIndex > 0 ? `${originalName.substring(0, lastDotIndex)}-decrypted${originalName.substring(lastDotIndex)}` : `${originalName}-decrypted`;
+        if (Container.isMessage(extracted)) {
+          // Messages are shown rather than downloaded; the viewer can still save them
+          setExtractedMessage({ text: new TextDecoder().decode(extracted.data), contentType: extracted.contentType, fileName: originalName });
+          setResult({ success: true, filename: originalName, size: `${(blob.size / 1024 / 1024).toFixed(2)} MB`, correctedBytes: extracted.correctedBytes, signer: extracted.signer });
+          return;
+        }
+        if (extracted.files) {
+          // Bundles are listed for individual or zipped download instead of saving the raw archive
+          setExtractedBundle({ name: originalName, files: extracted.files });
+          setResult({ success: true, filename: originalName, size: `${(blob.size / 1024 / 1024).toFixed(2)} MB`, correctedBytes: extracted.correctedBytes, signer: extracted.signer });
+          return;
+        }
+        // Previewed first, so nothing reaches the Downloads folder unless the user saves it
+        setExtractedFile({ fileName: outputFilename, data: extracted.data });
+        setResult({ success: true, filename: outputFilename, size: `${(blob.size / 1024 / 1024).toFixed(2)} MB`, correctedBytes: extracted.correctedBytes, signer: extracted.signer });
+        return;
       }
 
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', outputFilename);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      downloadBlob(blob, outputFilename);
       setResult({ success: true, filename: outputFilename, size: `${(blob.size / 1024 / 1024).toFixed(2)} MB` });
+      if (comparedCarrier) {
+        try {
+          const comparison = await WorkerProcessor.run('compareImagesAsync', [blob, comparedCarrier], jobOptions);
+          setEncodingDiff({ carrierFile: comparedCarrier, output: blob, comparison });
+        } catch (e) {
+          // The image is saved either way; the comparison only adds to the result
+        }
+      }
     } catch (error) {
-      if (mode === 'decrypt' && error.message.includes('Decryption failed')) {
+      if (error.name === 'AbortError') {
+        setResult({ success: false, message: 'Processing cancelled.' });
+      } else if (mode === 'decrypt' && error.message.includes('password may be incorrect')) {
         setResult({ success: false, message: 'Incorrect Password. Please try again.' });
         triggerPasswordShake();
       } else {
         setResult({ success: false, message: error.message });
       }
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
       setProgress(100);
     }
   };
 
+  const handleCancel = () => abortControllerRef.current?.abort();
+
   const renderCryptMode = () => {
-    const capacityForDepth = (depth) => carrierImgSize ? Math.floor((carrierImgSize.width * carrierImgSize.height * 3 * depth) / 8) : 0;
+    const capacityForDepth = (depth) => carrierImgSizes
+      ? carrierCapacityForDepth(carrierImgSizes, depth, Ecc.getParityBytes(eccLevel), isDeniable) + (isExtendedLsb ? extraCapacityForDepth(extraCapacity, depth, extraChannels) : 0)
+      : 0;
+    // Expected distortion before encoding (see Steganalysis.estimateLsbDistortion). A deniable carrier rewrites every
+    // low bit, and error correction adds its parity to what is written.
+    const estimateQualityForDepth = (depth) => {
+      const sampleCount = carrierImgSizes.reduce((sum, { width, height }) => sum + width * height * 3, 0);
+      const parityBytes = Ecc.getParityBytes(eccLevel);
+      const embeddedBytes = isDeniable ? (sampleCount * depth) / 8 : parityBytes ? Ecc.streamSize(requiredContainerBytes, parityBytes) : requiredContainerBytes;
+      return Steganalysis.estimateLsbDistortion(sampleCount, embeddedBytes, depth);
+    };
+    const qualityEstimate = carrierImgSizes && requiredContainerBytes !== null ? estimateQualityForDepth(bitDepth) : null;
+    const renderPayloadInput = ({ fileTitle, messageTitle, subtitle, error = null }) => (payloadType === 'message'
+      ? <MessageEditor title={messageTitle} text={messageText} contentType={messageFormat} onTextChange={setMessageText} onContentTypeChange={setMessageFormat} error={error} />
+      : <FileDropzone onDrop={setPayloadFile} file={payloadFile} title={fileTitle} subtitle={subtitle} error={error} multiple />);
     return (
       <>
         <div className="max-w-2xl mx-auto mb-4 sm:mb-6 animate-slide-in-left">
           <div className="liquid-glass rounded-xl p-1 neon-border">
-            <div className="mode-selector-container grid grid-cols-2 gap-1 sm:gap-2">
-              <div className={`moving-border ${stegoMode === 'lsb' ? 'decrypt' : ''}`}></div>
+            <div className="mode-selector-container four-way grid grid-cols-4 gap-1 sm:gap-2">
+              <div className={`moving-border ${{ lsb: 'decrypt', chunk: 'third', robust: 'fourth' }[stegoMode] || ''}`}></div>
               <button onClick={() => setStegoMode('generate')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
                 <Server className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">NEW IMAGE</span>
               </button>
               <button onClick={() => setStegoMode('lsb')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
                 <ImageIcon className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">EXISTING IMAGE</span>
               </button>
+              <button onClick={() => setStegoMode('chunk')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
+                <Package className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">PNG CHUNK</span>
+              </button>
+              <button onClick={() => setStegoMode('robust')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
+                <Radio className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">ROBUST MARK</span>
+              </button>
             </div>
           </div>
         </div>
+        {stegoMode !== 'robust' && (
+          <div className="mb-4 flex justify-center gap-2">
+            {Object.entries(PAYLOAD_TYPES).map(([type, { name, icon: Icon }]) => (
+              <button
+                key={type}
+                onClick={() => setPayloadType(type)}
+                title={type === 'message' ? 'Type a note instead of dropping a file; it is shown, not downloaded, on extraction' : 'Hide one or more files'}
+                className={`px-3 py-1 rounded border text-xs font-bold transition-all duration-300 flex items-center gap-1 ${payloadType === type ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+              >
+                <Icon className="w-3 h-3" /> {name}
+              </button>
+            ))}
+          </div>
+        )}
         {stegoMode === 'generate' ? (
           <div className="animate-fade-in">
-            <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="Drop Secret File Here" subtitle="or click to browse" />
+            {renderPayloadInput({ fileTitle: 'Drop Secret File(s) Here', messageTitle: 'Secret Message', subtitle: 'or click to browse' })}
+            <div className="mt-4 liquid-glass rounded-lg p-3 flex flex-wrap items-center justify-between gap-3">
+              <span className="text-sm text-green-400 flex items-center gap-2">
+                <Palette className="w-4 h-4" />
+                Cover style
+              </span>
+              <div className="flex gap-2">
+                {Object.entries(COVER_STYLE_NAMES).map(([style, name]) => (
+                  <button
+                    key={style}
+                    onClick={() => setCoverStyle(style)}
+                    title={style === 'static' ? 'The file bytes shown as pixels: highest capacity, obviously not a photo' : `A ${name.toLowerCase()} picture with the file in its low bits`}
+                    className={`px-2 py-1 rounded border text-xs font-bold transition-all duration-300 ${coverStyle === style ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {coverStyle !== 'static' && (
+              <div className="mt-4 liquid-glass rounded-lg p-3 flex flex-wrap items-center justify-between gap-3 animate-fade-in">
+                <span className="text-sm text-green-400 flex items-center gap-2">
+                  <Zap className="w-4 h-4" />
+                  Bits per channel (more makes a smaller image, fewer a subtler one)
+                </span>
+                <div className="flex gap-2">
+                  {[1, 2, 3, 4].map((depth) => (
+                    <button
+                      key={depth}
+                      onClick={() => setCoverBitDepth(depth)}
+                      className={`px-2 py-1 rounded border text-xs font-bold transition-all duration-300 ${coverBitDepth === depth ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+                    >
+                      {depth}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {coverStyle !== 'static' && (
+              <p className="mt-2 text-xs text-green-700 text-center">
+                The picture is drawn fresh for each file and sized automatically to fit it.
+              </p>
+            )}
+          </div>
+        ) : stegoMode === 'robust' ? (
+          <div className="animate-fade-in">
+            <div className="grid md:grid-cols-2 gap-4">
+              <div className="liquid-glass rounded-xl p-4 flex flex-col">
+                <label htmlFor="robustMessage" className="text-sm font-medium text-green-400 mb-3 flex items-center gap-2">
+                  <Radio className="w-4 h-4" />
+                  1. Short Message or Key
+                </label>
+                <textarea
+                  id="robustMessage"
+                  value={robustMessage}
+                  onChange={(e) => setRobustMessage(e.target.value)}
+                  placeholder="Up to 32 bytes of text"
+                  rows={4}
+                  className="flex-1 bg-transparent border border-green-500/20 rounded-lg p-3 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 resize-none"
+                />
+                <p className={`text-xs mt-2 text-right ${robustMessageSize > SpreadSpectrum.MAX_MESSAGE_SIZE ? 'text-red-400' : 'text-green-700'}`}>
+                  {robustMessageSize} / {SpreadSpectrum.MAX_MESSAGE_SIZE} bytes
+                </p>
+              </div>
+              <FileDropzone onDrop={setCarrierFile} file={carrierFile} title="2. Drop Carrier Image" subtitle={`At least ${SpreadSpectrum.MIN_SIZE}x${SpreadSpectrum.MIN_SIZE} pixels`} accept="image/*" />
+            </div>
+            <p className="mt-4 text-xs text-green-700 text-center">
+              The message is spread over the image's brightness at low frequencies, so it survives moderate JPEG recompression and resizing by messaging apps. It is not encrypted; a stego key controls where it goes.
+            </p>
+          </div>
+        ) : stegoMode === 'chunk' ? (
+          <div className="animate-fade-in">
+            <div className="grid md:grid-cols-2 gap-4">
+              {renderPayloadInput({ fileTitle: '1. Drop Secret File(s)', messageTitle: '1. Secret Message', subtitle: 'No size limit' })}
+              <FileDropzone onDrop={setCarrierFile} file={carrierFile} title="2. Drop Carrier Image" subtitle="Pixels stay untouched" accept="image/*" />
+            </div>
           </div>
         ) : (
           <div className="animate-fade-in">
             <div className="grid md:grid-cols-2 gap-4">
-              <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="1. Drop Secret File" subtitle="The file to hide" error={payloadTooLargeError} />
-              <FileDropzone onDrop={setCarrierFile} file={carrierFile} title="2. Drop Carrier Image" subtitle="The image to hide in" accept="image/png" error={carrierError} />
+              {renderPayloadInput({ fileTitle: '1. Drop Secret File(s)', messageTitle: '1. Secret Message', subtitle: 'The file(s) to hide', error: payloadTooLargeError })}
+              <FileDropzone onDrop={setCarrierFile} file={carrierFile} title="2. Drop Carrier Image(s)" subtitle="A PNG or baseline JPEG; several PNGs split the file into parts" accept="image/png,image/jpeg" error={carrierError} multiple />
             </div>
-            {carrierImgSize && payloadFile && !payloadTooLargeError && (
+            {jpegCapacity !== null && (
+              <div className="mt-4 liquid-glass rounded-lg p-3 text-center animate-scale-in">
+                <p className="text-sm text-green-400">
+                  JPEG Capacity (DCT coefficients): <span className="font-bold text-white text-base">{((eccLevel === 'none' ? jpegCapacity : Ecc.maxContainerSize(jpegCapacity, Ecc.getParityBytes(eccLevel))) / 1024).toFixed(2)} KB</span>
+                </p>
+              </div>
+            )}
+            {jpegCapacity === null && (
+              <label className="mt-4 liquid-glass rounded-lg p-3 flex items-center justify-between gap-3 cursor-pointer">
+                <span className="text-sm text-green-400 flex items-center gap-2">
+                  <EyeOff className="w-4 h-4" />
+                  Deniable: no visible header, with an optional decoy file
+                </span>
+                <input type="checkbox" checked={deniable} onChange={(e) => setDeniable(e.target.checked)} className="w-4 h-4 accent-green-500" />
+              </label>
+            )}
+            {isDeniable && (
+              <div className="mt-4 animate-fade-in">
+                <FileDropzone onDrop={setDecoyFile} file={decoyFile} title="3. Drop Decoy File(s) (Optional)" subtitle="Something harmless, revealed by the decoy password" multiple />
+                <p className="mt-2 text-xs text-green-700 text-center">
+                  The file and the decoy are each encrypted with their own password, and the rest of the image's low bits is random, so nobody can tell whether a second file is there. Give away the decoy password if you have to.
+                </p>
+              </div>
+            )}
+            {jpegCapacity === null && !isDeniable && !isExtendedLsb && (
+              <label className="mt-4 liquid-glass rounded-lg p-3 flex items-center justify-between gap-3 cursor-pointer">
+                <span className="text-sm text-green-400 flex items-center gap-2">
+                  <Shuffle className="w-4 h-4" />
+                  Scatter bits with a key (password or stego key)
+                </span>
+                <input type="checkbox" checked={scatterLsb} onChange={(e) => setScatterLsb(e.target.checked)} className="w-4 h-4 accent-green-500" />
+              </label>
+            )}
+            {canEncryptHeader && (
+              <label className="mt-4 liquid-glass rounded-lg p-3 flex items-center justify-between gap-3 cursor-pointer">
+                <span className="text-sm text-green-400 flex items-center gap-2" title="Without the password the image shows no file name, size or sign of hidden data">
+                  <FileLock className="w-4 h-4" />
+                  Encrypt the header too (needs a password)
+                </span>
+                <input
+                  type="checkbox"
+                  checked={encryptHeader}
+                  onChange={(e) => {
+                    setEncryptHeader(e.target.checked);
+                    // The error correction preamble is stored in the clear, so the two do not mix
+                    if (e.target.checked) setEccLevel('none');
+                  }}
+                  className="w-4 h-4 accent-green-500"
+                />
+              </label>
+            )}
+            {canExtendLsb && extraCapacity.alpha[bitDepth - 1] > 0 && (
+              <label className="mt-4 liquid-glass rounded-lg p-3 flex items-center justify-between gap-3 cursor-pointer">
+                <span className="text-sm text-green-400 flex items-center gap-2" title="Only pixels that are already partly transparent give up their lowest alpha bits. Opaque and fully transparent areas stay untouched, since noise in their constant alpha would give the image away">
+                  <Blend className="w-4 h-4" />
+                  Use the alpha of semi-transparent pixels (+{(extraCapacity.alpha[bitDepth - 1] / 1024).toFixed(2)} KB)
+                </span>
+                <input
+                  type="checkbox"
+                  checked={useAlpha}
+                  onChange={(e) => {
+                    setUseAlpha(e.target.checked);
+                    // Extended carriers are written in order, without scattering or error correction
+                    if (e.target.checked) { setScatterLsb(false); setEccLevel('none'); }
+                  }}
+                  className="w-4 h-4 accent-green-500"
+                />
+              </label>
+            )}
+            {canExtendLsb && extraCapacity.lowBytes > 0 && (
+              <label className="mt-4 liquid-glass rounded-lg p-3 flex items-center justify-between gap-3 cursor-pointer">
+                <span className="text-sm text-green-400 flex items-center gap-2" title="The low byte of a 16-bit sample is invisible on 8-bit screens">
+                  <Binary className="w-4 h-4" />
+                  Use the low bytes of 16-bit samples (+{(extraCapacity.lowBytes / 1024).toFixed(2)} KB)
+                </span>
+                <input
+                  type="checkbox"
+                  checked={useLowBytes}
+                  onChange={(e) => {
+                    setUseLowBytes(e.target.checked);
+                    if (e.target.checked) { setScatterLsb(false); setEccLevel('none'); }
+                  }}
+                  className="w-4 h-4 accent-green-500"
+                />
+              </label>
+            )}
+            {!isDeniable && !useEncryptedHeader && !isExtendedLsb && (
+              <div className="mt-4 liquid-glass rounded-lg p-3 flex flex-wrap items-center justify-between gap-3">
+                <span className="text-sm text-green-400 flex items-center gap-2">
+                  <LifeBuoy className="w-4 h-4" />
+                  Error correction (repairs slightly damaged images)
+                </span>
+                <div className="flex gap-2">
+                  {Object.entries(ECC_LEVEL_NAMES).map(([level, name]) => (
+                    <button
+                      key={level}
+                      onClick={() => setEccLevel(level)}
+                      title={level === 'none' ? 'No error correction' : `${Ecc.LEVELS[level]} parity bytes per 255-byte block`}
+                      className={`px-2 py-1 rounded border text-xs font-bold transition-all duration-300 ${eccLevel === level ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            {carrierImgSizes && payload && !payloadTooLargeError && (
               <div className="mt-4 pt-4 border-t border-green-500/20 animate-scale-in">
                 <label htmlFor="bitDepth" className="block text-sm font-medium text-green-400 mb-3 flex items-center gap-2">
                   <Zap className="w-4 h-4" />
@@ -235,18 +870,58 @@ function App() {
                   <p className="text-sm text-green-400">
                     Selected Capacity: <span className="font-bold text-white text-base">{(capacityForDepth(bitDepth) / 1024).toFixed(2)} KB</span>
                   </p>
+                  {qualityEstimate && (
+                    <p className="text-xs text-green-600 mt-1" title="Expected for a photo; flat artwork changes more. The exact figures follow after hiding.">
+                      Estimated quality: <span className="text-white">~{qualityEstimate.psnr.toFixed(1)} dB PSNR</span>, MSE {qualityEstimate.mse.toFixed(3)}, {Steganalysis.rateQuality(qualityEstimate.psnr)}
+                    </p>
+                  )}
                 </div>
               </div>
             )}
+            {encodingDiff && <ImageDiff carrierFile={encodingDiff.carrierFile} output={encodingDiff.output} comparison={encodingDiff.comparison} />}
           </div>
         )}
       </>
     );
   };
 
+  // Which of the user's keys can open a file encrypted for recipients
+  const describeRecipients = (header) => {
+    const keyIds = header.kdf.recipients.map(({ keyId }) => Keys.formatKeyId(keyId));
+    const ownKeys = keys.filter((entry) => entry.privateKey && keyIds.includes(entry.keyId));
+    if (ownKeys.length > 0) return `For you (${ownKeys.map((entry) => entry.name).join(', ')})`;
+    return `For ${keyIds.length} recipient${keyIds.length === 1 ? '' : 's'}, none of your keys`;
+  };
+
   const renderDecryptMode = () => (
     <div className="animate-fade-in">
-      <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="Drop PNG to Extract From" subtitle="or click to browse" accept="image/png" className="min-h-[450px] sm:min-h-[500px] md:min-h-[550px]" />
+      <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="Drop PNG/JPEG(s) to Extract From" subtitle="Drop every part of a multi-part payload together" accept="image/png,image/jpeg" className="min-h-[450px] sm:min-h-[500px] md:min-h-[550px]" multiple />
+      <label className="mt-4 liquid-glass rounded-lg p-3 flex items-center justify-between gap-3 cursor-pointer">
+        <span className="text-sm text-green-400 flex items-center gap-2">
+          <Radio className="w-4 h-4" />
+          Read a robust mark instead (survives recompression and resizing)
+        </span>
+        <input type="checkbox" checked={readRobustMark} onChange={(e) => setReadRobustMark(e.target.checked)} className="w-4 h-4 accent-green-500" />
+      </label>
+      <button type="button" onClick={() => setShowKeys(!showKeys)} className="mt-3 text-xs text-green-500 hover:text-green-300 underline underline-offset-4 flex items-center gap-1">
+        <Users className="w-3 h-3" /> {showKeys ? 'Hide keys' : `Manage keys for files encrypted to you (${keys.filter((entry) => entry.privateKey).length} own)`}
+      </button>
+      {showKeys && <div className="mt-3"><KeyManager keys={keys} onKeysChange={setKeys} /></div>}
+      {robustMark && (
+        <div className="mt-4 pt-4 border-t border-green-500/20 text-left animate-fade-in">
+          <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3">
+            <Radio className="w-5 h-5" />
+            Robust Mark:
+          </h4>
+          <div className="liquid-glass rounded-lg p-4 space-y-3 text-sm">
+            <p className="text-white font-medium break-all">{robustMark.text}</p>
+            <div className="flex justify-between items-center">
+              <span className="text-green-600">Confidence:</span>
+              <span className={`font-medium ${robustMark.confidence >= 0.5 ? 'text-green-400' : 'text-yellow-400'}`}>{Math.round(robustMark.confidence * 100)}%</span>
+            </div>
+          </div>
+        </div>
+      )}
       {mode === 'decrypt' && payloadFile && (metadataLoading || metadata) && (
         <div className="mt-4 pt-4 border-t border-green-500/20 text-left animate-fade-in">
           <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3">
@@ -272,24 +947,226 @@ function App() {
                   </span>
                   <span className="text-white font-medium">{(metadata.fileSize / 1024).toFixed(2)} KB</span>
                 </div>
+                {Container.isMessage(metadata) && (
+                  <div className="flex justify-between items-center group">
+                    <span className="text-green-600 flex items-center gap-2">
+                      <MessageSquareText className="w-4 h-4" />
+                      Content:
+                    </span>
+                    <span className="text-white font-medium">
+                      Message{metadata.contentType === Container.CONTENT_TYPE_MARKDOWN ? ' (Markdown)' : ''}, shown on extraction
+                    </span>
+                  </div>
+                )}
                 <div className="flex justify-between items-center group">
                   <span className="text-green-600 flex items-center gap-2">
                     <Shield className="w-4 h-4" />
                     Encrypted:
                   </span>
                   <span className={`font-medium ${metadata.isEncrypted ? 'text-green-400' : 'text-gray-400'}`}>
-                    {metadata.isEncrypted ? 'Yes' : 'No'}
+                    {metadataForRecipients ? describeRecipients(metadata) : metadata.isEncrypted ? 'Yes' : 'No'}
+                    {metadata.isHeaderEncrypted && ', header too'}
+                  </span>
+                </div>
+                {metadata.isMultipart && (
+                  <div className="flex justify-between items-center group">
+                    <span className="text-green-600 flex items-center gap-2">
+                      <Layers className="w-4 h-4" />
+                      Parts:
+                    </span>
+                    {metadata.foundParts ? (
+                      <span className={`font-medium ${metadata.missingParts.length ? 'text-red-400' : 'text-green-400'}`}>
+                        {metadata.foundParts.length} of {metadata.partCount}
+                        {metadata.missingParts.length > 0 && ` (missing ${metadata.missingParts.map((index) => index + 1).join(', ')})`}
+                      </span>
+                    ) : (
+                      <span className="text-white font-medium">Part {metadata.partIndex + 1} of {metadata.partCount}</span>
+                    )}
+                  </div>
+                )}
+                {metadata.ecc && (
+                  <div className="flex justify-between items-center group">
+                    <span className="text-green-600 flex items-center gap-2">
+                      <LifeBuoy className="w-4 h-4" />
+                      Error Correction:
+                    </span>
+                    <span className="text-green-400 font-medium">
+                      {metadata.ecc.parityBytes} parity bytes/block
+                      {metadata.ecc.correctedBytes > 0 && ` (${metadata.ecc.correctedBytes} bytes repaired)`}
+                    </span>
+                  </div>
+                )}
+                <div className="flex justify-between items-center group">
+                  <span className="text-green-600 flex items-center gap-2">
+                    <PenLine className="w-4 h-4" />
+                    Signed by:
                   </span>
+                  <SignerStatus signer={metadata.signer} keys={keys} onKeysChange={setKeys} />
                 </div>
               </div>
             )}
           </div>
         </div>
       )}
-      {metadataError && <p className="text-sm text-red-400 mt-2 text-center animate-fade-in">{metadataError}</p>}
+      {metadataError && (
+        <div className="mt-2 text-center animate-fade-in">
+          <p className="text-sm text-red-400">{metadataError}</p>
+          <p className="text-xs text-green-700 mt-1">Scattered images only reveal their header with the right password or stego key, and deniable images reveal nothing until you extract with a password.</p>
+          <p className="text-xs text-green-700 mt-1">If the header is encrypted, enter the password below to see the file info.</p>
+          <button
+            onClick={() => setHeaderPassword(password)}
+            disabled={!password || metadataLoading}
+            className="mt-2 px-3 py-1 rounded border border-green-500/40 text-xs font-bold text-green-300 hover:bg-green-500/10 disabled:opacity-40 inline-flex items-center gap-1"
+          >
+            <FileLock className="w-3 h-3" /> Show File Info
+          </button>
+        </div>
+      )}
+      {extractedMessage && (
+        <MessageViewer message={extractedMessage} onDownload={() => downloadBlob(new Blob([extractedMessage.text], { type: 'text/plain' }), extractedMessage.fileName)} />
+      )}
+      {extractedFile && (
+        <FilePreview
+          file={extractedFile}
+          onSave={() => downloadBlob(new Blob([extractedFile.data]), extractedFile.fileName)}
+          onDiscard={() => setExtractedFile(null)}
+        />
+      )}
+      {extractedBundle && (
+        <div className="mt-4 pt-4 border-t border-green-500/20 text-left animate-fade-in">
+          <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3">
+            <FolderOpen className="w-5 h-5" />
+            Extracted Bundle: <span className="text-white truncate" title={extractedBundle.name}>{extractedBundle.name}</span>
+          </h4>
+          <div className="liquid-glass rounded-lg p-4">
+            <ul className="space-y-2 text-sm max-h-72 overflow-y-auto">
+              {extractedBundle.files.map((entry) => (
+                <li key={entry.path} className="flex justify-between items-center gap-3">
+                  <span className="text-white truncate" title={`${entry.path}\nSHA-256: ${entry.sha256}`}>{entry.path}</span>
+                  <span className="flex items-center gap-3 flex-shrink-0">
+                    <span className="text-green-600">{(entry.size / 1024).toFixed(2)} KB</span>
+                    <button onClick={() => setExtractedFile({ fileName: entry.path.split('/').pop(), data: entry.data })} className="text-green-400 hover:text-green-200" title="Preview">
+                      <Eye className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => downloadBlob(new Blob([entry.data]), entry.path.split('/').pop())} className="text-green-400 hover:text-green-200" title="Download">
+                      <Download className="w-4 h-4" />
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={() => downloadBlob(ZipWriter.createZip(extractedBundle.files), `${extractedBundle.name}.zip`)}
+              className="mt-4 w-full py-2 px-4 rounded-lg border border-green-500/60 text-green-400 hover:bg-green-500/10 transition-all duration-300 tracking-wider flex items-center justify-center gap-2"
+            >
+              <Download className="w-4 h-4" />
+              DOWNLOAD ALL AS ZIP
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   );
 
+  const renderAnalyzeMode = () => {
+    const chooseTarget = (target) => {
+      setAnalyzeTarget(target);
+      setPayloadFile(null);
+      setCarrierFile(null);
+    };
+    return (
+      <div className="animate-fade-in">
+        <div className="mb-4 flex justify-center gap-2">
+          {Object.entries(ANALYZE_TARGETS).map(([target, { name, icon: Icon }]) => (
+            <button
+              key={target}
+              onClick={() => chooseTarget(target)}
+              title={target === 'folder' ? 'Find which images in a folder carry hidden data' : 'Steganalysis of a single image'}
+              className={`px-3 py-1 rounded border text-xs font-bold transition-all duration-300 flex items-center gap-1 ${analyzeTarget === target ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+            >
+              <Icon className="w-3 h-3" /> {name}
+            </button>
+          ))}
+        </div>
+        {analyzeTarget === 'folder' ? (
+          <>
+            <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="Drop a Folder of Images" subtitle="Every image's header is read; nothing is extracted" accept="image/*" multiple />
+            {scanResults && <ScanReport rows={scanResults} onDownload={downloadBlob} />}
+          </>
+        ) : (
+          <>
+            <div className="grid md:grid-cols-2 gap-4">
+              <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="1. Drop Image to Analyze" subtitle="A PNG or JPEG you want to share" accept="image/png,image/jpeg" />
+              <FileDropzone onDrop={setCarrierFile} file={carrierFile} title="2. Drop Original Carrier" subtitle="Optional: compare against it" accept="image/png,image/jpeg" />
+            </div>
+            {analysis && <SteganalysisReport report={analysis} imageFile={payloadFile} />}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderBatchMode = () => {
+    const chooseOperation = (operation) => {
+      setBatchOperation(operation);
+      setPayloadFile(null);
+      setCarrierFile(null);
+    };
+    const optionClassName = (isSelected) => `px-3 py-1 rounded border text-xs font-bold transition-all duration-300 flex items-center gap-1 ${isSelected ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`;
+    return (
+      <div className="animate-fade-in">
+        <div className="mb-4 flex flex-wrap justify-center gap-2">
+          {Object.entries(BATCH_OPERATIONS).map(([operation, { name, icon: Icon }]) => (
+            <button key={operation} onClick={() => chooseOperation(operation)} className={optionClassName(batchOperation === operation)}>
+              <Icon className="w-3 h-3" /> {name}
+            </button>
+          ))}
+          {batchOperation === 'hide' && (
+            <>
+              <span className="w-px bg-green-500/20 mx-1" />
+              {Object.entries(BATCH_CARRIER_SOURCES).map(([source, name]) => (
+                <button
+                  key={source}
+                  onClick={() => setBatchCarrierSource(source)}
+                  title={source === 'generate' ? 'Make a new image for each file' : 'Hide each file in one of your images'}
+                  className={optionClassName(batchCarrierSource === source)}
+                >
+                  {name}
+                </button>
+              ))}
+            </>
+          )}
+        </div>
+        {batchOperation === 'extract' ? (
+          <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="Drop Images to Extract From" subtitle="Many PNGs or JPEGs, or a folder of them" accept="image/png,image/jpeg" multiple />
+        ) : (
+          <div className={batchCarrierSource === 'carriers' ? 'grid md:grid-cols-2 gap-4' : ''}>
+            <FileDropzone onDrop={setPayloadFile} file={payloadFile} title="1. Drop Files to Hide" subtitle="Each file gets an image of its own" multiple />
+            {batchCarrierSource === 'carriers' && (
+              <FileDropzone onDrop={setCarrierFile} file={carrierFile} title="2. Drop Carrier Images" subtitle="Paired with the files in name order" accept="image/*" multiple />
+            )}
+          </div>
+        )}
+        {batch.error && <p className="mt-4 text-sm text-red-400 text-center animate-fade-in">{batch.error}</p>}
+        {batch.tasks.length > 0 && (
+          <>
+            <div className="mt-4 relative liquid-glass rounded-lg overflow-hidden animate-fade-in">
+              <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-green-700 z-10" />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={batchOperation === 'hide' ? 'Password for every file (Optional)' : 'Password (Optional; your saved keys are tried too)'}
+                className="w-full bg-transparent border-0 rounded-lg py-3 pr-4 pl-10 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 relative z-10"
+              />
+            </div>
+            <BatchQueue tasks={batch.tasks} onDownload={(blob) => downloadBlob(blob, batchOperation === 'hide' ? 'batch-hidden.zip' : 'batch-extracted.zip')} />
+          </>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-black text-green-400 font-mono relative overflow-hidden">
       <MatrixRain />
@@ -309,14 +1186,20 @@ function App() {
         
         <div className="max-w-2xl mx-auto mb-8 animate-scale-in">
           <div className="liquid-glass rounded-xl p-1 neon-border">
-            <div className="mode-selector-container grid grid-cols-2 gap-1 sm:gap-2">
-              <div className={`moving-border ${mode === 'decrypt' ? 'decrypt' : ''}`}></div>
+            <div className="mode-selector-container four-way grid grid-cols-4 gap-1 sm:gap-2">
+              <div className={`moving-border ${{ decrypt: 'decrypt', analyze: 'third', batch: 'fourth' }[mode] || ''}`}></div>
               <button onClick={() => setMode('crypt')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
                 <Lock className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">HIDE</span>
               </button>
               <button onClick={() => setMode('decrypt')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
                 <Unlock className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">EXTRACT</span>
               </button>
+              <button onClick={() => setMode('analyze')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
+                <ScanSearch className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">ANALYZE</span>
+              </button>
+              <button onClick={() => setMode('batch')} className="mode-selector-button flex items-center justify-center gap-2 py-3 px-4 sm:py-4 sm:px-6 text-green-400 transition-all duration-300" style={{ outline: 'none', boxShadow: 'none', border: 'none', backgroundColor: 'transparent' }}>
+                <ListChecks className="w-5 h-5" /><span className="font-semibold tracking-wider text-sm sm:text-base">BATCH</span>
+              </button>
             </div>
           </div>
         </div>
@@ -324,25 +1207,92 @@ function App() {
         <div className="max-w-6xl mx-auto mt-8 sm:mt-16">
           <div className="liquid-glass-dark rounded-2xl p-2 sm:p-4 md:p-6 lg:p-10 min-h-[400px] sm:min-h-[500px] card-hover">
             <div className="scanline"></div>
-            {mode === 'crypt' ? renderCryptMode() : renderDecryptMode()}
-            {payloadFile && (
+            {{ crypt: renderCryptMode, decrypt: renderDecryptMode, analyze: renderAnalyzeMode, batch: renderBatchMode }[mode]()}
+            {hasInput && (
               <div className="mt-4 space-y-4 animate-fade-in">
-                <div className="relative liquid-glass rounded-lg overflow-hidden">
-                  <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-green-700 z-10" />
-                  <input
-                    type="password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    placeholder="Enter Password (Optional)"
-                    className={`w-full bg-transparent border-0 rounded-lg py-3 pr-4 pl-10 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 relative z-10 ${shakePassword ? 'shake' : ''}`}
-                  />
-                </div>
+                {mode === 'crypt' && !isRobustHide && !isDeniable && (
+                  <div className="liquid-glass rounded-lg p-3 flex flex-wrap items-center justify-between gap-3">
+                    <span className="text-sm text-green-400 flex items-center gap-2">
+                      <Shield className="w-4 h-4" />
+                      Encrypt with
+                    </span>
+                    <div className="flex gap-2">
+                      {Object.entries(ENCRYPTION_MODES).map(([value, name]) => (
+                        <button
+                          key={value}
+                          onClick={() => setEncryptionMode(value)}
+                          title={value === 'password' ? 'A password you share with the recipient' : 'Public keys: only the holders of the matching private keys can extract'}
+                          className={`px-2 py-1 rounded border text-xs font-bold transition-all duration-300 ${encryptionMode === value ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+                        >
+                          {name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {isForRecipients && (
+                  <KeyManager keys={keys} onKeysChange={setKeys} selectedKeyIds={recipientKeyIds} onSelectionChange={setRecipientKeyIds} />
+                )}
+                {mode === 'crypt' && !isRobustHide && (
+                  <label className="liquid-glass rounded-lg p-3 flex flex-wrap items-center justify-between gap-3">
+                    <span className="text-sm text-green-400 flex items-center gap-2">
+                      <PenLine className="w-4 h-4" />
+                      Sign as
+                    </span>
+                    <select
+                      value={signingKeyId}
+                      onChange={(e) => setSigningKeyId(e.target.value)}
+                      disabled={ownKeys.length === 0}
+                      title="Lets the receiver check that the file comes from you and was not altered"
+                      className="bg-black/40 border border-green-500/20 rounded px-2 py-1 text-xs text-green-300 disabled:opacity-40"
+                    >
+                      <option value="">{ownKeys.length === 0 ? 'No key pair yet (create one under Recipients)' : "Don't sign"}</option>
+                      {ownKeys.map((entry) => <option key={entry.keyId} value={entry.keyId}>{entry.name} ({entry.keyId})</option>)}
+                    </select>
+                  </label>
+                )}
+                {(mode !== 'analyze' || isFolderScan) && !isRobustHide && !isForRecipients && !(mode === 'decrypt' && (readRobustMark || metadataForRecipients)) && (
+                  <div className="relative liquid-glass rounded-lg overflow-hidden">
+                    <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-green-700 z-10" />
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder={isDeniable || useEncryptedHeader ? 'Enter Password (Required)' : 'Enter Password (Optional)'}
+                      className={`w-full bg-transparent border-0 rounded-lg py-3 pr-4 pl-10 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 relative z-10 ${shakePassword ? 'shake' : ''}`}
+                    />
+                  </div>
+                )}
+                {isDeniable && decoyFile && (
+                  <div className="relative liquid-glass rounded-lg overflow-hidden animate-fade-in">
+                    <EyeOff className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-green-700 z-10" />
+                    <input
+                      type="password"
+                      value={decoyPassword}
+                      onChange={(e) => setDecoyPassword(e.target.value)}
+                      placeholder="Decoy Password (the one you can give away)"
+                      className="w-full bg-transparent border-0 rounded-lg py-3 pr-4 pl-10 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 relative z-10"
+                    />
+                  </div>
+                )}
+                {(mode === 'decrypt' || isRobustHide || (stegoMode === 'lsb' && scatterLsb && jpegCapacity === null && !isDeniable)) && (
+                  <div className="relative liquid-glass rounded-lg overflow-hidden animate-fade-in">
+                    <Key className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-green-700 z-10" />
+                    <input
+                      type="password"
+                      value={stegoKey}
+                      onChange={(e) => setStegoKey(e.target.value)}
+                      placeholder="Stego Key (Optional, defaults to password)"
+                      className="w-full bg-transparent border-0 rounded-lg py-3 pr-4 pl-10 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 relative z-10"
+                    />
+                  </div>
+                )}
 
                 <div className="relative">
                   <button
                     onClick={handleProcess}
-                    disabled={loading || payloadTooLargeError}
-                    className={`w-full py-4 px-6 font-bold rounded-lg transition-all duration-300 tracking-wider relative overflow-hidden button-enhanced ${loading || payloadTooLargeError ? 'bg-gray-700/20 text-gray-400 border border-gray-500/40 cursor-not-allowed' : 'bg-gradient-to-r from-green-600 to-green-500 hover:from-green-500 hover:to-green-400 text-black shadow-[0_0_30px_rgba(0,255,65,0.4)] hover:shadow-[0_0_50px_rgba(0,255,65,0.6)]'}`}
+                    disabled={loading || payloadTooLargeError || (isRobustHide && robustMessageSize > SpreadSpectrum.MAX_MESSAGE_SIZE)}
+                    className={`w-full py-4 px-6 font-bold rounded-lg transition-all duration-300 tracking-wider relative overflow-hidden button-enhanced ${loading || payloadTooLargeError || (isRobustHide && robustMessageSize > SpreadSpectrum.MAX_MESSAGE_SIZE) ? 'bg-gray-700/20 text-gray-400 border border-gray-500/40 cursor-not-allowed' : 'bg-gradient-to-r from-green-600 to-green-500 hover:from-green-500 hover:to-green-400 text-black shadow-[0_0_30px_rgba(0,255,65,0.4)] hover:shadow-[0_0_50px_rgba(0,255,65,0.6)]'}`}
                   >
                     <span className="relative z-10 flex items-center justify-center gap-3">
                       {loading ? (
@@ -353,8 +1303,8 @@ function App() {
                         </>
                       ) : (
                         <>
-                          {mode === 'crypt' ? <Lock className="w-5 h-5" /> : <Unlock className="w-5 h-5" />}
-                          {mode === 'crypt' ? 'HIDE FILE' : 'EXTRACT FILE'}
+                          {{ crypt: <Lock className="w-5 h-5" />, decrypt: <Unlock className="w-5 h-5" />, analyze: isFolderScan ? <FolderSearch className="w-5 h-5" /> : <ScanSearch className="w-5 h-5" /> }[mode]}
+                          {{ crypt: payloadType === 'message' ? 'HIDE MESSAGE' : 'HIDE FILE', decrypt: 'EXTRACT FILE', analyze: isFolderScan ? 'SCAN IMAGES' : 'ANALYZE IMAGE' }[mode]}
                         </>
                       )}
                     </span>
@@ -371,12 +1321,39 @@ function App() {
                       <p className="text-center text-xs text-green-500 mt-2">
                         Processing... {progress}% complete
                       </p>
+                      <button
+                        onClick={handleCancel}
+                        disabled={!CAN_CANCEL_JOBS}
+                        className="mt-3 w-full py-2 px-4 rounded-lg border border-red-500/60 text-red-400 hover:bg-red-500/10 transition-all duration-300 tracking-wider flex items-center justify-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed"
+                      >
+                        <Ban className="w-4 h-4" />
+                        CANCEL
+                      </button>
+                      {!CAN_CANCEL_JOBS && (
+                        <p className="text-center text-xs text-green-700 mt-2">
+                          This browser cannot run the job in the background, so it cannot be cancelled.
+                        </p>
+                      )}
                     </div>
                   )}
                 </div>
               </div>
             )}
 
+            {result?.success && result.correctedBytes > 0 && (
+              <div className="mt-4 liquid-glass rounded-lg p-3 text-center animate-fade-in">
+                <p className="text-sm text-green-400 flex items-center justify-center gap-2">
+                  <CheckCircle className="w-4 h-4" />
+                  Error correction repaired {result.correctedBytes} damaged {result.correctedBytes === 1 ? 'byte' : 'bytes'}; the file matches its checksum.
+                </p>
+              </div>
+            )}
+            {result?.success && mode === 'decrypt' && result.signer && (
+              <div className="mt-4 liquid-glass rounded-lg p-3 text-sm flex flex-wrap items-center justify-center gap-2 animate-fade-in">
+                <span className="text-green-600">Signed by:</span>
+                <SignerStatus signer={result.signer} keys={keys} onKeysChange={setKeys} />
+              </div>
+            )}
             {result && !result.success && (
               <div className="mt-4 liquid-glass border rounded-xl p-4 sm:p-6 neon-border card-hover animate-fade-in border-red-500/60">
                 <div className="flex items-start gap-4">
@@ -421,7 +1398,35 @@ function App() {
                   </li>
                   <li className="flex items-start gap-2">
                     <span className="text-green-500 mt-1">▸</span>
-                    <span>Add password (optional)</span>
+                    <span>Just a note? Switch to "Message" and type it; EXTRACT shows it on screen, Markdown included</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>For a new image: pick a cover style (gradient, clouds or tiles) for a natural-looking picture</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>Short on room in a single PNG? Use its alpha channel, or the low bytes of a 16-bit PNG</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>For images you will send through messaging apps: "Robust Mark" with a short message</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>Add a password (optional), or encrypt for colleagues' public keys with "Recipients"</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>Optionally sign with your key so receivers can check who sent it</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>Need deniability? Tick "Deniable" and add a decoy file with a second password</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>Tick "Encrypt the header too" to hide the file's name and size along with the file</span>
                   </li>
                   <li className="flex items-start gap-2">
                     <span className="text-green-500 mt-1">▸</span>
@@ -441,7 +1446,11 @@ function App() {
                   </li>
                   <li className="flex items-start gap-2">
                     <span className="text-green-500 mt-1">▸</span>
-                    <span>Enter password if encrypted</span>
+                    <span>Enter password if encrypted; files encrypted for you open with your saved keys, and signed files show their sender</span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-green-500 mt-1">▸</span>
+                    <span>No file info? The header may be encrypted: enter the password and click "Show File Info"</span>
                   </li>
                   <li className="flex items-start gap-2">
                     <span className="text-green-500 mt-1">▸</span>
@@ -449,7 +1458,7 @@ function App() {
                   </li>
                   <li className="flex items-start gap-2">
                     <span className="text-green-500 mt-1">▸</span>
-                    <span>Original file downloads automatically</span>
+                    <span>Preview the file in the page, then Save, Copy or Discard it</span>
                   </li>
                 </ul>
               </div>
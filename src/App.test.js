@@ -1,8 +1,25 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom has no 2D canvas; MatrixRain skips drawing without one
+beforeEach(() => {
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('renders the title and opens in hide mode', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('SHADE_OF_COLOR_2');
+  expect(screen.getByRole('button', { name: 'NEW IMAGE' })).toBeInTheDocument();
+});
+
+test('switches to extract mode', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'EXTRACT' }));
+  expect(screen.queryByRole('button', { name: 'NEW IMAGE' })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'HIDE' }));
+  expect(screen.getByRole('button', { name: 'NEW IMAGE' })).toBeInTheDocument();
 });
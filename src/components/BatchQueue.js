@@ -0,0 +1,133 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Ban, CheckCircle, Clock, Download, Loader, Play, RotateCcw, XCircle } from 'lucide-react';
+import WorkerProcessor from '../services/WorkerProcessor';
+import ZipWriter from '../services/ZipWriter';
+
+const STATUS_ICONS = {
+  queued: <Clock className="w-4 h-4 text-green-700" />,
+  running: <Loader className="w-4 h-4 text-green-300 animate-spin" />,
+  done: <CheckCircle className="w-4 h-4 text-green-400" />,
+  failed: <XCircle className="w-4 h-4 text-red-400" />,
+};
+
+// Zip entries must be unique, so repeated names get " (2)", " (3)"... before their extension
+const uniquePaths = (files) => {
+  const seen = new Set();
+  return files.map(({ path, data }) => {
+    let unique = path;
+    for (let n = 2; seen.has(unique); n++) unique = path.replace(/(\.[^./]+)?$/, ` (${n})$1`);
+    seen.add(unique);
+    return { path: unique, data };
+  });
+};
+
+/**
+ * Runs a list of tasks one after another (each in its own worker, see WorkerProcessor) and shows their progress.
+ * A task is `{ id, name, run }`, where `run({ onProgress, signal })` resolves to the `{ path, data }` files it
+ * produced. Failed tasks can be retried, and the files of every finished task download together as one ZIP.
+ * A new `tasks` list starts a new queue.
+ */
+const BatchQueue = ({ tasks, onDownload }) => {
+  const [states, setStates] = useState({});
+  const [isRunning, setIsRunning] = useState(false);
+  const statesRef = useRef({});
+  const abortControllerRef = useRef(null);
+
+  const update = (id, patch) => {
+    if (!(id in statesRef.current)) return;
+    statesRef.current = { ...statesRef.current, [id]: { ...statesRef.current[id], ...patch } };
+    setStates(statesRef.current);
+  };
+
+  useEffect(() => {
+    statesRef.current = Object.fromEntries(tasks.map((task) => [task.id, { status: 'queued', progress: 0, error: null, files: null }]));
+    setStates(statesRef.current);
+    return () => abortControllerRef.current?.abort();
+  }, [tasks]);
+
+  const runAsync = async () => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setIsRunning(true);
+    // Looks for the next queued task each time, so tasks retried meanwhile are picked up too
+    for (;;) {
+      const task = tasks.find(({ id }) => statesRef.current[id]?.status === 'queued');
+      if (!task || abortController.signal.aborted) break;
+      update(task.id, { status: 'running', progress: 0, error: null });
+      try {
+        const files = await task.run({ onProgress: (progress) => update(task.id, { progress }), signal: abortController.signal });
+        update(task.id, { status: 'done', progress: 100, files });
+      } catch (error) {
+        update(task.id, error.name === 'AbortError' ? { status: 'queued', progress: 0 } : { status: 'failed', error: error.message });
+      }
+    }
+    if (abortControllerRef.current === abortController) abortControllerRef.current = null;
+    setIsRunning(false);
+  };
+
+  const retry = (id) => {
+    update(id, { status: 'queued', progress: 0, error: null });
+    if (!abortControllerRef.current) runAsync();
+  };
+
+  const counts = tasks.reduce((sum, { id }) => ({ ...sum, [states[id]?.status]: (sum[states[id]?.status] || 0) + 1 }), {});
+  const doneFiles = tasks.flatMap(({ id }) => (states[id]?.status === 'done' ? states[id].files : []));
+
+  return (
+    <div className="mt-4 liquid-glass rounded-lg p-4 text-left animate-fade-in">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3 text-sm">
+        <span className="text-green-400">
+          {tasks.length} {tasks.length === 1 ? 'job' : 'jobs'}: <span className="text-white">{counts.done || 0} done</span>
+          {counts.failed ? <span className="text-red-400">, {counts.failed} failed</span> : null}
+        </span>
+        {isRunning ? (
+          <button
+            onClick={() => abortControllerRef.current?.abort()}
+            title={WorkerProcessor.isSupported() ? 'Cancel the running job and stop the queue' : 'This browser cannot cancel a running job; the queue stops after it'}
+            className="px-3 py-1 rounded border border-red-500/60 text-red-400 hover:bg-red-500/10 text-xs font-bold flex items-center gap-1"
+          >
+            <Ban className="w-3 h-3" /> STOP
+          </button>
+        ) : (
+          <button onClick={runAsync} disabled={!counts.queued} className="px-3 py-1 rounded border border-green-500/60 text-green-400 hover:bg-green-500/10 text-xs font-bold flex items-center gap-1 disabled:opacity-40">
+            <Play className="w-3 h-3" /> {counts.done || counts.failed ? 'RESUME' : 'START'}
+          </button>
+        )}
+      </div>
+      <ul className="space-y-2 text-sm max-h-96 overflow-y-auto">
+        {tasks.map(({ id, name }) => {
+          const { status = 'queued', progress = 0, error = null } = states[id] || {};
+          return (
+            <li key={id} className="flex items-center gap-3">
+              {STATUS_ICONS[status]}
+              <div className="flex-1 min-w-0">
+                <p className="text-white truncate" title={name}>{name}</p>
+                {status === 'running' && (
+                  <div className="mt-1 h-1 rounded bg-green-500/10 overflow-hidden">
+                    <div className="h-full bg-green-400 transition-all duration-300" style={{ width: `${progress}%` }} />
+                  </div>
+                )}
+                {error && <p className="text-xs text-red-400 truncate" title={error}>{error}</p>}
+              </div>
+              {status === 'failed' && (
+                <button onClick={() => retry(id)} className="text-green-400 hover:text-green-200" title="Retry">
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        onClick={() => onDownload(ZipWriter.createZip(uniquePaths(doneFiles)))}
+        disabled={doneFiles.length === 0}
+        className="mt-4 w-full py-2 px-4 rounded-lg border border-green-500/60 text-green-400 hover:bg-green-500/10 transition-all duration-300 tracking-wider flex items-center justify-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed"
+      >
+        <Download className="w-4 h-4" />
+        DOWNLOAD RESULTS AS ZIP ({doneFiles.length} {doneFiles.length === 1 ? 'file' : 'files'})
+      </button>
+    </div>
+  );
+};
+
+export default BatchQueue;
@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Check, Copy, Download, Eye, Trash2 } from 'lucide-react';
+import MediaType from '../services/MediaType';
+
+// Large files are cut off in the text and hex views; Save always writes the whole file
+const TEXT_PREVIEW_BYTES = 256 * 1024;
+const HEX_PREVIEW_BYTES = 4096;
+
+const hexDump = (bytes) => {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const row = bytes.subarray(offset, offset + 16);
+    const hex = Array.from(row, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+    const text = Array.from(row, (byte) => (byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${text}`);
+  }
+  return lines.join('\n');
+};
+
+// Keeps an object URL for a Blob alive only while it is displayed
+const useObjectUrl = (blob) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+  return url;
+};
+
+/**
+ * Shows an extracted file in the page before anything is written to disk. The type comes from the file's magic
+ * bytes (see MediaType): images, audio, video and PDFs play inline, text is shown as text, anything else as a
+ * hex dump. Save downloads it, Copy puts text or a PNG on the clipboard, and Discard drops it.
+ */
+const FilePreview = ({ file, onSave, onDiscard }) => {
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState(null);
+  const type = useMemo(() => MediaType.detect(file.data), [file.data]);
+  const isPlayable = ['image', 'audio', 'video', 'pdf'].includes(type.kind);
+  const blob = useMemo(() => (isPlayable ? new Blob([file.data], { type: type.mime }) : null), [file.data, type, isPlayable]);
+  const url = useObjectUrl(blob);
+  const canCopy = type.kind === 'text' || type.mime === 'image/png';
+  const previewBytes = type.kind === 'text' ? TEXT_PREVIEW_BYTES : HEX_PREVIEW_BYTES;
+  const isCut = !isPlayable && file.data.length > previewBytes;
+
+  useEffect(() => {
+    setCopied(false);
+    setCopyError(null);
+  }, [file]);
+
+  const copy = async () => {
+    try {
+      if (type.kind === 'text') {
+        await navigator.clipboard.writeText(new TextDecoder().decode(file.data));
+      } else {
+        await navigator.clipboard.write([new ClipboardItem({ [type.mime]: new Blob([file.data], { type: type.mime }) })]);
+      }
+      setCopyError(null);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      setCopyError('The browser did not allow copying to the clipboard.');
+    }
+  };
+
+  const renderContent = () => {
+    if (!url && isPlayable) return null;
+    switch (type.kind) {
+      case 'image':
+        return <img src={url} alt={file.fileName} className="max-h-96 mx-auto" />;
+      case 'audio':
+        return <audio src={url} controls className="w-full" />;
+      case 'video':
+        return <video src={url} controls className="max-h-96 w-full" />;
+      case 'pdf':
+        return <object data={url} type="application/pdf" aria-label={file.fileName} className="w-full h-96" />;
+      case 'text':
+        return <pre className="whitespace-pre-wrap break-words font-mono text-green-100">{new TextDecoder().decode(file.data.subarray(0, previewBytes))}</pre>;
+      default:
+        return <pre className="font-mono text-xs text-green-200 overflow-x-auto">{hexDump(file.data.subarray(0, previewBytes))}</pre>;
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-500/20 text-left animate-fade-in">
+      <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3 min-w-0">
+        <Eye className="w-5 h-5 flex-shrink-0" />
+        <span className="text-white truncate" title={file.fileName}>{file.fileName}</span>
+        <span className="text-xs text-green-700 font-normal flex-shrink-0">{type.mime}, {(file.data.length / 1024).toFixed(2)} KB</span>
+      </h4>
+      <div className="liquid-glass rounded-lg p-4 text-sm max-h-[28rem] overflow-y-auto">
+        {renderContent()}
+        {isCut && <p className="text-xs text-green-700 mt-2">Showing the first {(previewBytes / 1024).toFixed(0)} KB.</p>}
+      </div>
+      {copyError && <p className="text-xs text-red-400 mt-2">{copyError}</p>}
+      <div className="mt-4 grid grid-cols-3 gap-3">
+        <button
+          onClick={onSave}
+          className="py-2 px-4 rounded-lg border border-green-500/60 text-green-400 hover:bg-green-500/10 transition-all duration-300 tracking-wider flex items-center justify-center gap-2"
+        >
+          <Download className="w-4 h-4" /> SAVE
+        </button>
+        <button
+          onClick={copy}
+          disabled={!canCopy}
+          title={canCopy ? 'Copy to the clipboard' : 'Only text and PNG images can be copied'}
+          className="py-2 px-4 rounded-lg border border-green-500/60 text-green-400 hover:bg-green-500/10 transition-all duration-300 tracking-wider flex items-center justify-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />} COPY
+        </button>
+        <button
+          onClick={onDiscard}
+          className="py-2 px-4 rounded-lg border border-red-500/60 text-red-400 hover:bg-red-500/10 transition-all duration-300 tracking-wider flex items-center justify-center gap-2"
+        >
+          <Trash2 className="w-4 h-4" /> DISCARD
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilePreview;
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { Columns2, Flame, GitCompare, SquareSplitHorizontal } from 'lucide-react';
+import { Steganalysis } from '../core/index.js';
+
+const VIEWS = {
+  side: { name: 'Side by side', icon: Columns2 },
+  slider: { name: 'Slider', icon: SquareSplitHorizontal },
+  heatmap: { name: 'Heatmap', icon: Flame },
+};
+
+const QUALITY_STYLES = {
+  imperceptible: { label: 'Imperceptible', className: 'text-green-400' },
+  faint: { label: 'Faint noise', className: 'text-yellow-400' },
+  visible: { label: 'Visible noise', className: 'text-red-400' },
+};
+
+const formatPsnr = (psnr) => (psnr === Infinity ? '∞' : `${psnr.toFixed(2)} dB`);
+
+// Keeps an object URL for a Blob alive only while it is displayed
+const useObjectUrl = (blob) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+  return url;
+};
+
+/**
+ * How an encoded image differs from its carrier: PSNR, SSIM and MSE (see ClientImageProcessor.compareImagesAsync),
+ * and the two images side by side, under a slider that wipes from one to the other, or as an amplified heatmap.
+ */
+const ImageDiff = ({ carrierFile, output, comparison }) => {
+  const [view, setView] = useState('side');
+  const [split, setSplit] = useState(50);
+  const carrierUrl = useObjectUrl(carrierFile);
+  const outputUrl = useObjectUrl(output);
+  const heatmapUrl = useObjectUrl(comparison.heatmap);
+  const quality = QUALITY_STYLES[Steganalysis.rateQuality(comparison.psnr)];
+  const pixelCount = comparison.width * comparison.height;
+
+  const metrics = [
+    ['PSNR', formatPsnr(comparison.psnr), 'Peak signal-to-noise ratio; above 40 dB the change is invisible'],
+    ['SSIM', comparison.ssim.toFixed(4), 'Structural similarity of the brightness; 1 means identical'],
+    ['MSE', comparison.mse.toFixed(4), 'Mean squared error per colour sample, in levels of 255'],
+    ['Changed', `${((comparison.changedPixels / pixelCount) * 100).toFixed(1)}%`, 'Share of pixels that changed at all'],
+  ];
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-500/20 text-left space-y-3 animate-fade-in">
+      <h4 className="flex flex-wrap items-center justify-between gap-2 text-green-400 font-bold">
+        <span className="flex items-center gap-2">
+          <GitCompare className="w-5 h-5" />
+          Carrier vs. Encoded Image
+        </span>
+        <span className={`text-sm ${quality.className}`}>{quality.label}</span>
+      </h4>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {metrics.map(([name, value, title]) => (
+          <div key={name} className="liquid-glass rounded-lg p-3 text-center" title={title}>
+            <p className="text-xs text-green-600">{name}</p>
+            <p className="text-white font-bold">{value}</p>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-center gap-2">
+        {Object.entries(VIEWS).map(([value, { name, icon: Icon }]) => (
+          <button
+            key={value}
+            onClick={() => setView(value)}
+            className={`px-3 py-1 rounded border text-xs font-bold transition-all duration-300 flex items-center gap-1 ${view === value ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+          >
+            <Icon className="w-3 h-3" /> {name}
+          </button>
+        ))}
+      </div>
+      <div className="liquid-glass rounded-lg p-4">
+        {view === 'side' && carrierUrl && outputUrl && (
+          <div className="grid grid-cols-2 gap-3 text-xs text-green-600 text-center">
+            <figure>
+              <img src={carrierUrl} alt="Carrier" className="w-full rounded border border-green-500/20" style={{ imageRendering: 'pixelated' }} />
+              <figcaption className="mt-1">Carrier</figcaption>
+            </figure>
+            <figure>
+              <img src={outputUrl} alt="Encoded" className="w-full rounded border border-green-500/20" style={{ imageRendering: 'pixelated' }} />
+              <figcaption className="mt-1">Encoded</figcaption>
+            </figure>
+          </div>
+        )}
+        {view === 'slider' && carrierUrl && outputUrl && (
+          <>
+            <div className="relative select-none">
+              <img src={outputUrl} alt="Encoded" className="w-full block rounded" style={{ imageRendering: 'pixelated' }} />
+              <img src={carrierUrl} alt="Carrier" className="absolute inset-0 w-full h-full rounded" style={{ imageRendering: 'pixelated', clipPath: `inset(0 ${100 - split}% 0 0)` }} />
+              <div className="absolute top-0 bottom-0 w-px bg-green-400 shadow-[0_0_6px_rgba(0,255,65,0.8)]" style={{ left: `${split}%` }} />
+            </div>
+            <input type="range" min="0" max="100" value={split} onChange={(e) => setSplit(Number(e.target.value))} className="w-full mt-3" aria-label="Carrier to encoded image" />
+            <div className="flex justify-between text-xs text-green-600">
+              <span>Carrier</span>
+              <span>Encoded</span>
+            </div>
+          </>
+        )}
+        {view === 'heatmap' && heatmapUrl && (
+          <>
+            <img src={heatmapUrl} alt="Difference heatmap" className="w-full rounded border border-green-500/20" style={{ imageRendering: 'pixelated' }} />
+            <p className="mt-2 text-xs text-green-600">
+              Unchanged pixels are dimmed. Changes run from dark red to white, which marks the largest change: {comparison.maxDelta} {comparison.maxDelta === 1 ? 'level' : 'levels'}.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImageDiff;
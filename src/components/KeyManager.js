@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Users, Copy, Download, Trash2, Plus, UserPlus, Check } from 'lucide-react';
+import { Keys } from '../core/index.js';
+import KeyStore from '../services/KeyStore';
+
+const downloadText = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Lists, creates and imports recipient keys. With `selectedKeyIds` the keys get checkboxes for picking recipients.
+ */
+const KeyManager = ({ keys, onKeysChange, selectedKeyIds = null, onSelectionChange = null }) => {
+  const [name, setName] = useState('');
+  const [importText, setImportText] = useState('');
+  const [error, setError] = useState(null);
+  const [copiedKeyId, setCopiedKeyId] = useState(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      onKeysChange(await action());
+      setName('');
+      setImportText('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyPublicKey = async (entry) => {
+    await navigator.clipboard.writeText(entry.publicKey);
+    setCopiedKeyId(entry.keyId);
+    setTimeout(() => setCopiedKeyId(null), 1500);
+  };
+
+  const downloadBackup = async (entry) => {
+    downloadText(await Keys.createKeyFileAsync(entry.privateKey), `${entry.name.replace(/[^\w.-]+/g, '_')}.key`);
+  };
+
+  const removeKey = (entry) => {
+    const warning = entry.privateKey
+      ? `Delete your key "${entry.name}"? Files encrypted for it cannot be opened without a backup.`
+      : `Remove "${entry.name}" from your contacts?`;
+    if (window.confirm(warning)) run(async () => KeyStore.remove(entry.keyId));
+  };
+
+  const toggle = (keyId) => {
+    onSelectionChange(selectedKeyIds.includes(keyId) ? selectedKeyIds.filter((id) => id !== keyId) : [...selectedKeyIds, keyId]);
+  };
+
+  return (
+    <div className="liquid-glass rounded-lg p-4 text-left animate-fade-in">
+      <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3">
+        <Users className="w-5 h-5" />
+        {selectedKeyIds ? 'Encrypt for:' : 'Keys:'}
+      </h4>
+      {keys.length === 0 ? (
+        <p className="text-xs text-green-700 mb-3">No keys yet. Create your own key pair and share its public key, or import a colleague's public key.</p>
+      ) : (
+        <ul className="space-y-2 text-sm mb-4 max-h-60 overflow-y-auto">
+          {keys.map((entry) => (
+            <li key={entry.keyId} className="flex items-center justify-between gap-3">
+              <label className={`flex items-center gap-2 min-w-0 ${selectedKeyIds ? 'cursor-pointer' : ''}`}>
+                {selectedKeyIds && (
+                  <input type="checkbox" checked={selectedKeyIds.includes(entry.keyId)} onChange={() => toggle(entry.keyId)} className="w-4 h-4 accent-green-500" />
+                )}
+                <span className="text-white truncate" title={entry.name}>{entry.name}</span>
+                {entry.privateKey && <span className="text-xs text-green-400 border border-green-500/40 rounded px-1">you</span>}
+                <span className="text-xs text-green-700 hidden sm:inline">{entry.keyId}</span>
+              </label>
+              <span className="flex items-center gap-2 flex-shrink-0">
+                <button onClick={() => copyPublicKey(entry)} title="Copy public key" className="text-green-500 hover:text-green-300">
+                  {copiedKeyId === entry.keyId ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                </button>
+                {entry.privateKey && (
+                  <button onClick={() => downloadBackup(entry)} title="Download private key backup" className="text-green-500 hover:text-green-300">
+                    <Download className="w-4 h-4" />
+                  </button>
+                )}
+                <button onClick={() => removeKey(entry)} title="Remove" className="text-green-700 hover:text-red-400">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name (for a new or imported key)"
+        className="w-full bg-transparent border border-green-500/20 rounded-lg py-2 px-3 mb-2 text-sm text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500"
+      />
+      <textarea
+        value={importText}
+        onChange={(e) => setImportText(e.target.value)}
+        placeholder={`Paste a public key (starting with ${Keys.PUBLIC_PREFIX}) or a private key file to import`}
+        rows={2}
+        className="w-full bg-transparent border border-green-500/20 rounded-lg py-2 px-3 text-xs text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 resize-none"
+      />
+      <div className="flex flex-wrap gap-2 mt-2">
+        <button
+          onClick={() => run(() => KeyStore.generateAsync(name || 'My key'))}
+          className="px-3 py-1 rounded border border-green-500/40 text-xs font-bold text-green-400 hover:bg-green-500/10 flex items-center gap-1"
+        >
+          <Plus className="w-3 h-3" /> CREATE MY KEY PAIR
+        </button>
+        <button
+          onClick={() => run(() => KeyStore.importAsync(name, importText))}
+          disabled={!importText.trim()}
+          className="px-3 py-1 rounded border border-green-500/40 text-xs font-bold text-green-400 hover:bg-green-500/10 disabled:opacity-40 flex items-center gap-1"
+        >
+          <UserPlus className="w-3 h-3" /> IMPORT KEY
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400 mt-2 animate-fade-in">{error}</p>}
+      <p className="text-xs text-green-700 mt-3">Keys are kept in this browser only. Download a backup of your own keys; the key files also work with the command-line tool.</p>
+    </div>
+  );
+};
+
+export default KeyManager;
@@ -6,6 +6,8 @@ const MatrixRain = () => {
   useEffect(() => {
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
+    // The rain is decoration; skip it where there is no 2D canvas
+    if (!ctx) return undefined;
     
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
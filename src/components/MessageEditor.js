@@ -0,0 +1,45 @@
+import React from 'react';
+import { MessageSquareText } from 'lucide-react';
+import { Container } from '../core/index.js';
+
+const FORMAT_NAMES = { [Container.CONTENT_TYPE_TEXT]: 'Plain', [Container.CONTENT_TYPE_MARKDOWN]: 'Markdown' };
+
+/**
+ * A text message to hide instead of a file. The format is stored in the header, so the extracting side shows
+ * plain text as written and renders Markdown.
+ */
+const MessageEditor = ({ title, text, contentType, onTextChange, onContentTypeChange, error }) => {
+  const size = new TextEncoder().encode(text).length;
+  return (
+    <div className={`liquid-glass rounded-xl p-4 flex flex-col ${error ? 'border border-red-500/60' : ''}`}>
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <label htmlFor="secretMessage" className="text-sm font-medium text-green-400 flex items-center gap-2">
+          <MessageSquareText className="w-4 h-4" />
+          {title}
+        </label>
+        <div className="flex gap-2">
+          {Object.entries(FORMAT_NAMES).map(([type, name]) => (
+            <button
+              key={type}
+              onClick={() => onContentTypeChange(Number(type))}
+              className={`px-2 py-1 rounded border text-xs font-bold transition-all duration-300 ${contentType === Number(type) ? 'text-green-300 border-green-400 bg-green-500/10' : 'text-green-700 border-green-500/20'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      </div>
+      <textarea
+        id="secretMessage"
+        value={text}
+        onChange={(e) => onTextChange(e.target.value)}
+        placeholder={contentType === Container.CONTENT_TYPE_MARKDOWN ? '# Title\n\nSome **bold** text, a [link](https://example.com)...' : 'Type your secret note...'}
+        rows={8}
+        className="flex-1 bg-transparent border border-green-500/20 rounded-lg p-3 text-green-300 placeholder-green-700 focus:ring-1 focus:ring-green-500 resize-y font-mono text-sm"
+      />
+      <p className={`text-xs mt-2 text-right ${error ? 'text-red-400' : 'text-green-700'}`}>{error || `${size} bytes`}</p>
+    </div>
+  );
+};
+
+export default MessageEditor;
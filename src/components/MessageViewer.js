@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Check, Copy, Download, MessageSquareText } from 'lucide-react';
+import { Container } from '../core/index.js';
+
+// Inline Markdown: code spans, bold, italics and links, tried in that order
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+// Hidden messages come from strangers, so only plain web and mail links become clickable
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const renderInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    const [token, code, bold, italic, linkText, href] = match;
+    const key = match.index;
+    if (code) nodes.push(<code key={key} className="px-1 rounded bg-green-500/10 text-green-200">{code.slice(1, -1)}</code>);
+    else if (bold) nodes.push(<strong key={key} className="text-white">{renderInline(bold.slice(2, -2))}</strong>);
+    else if (italic) nodes.push(<em key={key}>{renderInline(italic.slice(1, -1))}</em>);
+    else if (SAFE_LINK.test(href)) nodes.push(<a key={key} href={href} target="_blank" rel="noopener noreferrer" className="underline text-green-300">{linkText}</a>);
+    else nodes.push(token);
+    last = match.index + token.length;
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+// A small, safe subset of Markdown rendered as React elements (never as HTML): headings, paragraphs, lists,
+// quotes, rules and fenced code
+const renderMarkdown = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = blocks.length;
+    if (line.trim() === '') {
+      i++;
+    } else if (line.startsWith('```')) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) code.push(lines[i]);
+      i++;
+      blocks.push(<pre key={key} className="p-3 rounded bg-black/40 text-green-200 overflow-x-auto text-xs">{code.join('\n')}</pre>);
+    } else if (/^#{1,6}\s/.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      const sizes = ['text-xl', 'text-lg', 'text-base', 'text-sm', 'text-sm', 'text-sm'];
+      blocks.push(React.createElement(`h${level}`, { key, className: `${sizes[level - 1]} font-bold text-white` }, renderInline(line.slice(level).trim())));
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push(<hr key={key} className="border-green-500/30" />);
+      i++;
+    } else if (line.startsWith('>')) {
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      blocks.push(<blockquote key={key} className="pl-3 border-l-2 border-green-500/40 text-green-300">{renderMarkdown(quote.join('\n'))}</blockquote>);
+    } else if (LIST_ITEM.test(line)) {
+      const isOrdered = /^\s*\d/.test(line);
+      const items = [];
+      for (; i < lines.length && LIST_ITEM.test(lines[i]); i++) items.push(lines[i].match(LIST_ITEM)[2]);
+      const List = isOrdered ? 'ol' : 'ul';
+      blocks.push(
+        <List key={key} className={`pl-5 space-y-1 ${isOrdered ? 'list-decimal' : 'list-disc'}`}>
+          {items.map((item, n) => <li key={n}>{renderInline(item)}</li>)}
+        </List>
+      );
+    } else {
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() !== '' && !/^(```|#{1,6}\s|>)/.test(lines[i]) && !LIST_ITEM.test(lines[i]); i++) paragraph.push(lines[i]);
+      blocks.push(<p key={key}>{renderInline(paragraph.join(' '))}</p>);
+    }
+  }
+  return blocks;
+};
+
+/**
+ * Shows an extracted message (see Container.isMessage) in place of a download: plain text as written, Markdown
+ * rendered. The text can be copied, or saved as a file after all.
+ */
+const MessageViewer = ({ message, onDownload }) => {
+  const [copied, setCopied] = useState(false);
+  const isMarkdown = message.contentType === Container.CONTENT_TYPE_MARKDOWN;
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(message.text);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-500/20 text-left animate-fade-in">
+      <h4 className="flex items-center justify-between gap-2 text-green-400 font-bold mb-3">
+        <span className="flex items-center gap-2">
+          <MessageSquareText className="w-5 h-5" />
+          Hidden Message{isMarkdown && <span className="text-xs text-green-700 font-normal">(Markdown)</span>}
+        </span>
+        <span className="flex items-center gap-3">
+          <button onClick={copy} className="text-green-400 hover:text-green-200" title="Copy the text">
+            {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+          </button>
+          <button onClick={onDownload} className="text-green-400 hover:text-green-200" title={`Save as ${message.fileName}`}>
+            <Download className="w-4 h-4" />
+          </button>
+        </span>
+      </h4>
+      <div className="liquid-glass rounded-lg p-4 text-sm text-green-100 max-h-96 overflow-y-auto">
+        {isMarkdown
+          ? <div className="space-y-3 break-words">{renderMarkdown(message.text)}</div>
+          : <pre className="whitespace-pre-wrap break-words font-mono">{message.text}</pre>}
+      </div>
+    </div>
+  );
+};
+
+export default MessageViewer;
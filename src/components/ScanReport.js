@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, FileJson, FileSpreadsheet, FolderSearch } from 'lucide-react';
+import { Container } from '../core/index.js';
+
+const ENCODING_NAMES = {
+  [Container.ENCODING_TYPE_GENERATED]: 'Generated image',
+  [Container.ENCODING_TYPE_LSB]: 'LSB',
+  [Container.ENCODING_TYPE_LSB_SCATTERED]: 'Scattered LSB',
+  [Container.ENCODING_TYPE_CHUNK]: 'PNG chunk',
+  [Container.ENCODING_TYPE_JPEG_DCT]: 'JPEG DCT',
+};
+
+// One flat record per image, shared by the table, its sorting and both exports
+const toRecord = ({ path, imageSize, header, error }) => ({
+  image: path,
+  imageSize,
+  hasContainer: Boolean(header),
+  encoding: header ? ENCODING_NAMES[header.encodingType] || `Unknown (${header.encodingType})` : '',
+  bitDepth: header?.bitDepth || null,
+  fileName: header?.fileName ?? '',
+  fileSize: header?.fileSize ?? null,
+  encrypted: header ? header.isEncrypted : null,
+  headerEncrypted: Boolean(header?.isHeaderEncrypted),
+  part: header?.isMultipart ? `${header.partIndex + 1}/${header.partCount}` : '',
+  signer: header?.signer ? `${header.signer.keyId} (${header.signer.status})` : '',
+  sha256: header ? Container.toHex(header.sha256Hash) : '',
+  note: error || '',
+});
+
+const COLUMNS = [
+  { key: 'image', label: 'Image' },
+  { key: 'hasContainer', label: 'Hidden data', render: (record) => (record.hasContainer ? <span className="text-red-400 font-bold">Yes</span> : <span className="text-green-700" title={record.note}>No</span>) },
+  { key: 'encoding', label: 'Encoding' },
+  { key: 'bitDepth', label: 'Bits' },
+  { key: 'fileName', label: 'File name' },
+  { key: 'fileSize', label: 'Size', render: (record) => (record.fileSize === null ? '' : `${(record.fileSize / 1024).toFixed(2)} KB`) },
+  { key: 'encrypted', label: 'Encrypted', render: (record) => (record.encrypted === null ? '' : `${record.encrypted ? 'Yes' : 'No'}${record.headerEncrypted ? ', header too' : ''}`) },
+];
+
+const isEmpty = (value) => value === null || value === '';
+
+// Strings sort naturally, numbers by value, and Yes before No
+const compare = (a, b) => {
+  if (typeof a === 'string') return a.localeCompare(b, undefined, { numeric: true });
+  return typeof a === 'boolean' ? Number(b) - Number(a) : a - b;
+};
+
+// Spreadsheet apps run cells that start with = + - @ as formulas, and file names come from whoever hid the file
+const toCsvCell = (value) => {
+  let text = value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => {
+  const keys = Object.keys(records[0]);
+  return [keys, ...records.map((record) => keys.map((key) => record[key]))].map((row) => row.map(toCsvCell).join(',')).join('\r\n');
+};
+
+/**
+ * The result of a folder scan (see ClientImageProcessor.scanImagesAsync): which images carry a container and what
+ * their headers say. `rows` are `{ path, imageSize, header, error }`. Columns sort on click, and the full records,
+ * including SHA-256 and signer, export as CSV or JSON through `onDownload(blob, fileName)`.
+ */
+const ScanReport = ({ rows, onDownload }) => {
+  const [sort, setSort] = useState({ key: 'hasContainer', ascending: true });
+  const records = useMemo(() => rows.map(toRecord), [rows]);
+  const sorted = useMemo(() => {
+    const direction = sort.ascending ? 1 : -1;
+    return [...records].sort((a, b) => {
+      const [x, y] = [a[sort.key], b[sort.key]];
+      // Empty cells sort last either way round
+      if (isEmpty(x) !== isEmpty(y)) return isEmpty(x) ? 1 : -1;
+      return compare(x, y) * direction || a.image.localeCompare(b.image);
+    });
+  }, [records, sort]);
+  const foundCount = records.filter((record) => record.hasContainer).length;
+
+  const toggleSort = (key) => setSort((current) => ({ key, ascending: current.key === key ? !current.ascending : true }));
+  const exportAs = (format) => {
+    const blob = format === 'csv'
+      ? new Blob([toCsv(sorted)], { type: 'text/csv' })
+      : new Blob([JSON.stringify(sorted, null, 2)], { type: 'application/json' });
+    onDownload(blob, `scan-report.${format}`);
+  };
+
+  return (
+    <div className="mt-6 space-y-4 animate-fade-in">
+      <div className="liquid-glass rounded-lg p-4 flex flex-wrap items-center justify-between gap-3">
+        <span className="text-sm text-green-400 flex items-center gap-2">
+          <FolderSearch className="w-4 h-4" />
+          {foundCount} of {records.length} {records.length === 1 ? 'image carries' : 'images carry'} hidden data
+        </span>
+        <div className="flex gap-2">
+          <button onClick={() => exportAs('csv')} className="px-3 py-1 rounded border border-green-500/60 text-green-400 hover:bg-green-500/10 text-xs font-bold flex items-center gap-1">
+            <FileSpreadsheet className="w-3 h-3" /> CSV
+          </button>
+          <button onClick={() => exportAs('json')} className="px-3 py-1 rounded border border-green-500/60 text-green-400 hover:bg-green-500/10 text-xs font-bold flex items-center gap-1">
+            <FileJson className="w-3 h-3" /> JSON
+          </button>
+        </div>
+      </div>
+      <div className="liquid-glass rounded-lg p-4 overflow-x-auto max-h-[32rem] overflow-y-auto">
+        <table className="w-full text-xs text-left">
+          <thead>
+            <tr className="text-green-500 border-b border-green-500/20">
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="py-2 pr-4 font-semibold whitespace-nowrap">
+                  <button onClick={() => toggleSort(key)} className="flex items-center gap-1 hover:text-green-300">
+                    {label}
+                    {sort.key === key && (sort.ascending ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((record) => (
+              <tr key={record.image} className="border-b border-green-500/10 text-green-200">
+                {COLUMNS.map(({ key, render }) => (
+                  <td key={key} className="py-2 pr-4 max-w-[14rem] truncate" title={key === 'image' || key === 'fileName' ? record[key] : undefined}>
+                    {render ? render(record) : record[key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScanReport;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { BadgeCheck, ShieldAlert, ShieldQuestion, UserPlus } from 'lucide-react';
+import { Signature } from '../core/index.js';
+import KeyStore from '../services/KeyStore';
+
+/**
+ * The status of a header signature against the key ring. A signer counts as trusted when its public key is saved
+ * in `keys`, so trusting a key from here updates the status without reading the image again.
+ */
+const SignerStatus = ({ signer, keys, onKeysChange }) => {
+  if (!signer) return <span className="text-gray-400 font-medium">Not signed</span>;
+
+  const entry = keys.find((key) => key.publicKey === signer.publicKey);
+  if (signer.status === Signature.UNVERIFIED) {
+    return (
+      <span className="text-red-400 font-medium flex items-center gap-1" title="The signature does not match: the header was altered or forged">
+        <ShieldAlert className="w-4 h-4" /> Invalid signature ({signer.keyId})
+      </span>
+    );
+  }
+  if (entry) {
+    return (
+      <span className="text-green-400 font-medium flex items-center gap-1" title={signer.keyId}>
+        <BadgeCheck className="w-4 h-4" /> Verified: {entry.name}
+      </span>
+    );
+  }
+
+  const trust = async () => {
+    const name = window.prompt(`Name for the key ${signer.keyId}:`, '');
+    if (name === null) return;
+    onKeysChange(await KeyStore.importAsync(name, signer.publicKey));
+  };
+  return (
+    <span className="text-yellow-400 font-medium flex items-center gap-2">
+      <span className="flex items-center gap-1" title="The signature is valid, but the key is not in your keys">
+        <ShieldQuestion className="w-4 h-4" /> Unknown signer {signer.keyId}
+      </span>
+      <button onClick={trust} title="Add this public key to your keys" className="text-green-500 hover:text-green-300 flex items-center gap-1 text-xs">
+        <UserPlus className="w-3 h-3" /> Trust
+      </button>
+    </span>
+  );
+};
+
+export default SignerStatus;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Activity, Layers, GitCompare } from 'lucide-react';
+import WorkerProcessor from '../services/WorkerProcessor';
+
+const DETECTABILITY_STYLES = {
+  low: { label: 'LOW', className: 'text-green-400 border-green-500/60' },
+  medium: { label: 'MEDIUM', className: 'text-yellow-400 border-yellow-500/60' },
+  high: { label: 'HIGH', className: 'text-red-400 border-red-500/60' },
+};
+
+const CHANNEL_COLORS = ['text-red-400', 'text-green-400', 'text-blue-400'];
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Keeps an object URL for a Blob alive only while it is displayed
+const useObjectUrl = (blob) => {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+  return url;
+};
+
+const BitPlaneViewer = ({ imageFile }) => {
+  const [channel, setChannel] = useState(0);
+  const [bit, setBit] = useState(0);
+  const [plane, setPlane] = useState(null);
+  const [error, setError] = useState(null);
+  const planeUrl = useObjectUrl(plane);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    setError(null);
+    WorkerProcessor.run('renderBitPlaneAsync', [imageFile, channel, bit], { signal: abortController.signal })
+      .then(setPlane)
+      .catch((err) => { if (err.name !== 'AbortError') setError(err.message); });
+    return () => abortController.abort();
+  }, [imageFile, channel, bit]);
+
+  return (
+    <div className="liquid-glass rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex gap-2">
+          {['R', 'G', 'B'].map((name, index) => (
+            <button
+              key={name}
+              onClick={() => setChannel(index)}
+              className={`w-9 py-1 rounded border text-sm font-bold transition-all duration-300 ${channel === index ? `${CHANNEL_COLORS[index]} border-green-400 bg-green-500/10` : 'text-green-700 border-green-500/20'}`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-green-400">
+          Bit {bit}{bit === 0 ? ' (LSB)' : bit === 7 ? ' (MSB)' : ''}
+          <input type="range" min="0" max="7" value={bit} onChange={(e) => setBit(Number(e.target.value))} className="accent-green-500" />
+        </label>
+      </div>
+      {error ? (
+        <p className="text-sm text-red-400">{error}</p>
+      ) : planeUrl ? (
+        <img src={planeUrl} alt={`Bit plane ${bit} of channel ${channel}`} className="w-full rounded border border-green-500/20" style={{ imageRendering: 'pixelated' }} />
+      ) : (
+        <p className="text-sm text-green-600">Rendering bit plane...</p>
+      )}
+      <p className="text-xs text-green-700 mt-2">A natural image shows structure even in its lower planes; LSB payloads replace it with uniform noise.</p>
+    </div>
+  );
+};
+
+/**
+ * Renders the result of ClientImageProcessor.analyzeImageAsync: per-channel statistics,
+ * a bit-plane viewer and, when a carrier was given, the comparison against it.
+ */
+const SteganalysisReport = ({ report, imageFile }) => {
+  const heatmapUrl = useObjectUrl(report.comparison?.heatmap);
+  const style = DETECTABILITY_STYLES[report.detectability];
+  const sampleCount = report.width * report.height;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-green-500/20 text-left space-y-4 animate-fade-in">
+      <div className={`liquid-glass rounded-lg p-4 border flex items-center justify-between gap-4 ${style.className}`}>
+        <span className="flex items-center gap-2 font-bold">
+          <Activity className="w-5 h-5" />
+          Detectability: {style.label}
+        </span>
+        <span className="text-sm text-green-400">
+          Estimated embedding rate: <span className="font-bold text-white">{percent(report.estimate)}</span>
+        </span>
+      </div>
+
+      <div className="liquid-glass rounded-lg p-4 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-green-600 text-left">
+              <th className="pb-2 pr-4">Channel</th>
+              <th className="pb-2 pr-4">Chi-square p</th>
+              <th className="pb-2 pr-4">Chi-square by region</th>
+              <th className="pb-2 pr-4">RS estimate</th>
+              <th className="pb-2">SPA estimate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.channels.map((channel, index) => (
+              <tr key={channel.name} className="border-t border-green-500/10">
+                <td className={`py-2 pr-4 font-bold ${CHANNEL_COLORS[index]}`}>{channel.name}</td>
+                <td className="py-2 pr-4 text-white">{channel.chiSquare.pValue.toFixed(3)}</td>
+                <td className="py-2 pr-4">
+                  <div className="flex items-end gap-px h-6" title="p-value over the first 10%, 20%, ... 100% of the image">
+                    {channel.chiSquare.curve.map((value, window) => (
+                      <div key={window} className="w-2 bg-green-500/70" style={{ height: `${Math.max(4, value * 100)}%` }} />
+                    ))}
+                  </div>
+                </td>
+                <td className="py-2 pr-4 text-white">{percent(channel.rs.estimate)}</td>
+                <td className="py-2 text-white">{percent(channel.spa.estimate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-green-700 mt-3">
+          RS and SPA estimate the share of samples carrying hidden bits; clean images usually stay below 5%.
+          A chi-square p near 1 at the start of the image points to sequential LSB embedding.
+        </p>
+      </div>
+
+      <div>
+        <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3">
+          <Layers className="w-5 h-5" />
+          Bit Planes:
+        </h4>
+        <BitPlaneViewer imageFile={imageFile} />
+      </div>
+
+      {report.comparison && (
+        <div>
+          <h4 className="flex items-center gap-2 text-green-400 font-bold mb-3">
+            <GitCompare className="w-5 h-5" />
+            Compared with Carrier:
+          </h4>
+          <div className="liquid-glass rounded-lg p-4 space-y-3 text-sm">
+            <div className="flex justify-between">
+              <span className="text-green-600">Changed pixels:</span>
+              <span className="text-white font-medium">
+                {report.comparison.changedPixels.toLocaleString()} ({percent(report.comparison.changedPixels / sampleCount)})
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-green-600">PSNR / SSIM / MSE:</span>
+              <span className="text-white font-medium">
+                {report.comparison.psnr === Infinity ? '∞' : `${report.comparison.psnr.toFixed(2)} dB`} / {report.comparison.ssim.toFixed(4)} / {report.comparison.mse.toFixed(4)}
+              </span>
+            </div>
+            {report.comparison.channels.map((channel) => (
+              <div key={channel.name} className="flex justify-between">
+                <span className="text-green-600">{channel.name}:</span>
+                <span className="text-white font-medium">
+                  {channel.changed.toLocaleString()} changed, {channel.lsbFlips.toLocaleString()} LSB flips, max delta {channel.maxDelta}
+                </span>
+              </div>
+            ))}
+            {heatmapUrl && (
+              <img src={heatmapUrl} alt="Difference heatmap" className="w-full rounded border border-green-500/20" style={{ imageRendering: 'pixelated' }} />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SteganalysisReport;
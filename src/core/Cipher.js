@@ -0,0 +1,211 @@
+import Keys from './Keys.js';
+
+/**
+ * Payload encryption for the container format, on top of the Web Crypto API (browsers, workers and Node 20+).
+ * v2 payloads use AES-256-GCM with a key that is either derived from a password (PBKDF2-SHA256) or random and
+ * wrapped for each recipient's ECDH P-256 public key; v1 (AES-CBC) is supported for reading only.
+ *
+ * Recipient wrapping: one ephemeral key pair per container; for every recipient the ECDH secret goes through
+ * HKDF-SHA256 (salted with the ephemeral public key) to an AES-KW key that wraps the payload key.
+ */
+class Cipher {
+  static KDF_PBKDF2_SHA256 = 1;
+  static KDF_ECDH_P256 = 2;
+  static KDF_ITERATIONS = 600000;
+  static SALT_SIZE = 16;
+  static GCM_IV_SIZE = 12;
+  static GCM_TAG_SIZE = 16;
+  static WRAPPED_KEY_SIZE = 40;
+  static MAX_RECIPIENTS = 16;
+  static HKDF_INFO = 'ShadeOfColor recipient key';
+
+  // Generated images are encrypted in independent chunks of this size so they can be streamed
+  static CHUNK_SIZE = 1024 * 1024;
+
+  static async sha256(data) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  }
+
+  /**
+   * Fresh KDF parameters (random salt) for a new encrypted container.
+   * @returns {{id: number, iterations: number, salt: Uint8Array}}
+   */
+  static createKdfParams() {
+    return {
+      id: this.KDF_PBKDF2_SHA256,
+      iterations: this.KDF_ITERATIONS,
+      salt: crypto.getRandomValues(new Uint8Array(this.SALT_SIZE)),
+    };
+  }
+
+  static async deriveKey(password, salt, iterations, algorithm = 'AES-GCM') {
+    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      keyMaterial,
+      { name: algorithm, length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * The key and header KDF parameters for a new encrypted container: from `password`, or random and wrapped for
+   * each of `recipients` (public key texts, see Keys).
+   * @returns {Promise<{kdf: object, key: CryptoKey}|null>} null when neither is given.
+   */
+  static async createKeyAsync({ password = null, recipients = null } = {}) {
+    if (recipients?.length) {
+      if (password != null) throw new Error('Encrypt either with a password or for recipients, not both.');
+      return this._createRecipientKeyAsync(recipients);
+    }
+    if (password == null) return null;
+    const kdf = this.createKdfParams();
+    return { kdf, key: await this.deriveKey(password, kdf.salt, kdf.iterations) };
+  }
+
+  /**
+   * The key of an existing container, from the password or from whichever of `privateKeys` it was wrapped for.
+   */
+  static async openKeyAsync(kdf, { password = null, privateKeys = null } = {}) {
+    if (kdf.id !== this.KDF_ECDH_P256) return this.deriveKey(password, kdf.salt, kdf.iterations);
+
+    const ephemeralKey = await Keys.importPublicKeyAsync(kdf.ephemeralPublicKey);
+    for (const privateKeyText of privateKeys || []) {
+      const keyId = await Keys.getKeyIdAsync(await Keys.getPublicKeyAsync(privateKeyText));
+      const entry = kdf.recipients.find((recipient) => recipient.keyId.every((b, i) => b === keyId[i]));
+      if (!entry) continue;
+
+      const wrappingKey = await this._deriveWrappingKeyAsync(await Keys.importPrivateKeyAsync(privateKeyText), ephemeralKey, kdf.ephemeralPublicKey);
+      try {
+        return await crypto.subtle.unwrapKey('raw', entry.wrappedKey, wrappingKey, 'AES-KW', { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+      } catch (e) {
+        throw new Error('Decryption failed. The private key does not match this file.');
+      }
+    }
+    throw new Error('This file is encrypted for other recipients; none of the given private keys can open it.');
+  }
+
+  /**
+   * Encrypts in one piece. Layout: IV | ciphertext and tag. `additionalData` is authenticated but not stored;
+   * decrypting needs the same bytes.
+   */
+  static async encrypt(data, key, additionalData = null) {
+    const iv = crypto.getRandomValues(new Uint8Array(this.GCM_IV_SIZE));
+    const encrypted = await crypto.subtle.encrypt(this._gcmParams(iv, additionalData), key, data);
+    const result = new Uint8Array(iv.length + encrypted.byteLength);
+    result.set(iv, 0);
+    result.set(new Uint8Array(encrypted), iv.length);
+    return result;
+  }
+
+  static async decrypt(data, key, additionalData = null) {
+    const iv = data.slice(0, this.GCM_IV_SIZE);
+    const encryptedData = data.slice(this.GCM_IV_SIZE);
+    const decrypted = await crypto.subtle.decrypt(this._gcmParams(iv, additionalData), key, encryptedData);
+    return new Uint8Array(decrypted);
+  }
+
+  /**
+   * Size of what encrypt() returns for `plainSize` bytes.
+   */
+  static ciphertextSize(plainSize) {
+    return this.GCM_IV_SIZE + plainSize + this.GCM_TAG_SIZE;
+  }
+
+  /**
+   * Chunked layout: base IV | chunk 0 | chunk 1 | ... where every chunk is sealed separately with AES-GCM.
+   * Chunk IVs are the base IV with the chunk index XORed into the last 4 bytes, and the final chunk is
+   * authenticated as such so truncation is detected. Every chunk also authenticates `additionalData`, as for encrypt().
+   */
+  static chunkedCiphertextSize(plainSize, chunkSize = this.CHUNK_SIZE) {
+    const chunkCount = Math.max(1, Math.ceil(plainSize / chunkSize));
+    return this.GCM_IV_SIZE + plainSize + chunkCount * this.GCM_TAG_SIZE;
+  }
+
+  static async encryptChunk(chunk, key, baseIv, index, isFinal, additionalData = null) {
+    const params = this._gcmParams(this._chunkIv(baseIv, index), this._chunkAdditionalData(isFinal, additionalData));
+    return new Uint8Array(await crypto.subtle.encrypt(params, key, chunk));
+  }
+
+  static async decryptChunked(data, key, chunkSize, additionalData = null) {
+    const baseIv = data.slice(0, this.GCM_IV_SIZE);
+    const sealedChunkSize = chunkSize + this.GCM_TAG_SIZE;
+    const chunkCount = Math.max(1, Math.ceil((data.length - this.GCM_IV_SIZE) / sealedChunkSize));
+    const result = new Uint8Array(data.length - this.GCM_IV_SIZE - chunkCount * this.GCM_TAG_SIZE);
+
+    let outOffset = 0;
+    for (let index = 0; index < chunkCount; index++) {
+      const start = this.GCM_IV_SIZE + index * sealedChunkSize;
+      const sealed = data.subarray(start, Math.min(start + sealedChunkSize, data.length));
+      const params = this._gcmParams(this._chunkIv(baseIv, index), this._chunkAdditionalData(index === chunkCount - 1, additionalData));
+      const plain = new Uint8Array(await crypto.subtle.decrypt(params, key, sealed));
+      result.set(plain, outOffset);
+      outOffset += plain.length;
+    }
+    return result;
+  }
+
+  // v1 containers: AES-CBC with a fixed all-zero salt. Kept for reading old carriers only.
+  static async decryptV1(data, password) {
+    const key = await this.deriveKey(password, new Uint8Array(16), 10000, 'AES-CBC');
+    const iv = data.slice(0, 16);
+    const encryptedData = data.slice(16);
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, encryptedData);
+    return new Uint8Array(decrypted);
+  }
+
+  static async _createRecipientKeyAsync(recipients) {
+    const publicKeys = new Map();
+    for (const text of recipients) {
+      const bytes = Keys.parsePublicKey(text);
+      publicKeys.set(Keys.formatKeyId(await Keys.getKeyIdAsync(bytes)), bytes);
+    }
+    if (publicKeys.size > this.MAX_RECIPIENTS) throw new Error(`A file can be encrypted for at most ${this.MAX_RECIPIENTS} recipients.`);
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const ephemeral = await crypto.subtle.generateKey(Keys.ALGORITHM, true, ['deriveBits']);
+    const ephemeralPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+
+    const entries = [];
+    for (const bytes of publicKeys.values()) {
+      const wrappingKey = await this._deriveWrappingKeyAsync(ephemeral.privateKey, await Keys.importPublicKeyAsync(bytes), ephemeralPublicKey);
+      const wrappedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', key, wrappingKey, 'AES-KW'));
+      entries.push({ keyId: await Keys.getKeyIdAsync(bytes), wrappedKey });
+    }
+    return { kdf: { id: this.KDF_ECDH_P256, ephemeralPublicKey, recipients: entries }, key };
+  }
+
+  static async _deriveWrappingKeyAsync(privateKey, publicKey, salt) {
+    const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const keyMaterial = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(this.HKDF_INFO) },
+      keyMaterial,
+      { name: 'AES-KW', length: 256 },
+      false,
+      ['wrapKey', 'unwrapKey']
+    );
+  }
+
+  static _gcmParams(iv, additionalData) {
+    return additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+  }
+
+  // The final-chunk flag, then the caller's additional data
+  static _chunkAdditionalData(isFinal, additionalData) {
+    const result = new Uint8Array(1 + (additionalData?.length || 0));
+    result[0] = isFinal ? 1 : 0;
+    if (additionalData) result.set(additionalData, 1);
+    return result;
+  }
+
+  static _chunkIv(baseIv, index) {
+    const iv = baseIv.slice();
+    const view = new DataView(iv.buffer);
+    view.setUint32(iv.length - 4, view.getUint32(iv.length - 4) ^ index);
+    return iv;
+  }
+}
+
+export default Cipher;
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+import Cipher from './Cipher.js';
+import Keys from './Keys.js';
+
+const plaintext = new TextEncoder().encode('For your eyes only.');
+
+const generateKeys = (count) => Promise.all(Array.from({ length: count }, () => Keys.generateAsync()));
+
+// Encrypts for `recipients` and opens the result with `privateKeys`, as Container does
+const roundTripAsync = async (recipients, privateKeys) => {
+  const { kdf, key } = await Cipher.createKeyAsync({ recipients });
+  const encrypted = await Cipher.encrypt(plaintext, key);
+  return Cipher.decrypt(encrypted, await Cipher.openKeyAsync(kdf, { privateKeys }));
+};
+
+describe('recipient encryption', () => {
+  test('opens with the private key of a single recipient', async () => {
+    const [alice] = await generateKeys(1);
+    await expect(roundTripAsync([alice.publicKey], [alice.privateKey])).resolves.toEqual(plaintext);
+  });
+
+  test('wraps the key once for every distinct recipient', async () => {
+    const [alice, bob, carol] = await generateKeys(3);
+    const { kdf } = await Cipher.createKeyAsync({ recipients: [alice.publicKey, bob.publicKey, carol.publicKey, bob.publicKey] });
+    expect(kdf.id).toBe(Cipher.KDF_ECDH_P256);
+    expect(kdf.recipients).toHaveLength(3);
+    expect(kdf.recipients.every(({ wrappedKey }) => wrappedKey.length === Cipher.WRAPPED_KEY_SIZE)).toBe(true);
+
+    for (const { privateKey } of [alice, bob, carol]) {
+      await expect(roundTripAsync([alice.publicKey, bob.publicKey, carol.publicKey], [privateKey])).resolves.toEqual(plaintext);
+    }
+  });
+
+  test('skips private keys the file was not encrypted for', async () => {
+    const [alice, mallory] = await generateKeys(2);
+    await expect(roundTripAsync([alice.publicKey], [mallory.privateKey, alice.privateKey])).resolves.toEqual(plaintext);
+  });
+
+  test('rejects a key that is not a recipient', async () => {
+    const [alice, mallory] = await generateKeys(2);
+    await expect(roundTripAsync([alice.publicKey], [mallory.privateKey])).rejects.toThrow('This file is encrypted for other recipients');
+    await expect(roundTripAsync([alice.publicKey], [])).rejects.toThrow('This file is encrypted for other recipients');
+  });
+
+  test('rejects a wrapped key that was tampered with', async () => {
+    const [alice] = await generateKeys(1);
+    const { kdf } = await Cipher.createKeyAsync({ recipients: [alice.publicKey] });
+    kdf.recipients[0].wrappedKey[0] ^= 1;
+    await expect(Cipher.openKeyAsync(kdf, { privateKeys: [alice.privateKey] })).rejects.toThrow('The private key does not match this file.');
+  });
+
+  test(`encrypts for at most ${Cipher.MAX_RECIPIENTS} recipients`, async () => {
+    const publicKeys = (await generateKeys(Cipher.MAX_RECIPIENTS + 1)).map(({ publicKey }) => publicKey);
+    const { kdf } = await Cipher.createKeyAsync({ recipients: publicKeys.slice(0, Cipher.MAX_RECIPIENTS) });
+    expect(kdf.recipients).toHaveLength(Cipher.MAX_RECIPIENTS);
+    await expect(Cipher.createKeyAsync({ recipients: publicKeys })).rejects.toThrow(`at most ${Cipher.MAX_RECIPIENTS} recipients`);
+  });
+
+  test('refuses a password and recipients together', async () => {
+    const [alice] = await generateKeys(1);
+    await expect(Cipher.createKeyAsync({ password: 'pw', recipients: [alice.publicKey] })).rejects.toThrow('not both');
+  });
+});
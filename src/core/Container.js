@@ -0,0 +1,596 @@
+import pako from 'pako';
+import Cipher from './Cipher.js';
+import Keys from './Keys.js';
+import Signature from './Signature.js';
+
+/**
+ * The ShadeOfColor container: a header followed by the (compressed, optionally encrypted) payload.
+ * Carriers differ only in where the container bytes are stored; this module knows nothing about images.
+ *
+ * v1: SC | encodingType | isCompressed | bitDepth | size | nameLen | name | isEncrypted | sha256
+ * v2: SC | encodingType | version | bitDepth | flags | size | nameLen | name | [setId | partIndex | partCount]
+ *     | [kdfId | iterations | salt] | [chunkSize] | sha256 | [signer public key | signature]
+ * v3: as v2 with a contentType byte after the flags. Only messages are written as v3, so file containers stay
+ *     readable by v2 readers.
+ * Flags: compressed 0x01, encrypted 0x02, archive 0x04, multipart 0x08, chunked 0x10, signed 0x20, alpha 0x40, low bytes 0x80.
+ * Integers are little-endian; size is a u64, partIndex/partCount u16, iterations and chunkSize u32.
+ * Files encrypted for recipients replace the KDF fields with
+ *     kdfId | ephemeral public key (65) | recipientCount | [keyId (8) | wrapped key (40)] per recipient
+ * An encrypted header is stored as salt | AES-GCM(header length u16) | AES-GCM(header) under a key derived from the
+ * password and that random salt, so the carrier shows no signature, name or size (see sealHeaderAsync).
+ * Encrypted v2 and v3 payloads authenticate their header as AES-GCM additional data (see getAdditionalDataAsync),
+ * so its fields cannot be altered unnoticed even when the header is not signed. Payloads written before
+ * that still open, without the header check.
+ */
+class Container {
+  static SIGNATURE = "SC";
+  static ENCODING_TYPE_GENERATED = 0;
+  static ENCODING_TYPE_LSB = 1;
+  static ENCODING_TYPE_LSB_SCATTERED = 2;
+  static ENCODING_TYPE_CHUNK = 3;
+  static ENCODING_TYPE_JPEG_DCT = 4;
+  // Robust marks are too small for this header and carry a compact frame instead (see SpreadSpectrum)
+  static ENCODING_TYPE_ROBUST = 5;
+  // Only ever stored encrypted, inside a deniable carrier's slot (see Deniable)
+  static ENCODING_TYPE_DENIABLE = 6;
+
+  // The byte after the encoding type holds the version (v1 stored 0/1 there for "compressed")
+  static HEADER_VERSION = 3;
+  static FLAG_COMPRESSED = 0x01;
+  static FLAG_ENCRYPTED = 0x02;
+  static FLAG_ARCHIVE = 0x04;
+  static FLAG_MULTIPART = 0x08;
+  static FLAG_CHUNKED = 0x10;
+  static FLAG_SIGNED = 0x20;
+  // LSB containers that may continue past the RGB channels into alpha LSBs and 16-bit low bytes (see Lsb.embedExtended)
+  static FLAG_ALPHA = 0x40;
+  static FLAG_LOW_BYTES = 0x80;
+  // What the payload is: a file to save, or a message to show as plain text or Markdown
+  static CONTENT_TYPE_FILE = 0;
+  static CONTENT_TYPE_TEXT = 1;
+  static CONTENT_TYPE_MARKDOWN = 2;
+  // Messages still get a file name, for saving one anyway
+  static MESSAGE_FILE_NAMES = { [this.CONTENT_TYPE_TEXT]: 'message.txt', [this.CONTENT_TYPE_MARKDOWN]: 'message.md' };
+  static SET_ID_SIZE = 16;
+  static SHA256_SIZE = 32;
+  static PREFIX_SIZE = 5;
+  static MAX_HEADER_SIZE = 2048;
+  static SEALED_LENGTH_SIZE = Cipher.GCM_IV_SIZE + 2 + Cipher.GCM_TAG_SIZE;
+  static SEALED_HEADER_OVERHEAD = Cipher.SALT_SIZE + this.SEALED_LENGTH_SIZE + Cipher.GCM_IV_SIZE + Cipher.GCM_TAG_SIZE;
+
+  // Multi-file payloads: "SCAR" | manifest length (u32) | JSON manifest | file contents in manifest order
+  static ARCHIVE_SIGNATURE = 'SCAR';
+
+  /**
+   * Normalizes a payload to the bytes that get hidden.
+   * @param {{fileName: string, data: Uint8Array}|{fileName?: string, files: Array<{path: string, data: Uint8Array}>}} payload
+   *   A single file, or several files bundled into an archive (paths use "/" separators).
+   *   A message (see createMessagePayload) also carries its `contentType`.
+   * @returns {Promise<{data: Uint8Array, fileName: string, isArchive: boolean, contentType: number}>}
+   */
+  static async packPayloadAsync(payload) {
+    if (!payload.files) {
+      return { data: payload.data, fileName: payload.fileName, isArchive: false, contentType: payload.contentType ?? this.CONTENT_TYPE_FILE };
+    }
+    return {
+      data: await this.packArchiveAsync(payload.files),
+      fileName: payload.fileName || this.getBundleName(payload.files.map((file) => file.path)),
+      isArchive: true,
+      contentType: this.CONTENT_TYPE_FILE,
+    };
+  }
+
+  /**
+   * A payload holding a text message, which extractors show instead of saving (CONTENT_TYPE_TEXT or CONTENT_TYPE_MARKDOWN).
+   * @returns {{fileName: string, data: Uint8Array, contentType: number}}
+   */
+  static createMessagePayload(text, contentType = this.CONTENT_TYPE_TEXT) {
+    const fileName = this.MESSAGE_FILE_NAMES[contentType];
+    if (!fileName) throw new Error(`Unknown message content type ${contentType}.`);
+    return { fileName, data: new TextEncoder().encode(text), contentType };
+  }
+
+  /**
+   * Whether a header or extracted payload is a message rather than a file.
+   */
+  static isMessage(info) {
+    return info.contentType === this.CONTENT_TYPE_TEXT || info.contentType === this.CONTENT_TYPE_MARKDOWN;
+  }
+
+  /**
+   * Display name for a bundle: the shared top-level folder of its paths, or "N-files".
+   */
+  static getBundleName(paths) {
+    const roots = new Set(paths.map((path) => path.split('/')[0]));
+    const [root] = roots;
+    return roots.size === 1 && paths.some((path) => path.includes('/')) ? root : `${paths.length}-files`;
+  }
+
+  /**
+   * Compresses, hashes and encrypts a packed payload, once for every carrier it ends up in.
+   * @param {{password?: string|null, recipients?: string[]|null, signingKey?: string|null}} encryption - A password,
+   *   or public keys to encrypt for (see Cipher.createKeyAsync); neither leaves the payload unencrypted. The key
+   *   that will sign the header, if any, is authenticated along with it.
+   * @param {{encodingType: number, bitDepth: number, multipart?: object|null, usesAlpha?: boolean, usesLowBytes?: boolean}} headerFields -
+   *   The createHeader fields the headers will get besides the ones returned here (`multipart` without a part index).
+   * @returns {Promise<{data: Uint8Array, fileName: string, isArchive: boolean, contentType: number, sha256Hash: Uint8Array, kdf: object|null}>}
+   */
+  static async sealAsync({ data, fileName, isArchive, contentType = this.CONTENT_TYPE_FILE }, encryption = {}, headerFields = {}) {
+    const compressed = pako.deflate(data);
+    const sha256Hash = await Cipher.sha256(data);
+    const sealingKey = await Cipher.createKeyAsync(encryption);
+    const sealed = { fileName, isArchive, contentType, sha256Hash, kdf: sealingKey?.kdf || null };
+    if (!sealingKey) return { ...sealed, data: compressed };
+
+    const additionalData = await this.getAdditionalDataAsync({
+      ...headerFields, ...sealed, isCompressed: true, fileSize: Cipher.ciphertextSize(compressed.length),
+    }, encryption.signingKey);
+    return { ...sealed, data: await Cipher.encrypt(compressed, sealingKey.key, additionalData) };
+  }
+
+  /**
+   * Builds a complete container for carriers that hold it in one piece.
+   * @param {{password?: string|null, recipients?: string[]|null, signingKey?: string|null, encryptHeader?: boolean}} keys -
+   *   Encryption as for sealAsync, the private key that signs the header, if any, and whether to encrypt the header
+   *   with the password too.
+   * @param {{encodingType: number, bitDepth: number}} headerFields
+   */
+  static async buildAsync(payload, keys, headerFields) {
+    if (keys.encryptHeader && !keys.password) throw new Error('Encrypting the header needs a password.');
+    const { data, fileName, isArchive, contentType, sha256Hash, kdf } = await this.sealAsync(await this.packPayloadAsync(payload), keys, headerFields);
+    let header = this.createHeader({ ...headerFields, fileSize: data.length, fileName, sha256Hash, kdf, isCompressed: true, isArchive, contentType });
+    header = await this.signHeaderAsync(header, keys.signingKey);
+    if (keys.encryptHeader) header = await this.sealHeaderAsync(header, keys.password);
+    return this.concat([header, data]);
+  }
+
+  /**
+   * Decrypts, decompresses and verifies the data that follows a header, unpacking bundles.
+   * @param {{password?: string|null, privateKeys?: string[]|null}} credentials - The password, or private keys
+   *   of which any one may be a recipient of the file.
+   * @returns {Promise<{fileName: string, data: Uint8Array, files: Array<{path: string, size: number, sha256: string, data: Uint8Array}>|null, contentType: number}>}
+   */
+  static async openAsync(headerInfo, containerData, credentials = {}, onProgress = null) {
+    let decryptedData = containerData;
+    if (headerInfo.isEncrypted) {
+      const { password = null, privateKeys = null } = credentials;
+      const isForRecipients = this.isForRecipients(headerInfo);
+      if (isForRecipients && !privateKeys?.length) throw new Error('File is encrypted for recipients, but no private key was provided.');
+      if (!isForRecipients && !password) throw new Error('File is encrypted, but no password was provided.');
+
+      const key = headerInfo.version === 1 ? null : await Cipher.openKeyAsync(headerInfo.kdf, credentials);
+      try {
+        if (headerInfo.version === 1) {
+          decryptedData = await Cipher.decryptV1(containerData, password);
+        } else {
+          decryptedData = await this._decryptAsync(headerInfo, containerData, key);
+        }
+      } catch (e) {
+        throw new Error(isForRecipients ? 'Decryption failed. The file is likely corrupted.' : 'Decryption failed. The password may be incorrect.');
+      }
+    }
+    onProgress?.(70);
+
+    let finalData = decryptedData;
+    if (headerInfo.isCompressed) {
+      finalData = pako.inflate(decryptedData);
+    }
+    onProgress?.(80);
+
+    const computedHash = await Cipher.sha256(finalData);
+    if (!this._arraysEqual(computedHash, headerInfo.sha256Hash)) {
+      throw new Error('SHA256 hash mismatch. The file is likely corrupted.');
+    }
+
+    const files = headerInfo.isArchive ? await this.unpackArchiveAsync(finalData) : null;
+    onProgress?.(100);
+    return { fileName: headerInfo.fileName, data: finalData, files, contentType: headerInfo.contentType };
+  }
+
+  /**
+   * Whether a header's payload is encrypted for recipients' keys rather than with a password.
+   */
+  static isForRecipients(headerInfo) {
+    return Boolean(headerInfo.isEncrypted && headerInfo.kdf?.id === Cipher.KDF_ECDH_P256);
+  }
+
+  /**
+   * Reads a container stored contiguously (PNG chunk and similar carriers).
+   * @returns {{headerInfo: object, data: Uint8Array}}
+   */
+  static parse(container, expectedEncodingType = null) {
+    if (container.length < this.PREFIX_SIZE || !this.hasSignature(container)
+      || (expectedEncodingType != null && container[2] !== expectedEncodingType)) {
+      throw new Error('Invalid signature. Not a valid carrier image.');
+    }
+    const headerInfo = this.parseHeader(container.slice(0, this.PREFIX_SIZE), (offset, len) => {
+      if (offset + len > container.length) throw new Error('Container is truncated.');
+      return container.slice(offset, offset + len);
+    });
+    const data = container.subarray(headerInfo.totalHeaderSize, headerInfo.totalHeaderSize + headerInfo.fileSize);
+    if (data.length !== headerInfo.fileSize) throw new Error('Container is truncated.');
+    return { headerInfo, data };
+  }
+
+  /**
+   * Builds a container header, v3 for messages and v2 otherwise. `kdf` (from Cipher.createKeyAsync) is null for unencrypted payloads;
+   * `multipart` ({ setId, partIndex, partCount }) marks one part of a payload split over several carriers;
+   * a non-zero `chunkSize` marks a payload encrypted in independent chunks of that size. `usesAlpha` and
+   * `usesLowBytes` mark LSB containers that may run on into those channels, and `contentType` is one of the
+   * CONTENT_TYPE constants.
+   */
+  static createHeader({ fileSize, fileName, sha256Hash, encodingType, isCompressed, isArchive = false, bitDepth, kdf = null, multipart = null, chunkSize = 0, usesAlpha = false, usesLowBytes = false, contentType = this.CONTENT_TYPE_FILE }) {
+    const fileNameBytes = new TextEncoder().encode(fileName);
+    if (fileNameBytes.length > 255) throw new Error('Filename too long');
+
+    const header = new Uint8Array(this.MAX_HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    let offset = 0;
+
+    header.set(new TextEncoder().encode(this.SIGNATURE), offset);
+    offset += 2;
+    header[offset++] = encodingType;
+    header[offset++] = contentType === this.CONTENT_TYPE_FILE ? 2 : this.HEADER_VERSION;
+    header[offset++] = bitDepth;
+    header[offset++] = (isCompressed ? this.FLAG_COMPRESSED : 0) | (kdf ? this.FLAG_ENCRYPTED : 0) | (isArchive ? this.FLAG_ARCHIVE : 0)
+      | (multipart ? this.FLAG_MULTIPART : 0) | (chunkSize ? this.FLAG_CHUNKED : 0)
+      | (usesAlpha ? this.FLAG_ALPHA : 0) | (usesLowBytes ? this.FLAG_LOW_BYTES : 0);
+    if (contentType !== this.CONTENT_TYPE_FILE) header[offset++] = contentType;
+
+    // eslint-disable-next-line no-undef
+    view.setBigUint64(offset, BigInt(fileSize), true);
+    offset += 8;
+
+    header[offset++] = fileNameBytes.length;
+    header.set(fileNameBytes, offset);
+    offset += fileNameBytes.length;
+
+    if (multipart) {
+      header.set(multipart.setId, offset);
+      offset += this.SET_ID_SIZE;
+      view.setUint16(offset, multipart.partIndex, true);
+      view.setUint16(offset + 2, multipart.partCount, true);
+      offset += 4;
+    }
+
+    if (kdf?.id === Cipher.KDF_ECDH_P256) {
+      header[offset++] = kdf.id;
+      header.set(kdf.ephemeralPublicKey, offset);
+      offset += kdf.ephemeralPublicKey.length;
+      header[offset++] = kdf.recipients.length;
+      for (const { keyId, wrappedKey } of kdf.recipients) {
+        header.set(keyId, offset);
+        header.set(wrappedKey, offset + keyId.length);
+        offset += keyId.length + wrappedKey.length;
+      }
+    } else if (kdf) {
+      header[offset++] = kdf.id;
+      view.setUint32(offset, kdf.iterations, true);
+      offset += 4;
+      header.set(kdf.salt, offset);
+      offset += Cipher.SALT_SIZE;
+    }
+
+    if (chunkSize) {
+      view.setUint32(offset, chunkSize, true);
+      offset += 4;
+    }
+
+    header.set(sha256Hash, offset);
+    offset += this.SHA256_SIZE;
+
+    return header.slice(0, offset);
+  }
+
+  /**
+   * The additional data an encrypted payload authenticates: its header as createHeader writes it, with the signed
+   * flag and signer public key of `signingKey` when there is one, but without the signature itself (which covers
+   * these bytes already). `fileSize` is that of the whole encrypted payload and multi-part headers count as part 0,
+   * so every part of a split payload shares one value.
+   * @param {object} headerFields - As for createHeader.
+   */
+  static async getAdditionalDataAsync(headerFields, signingKey = null) {
+    return this._getAdditionalData(headerFields, signingKey ? Keys.parsePublicKey(await Keys.getPublicKeyAsync(signingKey)) : null);
+  }
+
+  /**
+   * Signs a header from createHeader with a private key text (see Keys); returns it unchanged without a key.
+   */
+  static async signHeaderAsync(header, signingKey = null) {
+    if (!signingKey) return header;
+    const signed = new Uint8Array(header.length + Signature.SECTION_SIZE);
+    signed.set(header);
+    signed[5] |= this.FLAG_SIGNED;
+    signed.set(Keys.parsePublicKey(await Keys.getPublicKeyAsync(signingKey)), header.length);
+    const signedLength = header.length + Keys.PUBLIC_KEY_SIZE;
+    signed.set(await Signature.signAsync(signed.subarray(0, signedLength), signingKey), signedLength);
+    return signed;
+  }
+
+  /**
+   * Encrypts a finished header (after signHeaderAsync) with the password, adding SEALED_HEADER_OVERHEAD bytes.
+   * Every call draws a new salt, so no two carriers share a header key.
+   */
+  static async sealHeaderAsync(header, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(Cipher.SALT_SIZE));
+    const key = await Cipher.deriveKey(password, salt, Cipher.KDF_ITERATIONS);
+    const length = new Uint8Array(2);
+    new DataView(length.buffer).setUint16(0, header.length, true);
+    return this.concat([salt, await Cipher.encrypt(length, key), await Cipher.encrypt(header, key)]);
+  }
+
+  /**
+   * The key of a header sealed where `readFunc` (as for parseHeader) reads, from the salt stored there.
+   * Readers that try several locations derive these up front (see openSealedHeaderAsync).
+   */
+  static async deriveHeaderKeyAsync(readFunc, password) {
+    return Cipher.deriveKey(password, readFunc(0, Cipher.SALT_SIZE), Cipher.KDF_ITERATIONS);
+  }
+
+  /**
+   * Decrypts and parses a header from sealHeaderAsync; `readFunc` is as for parseHeader, `headerKey` from
+   * deriveHeaderKeyAsync for the same location.
+   * @returns {Promise<object|null>} The header, with totalHeaderSize covering the sealed bytes, or null when the
+   *   key does not open one here.
+   */
+  static async openSealedHeaderAsync(readFunc, headerKey) {
+    let length;
+    try {
+      length = await Cipher.decrypt(readFunc(Cipher.SALT_SIZE, this.SEALED_LENGTH_SIZE), headerKey);
+    } catch (e) {
+      return null;
+    }
+    const headerLength = new DataView(length.buffer).getUint16(0, true);
+    if (headerLength < this.PREFIX_SIZE || headerLength > this.MAX_HEADER_SIZE) return null;
+
+    const sealedLength = Cipher.GCM_IV_SIZE + headerLength + Cipher.GCM_TAG_SIZE;
+    let header;
+    try {
+      header = await Cipher.decrypt(readFunc(Cipher.SALT_SIZE + this.SEALED_LENGTH_SIZE, sealedLength), headerKey);
+    } catch (e) {
+      throw new Error('Decryption failed. The header is likely corrupted.');
+    }
+    if (!this.hasSignature(header)) return null;
+    const headerInfo = this.parseHeader(header.slice(0, this.PREFIX_SIZE), (offset, len) => {
+      if (offset + len > header.length) throw new Error('Container is truncated.');
+      return header.slice(offset, offset + len);
+    });
+    return { ...headerInfo, isHeaderEncrypted: true, totalHeaderSize: Cipher.SALT_SIZE + this.SEALED_LENGTH_SIZE + sealedLength };
+  }
+
+  static hasSignature(prefix) {
+    return String.fromCharCode(prefix[0], prefix[1]) === this.SIGNATURE;
+  }
+
+  /**
+   * Parses a v1, v2 or v3 header. `prefix` holds the first 5 bytes; `readFunc(offset, len)` reads the rest,
+   * wherever the carrier keeps it.
+   */
+  static parseHeader(prefix, readFunc) {
+    const signature = String.fromCharCode(prefix[0], prefix[1]);
+    const encodingType = prefix[2];
+    const version = prefix[3] >= 2 ? prefix[3] : 1;
+    const bitDepth = prefix[4];
+    if (version > this.HEADER_VERSION) throw new Error(`Unsupported container version ${version}.`);
+
+    let offset = this.PREFIX_SIZE;
+    let isCompressed = prefix[3] === 1;
+    let isEncrypted = false;
+    let isArchive = false;
+    let isMultipart = false;
+    let isChunked = false;
+    let isSigned = false;
+    let usesAlpha = false;
+    let usesLowBytes = false;
+    if (version >= 2) {
+      const flags = readFunc(offset, 1)[0];
+      offset += 1;
+      isCompressed = (flags & this.FLAG_COMPRESSED) !== 0;
+      isEncrypted = (flags & this.FLAG_ENCRYPTED) !== 0;
+      isArchive = (flags & this.FLAG_ARCHIVE) !== 0;
+      isMultipart = (flags & this.FLAG_MULTIPART) !== 0;
+      isChunked = (flags & this.FLAG_CHUNKED) !== 0;
+      isSigned = (flags & this.FLAG_SIGNED) !== 0;
+      usesAlpha = (flags & this.FLAG_ALPHA) !== 0;
+      usesLowBytes = (flags & this.FLAG_LOW_BYTES) !== 0;
+    }
+
+    let contentType = this.CONTENT_TYPE_FILE;
+    if (version >= 3) {
+      contentType = readFunc(offset, 1)[0];
+      offset += 1;
+    }
+
+    const fileSizeData = readFunc(offset, 8);
+    const fileSize = new DataView(fileSizeData.buffer).getBigUint64(0, true);
+    offset += 8;
+
+    const fileNameLength = readFunc(offset, 1)[0];
+    offset += 1;
+
+    const fileNameBytes = readFunc(offset, fileNameLength);
+    const fileName = new TextDecoder().decode(fileNameBytes);
+    offset += fileNameLength;
+
+    let setId = null;
+    let partIndex = 0;
+    let partCount = 1;
+    if (isMultipart) {
+      const partData = readFunc(offset, this.SET_ID_SIZE + 4);
+      const partView = new DataView(partData.buffer);
+      setId = partData.slice(0, this.SET_ID_SIZE);
+      partIndex = partView.getUint16(this.SET_ID_SIZE, true);
+      partCount = partView.getUint16(this.SET_ID_SIZE + 2, true);
+      offset += partData.length;
+    }
+
+    let kdf = null;
+    if (version === 1) {
+      isEncrypted = readFunc(offset, 1)[0] === 1;
+      offset += 1;
+    } else if (isEncrypted) {
+      const id = readFunc(offset, 1)[0];
+      offset += 1;
+      if (id === Cipher.KDF_PBKDF2_SHA256) {
+        const kdfData = readFunc(offset, 4 + Cipher.SALT_SIZE);
+        kdf = { id, iterations: new DataView(kdfData.buffer).getUint32(0, true), salt: kdfData.slice(4) };
+        offset += kdfData.length;
+      } else if (id === Cipher.KDF_ECDH_P256) {
+        kdf = { id, ephemeralPublicKey: readFunc(offset, Keys.PUBLIC_KEY_SIZE), recipients: [] };
+        offset += Keys.PUBLIC_KEY_SIZE;
+        const recipientCount = readFunc(offset, 1)[0];
+        offset += 1;
+        const entrySize = Keys.KEY_ID_SIZE + Cipher.WRAPPED_KEY_SIZE;
+        const entries = readFunc(offset, recipientCount * entrySize);
+        for (let i = 0; i < recipientCount; i++) {
+          const entry = entries.slice(i * entrySize, (i + 1) * entrySize);
+          kdf.recipients.push({ keyId: entry.slice(0, Keys.KEY_ID_SIZE), wrappedKey: entry.slice(Keys.KEY_ID_SIZE) });
+        }
+        offset += entries.length;
+      } else {
+        throw new Error(`Unsupported key derivation function (${id}).`);
+      }
+    }
+
+    let chunkSize = 0;
+    if (isChunked) {
+      chunkSize = new DataView(readFunc(offset, 4).buffer).getUint32(0, true);
+      offset += 4;
+    }
+
+    const sha256Hash = readFunc(offset, this.SHA256_SIZE);
+    offset += this.SHA256_SIZE;
+
+    // The signature is checked later (Signature.verifyAsync), so keep the bytes it covers
+    let signed = null;
+    if (isSigned) {
+      const signedBytes = this.concat([prefix, readFunc(this.PREFIX_SIZE, offset + Keys.PUBLIC_KEY_SIZE - this.PREFIX_SIZE)]);
+      signed = { publicKey: signedBytes.slice(offset), value: readFunc(offset + Keys.PUBLIC_KEY_SIZE, Signature.SIGNATURE_SIZE), signedBytes };
+      offset += Signature.SECTION_SIZE;
+    }
+
+    return {
+      signature, version, encodingType, isCompressed, bitDepth,
+      fileSize: Number(fileSize),
+      fileName, isEncrypted, isArchive, kdf, sha256Hash,
+      isMultipart, setId, partIndex, partCount, chunkSize, signed, usesAlpha, usesLowBytes, contentType,
+      totalHeaderSize: offset
+    };
+  }
+
+  /**
+   * Groups multi-part headers into one set and lists the part indices (0-based) that are missing.
+   */
+  static collectParts(headers) {
+    if (headers.some((header) => !header.isMultipart)) {
+      throw new Error('Not every image is part of a multi-part payload.');
+    }
+    const setIds = new Set(headers.map((header) => this.toHex(header.setId)));
+    if (setIds.size > 1) throw new Error('The images belong to different multi-part payloads.');
+
+    const { partCount, fileName, isEncrypted, kdf } = headers[0];
+    const byIndex = new Map(headers.map((header) => [header.partIndex, header]));
+    const missingParts = [];
+    for (let index = 0; index < partCount; index++) {
+      if (!byIndex.has(index)) missingParts.push(index);
+    }
+    return {
+      fileName, isEncrypted, kdf, partCount, missingParts,
+      foundParts: [...byIndex.keys()].sort((a, b) => a - b),
+      totalSize: [...byIndex.values()].reduce((sum, header) => sum + header.fileSize, 0),
+    };
+  }
+
+  static async packArchiveAsync(files) {
+    const manifest = { files: [] };
+    for (const file of files) {
+      const sha256 = this.toHex(await Cipher.sha256(file.data));
+      manifest.files.push({ path: file.path, size: file.data.length, sha256 });
+    }
+    const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest));
+    const dataSize = files.reduce((sum, file) => sum + file.data.length, 0);
+
+    const archive = new Uint8Array(8 + manifestBytes.length + dataSize);
+    archive.set(new TextEncoder().encode(this.ARCHIVE_SIGNATURE), 0);
+    new DataView(archive.buffer).setUint32(4, manifestBytes.length, true);
+    archive.set(manifestBytes, 8);
+    let offset = 8 + manifestBytes.length;
+    for (const file of files) {
+      archive.set(file.data, offset);
+      offset += file.data.length;
+    }
+    return archive;
+  }
+
+  /**
+   * Splits an archive back into its files, checking each one against the manifest hash.
+   * @returns {Promise<Array<{path: string, size: number, sha256: string, data: Uint8Array}>>}
+   */
+  static async unpackArchiveAsync(archive) {
+    if (new TextDecoder().decode(archive.subarray(0, 4)) !== this.ARCHIVE_SIGNATURE) {
+      throw new Error('Invalid archive signature.');
+    }
+    const manifestLength = new DataView(archive.buffer, archive.byteOffset).getUint32(4, true);
+    const manifest = JSON.parse(new TextDecoder().decode(archive.subarray(8, 8 + manifestLength)));
+
+    let offset = 8 + manifestLength;
+    const files = [];
+    for (const entry of manifest.files) {
+      const data = archive.subarray(offset, offset + entry.size);
+      offset += entry.size;
+      if (this.toHex(await Cipher.sha256(data)) !== entry.sha256) {
+        throw new Error(`SHA256 hash mismatch for ${entry.path}. The archive is likely corrupted.`);
+      }
+      files.push({ ...entry, data });
+    }
+    return files;
+  }
+
+  static concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+      result.set(array, offset);
+      offset += array.length;
+    }
+    return result;
+  }
+
+  static toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  static _getAdditionalData(headerFields, signerPublicKey) {
+    const { multipart } = headerFields;
+    const header = this.createHeader({ ...headerFields, multipart: multipart ? { ...multipart, partIndex: 0 } : null });
+    if (!signerPublicKey) return header;
+    const additionalData = this.concat([header, signerPublicKey]);
+    additionalData[5] |= this.FLAG_SIGNED;
+    return additionalData;
+  }
+
+  // The additional data of a parsed header, for the `fileSize` bytes of payload it covers (every part's, if split)
+  static _getOpenedAdditionalData(headerInfo, fileSize) {
+    const { isMultipart, setId, partCount, signed } = headerInfo;
+    return this._getAdditionalData({ ...headerInfo, fileSize, multipart: isMultipart ? { setId, partCount } : null }, signed?.publicKey);
+  }
+
+  // Payloads written before headers were authenticated carry no additional data, so they get a second try without it
+  static async _decryptAsync(headerInfo, containerData, key) {
+    const decrypt = (additionalData) => (headerInfo.chunkSize
+      ? Cipher.decryptChunked(containerData, key, headerInfo.chunkSize, additionalData)
+      : Cipher.decrypt(containerData, key, additionalData));
+    try {
+      return await decrypt(this._getOpenedAdditionalData(headerInfo, containerData.length));
+    } catch (e) {
+      return decrypt(null);
+    }
+  }
+
+  static _arraysEqual(a, b) {
+    if (a.length !== b.length) return false;
+    return a.every((val, index) => val === b[index]);
+  }
+}
+
+export default Container;
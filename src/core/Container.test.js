@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import pako from 'pako';
+import Cipher from './Cipher.js';
+import Container from './Container.js';
+import Keys from './Keys.js';
+import Signature from './Signature.js';
+import Stego from './Stego.js';
+
+// v1.txt hidden at bit depth 1 by the original ClientImageProcessor (AES-CBC, zero salt, 10,000 iterations)
+const V1_CARRIER = new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', 'v1-lsb.png')));
+const V1_PASSWORD = 'baseline';
+
+const PASSWORD = 'correct horse battery staple';
+const payload = { fileName: 'notes.txt', data: new TextEncoder().encode('Meet at the usual place at noon.') };
+
+const build = (password, { signingKey = null, contents = payload } = {}) => Container.buildAsync(contents, { password, signingKey }, { encodingType: Container.ENCODING_TYPE_CHUNK, bitDepth: 0 });
+
+// Opening a container whose header was edited in place
+const openAlteredAsync = async (container, alter) => {
+  alter(container);
+  const { headerInfo, data } = Container.parse(container);
+  return Container.openAsync(headerInfo, data, { password: PASSWORD });
+};
+
+// Offsets in a v2 header: SC | encodingType | version | bitDepth | flags | size (8) | nameLen | name
+const FLAGS_OFFSET = 5;
+const FILE_NAME_OFFSET = 15;
+
+describe('v1 containers', () => {
+  test('opens a carrier written by the original encoder', async () => {
+    const headerInfo = await Stego.readMetadataAsync(V1_CARRIER);
+    expect(headerInfo.version).toBe(1);
+    expect(headerInfo.isEncrypted).toBe(true);
+
+    const extracted = await Stego.extractAsync(V1_CARRIER, { password: V1_PASSWORD });
+    expect(extracted.fileName).toBe('v1.txt');
+    expect(new TextDecoder().decode(extracted.data)).toBe('Written by the v1 container format.\n');
+  });
+
+  test('reports a wrong password', async () => {
+    await expect(Stego.extractAsync(V1_CARRIER, { password: 'not it' })).rejects.toThrow('The password may be incorrect');
+  });
+});
+
+describe('v2 containers', () => {
+  test('round-trips an encrypted payload', async () => {
+    const { headerInfo, data } = Container.parse(await build(PASSWORD));
+    expect(headerInfo.version).toBe(2);
+    expect(headerInfo.isEncrypted).toBe(true);
+
+    const opened = await Container.openAsync(headerInfo, data, { password: PASSWORD });
+    expect(opened.fileName).toBe('notes.txt');
+    expect(opened.data).toEqual(payload.data);
+  });
+
+  test('gives every container its own salt', async () => {
+    const [first, second] = await Promise.all([build(PASSWORD), build(PASSWORD)]);
+    const { kdf } = Container.parse(first).headerInfo;
+    expect(kdf.salt).toHaveLength(16);
+    expect(kdf.salt).not.toEqual(Container.parse(second).headerInfo.kdf.salt);
+  });
+
+  test('rejects a wrong password', async () => {
+    const { headerInfo, data } = Container.parse(await build(PASSWORD));
+    await expect(Container.openAsync(headerInfo, data, { password: 'wrong' })).rejects.toThrow('The password may be incorrect');
+  });
+
+  test('asks for a password before decrypting', async () => {
+    const { headerInfo, data } = Container.parse(await build(PASSWORD));
+    await expect(Container.openAsync(headerInfo, data)).rejects.toThrow('no password was provided');
+  });
+});
+
+describe('encrypted headers', () => {
+  const buildSealed = () => Container.buildAsync(payload, { password: PASSWORD, encryptHeader: true }, { encodingType: Container.ENCODING_TYPE_CHUNK, bitDepth: 0 });
+  const reader = (container) => (offset, len) => container.slice(offset, offset + len);
+
+  test('are sealed under a salt of their own', async () => {
+    const [first, second] = await Promise.all([buildSealed(), buildSealed()]);
+    expect(first.subarray(0, 16)).not.toEqual(second.subarray(0, 16));
+
+    const readFunc = reader(first);
+    const headerInfo = await Container.openSealedHeaderAsync(readFunc, await Container.deriveHeaderKeyAsync(readFunc, PASSWORD));
+    expect(headerInfo).toMatchObject({ fileName: 'notes.txt', isHeaderEncrypted: true });
+    const data = first.subarray(headerInfo.totalHeaderSize);
+    expect((await Container.openAsync(headerInfo, data, { password: PASSWORD })).data).toEqual(payload.data);
+  });
+
+  test('stay closed to a wrong password', async () => {
+    const readFunc = reader(await buildSealed());
+    await expect(Container.openSealedHeaderAsync(readFunc, await Container.deriveHeaderKeyAsync(readFunc, 'wrong'))).resolves.toBeNull();
+  });
+
+  test("hide in pixels when error correction is 'none'", async () => {
+    const carrier = { width: 32, height: 32, data: Uint8Array.from({ length: 32 * 32 * 4 }, (_, i) => (i % 4 === 3 ? 255 : (i * 37) & 0xFF)) };
+    const hidden = await Stego.hideInPixelsAsync(payload, carrier, { password: PASSWORD, encryptHeader: true, ecc: 'none' });
+    expect((await Stego.extractFromPixelsAsync(hidden.data, { password: PASSWORD })).data).toEqual(payload.data);
+    await expect(Stego.hideInPixelsAsync(payload, carrier, { password: PASSWORD, encryptHeader: true, ecc: 'low' })).rejects.toThrow('Error correction cannot be combined with an encrypted header.');
+  }, 30000);
+});
+
+describe('header authentication', () => {
+  test('rejects a renamed file', async () => {
+    const altered = openAlteredAsync(await build(PASSWORD), (container) => { container[FILE_NAME_OFFSET] ^= 0x01; });
+    await expect(altered).rejects.toThrow('Decryption failed.');
+  });
+
+  test('rejects a changed content type', async () => {
+    const message = Container.createMessagePayload('**Not** plain text.');
+    const container = await build(PASSWORD, { contents: message });
+    const contentTypeOffset = FLAGS_OFFSET + 1;
+    expect(container[contentTypeOffset]).toBe(Container.CONTENT_TYPE_TEXT);
+    const altered = openAlteredAsync(container, (bytes) => { bytes[contentTypeOffset] = Container.CONTENT_TYPE_MARKDOWN; });
+    await expect(altered).rejects.toThrow('Decryption failed.');
+  });
+
+  test('rejects a header stripped of its signature', async () => {
+    const { privateKey } = await Keys.generateAsync();
+    const signed = await build(PASSWORD, { signingKey: privateKey });
+    const { headerInfo, data } = Container.parse(signed);
+    expect(headerInfo.signed).not.toBeNull();
+
+    const header = signed.slice(0, headerInfo.totalHeaderSize - Signature.SECTION_SIZE);
+    header[FLAGS_OFFSET] &= ~Container.FLAG_SIGNED;
+    const stripped = Container.parse(Container.concat([header, data]));
+    expect(stripped.headerInfo.signed).toBeNull();
+    await expect(Container.openAsync(stripped.headerInfo, stripped.data, { password: PASSWORD })).rejects.toThrow('Decryption failed.');
+  });
+
+  test('still opens payloads encrypted before headers were authenticated', async () => {
+    const container = await build(PASSWORD);
+    const { headerInfo } = Container.parse(container);
+    const key = await Cipher.openKeyAsync(headerInfo.kdf, { password: PASSWORD });
+    const legacy = Container.concat([container.subarray(0, headerInfo.totalHeaderSize), await Cipher.encrypt(pako.deflate(payload.data), key)]);
+
+    const { data } = Container.parse(legacy);
+    expect((await Container.openAsync(headerInfo, data, { password: PASSWORD })).data).toEqual(payload.data);
+  });
+
+  test('opens every part of a split payload', async () => {
+    const carrier = (size) => ({ width: size, height: size, data: new Uint8Array(size * size * 4).fill(128), data16: null });
+    const contents = { fileName: 'notes.txt', data: new TextEncoder().encode('Meet at the usual place at noon. '.repeat(30)) };
+    const parts = await Stego.hideAcrossPixelsAsync(contents, [carrier(40), carrier(48)], { password: PASSWORD });
+    const extracted = await Stego.extractMultipartAsync(parts.map((part) => part.data), { password: PASSWORD });
+    expect(extracted.data).toEqual(contents.data);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Procedural cover pictures for generated images: rather than showing the container bytes as static, a new image
+ * can be a plausible picture that carries the container in its LSBs like any carrier (see Stego.createImageAsync).
+ * Every style is drawn with fresh random parameters and finished with a little grain, as from a camera sensor,
+ * so the low bits are never flat.
+ */
+class CoverImage {
+  static STYLES = ['gradient', 'clouds', 'tiles'];
+  static DEFAULT_BIT_DEPTH = 2;
+  static ASPECT_RATIO = 4 / 3;
+  static MIN_WIDTH = 320;
+  static GRAIN = 3;
+
+  /**
+   * The smallest 4:3 cover, at least MIN_WIDTH pixels wide, that holds `containerSize` bytes at `bitDepth` bits per channel.
+   * @returns {{width: number, height: number}}
+   */
+  static getSize(containerSize, bitDepth) {
+    const pixels = Math.ceil((containerSize * 8) / (3 * bitDepth));
+    const width = Math.max(this.MIN_WIDTH, Math.ceil(Math.sqrt(pixels * this.ASPECT_RATIO)));
+    return { width, height: Math.max(Math.round(width / this.ASPECT_RATIO), Math.ceil(pixels / width)) };
+  }
+
+  /**
+   * Draws a cover in one of STYLES.
+   * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels.
+   */
+  static render(style, width, height) {
+    const renderers = { gradient: this._renderGradient, clouds: this._renderClouds, tiles: this._renderTiles };
+    if (!renderers[style]) throw new Error(`Unknown cover style "${style}". Use one of: ${this.STYLES.join(', ')}.`);
+    // Clamped, so renderers and grain may overshoot 0-255 freely
+    const data = new Uint8ClampedArray(width * height * 4);
+    renderers[style].call(this, data, width, height);
+    this._addGrain(data);
+    return { width, height, data: new Uint8Array(data.buffer) };
+  }
+
+  // Three neighbouring hues along a random direction, darkened towards the corners
+  static _renderGradient(data, width, height) {
+    const hue = this._random() * 360;
+    const colors = [0, 1, 2].map((i) => this._hsl(hue + i * 30, 0.4 + this._random() * 0.3, 0.35 + i * 0.15 + this._random() * 0.1));
+    const angle = this._random() * Math.PI * 2;
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const span = Math.abs(dx) * width + Math.abs(dy) * height;
+    const start = Math.min(0, dx * width) + Math.min(0, dy * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const t = (x * dx + y * dy - start) / span;
+        const [from, to, local] = t < 0.5 ? [colors[0], colors[1], t * 2] : [colors[1], colors[2], t * 2 - 1];
+        const cx = x / width - 0.5;
+        const cy = y / height - 0.5;
+        const vignette = 1 - 0.5 * (cx * cx + cy * cy);
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) data[i + c] = (from[c] + (to[c] - from[c]) * local) * vignette;
+      }
+    }
+  }
+
+  // Fractal noise thresholded into clouds over a sky that lightens towards the horizon
+  static _renderClouds(data, width, height) {
+    const noise = this._createNoise();
+    const scale = width / 4;
+    const hue = 200 + this._random() * 20;
+    const zenith = this._hsl(hue, 0.6, 0.4);
+    const horizon = this._hsl(hue, 0.5, 0.75);
+    const cover = 0.35 + this._random() * 0.2;
+
+    for (let y = 0; y < height; y++) {
+      const t = y / height;
+      const sky = zenith.map((value, c) => value + (horizon[c] - value) * t);
+      for (let x = 0; x < width; x++) {
+        const n = this._fractalNoise(noise, x / scale, y / scale, 4) * 0.5 + 0.5;
+        const cloud = Math.min(1, Math.max(0, (n - cover) * 2.5));
+        const shade = 235 + 15 * n;
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) data[i + c] = sky[c] + (shade - sky[c]) * cloud;
+      }
+    }
+  }
+
+  // A brick wall: staggered rows, mortar joints, and per-brick tone and surface texture
+  static _renderTiles(data, width, height) {
+    const noise = this._createNoise();
+    const brickHeight = 20 + Math.floor(this._random() * 20);
+    const brickWidth = brickHeight * 2;
+    const mortar = 2;
+    const brick = this._hsl(5 + this._random() * 25, 0.45 + this._random() * 0.15, 0.35 + this._random() * 0.1);
+    const joint = this._hsl(40, 0.1, 0.7);
+    const tones = Float32Array.from({ length: 1024 }, () => 0.85 + this._random() * 0.3);
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / brickHeight);
+      const offset = row % 2 ? brickWidth / 2 : 0;
+      for (let x = 0; x < width; x++) {
+        const column = Math.floor((x + offset) / brickWidth);
+        const isJoint = y % brickHeight < mortar || (x + offset) % brickWidth < mortar;
+        const texture = 1 + 0.1 * noise(x / 6, y / 6);
+        const tone = isJoint ? texture : tones[(column * 31 + row * 17) & 1023] * texture;
+        const color = isJoint ? joint : brick;
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) data[i + c] = color[c] * tone;
+      }
+    }
+  }
+
+  // Writes opaque alpha and adds up to ±GRAIN to every colour sample
+  static _addGrain(data) {
+    const random = new Uint8Array(Math.min(data.length, 65536));
+    for (let i = 0; i < data.length; i += 4) {
+      const r = i % random.length;
+      if (r === 0) crypto.getRandomValues(random);
+      for (let c = 0; c < 3; c++) {
+        const grain = (random[(r + c) % random.length] % (2 * this.GRAIN + 1)) - this.GRAIN;
+        data[i + c] += grain;
+      }
+      data[i + 3] = 255;
+    }
+  }
+
+  // 2D gradient (Perlin) noise over a random permutation, roughly in [-1, 1]
+  static _createNoise() {
+    const permutation = Uint8Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(this._random() * (i + 1));
+      [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = permutation[i & 255];
+
+    const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+    const gradient = (hash, x, y) => ((hash & 1) ? -x : x) + ((hash & 2) ? -y : y);
+    return (x, y) => {
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const xi = x0 & 255;
+      const yi = y0 & 255;
+      const xf = x - x0;
+      const yf = y - y0;
+      const u = fade(xf);
+      const v = fade(yf);
+      const top = gradient(perm[perm[xi] + yi], xf, yf) * (1 - u) + gradient(perm[perm[xi + 1] + yi], xf - 1, yf) * u;
+      const bottom = gradient(perm[perm[xi] + yi + 1], xf, yf - 1) * (1 - u) + gradient(perm[perm[xi + 1] + yi + 1], xf - 1, yf - 1) * u;
+      return top * (1 - v) + bottom * v;
+    };
+  }
+
+  static _fractalNoise(noise, x, y, octaves) {
+    let sum = 0;
+    let amplitude = 1;
+    let total = 0;
+    for (let octave = 0; octave < octaves; octave++) {
+      sum += noise(x * 2 ** octave, y * 2 ** octave) * amplitude;
+      total += amplitude;
+      amplitude /= 2;
+    }
+    return sum / total;
+  }
+
+  // [r, g, b] in 0-255 for a hue in degrees and saturation and lightness in 0-1
+  static _hsl(hue, saturation, lightness) {
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    return [0, 8, 4].map((n) => {
+      const k = (n + hue / 30) % 12;
+      return 255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+    });
+  }
+
+  static _random() {
+    return crypto.getRandomValues(new Uint32Array(1))[0] / 0x100000000;
+  }
+}
+
+export default CoverImage;
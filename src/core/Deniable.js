@@ -0,0 +1,129 @@
+import Cipher from './Cipher.js';
+import Container from './Container.js';
+import Lsb from './Lsb.js';
+
+/**
+ * Deniable LSB carriers: two slots, each holding a fully encrypted container or random bytes. Nothing is stored
+ * in the clear, not even the "SC" signature, so without a password a slot cannot be told from noise, and handing
+ * over one slot's password (the decoy) reveals nothing about whether the other slot is in use.
+ *
+ * The R, G and B channels (numbered as in Lsb) are laid out sequentially:
+ *
+ *   descriptor 0 | descriptor 1 | body 0 | body 1
+ *
+ * Descriptors take 1 bit per channel: salt (16) | AES-GCM(body length u32 | bit depth u8). Bodies split the
+ * remaining channels in two halves at that bit depth: AES-GCM(container), then random bytes to the end of the half.
+ * Both are encrypted with the PBKDF2-SHA256 key of the slot's password (Cipher.KDF_ITERATIONS). The container
+ * itself is an ordinary unencrypted one of type ENCODING_TYPE_DENIABLE.
+ */
+class Deniable {
+  static SLOT_COUNT = 2;
+  static DESCRIPTOR_SIZE = Cipher.SALT_SIZE + Cipher.GCM_IV_SIZE + 5 + Cipher.GCM_TAG_SIZE;
+  // Regions start on a multiple of 24 channels, so each begins on a whole pixel and a whole byte at any bit depth
+  static REGION_ALIGNMENT = 24;
+  static DESCRIPTOR_CHANNELS = Math.ceil((this.DESCRIPTOR_SIZE * 8) / this.REGION_ALIGNMENT) * this.REGION_ALIGNMENT;
+
+  /**
+   * Container bytes one slot of a carrier this size holds at `bitDepth` bits per channel.
+   */
+  static capacity(width, height, bitDepth) {
+    const bodyBytes = (this._bodyChannels(width * height * 3) * bitDepth) / 8;
+    return Math.max(0, bodyBytes - Cipher.GCM_IV_SIZE - Cipher.GCM_TAG_SIZE);
+  }
+
+  /**
+   * Returns a copy of `pixelData` with up to two containers, each sealed with its own password, in random slots.
+   * Slots without a container are filled with random bytes.
+   * @param {Array<{container: Uint8Array, password: string}>} entries
+   */
+  static async embedAsync(pixelData, entries, bitDepth) {
+    const result = new Uint8Array(pixelData);
+    const bodyChannels = this._bodyChannels((pixelData.length / 4) * 3);
+    const bodySize = (bodyChannels * bitDepth) / 8;
+    const slots = crypto.getRandomValues(new Uint8Array(1))[0] & 1 ? [entries[1], entries[0]] : [entries[0], entries[1]];
+
+    for (const [slot, entry] of slots.entries()) {
+      const body = this._randomBytes(bodySize);
+      let descriptor = this._randomBytes(this.DESCRIPTOR_SIZE);
+      if (entry) {
+        const salt = this._randomBytes(Cipher.SALT_SIZE);
+        const key = await Cipher.deriveKey(entry.password, salt, Cipher.KDF_ITERATIONS);
+        const sealed = await Cipher.encrypt(entry.container, key);
+        if (sealed.length > bodySize) throw new Error('File is too large for one slot of the carrier image at this bit depth.');
+        body.set(sealed);
+
+        const fields = new Uint8Array(5);
+        new DataView(fields.buffer).setUint32(0, sealed.length, true);
+        fields[4] = bitDepth;
+        descriptor = Container.concat([salt, await Cipher.encrypt(fields, key)]);
+      }
+      Lsb.writeBits(this._region(result, slot * this.DESCRIPTOR_CHANNELS), descriptor, 1);
+      Lsb.writeBits(this._region(result, this._bodyStart(slot, bodyChannels)), body, bitDepth);
+    }
+    return result;
+  }
+
+  /**
+   * Opens whichever slot `password` belongs to.
+   * @returns {Promise<{headerInfo: object, data: Uint8Array}|null>} The container (see Container.parse), or null
+   *   when the password opens no slot, which is also the answer for images that are not deniable carriers.
+   */
+  static async openAsync(pixelData, password) {
+    const channelCount = (pixelData.length / 4) * 3;
+    const bodyChannels = this._bodyChannels(channelCount);
+    if (bodyChannels <= 0) return null;
+
+    const descriptors = Array.from({ length: this.SLOT_COUNT }, (_, slot) => (
+      Lsb.readBits(this._region(pixelData, slot * this.DESCRIPTOR_CHANNELS), 0, this.DESCRIPTOR_SIZE, 1)
+    ));
+    const keys = await Promise.all(descriptors.map((descriptor) => (
+      Cipher.deriveKey(password, descriptor.slice(0, Cipher.SALT_SIZE), Cipher.KDF_ITERATIONS)
+    )));
+
+    for (const [slot, descriptor] of descriptors.entries()) {
+      let fields;
+      try {
+        fields = await Cipher.decrypt(descriptor.slice(Cipher.SALT_SIZE), keys[slot]);
+      } catch (e) {
+        continue;
+      }
+      const bodyLength = new DataView(fields.buffer).getUint32(0, true);
+      const bitDepth = fields[4];
+      if (bitDepth < 1 || bitDepth > 8 || bodyLength > (bodyChannels * bitDepth) / 8) throw new Error('Invalid deniable slot descriptor.');
+
+      const body = Lsb.readBits(this._region(pixelData, this._bodyStart(slot, bodyChannels)), 0, bodyLength, bitDepth);
+      let container;
+      try {
+        container = await Cipher.decrypt(body, keys[slot]);
+      } catch (e) {
+        throw new Error('Decryption failed. The file is likely corrupted.');
+      }
+      return Container.parse(container, Container.ENCODING_TYPE_DENIABLE);
+    }
+    return null;
+  }
+
+  // Channels in each body half, a multiple of REGION_ALIGNMENT
+  static _bodyChannels(channelCount) {
+    const available = channelCount - this.SLOT_COUNT * this.DESCRIPTOR_CHANNELS;
+    return Math.floor(available / this.SLOT_COUNT / this.REGION_ALIGNMENT) * this.REGION_ALIGNMENT;
+  }
+
+  static _bodyStart(slot, bodyChannels) {
+    return this.SLOT_COUNT * this.DESCRIPTOR_CHANNELS + slot * bodyChannels;
+  }
+
+  // The pixels from an aligned channel on, so Lsb reads and writes there as if it were channel 0
+  static _region(pixelData, startChannel) {
+    return pixelData.subarray((startChannel / 3) * 4);
+  }
+
+  static _randomBytes(length) {
+    const bytes = new Uint8Array(length);
+    // getRandomValues fills at most 64 KiB per call
+    for (let offset = 0; offset < length; offset += 65536) crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+    return bytes;
+  }
+}
+
+export default Deniable;
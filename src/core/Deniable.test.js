@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import Container from './Container.js';
+import Deniable from './Deniable.js';
+import Stego from './Stego.js';
+
+const PASSWORD = 'correct horse battery staple';
+const DECOY_PASSWORD = 'tr0ub4dor&3';
+const payload = { fileName: 'plans.txt', data: new TextEncoder().encode('The real plans.') };
+const decoyPayload = { fileName: 'recipes.txt', data: new TextEncoder().encode('Grandma\'s biscuits.') };
+
+const createCarrier = (size) => {
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i % 4 === 3) ? 255 : (i * 73) & 0xFF;
+  return { width: size, height: size, data, data16: null };
+};
+
+const openSlotAsync = async (pixelData, password) => {
+  const opened = await Deniable.openAsync(pixelData, password);
+  return opened && Container.openAsync(opened.headerInfo, opened.data);
+};
+
+let carrier;
+beforeAll(async () => {
+  carrier = await Stego.hideDeniableAsync(payload, createCarrier(48), { password: PASSWORD, decoyPayload, decoyPassword: DECOY_PASSWORD });
+});
+
+test('each password opens its own slot', async () => {
+  const [real, decoy] = await Promise.all([openSlotAsync(carrier.data, PASSWORD), openSlotAsync(carrier.data, DECOY_PASSWORD)]);
+  expect(real.fileName).toBe('plans.txt');
+  expect(real.data).toEqual(payload.data);
+  expect(decoy.fileName).toBe('recipes.txt');
+  expect(decoy.data).toEqual(decoyPayload.data);
+});
+
+// Before trying the slots, extraction looks for an encrypted header at every bit depth of both layouts,
+// deriving a key for each, which takes seconds on a slow machine
+const SLOT_SEARCH_TIMEOUT = 30000;
+
+test('extracts the slot of the password it is given', async () => {
+  const extracted = await Stego.extractFromPixelsAsync(carrier.data, { password: DECOY_PASSWORD });
+  expect(extracted.fileName).toBe('recipes.txt');
+}, SLOT_SEARCH_TIMEOUT);
+
+test('finds nothing for a wrong password', async () => {
+  await expect(Deniable.openAsync(carrier.data, 'wrong')).resolves.toBeNull();
+  await expect(Stego.extractFromPixelsAsync(carrier.data, { password: 'wrong' })).rejects.toThrow('No hidden data found, or none that this password opens.');
+}, SLOT_SEARCH_TIMEOUT);
+
+test('fills an unused slot with noise that no password opens', async () => {
+  const single = await Stego.hideDeniableAsync(payload, createCarrier(48), { password: PASSWORD });
+  expect((await openSlotAsync(single.data, PASSWORD)).data).toEqual(payload.data);
+  await expect(Deniable.openAsync(single.data, DECOY_PASSWORD)).resolves.toBeNull();
+});
+
+test('finds nothing in an image that is not a deniable carrier', async () => {
+  await expect(Deniable.openAsync(createCarrier(48).data, PASSWORD)).resolves.toBeNull();
+});
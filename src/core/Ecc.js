@@ -0,0 +1,154 @@
+import Container from './Container.js';
+import ReedSolomon from './ReedSolomon.js';
+
+/**
+ * Optional error correction around a whole container, for carriers whose bits can be damaged in place
+ * (LSB pixels, JPEG coefficients). The container itself is unchanged; the carrier stores:
+ *
+ *   preamble x3 | Reed-Solomon codewords of the container, interleaved byte by byte
+ *   preamble:   SR | eccVersion | encodingType | bitDepth | parityBytes | containerLength (u32 LE)
+ *
+ * The three preamble copies are merged by a bitwise majority vote, so any one of them may be damaged.
+ * The container (header included) is split evenly into shortened codewords of at most 255 bytes, each
+ * with `parityBytes` parity bytes, and interleaving spreads a burst of damage over every codeword.
+ */
+class Ecc {
+  static SIGNATURE = 'SR';
+  static VERSION = 1;
+  static PREAMBLE_SIZE = 10;
+  static PREAMBLE_COPIES = 3;
+
+  // Parity bytes per codeword; each level repairs up to half as many damaged bytes per 255
+  static LEVELS = { low: 16, medium: 32, high: 64 };
+
+  /**
+   * Parity bytes for a level name; 0 when `level` is null or 'none'.
+   */
+  static getParityBytes(level) {
+    if (!level || level === 'none') return 0;
+    if (!(level in this.LEVELS)) throw new Error(`Unknown error correction level: ${level}.`);
+    return this.LEVELS[level];
+  }
+
+  /**
+   * Wraps a container for storage. `encodingType` and `bitDepth` repeat the container's own so readers can
+   * recognize the preamble the same way they recognize a plain header.
+   * @returns {Uint8Array}
+   */
+  static encode(container, { parityBytes, encodingType, bitDepth }) {
+    const preamble = new Uint8Array(this.PREAMBLE_SIZE);
+    preamble.set([this.SIGNATURE.charCodeAt(0), this.SIGNATURE.charCodeAt(1), this.VERSION, encodingType, bitDepth, parityBytes]);
+    new DataView(preamble.buffer).setUint32(6, container.length, true);
+
+    const codewords = [];
+    let offset = 0;
+    for (const dataSize of this._getBlockSizes(container.length, parityBytes)) {
+      const data = container.subarray(offset, offset + dataSize);
+      const codeword = new Uint8Array(dataSize + parityBytes);
+      codeword.set(data);
+      codeword.set(ReedSolomon.encode(data, parityBytes), dataSize);
+      codewords.push(codeword);
+      offset += dataSize;
+    }
+
+    const stream = new Uint8Array(this.streamSize(container.length, parityBytes));
+    for (let copy = 0; copy < this.PREAMBLE_COPIES; copy++) stream.set(preamble, copy * this.PREAMBLE_SIZE);
+    let position = this.PREAMBLE_SIZE * this.PREAMBLE_COPIES;
+    this._interleave(codewords, (codeword, index) => { stream[position++] = codeword[index]; });
+    return stream;
+  }
+
+  /**
+   * Reads and votes the preamble. `readFunc(offset, len)` reads the carrier's byte stream.
+   * @returns {{encodingType: number, bitDepth: number, parityBytes: number, containerLength: number}|null}
+   *   null when there is no valid preamble.
+   */
+  static readPreamble(readFunc) {
+    const copies = readFunc(0, this.PREAMBLE_SIZE * this.PREAMBLE_COPIES);
+    const preamble = new Uint8Array(this.PREAMBLE_SIZE);
+    for (let i = 0; i < this.PREAMBLE_SIZE; i++) {
+      const [a, b, c] = [copies[i], copies[i + this.PREAMBLE_SIZE], copies[i + this.PREAMBLE_SIZE * 2]];
+      preamble[i] = (a & b) | (a & c) | (b & c);
+    }
+
+    const parityBytes = preamble[5];
+    const containerLength = new DataView(preamble.buffer).getUint32(6, true);
+    if (String.fromCharCode(preamble[0], preamble[1]) !== this.SIGNATURE || preamble[2] !== this.VERSION
+      || parityBytes < 2 || parityBytes > 128 || parityBytes % 2 !== 0 || containerLength < Container.PREFIX_SIZE) {
+      return null;
+    }
+    return { encodingType: preamble[3], bitDepth: preamble[4], parityBytes, containerLength };
+  }
+
+  /**
+   * Repairs and parses the container described by `preamble`.
+   * @returns {{headerInfo: object, data: Uint8Array}} `headerInfo.ecc` holds `{ parityBytes, correctedBytes }`.
+   */
+  static decode(readFunc, preamble) {
+    const { parityBytes, containerLength, encodingType } = preamble;
+    const preambleTotal = this.PREAMBLE_SIZE * this.PREAMBLE_COPIES;
+    const body = readFunc(preambleTotal, this.streamSize(containerLength, parityBytes) - preambleTotal);
+
+    const codewords = this._getBlockSizes(containerLength, parityBytes).map((dataSize) => new Uint8Array(dataSize + parityBytes));
+    let position = 0;
+    this._interleave(codewords, (codeword, index) => { codeword[index] = body[position++]; });
+
+    const container = new Uint8Array(containerLength);
+    let correctedBytes = 0;
+    let offset = 0;
+    for (const codeword of codewords) {
+      try {
+        correctedBytes += ReedSolomon.decode(codeword, parityBytes);
+      } catch (e) {
+        throw new Error('The hidden data is too damaged to repair, even with error correction.');
+      }
+      container.set(codeword.subarray(0, codeword.length - parityBytes), offset);
+      offset += codeword.length - parityBytes;
+    }
+
+    const { headerInfo, data } = Container.parse(container, encodingType);
+    return { headerInfo: { ...headerInfo, ecc: { parityBytes, correctedBytes } }, data };
+  }
+
+  /**
+   * Carrier bytes needed to store a container of `containerLength` bytes.
+   */
+  static streamSize(containerLength, parityBytes) {
+    return this.PREAMBLE_SIZE * this.PREAMBLE_COPIES + containerLength + this._getBlockCount(containerLength, parityBytes) * parityBytes;
+  }
+
+  /**
+   * Largest container that fits in `capacity` carrier bytes.
+   */
+  static maxContainerSize(capacity, parityBytes) {
+    const available = capacity - this.PREAMBLE_SIZE * this.PREAMBLE_COPIES;
+    if (available <= parityBytes) return 0;
+    const fullBlocks = Math.floor(available / ReedSolomon.MAX_CODEWORD_SIZE);
+    const rest = available - fullBlocks * ReedSolomon.MAX_CODEWORD_SIZE;
+    return fullBlocks * (ReedSolomon.MAX_CODEWORD_SIZE - parityBytes) + Math.max(0, rest - parityBytes);
+  }
+
+  static _getBlockCount(containerLength, parityBytes) {
+    return Math.ceil(containerLength / (ReedSolomon.MAX_CODEWORD_SIZE - parityBytes));
+  }
+
+  // Data bytes per codeword, longest first, differing by at most one
+  static _getBlockSizes(containerLength, parityBytes) {
+    const blockCount = this._getBlockCount(containerLength, parityBytes);
+    const baseSize = Math.floor(containerLength / blockCount);
+    const longer = containerLength % blockCount;
+    return Array.from({ length: blockCount }, (_, i) => baseSize + (i < longer ? 1 : 0));
+  }
+
+  // Visits the codeword bytes in stream order: byte 0 of every codeword, then byte 1, and so on
+  static _interleave(codewords, visit) {
+    const maxLength = codewords[0].length;
+    for (let index = 0; index < maxLength; index++) {
+      for (const codeword of codewords) {
+        if (index < codeword.length) visit(codeword, index);
+      }
+    }
+  }
+}
+
+export default Ecc;
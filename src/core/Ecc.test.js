@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import Container from './Container.js';
+import Ecc from './Ecc.js';
+import ReedSolomon from './ReedSolomon.js';
+
+const PARITY_BYTES = Ecc.LEVELS.low;
+const options = { parityBytes: PARITY_BYTES, encodingType: Container.ENCODING_TYPE_LSB, bitDepth: 1 };
+// Incompressible, so the container spans several codewords
+const payload = { fileName: 'noise.bin', data: Uint8Array.from({ length: 600 }, (_, i) => (i * i * 31 + i * 7) % 251) };
+
+const reader = (stream) => (offset, len) => stream.slice(offset, offset + len);
+const buildContainer = () => Container.buildAsync(payload, {}, { encodingType: Container.ENCODING_TYPE_LSB, bitDepth: 1 });
+const openAsync = ({ headerInfo, data }) => Container.openAsync(headerInfo, data);
+
+test('round-trips a container', async () => {
+  const container = await buildContainer();
+  const stream = Ecc.encode(container, options);
+  expect(stream.length).toBe(Ecc.streamSize(container.length, PARITY_BYTES));
+
+  const preamble = Ecc.readPreamble(reader(stream));
+  expect(preamble).toMatchObject({ parityBytes: PARITY_BYTES, encodingType: Container.ENCODING_TYPE_LSB, bitDepth: 1 });
+  const decoded = Ecc.decode(reader(stream), preamble);
+  expect(decoded.headerInfo.ecc).toEqual({ parityBytes: PARITY_BYTES, correctedBytes: 0 });
+  expect((await openAsync(decoded)).data).toEqual(payload.data);
+});
+
+test('repairs a burst of damage spread over the codewords', async () => {
+  const container = await buildContainer();
+  const stream = Ecc.encode(container, options);
+  // Interleaving puts consecutive stream bytes in different codewords, so this burst costs each codeword at most parityBytes / 2
+  const blockCount = Math.ceil(container.length / (ReedSolomon.MAX_CODEWORD_SIZE - PARITY_BYTES));
+  expect(blockCount).toBeGreaterThan(1);
+  const burstStart = Ecc.PREAMBLE_SIZE * Ecc.PREAMBLE_COPIES + 50;
+  const burstLength = blockCount * (PARITY_BYTES / 2);
+  for (let i = burstStart; i < burstStart + burstLength; i++) stream[i] ^= 0xA5;
+
+  const decoded = Ecc.decode(reader(stream), Ecc.readPreamble(reader(stream)));
+  expect(decoded.headerInfo.ecc.correctedBytes).toBe(burstLength);
+  expect((await openAsync(decoded)).data).toEqual(payload.data);
+});
+
+test('reports damage beyond what the parity can repair', async () => {
+  const stream = Ecc.encode(await buildContainer(), options);
+  for (let i = Ecc.PREAMBLE_SIZE * Ecc.PREAMBLE_COPIES; i < stream.length; i += 3) stream[i] ^= 0xFF;
+  expect(() => Ecc.decode(reader(stream), Ecc.readPreamble(reader(stream))))
+    .toThrow('The hidden data is too damaged to repair, even with error correction.');
+});
+
+test('votes a damaged preamble copy down', async () => {
+  const container = await buildContainer();
+  const stream = Ecc.encode(container, options);
+  stream.fill(0xFF, 0, Ecc.PREAMBLE_SIZE);
+  const preamble = Ecc.readPreamble(reader(stream));
+  expect(preamble).toEqual({ encodingType: Container.ENCODING_TYPE_LSB, bitDepth: 1, parityBytes: PARITY_BYTES, containerLength: container.length });
+  expect((await openAsync(Ecc.decode(reader(stream), preamble))).data).toEqual(payload.data);
+});
+
+test('votes damage spread over every preamble copy down', async () => {
+  const container = await buildContainer();
+  const stream = Ecc.encode(container, options);
+  // No byte is damaged in two copies
+  for (let i = 0; i < Ecc.PREAMBLE_SIZE; i++) stream[(i % Ecc.PREAMBLE_COPIES) * Ecc.PREAMBLE_SIZE + i] ^= 0xFF;
+  expect(Ecc.readPreamble(reader(stream))).toMatchObject({ parityBytes: PARITY_BYTES, containerLength: container.length });
+});
+
+test('finds no preamble when two copies are damaged', async () => {
+  const stream = Ecc.encode(await buildContainer(), options);
+  stream.fill(0, 0, Ecc.PREAMBLE_SIZE * 2);
+  expect(Ecc.readPreamble(reader(stream))).toBeNull();
+});
@@ -0,0 +1,117 @@
+import Cipher from './Cipher.js';
+import Container from './Container.js';
+import Sha256 from './Sha256.js';
+import { PngEncoder, COLOR_TYPE_RGB } from './PngCodec.js';
+
+/**
+ * New square images whose RGB samples are the container bytes themselves. High capacity, not subtle.
+ * The payload is streamed: hashed in a first pass, then encrypted chunk by chunk and written straight
+ * into a streaming PNG encoder, so memory use does not grow with the payload size.
+ */
+class GeneratedImage {
+  static BYTES_PER_PIXEL = 3; // RGB
+  static ROW_BATCH_BYTES = 256 * 1024;
+  static HASH_SLICE_SIZE = 4 * Cipher.CHUNK_SIZE;
+
+  /**
+   * @param {{fileName: string, size: number, read: function(number, number): Promise<Uint8Array>, isArchive?: boolean, contentType?: number}} source
+   *   The payload, read in slices by `read(offset, length)`. fromBytes() wraps a Uint8Array.
+   * @param {{password?: string|null, recipients?: string[]|null, signingKey?: string|null, onProgress?: function(number)|null}} options
+   * @returns {Promise<Blob>} The PNG.
+   */
+  static async createAsync(source, { password = null, recipients = null, signingKey = null, onProgress = null } = {}) {
+    // Pass 1: hash the original data
+    const hash = new Sha256();
+    for (let offset = 0; offset < source.size; offset += this.HASH_SLICE_SIZE) {
+      hash.update(await source.read(offset, this.HASH_SLICE_SIZE));
+      onProgress?.(Math.round(Math.min(1, (offset + this.HASH_SLICE_SIZE) / source.size) * 40));
+    }
+
+    const sealingKey = await Cipher.createKeyAsync({ password: password || null, recipients });
+    const kdf = sealingKey?.kdf || null;
+    const fileSize = kdf ? Cipher.chunkedCiphertextSize(source.size) : source.size;
+    const headerFields = {
+      fileSize, fileName: source.fileName, sha256Hash: hash.digest(), kdf, chunkSize: kdf ? Cipher.CHUNK_SIZE : 0,
+      encodingType: Container.ENCODING_TYPE_GENERATED, isCompressed: false, isArchive: Boolean(source.isArchive), bitDepth: 0,
+      contentType: source.contentType,
+    };
+    const header = await Container.signHeaderAsync(Container.createHeader(headerFields), signingKey);
+
+    const writer = this._createWriter(this.getSize(header.length + fileSize));
+    writer.write(header);
+
+    // Pass 2: encrypt and emit pixel rows chunk by chunk
+    const key = sealingKey?.key || null;
+    const baseIv = key ? crypto.getRandomValues(new Uint8Array(Cipher.GCM_IV_SIZE)) : null;
+    const additionalData = key ? await Container.getAdditionalDataAsync(headerFields, signingKey) : null;
+    if (baseIv) writer.write(baseIv);
+
+    const chunkCount = Math.max(1, Math.ceil(source.size / Cipher.CHUNK_SIZE));
+    for (let index = 0; index < chunkCount; index++) {
+      const chunk = await source.read(index * Cipher.CHUNK_SIZE, Cipher.CHUNK_SIZE);
+      writer.write(key ? await Cipher.encryptChunk(chunk, key, baseIv, index, index === chunkCount - 1, additionalData) : chunk);
+      onProgress?.(40 + Math.round(((index + 1) / chunkCount) * 55));
+    }
+
+    const blob = writer.finish();
+    onProgress?.(100);
+    return blob;
+  }
+
+  /**
+   * A createAsync() source over bytes already in memory.
+   */
+  static fromBytes(data, fileName, isArchive = false, contentType = Container.CONTENT_TYPE_FILE) {
+    return { fileName, isArchive, contentType, size: data.length, read: async (offset, length) => data.subarray(offset, offset + length) };
+  }
+
+  /**
+   * Side length of the square image that holds `containerSize` bytes.
+   */
+  static getSize(containerSize) {
+    return Math.ceil(Math.sqrt(Math.ceil(containerSize / this.BYTES_PER_PIXEL)));
+  }
+
+  /**
+   * Buffers the byte stream into RGB rows and feeds them to a PngEncoder.
+   * Pixels past the end of the data stay white.
+   */
+  static _createWriter(imageSize) {
+    const encoder = new PngEncoder(imageSize, imageSize, { colorType: COLOR_TYPE_RGB });
+    const rowLength = imageSize * this.BYTES_PER_PIXEL;
+    const batch = new Uint8Array(rowLength * Math.max(1, Math.floor(this.ROW_BATCH_BYTES / rowLength)));
+    let batchOffset = 0;
+    let rowsWritten = 0;
+
+    const flush = () => {
+      encoder.writeRows(batch.subarray(0, batchOffset));
+      rowsWritten += batchOffset / rowLength;
+      batchOffset = 0;
+    };
+
+    return {
+      write(bytes) {
+        let offset = 0;
+        while (offset < bytes.length) {
+          const take = Math.min(bytes.length - offset, batch.length - batchOffset);
+          batch.set(bytes.subarray(offset, offset + take), batchOffset);
+          batchOffset += take;
+          offset += take;
+          if (batchOffset === batch.length) flush();
+        }
+      },
+      finish() {
+        while (rowsWritten + batchOffset / rowLength < imageSize) {
+          const rowsLeft = imageSize - rowsWritten;
+          const fillEnd = Math.min(batch.length, rowsLeft * rowLength);
+          batch.fill(0xFF, batchOffset, fillEnd);
+          batchOffset = fillEnd;
+          flush();
+        }
+        return encoder.finish();
+      },
+    };
+  }
+}
+
+export default GeneratedImage;
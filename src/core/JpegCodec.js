@@ -0,0 +1,344 @@
+const MARKER_SOI = 0xD8;
+const MARKER_EOI = 0xD9;
+const MARKER_SOS = 0xDA;
+const MARKER_DHT = 0xC4;
+const MARKER_DRI = 0xDD;
+const MARKER_TEM = 0x01;
+const BASELINE_FRAME_MARKERS = [0xC0, 0xC1];
+const BLOCK_SIZE = 64;
+
+const isRestartMarker = (marker) => marker >= 0xD0 && marker <= 0xD7;
+const isFrameMarker = (marker) => marker >= 0xC0 && marker <= 0xCF && marker !== MARKER_DHT && marker !== 0xC8 && marker !== 0xCC;
+
+export const isJpeg = (bytes) => bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === MARKER_SOI && bytes[2] === 0xFF;
+
+/**
+ * Canonical Huffman table, usable both for decoding (minCode/maxCode/valPtr) and encoding (codeOf/lengthOf).
+ */
+const buildHuffmanTable = (counts, symbols) => {
+  const minCode = new Int32Array(17);
+  const maxCode = new Int32Array(17).fill(-1);
+  const valPtr = new Int32Array(17);
+  const codeOf = new Uint16Array(256);
+  const lengthOf = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valPtr[length] = k;
+    minCode[length] = code;
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codeOf[symbols[k]] = code;
+      lengthOf[symbols[k]] = length;
+      k++;
+      code++;
+    }
+    if (counts[length - 1]) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  return { symbols, minCode, maxCode, valPtr, codeOf, lengthOf };
+};
+
+const parseHuffmanTables = (data, dcTables, acTables) => {
+  let offset = 0;
+  while (offset < data.length) {
+    const tableClass = data[offset] >> 4;
+    const id = data[offset] & 0x0F;
+    const counts = data.subarray(offset + 1, offset + 17);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const symbols = data.slice(offset + 17, offset + 17 + total);
+    (tableClass === 0 ? dcTables : acTables)[id] = buildHuffmanTable(counts, symbols);
+    offset += 17 + total;
+  }
+};
+
+const parseFrame = (data) => {
+  const height = (data[1] << 8) | data[2];
+  const width = (data[3] << 8) | data[4];
+  if (!width || !height) throw new Error('JPEGs with a DNL height are not supported.');
+  const components = [];
+  for (let i = 0; i < data[5]; i++) {
+    const offset = 6 + i * 3;
+    components.push({ id: data[offset], h: data[offset + 1] >> 4, v: data[offset + 1] & 0x0F });
+  }
+
+  const hMax = Math.max(...components.map((component) => component.h));
+  const vMax = Math.max(...components.map((component) => component.v));
+  const mcusPerLine = Math.ceil(width / (8 * hMax));
+  const mcusPerColumn = Math.ceil(height / (8 * vMax));
+  for (const component of components) {
+    // Storage covers whole MCUs; non-interleaved scans only visit the blocks inside the component's own size
+    component.blocksPerLine = mcusPerLine * component.h;
+    component.blocksPerColumn = mcusPerColumn * component.v;
+    component.scanBlocksPerLine = Math.ceil(Math.ceil((width * component.h) / hMax) / 8);
+    component.scanBlocksPerColumn = Math.ceil(Math.ceil((height * component.v) / vMax) / 8);
+    component.coefficients = new Int16Array(component.blocksPerLine * component.blocksPerColumn * BLOCK_SIZE);
+  }
+  return { width, height, mcusPerLine, mcusPerColumn, components };
+};
+
+const parseScanHeader = (data, frame, dcTables, acTables) => {
+  const components = [];
+  for (let i = 0; i < data[0]; i++) {
+    const id = data[1 + i * 2];
+    const tables = data[2 + i * 2];
+    const component = frame.components.find((candidate) => candidate.id === id);
+    if (!component) throw new Error(`JPEG scan references unknown component ${id}.`);
+    const dcTable = dcTables[tables >> 4];
+    const acTable = acTables[tables & 0x0F];
+    if (!dcTable || !acTable) throw new Error('JPEG scan references a missing Huffman table.');
+    components.push({ component, dcTable, acTable });
+  }
+  const spectralStart = data[1 + data[0] * 2];
+  const spectralEnd = data[2 + data[0] * 2];
+  const approximation = data[3 + data[0] * 2];
+  if (spectralStart !== 0 || spectralEnd !== 63 || approximation !== 0) throw new Error('Only sequential JPEG scans are supported.');
+  return { components };
+};
+
+// Entropy-coded data runs until the first marker that is neither a stuffed 0xFF00 nor a restart marker
+const findScanEnd = (bytes, start) => {
+  for (let i = start; i < bytes.length - 1; i++) {
+    if (bytes[i] === 0xFF && bytes[i + 1] !== 0 && !isRestartMarker(bytes[i + 1])) return i;
+  }
+  return bytes.length;
+};
+
+/**
+ * Calls `visit(component, blockOffset, scanComponent)` for every block of a scan in coding order,
+ * and `restart()` at each restart interval boundary.
+ */
+const forEachScanBlock = (frame, scan, restartInterval, visit, restart) => {
+  const single = scan.components.length === 1;
+  const mcusPerLine = single ? scan.components[0].component.scanBlocksPerLine : frame.mcusPerLine;
+  const mcusPerColumn = single ? scan.components[0].component.scanBlocksPerColumn : frame.mcusPerColumn;
+  const mcuCount = mcusPerLine * mcusPerColumn;
+
+  for (let mcu = 0; mcu < mcuCount; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) restart(mcu / restartInterval - 1);
+    const mcuRow = Math.floor(mcu / mcusPerLine);
+    const mcuCol = mcu % mcusPerLine;
+    for (const scanComponent of scan.components) {
+      const { component } = scanComponent;
+      const blocksHigh = single ? 1 : component.v;
+      const blocksWide = single ? 1 : component.h;
+      for (let y = 0; y < blocksHigh; y++) {
+        for (let x = 0; x < blocksWide; x++) {
+          const blockRow = mcuRow * blocksHigh + y;
+          const blockCol = mcuCol * blocksWide + x;
+          visit(component, (blockRow * component.blocksPerLine + blockCol) * BLOCK_SIZE, scanComponent);
+        }
+      }
+    }
+  }
+};
+
+const decodeScan = (data, frame, scan, restartInterval) => {
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const readBit = () => {
+    if (bitCount === 0) {
+      bitBuffer = 0;
+      if (position < data.length) {
+        bitBuffer = data[position++];
+        if (bitBuffer === 0xFF) {
+          if (data[position] === 0) position++;
+          else throw new Error('Unexpected marker inside JPEG scan data.');
+        }
+      }
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuffer >> bitCount) & 1;
+  };
+  const receive = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+    return value;
+  };
+  const extend = (value, length) => (value < 1 << (length - 1) ? value - (1 << length) + 1 : value);
+  const decodeSymbol = (table) => {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[length]) return table.symbols[table.valPtr[length] + code - table.minCode[length]];
+    }
+    throw new Error('Invalid Huffman code in JPEG scan.');
+  };
+
+  const predictors = new Map();
+  forEachScanBlock(frame, scan, restartInterval, (component, blockOffset, { dcTable, acTable }) => {
+    const coefficients = component.coefficients;
+    const dcLength = decodeSymbol(dcTable);
+    const predictor = (predictors.get(component) || 0) + (dcLength ? extend(receive(dcLength), dcLength) : 0);
+    predictors.set(component, predictor);
+    coefficients[blockOffset] = predictor;
+
+    let k = 1;
+    while (k < BLOCK_SIZE) {
+      const symbol = decodeSymbol(acTable);
+      const run = symbol >> 4;
+      const length = symbol & 0x0F;
+      if (length === 0) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k >= BLOCK_SIZE) throw new Error('JPEG block overflows 64 coefficients.');
+      coefficients[blockOffset + k] = extend(receive(length), length);
+      k++;
+    }
+  }, () => {
+    bitCount = 0;
+    while (position < data.length - 1 && !(data[position] === 0xFF && isRestartMarker(data[position + 1]))) position++;
+    position += 2;
+    predictors.clear();
+  });
+};
+
+const encodeScan = (frame, scan, restartInterval) => {
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const writeBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bitBuffer = (bitBuffer << 1) | ((value >> i) & 1);
+      if (++bitCount === 8) {
+        output.push(bitBuffer);
+        if (bitBuffer === 0xFF) output.push(0);
+        bitBuffer = 0;
+        bitCount = 0;
+      }
+    }
+  };
+  const flush = () => {
+    if (bitCount > 0) writeBits(0xFF, 8 - bitCount);
+  };
+  const writeSymbol = (table, symbol) => {
+    if (!table.lengthOf[symbol]) throw new Error(`JPEG Huffman table has no code for symbol 0x${symbol.toString(16)}.`);
+    writeBits(table.codeOf[symbol], table.lengthOf[symbol]);
+  };
+  const category = (value) => {
+    let magnitude = Math.abs(value);
+    let length = 0;
+    while (magnitude) {
+      length++;
+      magnitude >>= 1;
+    }
+    return length;
+  };
+  const writeValue = (value, length) => writeBits(value < 0 ? value + (1 << length) - 1 : value, length);
+
+  const predictors = new Map();
+  forEachScanBlock(frame, scan, restartInterval, (component, blockOffset, { dcTable, acTable }) => {
+    const coefficients = component.coefficients;
+    const dc = coefficients[blockOffset];
+    const diff = dc - (predictors.get(component) || 0);
+    predictors.set(component, dc);
+    const dcLength = category(diff);
+    writeSymbol(dcTable, dcLength);
+    writeValue(diff, dcLength);
+
+    let run = 0;
+    for (let k = 1; k < BLOCK_SIZE; k++) {
+      const value = coefficients[blockOffset + k];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      for (; run > 15; run -= 16) writeSymbol(acTable, 0xF0);
+      const length = category(value);
+      writeSymbol(acTable, (run << 4) | length);
+      writeValue(value, length);
+      run = 0;
+    }
+    if (run > 0) writeSymbol(acTable, 0x00);
+  }, (index) => {
+    flush();
+    output.push(0xFF, 0xD0 + (index % 8));
+    predictors.clear();
+  });
+  flush();
+  return new Uint8Array(output);
+};
+
+/**
+ * Parses a baseline (sequential, Huffman-coded) JPEG down to its quantized DCT coefficients.
+ * Nothing is dequantized or inverse-transformed, so encodeJpegCoefficients rebuilds the file without loss.
+ * Each component's `coefficients` holds 64 values per block in zigzag order; index 0 is the DC term.
+ * @returns {{frame: {width: number, height: number, components: Array}, segments: Array}}
+ */
+export const decodeJpegCoefficients = (bytes) => {
+  if (!isJpeg(bytes)) throw new Error('Not a JPEG file.');
+  const segments = [{ bytes: bytes.subarray(0, 2) }];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xFF) throw new Error('Invalid JPEG marker.');
+    const markerStart = offset;
+    while (bytes[offset + 1] === 0xFF) offset++;
+    const marker = bytes[offset + 1];
+    if (marker === MARKER_EOI) {
+      // Keep EOI and anything appended after it
+      segments.push({ bytes: bytes.subarray(markerStart) });
+      break;
+    }
+    if (isRestartMarker(marker) || marker === MARKER_TEM) {
+      segments.push({ bytes: bytes.subarray(markerStart, offset + 2) });
+      offset += 2;
+      continue;
+    }
+
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    if (end > bytes.length) throw new Error('Truncated JPEG segment.');
+    const data = bytes.subarray(offset + 4, end);
+    if (isFrameMarker(marker)) {
+      if (!BASELINE_FRAME_MARKERS.includes(marker)) throw new Error('Only baseline JPEGs are supported (not progressive, lossless or arithmetic-coded).');
+      if (frame) throw new Error('JPEGs with several frames are not supported.');
+      frame = parseFrame(data);
+    } else if (marker === MARKER_DHT) {
+      parseHuffmanTables(data, dcTables, acTables);
+    } else if (marker === MARKER_DRI) {
+      restartInterval = (data[0] << 8) | data[1];
+    }
+
+    if (marker !== MARKER_SOS) {
+      segments.push({ bytes: bytes.subarray(markerStart, end) });
+      offset = end;
+      continue;
+    }
+
+    if (!frame) throw new Error('JPEG scan appears before the frame header.');
+    const scan = { ...parseScanHeader(data, frame, dcTables, acTables), restartInterval };
+    const scanEnd = findScanEnd(bytes, end);
+    decodeScan(bytes.subarray(end, scanEnd), frame, scan, restartInterval);
+    segments.push({ bytes: bytes.subarray(markerStart, end), scan });
+    offset = scanEnd;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header.');
+  return { frame, segments };
+};
+
+/**
+ * Rebuilds a JPEG from decodeJpegCoefficients output, re-encoding every scan with its original Huffman tables.
+ * Changed coefficients must keep their Huffman category (and stay non-zero) for those tables to still fit.
+ * @returns {Uint8Array}
+ */
+export const encodeJpegCoefficients = ({ frame, segments }) => {
+  const parts = segments.flatMap((segment) => (segment.scan
+    ? [segment.bytes, encodeScan(frame, segment.scan, segment.scan.restartInterval)]
+    : [segment.bytes]));
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+};
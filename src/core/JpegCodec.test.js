@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { decodeJpegCoefficients, encodeJpegCoefficients } from './JpegCodec.js';
+
+// 61x45 baseline JPEG, 4:2:0 with a restart marker every two MCUs; its size is not a whole number of MCUs
+const JPEG = new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', 'restart-420.jpg')));
+
+const coefficientsOf = ({ frame }) => frame.components.map((component) => Array.from(component.coefficients));
+
+test('the fixture uses chroma subsampling and restart intervals', () => {
+  const { frame, segments } = decodeJpegCoefficients(JPEG);
+  expect(frame.components.map(({ h, v }) => [h, v])).toEqual([[2, 2], [1, 1], [1, 1]]);
+  expect(segments.find((segment) => segment.scan).scan.restartInterval).toBe(2);
+});
+
+test('re-encoding unchanged coefficients reproduces the file', () => {
+  const decoded = decodeJpegCoefficients(JPEG);
+  const encoded = encodeJpegCoefficients(decoded);
+  expect(encoded).toEqual(JPEG);
+  expect(coefficientsOf(decodeJpegCoefficients(encoded))).toEqual(coefficientsOf(decoded));
+});
+
+test('keeps coefficients changed within their Huffman category', () => {
+  const decoded = decodeJpegCoefficients(JPEG);
+  for (const { coefficients } of decoded.frame.components) {
+    for (let i = 0; i < coefficients.length; i++) {
+      if (i % 64 !== 0 && Math.abs(coefficients[i]) >= 2) coefficients[i] ^= 1;
+    }
+  }
+  const expected = coefficientsOf(decoded);
+  expect(coefficientsOf(decodeJpegCoefficients(encodeJpegCoefficients(decoded)))).toEqual(expected);
+});
@@ -0,0 +1,124 @@
+import Container from './Container.js';
+import Ecc from './Ecc.js';
+import { decodeJpegCoefficients, encodeJpegCoefficients, isJpeg } from './JpegCodec.js';
+
+/**
+ * Containers in baseline JPEGs, JSteg style: one bit replaces the LSB of each quantized AC coefficient
+ * whose magnitude is at least 2. Such a change never turns a coefficient into 0 or ±1 and keeps its
+ * Huffman category, so the scans are re-encoded with the original tables and nothing is recompressed.
+ */
+class Jsteg {
+  /**
+   * Container bytes (header included) this JPEG can hold.
+   */
+  static capacity(jpegBytes) {
+    return Math.floor(this.getSlots(decodeJpegCoefficients(jpegBytes).frame).length / 8);
+  }
+
+  /**
+   * @returns {Uint8Array} The JPEG with `container` embedded.
+   */
+  static embed(jpegBytes, container) {
+    const jpeg = decodeJpegCoefficients(jpegBytes);
+    const slots = this.getSlots(jpeg.frame);
+    const capacity = Math.floor(slots.length / 8);
+    if (container.length > capacity) {
+      throw new Error(`File is too large for the selected JPEG. Required: ${container.length} bytes, Available: ${capacity} bytes.`);
+    }
+    this.writeBytes(slots, container);
+    return encodeJpegCoefficients(jpeg);
+  }
+
+  /**
+   * Reads a container embedded by embed(), repairing it first when it was stored with error correction.
+   * Returns null when the image is not a JPEG.
+   * @returns {{headerInfo: object, data: Uint8Array}|null}
+   */
+  static readContainer(imageBytes) {
+    if (!isJpeg(imageBytes)) return null;
+    const slots = this.getSlots(decodeJpegCoefficients(imageBytes).frame);
+    const readFunc = this._createReader(slots);
+
+    const preamble = slots.length >= Ecc.PREAMBLE_SIZE * Ecc.PREAMBLE_COPIES * 8 ? Ecc.readPreamble(readFunc) : null;
+    if (preamble && preamble.encodingType === Container.ENCODING_TYPE_JPEG_DCT
+      && Ecc.streamSize(preamble.containerLength, preamble.parityBytes) * 8 <= slots.length) {
+      return Ecc.decode(readFunc, preamble);
+    }
+
+    const prefix = readFunc(0, Container.PREFIX_SIZE);
+    if (!Container.hasSignature(prefix) || prefix[2] !== Container.ENCODING_TYPE_JPEG_DCT) {
+      throw new Error('Invalid signature. Not a valid carrier image.');
+    }
+    const headerInfo = Container.parseHeader(prefix, readFunc);
+    return { headerInfo, data: readFunc(headerInfo.totalHeaderSize, headerInfo.fileSize) };
+  }
+
+  /**
+   * Reads a container whose header is encrypted (see Container.sealHeaderAsync) with `password`.
+   * @returns {Promise<{headerInfo: object, data: Uint8Array}|null>} null when the image is not a JPEG or the
+   *   password opens no header in it.
+   */
+  static async readSealedContainerAsync(imageBytes, password) {
+    if (!isJpeg(imageBytes)) return null;
+    const readFunc = this._createReader(this.getSlots(decodeJpegCoefficients(imageBytes).frame));
+    const headerInfo = await Container.openSealedHeaderAsync(readFunc, await Container.deriveHeaderKeyAsync(readFunc, password));
+    if (!headerInfo || headerInfo.encodingType !== Container.ENCODING_TYPE_JPEG_DCT) return null;
+    return { headerInfo, data: readFunc(headerInfo.totalHeaderSize, headerInfo.fileSize) };
+  }
+
+  /**
+   * Lists the JSteg-usable coefficients (AC terms with |v| >= 2) of every component, in storage order.
+   * Embedding never changes which coefficients qualify, so the reader finds the same list.
+   */
+  static getSlots(frame) {
+    let count = 0;
+    for (const { coefficients } of frame.components) {
+      for (let i = 0; i < coefficients.length; i++) {
+        if (i % 64 !== 0 && (coefficients[i] >= 2 || coefficients[i] <= -2)) count++;
+      }
+    }
+
+    const component = new Uint8Array(count);
+    const offset = new Uint32Array(count);
+    let slot = 0;
+    for (const [index, { coefficients }] of frame.components.entries()) {
+      for (let i = 0; i < coefficients.length; i++) {
+        if (i % 64 !== 0 && (coefficients[i] >= 2 || coefficients[i] <= -2)) {
+          component[slot] = index;
+          offset[slot++] = i;
+        }
+      }
+    }
+    return { arrays: frame.components.map((c) => c.coefficients), component, offset, length: count };
+  }
+
+  static writeBytes(slots, bytes) {
+    for (let bitIndex = 0; bitIndex < bytes.length * 8; bitIndex++) {
+      const bit = (bytes[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1;
+      const coefficients = slots.arrays[slots.component[bitIndex]];
+      const value = coefficients[slots.offset[bitIndex]];
+      const magnitude = (Math.abs(value) & ~1) | bit;
+      coefficients[slots.offset[bitIndex]] = value < 0 ? -magnitude : magnitude;
+    }
+  }
+
+  static readBytes(slots, startOffset, length) {
+    const bytes = new Uint8Array(length);
+    const startBit = startOffset * 8;
+    for (let i = 0; i < length * 8; i++) {
+      const slot = startBit + i;
+      const bit = Math.abs(slots.arrays[slots.component[slot]][slots.offset[slot]]) & 1;
+      bytes[i >> 3] |= bit << (7 - (i & 7));
+    }
+    return bytes;
+  }
+
+  static _createReader(slots) {
+    return (offset, len) => {
+      if ((offset + len) * 8 > slots.length) throw new Error('Invalid signature. Not a valid carrier image.');
+      return this.readBytes(slots, offset, len);
+    };
+  }
+}
+
+export default Jsteg;
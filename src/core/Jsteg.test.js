@@ -0,0 +1,43 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { decodeJpegCoefficients } from './JpegCodec.js';
+import Jsteg from './Jsteg.js';
+import Stego from './Stego.js';
+
+const JPEG = new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', 'restart-420.jpg')));
+const payload = { fileName: 'a.txt', data: new TextEncoder().encode('JSteg') };
+
+test('round-trips an encrypted payload', async () => {
+  const carrier = await Stego.hideInJpegAsync(payload, JPEG, { password: 'pw' });
+  const extracted = await Stego.extractAsync(carrier, { password: 'pw' });
+  expect(extracted.fileName).toBe('a.txt');
+  expect(extracted.data).toEqual(payload.data);
+});
+
+test('changes only the LSBs of AC coefficients of magnitude 2 or more', async () => {
+  const carrier = await Stego.hideInJpegAsync(payload, JPEG);
+  const before = decodeJpegCoefficients(JPEG).frame.components;
+  const after = decodeJpegCoefficients(carrier).frame.components;
+  let changed = 0;
+  before.forEach(({ coefficients }, index) => {
+    coefficients.forEach((value, i) => {
+      const embedded = after[index].coefficients[i];
+      if (embedded === value) return;
+      changed++;
+      expect(i % 64).not.toBe(0);
+      expect(Math.abs(value)).toBeGreaterThanOrEqual(2);
+      expect(Math.sign(embedded)).toBe(Math.sign(value));
+      expect(Math.abs(embedded) >> 1).toBe(Math.abs(value) >> 1);
+    });
+  });
+  expect(changed).toBeGreaterThan(0);
+  expect(Jsteg.readContainer(carrier).headerInfo.fileSize).toBeGreaterThan(0);
+});
+
+test('rejects a container larger than the capacity', () => {
+  const capacity = Jsteg.capacity(JPEG);
+  expect(() => Jsteg.embed(JPEG, new Uint8Array(capacity + 1))).toThrow('File is too large for the selected JPEG.');
+});
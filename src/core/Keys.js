@@ -0,0 +1,159 @@
+/**
+ * ECDH P-256 key pairs for recipient encryption, as short text that can be pasted into chats and files:
+ *
+ *   public:  socpub1.<base64url of the uncompressed point (65 bytes)>
+ *   private: socpriv1.<base64url of the PKCS#8 key>
+ *
+ * The same pair receives files (ECDH) and signs them (ECDSA with SHA-256); the signing functions are in Signature.
+ * A key is identified by its key id, the first 8 bytes of the SHA-256 of the public point. Key files (as written by
+ * the CLI's keygen and the web app's backup download) hold the private key on its own line after "#" comments.
+ */
+class Keys {
+  static PUBLIC_PREFIX = 'socpub1.';
+  static PRIVATE_PREFIX = 'socpriv1.';
+  static ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+  static SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+  static PUBLIC_KEY_SIZE = 65;
+  static KEY_ID_SIZE = 8;
+
+  /**
+   * @returns {Promise<{publicKey: string, privateKey: string}>}
+   */
+  static async generateAsync() {
+    const pair = await crypto.subtle.generateKey(this.ALGORITHM, true, ['deriveBits']);
+    const publicBytes = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+    const privateBytes = new Uint8Array(await crypto.subtle.exportKey('pkcs8', pair.privateKey));
+    return { publicKey: this.PUBLIC_PREFIX + this._toBase64Url(publicBytes), privateKey: this.PRIVATE_PREFIX + this._toBase64Url(privateBytes) };
+  }
+
+  /**
+   * The raw public point of a public key text.
+   * @returns {Uint8Array}
+   */
+  static parsePublicKey(text) {
+    const bytes = this._parse(text, this.PUBLIC_PREFIX, 'public');
+    if (bytes.length !== this.PUBLIC_KEY_SIZE || bytes[0] !== 4) throw new Error('Invalid public key.');
+    return bytes;
+  }
+
+  static async importPublicKeyAsync(textOrBytes) {
+    const bytes = typeof textOrBytes === 'string' ? this.parsePublicKey(textOrBytes) : textOrBytes;
+    try {
+      return await crypto.subtle.importKey('raw', bytes, this.ALGORITHM, true, []);
+    } catch (e) {
+      throw new Error('Invalid public key.');
+    }
+  }
+
+  static async importPrivateKeyAsync(text) {
+    try {
+      return await crypto.subtle.importKey('pkcs8', this._parse(text, this.PRIVATE_PREFIX, 'private'), this.ALGORITHM, true, ['deriveBits']);
+    } catch (e) {
+      throw new Error('Invalid private key.');
+    }
+  }
+
+  static async importSigningKeyAsync(text) {
+    try {
+      return await crypto.subtle.importKey('pkcs8', this._parse(text, this.PRIVATE_PREFIX, 'private'), this.SIGNING_ALGORITHM, false, ['sign']);
+    } catch (e) {
+      throw new Error('Invalid private key.');
+    }
+  }
+
+  static async importVerifyingKeyAsync(bytes) {
+    return crypto.subtle.importKey('raw', bytes, this.SIGNING_ALGORITHM, false, ['verify']);
+  }
+
+  static toPublicKeyText(bytes) {
+    return this.PUBLIC_PREFIX + this._toBase64Url(bytes);
+  }
+
+  /**
+   * The public key text that belongs to a private key text.
+   */
+  static async getPublicKeyAsync(privateKeyText) {
+    const jwk = await crypto.subtle.exportKey('jwk', await this.importPrivateKeyAsync(privateKeyText));
+    const point = new Uint8Array(this.PUBLIC_KEY_SIZE);
+    point[0] = 4;
+    point.set(this._fromBase64Url(jwk.x), 1);
+    point.set(this._fromBase64Url(jwk.y), 33);
+    return this.PUBLIC_PREFIX + this._toBase64Url(point);
+  }
+
+  /**
+   * @param {string|Uint8Array} textOrBytes - A public key text or its raw point.
+   * @returns {Promise<Uint8Array>}
+   */
+  static async getKeyIdAsync(textOrBytes) {
+    const bytes = typeof textOrBytes === 'string' ? this.parsePublicKey(textOrBytes) : textOrBytes;
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)).slice(0, this.KEY_ID_SIZE);
+  }
+
+  /**
+   * The key id as hex in groups of four, for people to compare.
+   */
+  static formatKeyId(keyId) {
+    const hex = Array.from(keyId, (b) => b.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+  }
+
+  /**
+   * A key file for a private key, with its key id and public key as comments.
+   */
+  static async createKeyFileAsync(privateKeyText) {
+    const publicKey = await this.getPublicKeyAsync(privateKeyText);
+    const keyId = this.formatKeyId(await this.getKeyIdAsync(publicKey));
+    return `# created: ${new Date().toISOString()}\n# key id: ${keyId}\n# public key: ${publicKey}\n${privateKeyText}\n`;
+  }
+
+  /**
+   * The keys in a key or recipients file: one per line, skipping blank lines and "#" comments. Any other line,
+   * and any key that does not decode, is an error naming the line.
+   * @returns {{publicKeys: string[], privateKeys: string[]}}
+   */
+  static parseKeyFile(text) {
+    const keys = { publicKeys: [], privateKeys: [] };
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      try {
+        if (line.startsWith(this.PUBLIC_PREFIX)) {
+          this.parsePublicKey(line);
+          keys.publicKeys.push(line);
+        } else if (line.startsWith(this.PRIVATE_PREFIX)) {
+          this._parse(line, this.PRIVATE_PREFIX, 'private');
+          keys.privateKeys.push(line);
+        } else {
+          throw new Error(`Not a key; keys start with "${this.PUBLIC_PREFIX}" or "${this.PRIVATE_PREFIX}".`);
+        }
+      } catch (e) {
+        throw new Error(`Line ${index + 1}: ${e.message}`);
+      }
+    });
+    return keys;
+  }
+
+  static _parse(text, prefix, kind) {
+    const trimmed = String(text).trim();
+    if (!trimmed.startsWith(prefix)) throw new Error(`Invalid ${kind} key: it should start with "${prefix}".`);
+    try {
+      return this._fromBase64Url(trimmed.slice(prefix.length));
+    } catch (e) {
+      throw new Error(`Invalid ${kind} key.`);
+    }
+  }
+
+  static _toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static _fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  }
+}
+
+export default Keys;
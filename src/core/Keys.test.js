@@ -0,0 +1,44 @@
+/**
+ * @jest-environment node
+ */
+import Keys from './Keys.js';
+
+describe('parsePublicKey', () => {
+  test('returns the uncompressed P-256 point', async () => {
+    const { publicKey } = await Keys.generateAsync();
+    const bytes = Keys.parsePublicKey(publicKey);
+    expect(bytes).toHaveLength(Keys.PUBLIC_KEY_SIZE);
+    expect(bytes[0]).toBe(4);
+  });
+
+  test('rejects malformed keys', async () => {
+    const { publicKey, privateKey } = await Keys.generateAsync();
+    expect(() => Keys.parsePublicKey(privateKey)).toThrow(`it should start with "${Keys.PUBLIC_PREFIX}"`);
+    expect(() => Keys.parsePublicKey(`${Keys.PUBLIC_PREFIX}not*base64`)).toThrow('Invalid public key.');
+    expect(() => Keys.parsePublicKey(publicKey.slice(0, -4))).toThrow('Invalid public key.');
+    // A compressed point is the wrong length and starts with 2 or 3
+    const compressed = Keys.parsePublicKey(publicKey).slice(0, 33);
+    compressed[0] = 2;
+    expect(() => Keys.parsePublicKey(Keys.PUBLIC_PREFIX + Buffer.from(compressed).toString('base64url'))).toThrow('Invalid public key.');
+  });
+});
+
+describe('parseKeyFile', () => {
+  test('reads the private key of a key file and skips its comments', async () => {
+    const { privateKey } = await Keys.generateAsync();
+    expect(Keys.parseKeyFile(await Keys.createKeyFileAsync(privateKey))).toEqual({ publicKeys: [], privateKeys: [privateKey] });
+  });
+
+  test('reads a recipients file with blank lines and Windows line endings', async () => {
+    const [alice, bob] = await Promise.all([Keys.generateAsync(), Keys.generateAsync()]);
+    const text = `# team\r\n${alice.publicKey}\r\n\r\n  ${bob.publicKey}  \r\n`;
+    expect(Keys.parseKeyFile(text).publicKeys).toEqual([alice.publicKey, bob.publicKey]);
+  });
+
+  test('rejects lines that are not keys and keys that do not decode', async () => {
+    const { publicKey } = await Keys.generateAsync();
+    expect(() => Keys.parseKeyFile(`${publicKey}\nhello`)).toThrow('Line 2: Not a key');
+    expect(() => Keys.parseKeyFile(`# ok\n${publicKey.slice(0, -4)}`)).toThrow('Line 2: Invalid public key.');
+    expect(() => Keys.parseKeyFile(`${Keys.PRIVATE_PREFIX}!!`)).toThrow('Line 1: Invalid private key.');
+  });
+});
@@ -0,0 +1,445 @@
+import Container from './Container.js';
+import Ecc from './Ecc.js';
+
+/**
+ * Containers stored in RGBA pixel buffers (Uint8Array, 4 samples per pixel, as decodePng or ImageData return them).
+ * Data channels are numbered over R, G and B only; alpha is only touched by extended carriers (see embedExtended).
+ * - Generated images hold the container bytes whole, three per pixel.
+ * - LSB carriers hold one continuous bit stream, `bitDepth` bits per channel, MSB first.
+ * - Scattered LSB visits the channels in a permutation seeded from a key (the password or a separate stego key).
+ * - Either LSB layout may hold an error-corrected stream (see Ecc) instead of the bare container.
+ */
+class Lsb {
+  static SCATTER_SALT = 'ShadeOfColor:scatter';
+  static SCATTER_KDF_ITERATIONS = 100000;
+  static ALPHA_MAX_BITS = 2;
+
+  /**
+   * Container bytes an LSB carrier of this size holds at `bitDepth` bits per channel.
+   */
+  static capacity(width, height, bitDepth) {
+    return Math.floor((width * height * 3 * bitDepth) / 8);
+  }
+
+  /**
+   * Bytes an extended carrier holds beyond `capacity`: `alpha` adds the alpha LSBs of partly transparent pixels and
+   * `lowBytes` the low byte of every colour sample of a 16-bit image (`data16`).
+   */
+  static extraCapacity(pixelData, data16, bitDepth, { alpha = false, lowBytes = false } = {}) {
+    const alphaBytes = alpha ? Math.floor((this._alphaIndices(pixelData, bitDepth).length * this._alphaBits(bitDepth)) / 8) : 0;
+    return alphaBytes + (lowBytes && data16 ? (pixelData.length / 4) * 3 : 0);
+  }
+
+  /**
+   * Writes `container` sequentially into the colour LSBs, then runs on into the alpha LSBs of partly transparent pixels
+   * and the low bytes of 16-bit samples, as `extra` allows (the header must set the matching flags).
+   * @returns {{data: Uint8Array, data16: Uint16Array|null}} Copies of the buffers with the container embedded.
+   */
+  static embedExtended(pixelData, data16, container, bitDepth, { alpha = false, lowBytes = false } = {}) {
+    const data = new Uint8Array(pixelData);
+    const samples16 = data16 && lowBytes ? new Uint16Array(data16) : data16;
+    const regions = this._extendedRegions(pixelData, data16, bitDepth, { alpha, lowBytes });
+    let offset = 0;
+    for (const region of regions) {
+      const bytes = container.subarray(offset, offset + region.size);
+      if (region.type === 'rgb') this.writeBits(data, bytes, bitDepth);
+      if (region.type === 'alpha') this._writeSamples(data, region.indices, bytes, this._alphaBits(bitDepth));
+      if (region.type === 'lowBytes') {
+        for (let i = 0; i < bytes.length; i++) {
+          const index = this.channelToIndex(i);
+          samples16[index] = (samples16[index] & 0xFF00) | bytes[i];
+        }
+      }
+      offset += bytes.length;
+    }
+    return { data, data16: samples16 };
+  }
+
+  /**
+   * Reads `length` bytes from `offset` of a container written by embedExtended.
+   */
+  static readExtended(pixelData, data16, offset, length, bitDepth, { alpha = false, lowBytes = false } = {}) {
+    const bytes = new Uint8Array(length);
+    let regionStart = 0;
+    let filled = 0;
+    for (const region of this._extendedRegions(pixelData, data16, bitDepth, { alpha, lowBytes: lowBytes && Boolean(data16) })) {
+      const start = Math.max(offset + filled, regionStart) - regionStart;
+      const count = Math.min(region.size - start, length - filled);
+      if (count > 0) {
+        let part;
+        if (region.type === 'rgb') part = this.readBits(pixelData, start, count, bitDepth);
+        if (region.type === 'alpha') part = this._readSamples(pixelData, region.indices, start, count, this._alphaBits(bitDepth));
+        if (region.type === 'lowBytes') part = Uint8Array.from({ length: count }, (_, i) => data16[this.channelToIndex(start + i)] & 0xFF);
+        bytes.set(part, filled);
+        filled += count;
+      }
+      regionStart += region.size;
+    }
+    if (filled < length) {
+      if (lowBytes && !data16) throw new Error('This image keeps data in 16-bit samples; open the original 16-bit PNG.');
+      throw new Error('Container is truncated.');
+    }
+    return bytes;
+  }
+
+  /**
+   * Returns a copy of `pixelData` with `container` written into its LSBs, scattered when `scatterKey` is given.
+   */
+  static async embedAsync(pixelData, container, bitDepth, scatterKey = null) {
+    const result = new Uint8Array(pixelData);
+    const channelOrder = scatterKey
+      ? await this.createChannelOrderAsync(scatterKey, (pixelData.length / 4) * 3, Math.ceil((container.length * 8) / bitDepth))
+      : null;
+    this.writeBits(result, container, bitDepth, channelOrder);
+    return result;
+  }
+
+  /**
+   * Reads the header, falling back to the scattered layout seeded by `scatterKey` when no plain header is found,
+   * then to a header encrypted with `password` (see Container.sealHeaderAsync) in either layout.
+   * Error-corrected carriers are repaired as a whole to reach their header, so `data` then holds the container
+   * data too; it is null otherwise (see readContainerDataAsync).
+   * @returns {Promise<{headerInfo: object, scatterKey: string|null, data: Uint8Array|null}>}
+   */
+  static async locateHeaderAsync(pixelData, scatterKey = null, password = null) {
+    try {
+      return { headerInfo: this.readHeader(pixelData), scatterKey: null, data: null };
+    } catch (e) {
+      const sequential = this.readEccContainer(pixelData);
+      if (sequential) return { ...sequential, scatterKey: null };
+      if (!scatterKey && !password) throw e;
+
+      let error = e;
+      if (scatterKey) {
+        try {
+          return await this._locateScatteredAsync(pixelData, scatterKey);
+        } catch (scatterError) {
+          if (!password) throw scatterError;
+          error = scatterError;
+        }
+      }
+      const sealed = await this._locateSealedHeaderAsync(pixelData, scatterKey, password);
+      if (!sealed) throw error;
+      return sealed;
+    }
+  }
+
+  static async _locateScatteredAsync(pixelData, scatterKey) {
+    const channelCount = (pixelData.length / 4) * 3;
+    const headerOrder = await this.createChannelOrderAsync(scatterKey, channelCount, Container.MAX_HEADER_SIZE * 8);
+    const preamble = this.findEccPreamble(pixelData, headerOrder);
+    if (!preamble) return { headerInfo: this.readHeader(pixelData, headerOrder), scatterKey, data: null };
+
+    const streamBits = Ecc.streamSize(preamble.containerLength, preamble.parityBytes) * 8;
+    const channelOrder = await this.createChannelOrderAsync(scatterKey, channelCount, Math.ceil(streamBits / preamble.bitDepth));
+    return { ...this.readEccContainer(pixelData, channelOrder), scatterKey };
+  }
+
+  // Encrypted headers look like noise, so every bit depth of both layouts is tried. Each of those locations holds
+  // its own salt, so a password that opens none of them costs up to 16 key derivations.
+  static async _locateSealedHeaderAsync(pixelData, scatterKey, password) {
+    const headerBits = (Container.MAX_HEADER_SIZE + Container.SEALED_HEADER_OVERHEAD) * 8;
+    const layouts = [{ encodingType: Container.ENCODING_TYPE_LSB, channelOrder: null }];
+    if (scatterKey) {
+      const channelOrder = await this.createChannelOrderAsync(scatterKey, (pixelData.length / 4) * 3, headerBits);
+      layouts.push({ encodingType: Container.ENCODING_TYPE_LSB_SCATTERED, channelOrder });
+    }
+
+    for (const { encodingType, channelOrder } of layouts) {
+      const readFuncs = Array.from({ length: 8 }, (_, i) => (offset, len) => this.readBits(pixelData, offset, len, i + 1, channelOrder));
+      const headerKeys = await Promise.all(readFuncs.map((readFunc) => Container.deriveHeaderKeyAsync(readFunc, password)));
+      for (const [i, readFunc] of readFuncs.entries()) {
+        const headerInfo = await Container.openSealedHeaderAsync(readFunc, headerKeys[i]);
+        if (headerInfo && headerInfo.encodingType === encodingType && headerInfo.bitDepth === i + 1) {
+          return { headerInfo, scatterKey: channelOrder ? scatterKey : null, data: null };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds an error-corrected stream at any bit depth, in the sequential layout or (given its channel order) the scattered one.
+   * @returns {object|null} The preamble (see Ecc.readPreamble).
+   */
+  static findEccPreamble(pixelData, channelOrder = null) {
+    const encodingType = channelOrder ? Container.ENCODING_TYPE_LSB_SCATTERED : Container.ENCODING_TYPE_LSB;
+    const channelCount = (pixelData.length / 4) * 3;
+    for (let testBitDepth = 1; testBitDepth <= 8; testBitDepth++) {
+      const preamble = Ecc.readPreamble((offset, len) => this.readBits(pixelData, offset, len, testBitDepth, channelOrder));
+      if (preamble && preamble.encodingType === encodingType && preamble.bitDepth === testBitDepth
+        && Ecc.streamSize(preamble.containerLength, preamble.parityBytes) <= Math.floor((channelCount * testBitDepth) / 8)) {
+        return preamble;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Repairs and parses an error-corrected container. `channelOrder` must cover the whole stream for scattered carriers.
+   * @returns {{headerInfo: object, data: Uint8Array}|null} null when the pixels hold no error-corrected stream.
+   */
+  static readEccContainer(pixelData, channelOrder = null) {
+    const preamble = this.findEccPreamble(pixelData, channelOrder);
+    if (!preamble) return null;
+    return Ecc.decode((offset, len) => this.readBits(pixelData, offset, len, preamble.bitDepth, channelOrder), preamble);
+  }
+
+  /**
+   * Finds and parses a generated, LSB or (given its channel order) scattered LSB header.
+   */
+  static readHeader(pixelData, channelOrder = null) {
+    // First try direct reading (for generated images)
+    try {
+      const prefix = this.readBytesDirectly(pixelData, 0, Container.PREFIX_SIZE);
+      if (Container.hasSignature(prefix)) {
+        const encodingType = prefix[2];
+        const bitDepth = prefix[4];
+        const readFunc = (encodingType === Container.ENCODING_TYPE_LSB)
+          ? (offset, len) => this.readBits(pixelData, offset, len, bitDepth)
+          : (offset, len) => this.readBytesDirectly(pixelData, offset, len);
+        return Container.parseHeader(prefix, readFunc);
+      }
+    } catch (e) {
+      // Continue to LSB attempt
+    }
+
+    // Try LSB reading with different bit depths
+    for (let testBitDepth = 1; testBitDepth <= 8; testBitDepth++) {
+      try {
+        const prefix = this.readBits(pixelData, 0, Container.PREFIX_SIZE, testBitDepth);
+        if (Container.hasSignature(prefix) && prefix[2] === Container.ENCODING_TYPE_LSB && prefix[4] === testBitDepth) {
+          const readFunc = (offset, len) => this.readBits(pixelData, offset, len, testBitDepth);
+          return Container.parseHeader(prefix, readFunc);
+        }
+      } catch (e) {
+        // Continue trying next bit depth
+      }
+    }
+
+    // Scattered LSB headers can only be found with the key-seeded channel order
+    if (channelOrder) {
+      for (let testBitDepth = 1; testBitDepth <= 8; testBitDepth++) {
+        try {
+          const prefix = this.readBits(pixelData, 0, Container.PREFIX_SIZE, testBitDepth, channelOrder);
+          if (Container.hasSignature(prefix) && prefix[2] === Container.ENCODING_TYPE_LSB_SCATTERED && prefix[4] === testBitDepth) {
+            const readFunc = (offset, len) => this.readBits(pixelData, offset, len, testBitDepth, channelOrder);
+            return Container.parseHeader(prefix, readFunc);
+          }
+        } catch (e) {
+          // Continue trying next bit depth
+        }
+      }
+    }
+
+    throw new Error('Invalid signature. Not a valid carrier image.');
+  }
+
+  /**
+   * Reads the (possibly encrypted) payload bytes that follow a header found by locateHeaderAsync, when it did not return them.
+   */
+  static async readContainerDataAsync(pixelData, headerInfo, scatterKey = null, data16 = null) {
+    if (headerInfo.encodingType === Container.ENCODING_TYPE_LSB && (headerInfo.usesAlpha || headerInfo.usesLowBytes)) {
+      const extra = { alpha: headerInfo.usesAlpha, lowBytes: headerInfo.usesLowBytes };
+      return this.readExtended(pixelData, data16, headerInfo.totalHeaderSize, headerInfo.fileSize, headerInfo.bitDepth, extra);
+    }
+    if (headerInfo.encodingType === Container.ENCODING_TYPE_LSB) {
+      return this.readBits(pixelData, headerInfo.totalHeaderSize, headerInfo.fileSize, headerInfo.bitDepth);
+    }
+    if (headerInfo.encodingType === Container.ENCODING_TYPE_LSB_SCATTERED) {
+      const endBit = (headerInfo.totalHeaderSize + headerInfo.fileSize) * 8;
+      const channelOrder = await this.createChannelOrderAsync(scatterKey, (pixelData.length / 4) * 3, Math.ceil(endBit / headerInfo.bitDepth));
+      return this.readBits(pixelData, headerInfo.totalHeaderSize, headerInfo.fileSize, headerInfo.bitDepth, channelOrder);
+    }
+    return this.readBytesDirectly(pixelData, headerInfo.totalHeaderSize, headerInfo.fileSize);
+  }
+
+  static readBytesDirectly(pixelData, startOffset, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      const dataBytePosition = startOffset + i;
+      const pixel = Math.floor(dataBytePosition / 3);
+      const channel = dataBytePosition % 3;
+      bytes[i] = pixelData[pixel * 4 + channel];
+    }
+    return bytes;
+  }
+
+  // The byte ranges of an extended carrier, in stream order
+  static _extendedRegions(pixelData, data16, bitDepth, { alpha, lowBytes }) {
+    const regions = [{ type: 'rgb', size: this.capacity(pixelData.length / 4, 1, bitDepth) }];
+    if (alpha) {
+      const indices = this._alphaIndices(pixelData, bitDepth);
+      regions.push({ type: 'alpha', indices, size: Math.floor((indices.length * this._alphaBits(bitDepth)) / 8) });
+    }
+    if (lowBytes && data16) regions.push({ type: 'lowBytes', size: (pixelData.length / 4) * 3 });
+    return regions;
+  }
+
+  static _alphaBits(bitDepth) {
+    return Math.min(bitDepth, this.ALPHA_MAX_BITS);
+  }
+
+  // Alpha samples that already vary: their bits above the data bits are neither all set nor all clear. Opaque and
+  // fully transparent areas keep their constant alpha, where any change would stand out, and the samples picked
+  // are the same after embedding, since only the data bits change
+  static _alphaIndices(pixelData, bitDepth) {
+    const bits = this._alphaBits(bitDepth);
+    const opaque = 0xFF >> bits;
+    const indices = [];
+    for (let i = 3; i < pixelData.length; i += 4) {
+      const high = pixelData[i] >> bits;
+      if (high !== 0 && high !== opaque) indices.push(i);
+    }
+    return Uint32Array.from(indices);
+  }
+
+  // writeBits and readBits over an explicit list of sample indices
+  static _writeSamples(samples, indices, bytes, bits) {
+    const mask = (1 << bits) - 1;
+    const totalBits = bytes.length * 8;
+    for (let n = 0, bitIndex = 0; bitIndex < totalBits; n++) {
+      let value = 0;
+      for (let j = 0; j < bits; j++, bitIndex++) {
+        const bit = bitIndex < totalBits
+          ? (bytes[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1
+          : (samples[indices[n]] >> (bits - 1 - j)) & 1;
+        value = (value << 1) | bit;
+      }
+      samples[indices[n]] = (samples[indices[n]] & ~mask) | value;
+    }
+  }
+
+  static _readSamples(samples, indices, startOffset, length, bits) {
+    const bytes = new Uint8Array(length);
+    const mask = (1 << bits) - 1;
+    for (let bitIndex = 0; bitIndex < length * 8; bitIndex++) {
+      const streamBit = startOffset * 8 + bitIndex;
+      const n = Math.floor(streamBit / bits);
+      const bit = ((samples[indices[n]] & mask) >> (bits - 1 - (streamBit % bits))) & 1;
+      bytes[bitIndex >> 3] |= bit << (7 - (bitIndex & 7));
+    }
+    return bytes;
+  }
+
+  static channelToIndex(channel) {
+    return Math.floor(channel / 3) * 4 + (channel % 3);
+  }
+
+  /**
+   * Writes `bytes` as one continuous bit stream, `bitDepth` bits per channel, MSB first.
+   * `channelOrder` lists the channels to visit; sequential when null.
+   */
+  static writeBits(imageData, bytes, bitDepth, channelOrder = null) {
+    const totalBits = bytes.length * 8;
+    const channelCount = channelOrder ? channelOrder.length : (imageData.length / 4) * 3;
+    let dataBitIndex = 0;
+
+    for (let channel = 0; channel < channelCount && dataBitIndex < totalBits; channel++) {
+      const i = this.channelToIndex(channelOrder ? channelOrder[channel] : channel);
+      const originalChannelValue = imageData[i];
+
+      let bitsToStore = 0;
+      for (let j = 0; j < bitDepth; j++) {
+        // Past the end of the data, keep the carrier's own bits
+        const bit = dataBitIndex < totalBits
+          ? (bytes[dataBitIndex >> 3] >> (7 - (dataBitIndex & 7))) & 1
+          : (originalChannelValue >> (bitDepth - 1 - j)) & 1;
+        bitsToStore = (bitsToStore << 1) | bit;
+        dataBitIndex++;
+      }
+
+      const clearedChannelValue = originalChannelValue & (0xFF << bitDepth);
+      imageData[i] = clearedChannelValue | bitsToStore;
+    }
+  }
+
+  static readBits(pixelData, startOffset, length, bitDepth, channelOrder = null) {
+    const bytes = new Uint8Array(length);
+    const mask = (1 << bitDepth) - 1;
+    const channelCount = channelOrder ? channelOrder.length : (pixelData.length / 4) * 3;
+    const startBit = startOffset * 8;
+    let channel = Math.floor(startBit / bitDepth);
+    let skipBits = startBit % bitDepth;
+    let accumulator = 0;
+    let accumulatedBits = 0;
+    let byteIndex = 0;
+
+    while (byteIndex < length && channel < channelCount) {
+      const channelIndex = this.channelToIndex(channelOrder ? channelOrder[channel] : channel);
+      const bitCount = bitDepth - skipBits;
+      const bits = pixelData[channelIndex] & mask & ((1 << bitCount) - 1);
+      skipBits = 0;
+
+      accumulator = (accumulator << bitCount) | bits;
+      accumulatedBits += bitCount;
+      while (accumulatedBits >= 8 && byteIndex < length) {
+        accumulatedBits -= 8;
+        bytes[byteIndex++] = (accumulator >> accumulatedBits) & 0xFF;
+      }
+      accumulator &= (1 << accumulatedBits) - 1;
+      channel++;
+    }
+    return bytes;
+  }
+
+  /**
+   * Returns the first `length` entries of a key-seeded Fisher-Yates permutation of `channelCount` channels.
+   * Short prefixes (header probing) use a sparse swap map instead of materializing every channel.
+   */
+  static async createChannelOrderAsync(key, channelCount, length) {
+    const seed = await this._deriveScatterSeed(key);
+    const next = this._createPrng(seed);
+    const count = Math.min(length, channelCount);
+    const order = new Uint32Array(count);
+
+    if (count * 8 > channelCount) {
+      const channels = new Uint32Array(channelCount);
+      for (let i = 0; i < channelCount; i++) channels[i] = i;
+      for (let i = 0; i < count; i++) {
+        const j = i + Math.floor((next() / 0x100000000) * (channelCount - i));
+        const swap = channels[j];
+        channels[j] = channels[i];
+        order[i] = swap;
+      }
+    } else {
+      const swapped = new Map();
+      for (let i = 0; i < count; i++) {
+        const j = i + Math.floor((next() / 0x100000000) * (channelCount - i));
+        const valueJ = swapped.has(j) ? swapped.get(j) : j;
+        swapped.set(j, swapped.has(i) ? swapped.get(i) : i);
+        order[i] = valueJ;
+      }
+    }
+    return order;
+  }
+
+  static async _deriveScatterSeed(key) {
+    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(key), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: new TextEncoder().encode(this.SCATTER_SALT), iterations: this.SCATTER_KDF_ITERATIONS, hash: 'SHA-256' },
+      keyMaterial,
+      128
+    );
+    return new Uint32Array(bits);
+  }
+
+  // xoshiro128**: small, fast and good enough to drive a shuffle.
+  static _createPrng(seed) {
+    let [a, b, c, d] = seed;
+    const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+    return () => {
+      const result = Math.imul(rotl(Math.imul(b, 5), 7), 9) >>> 0;
+      const t = b << 9;
+      c ^= a;
+      d ^= b;
+      b ^= c;
+      a ^= d;
+      c ^= t;
+      d = rotl(d, 11);
+      return result;
+    };
+  }
+}
+
+export default Lsb;
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment node
+ */
+import Lsb from './Lsb.js';
+import Stego from './Stego.js';
+
+const payload = { fileName: 'notes.txt', data: Uint8Array.from({ length: 200 }, (_, i) => (i * i * 31 + i * 7) % 251) };
+
+// Opaque on the left, fading out to fully transparent on the right
+const createCarrier = (size, alphaAt = (x) => Math.max(0, 255 - Math.floor((x * 512) / size))) => {
+  const data = new Uint8Array(size * size * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set([(i * 7) & 0xFF, (i * 13) & 0xFF, (i * 29) & 0xFF, alphaAt((i / 4) % size)], i);
+  }
+  return { width: size, height: size, data, data16: null };
+};
+
+describe('alpha channel', () => {
+  test('holds nothing in a fully opaque carrier', () => {
+    const opaque = createCarrier(32, () => 255);
+    expect(Lsb.extraCapacity(opaque.data, null, 2, { alpha: true })).toBe(0);
+  });
+
+  test('leaves opaque and fully transparent pixels alone', async () => {
+    const carrier = createCarrier(32);
+    const rgbCapacity = Lsb.capacity(32, 32, 1);
+    expect(Lsb.extraCapacity(carrier.data, null, 1, { alpha: true })).toBeGreaterThan(0);
+
+    // Incompressible, and with its header a little more than the colour LSBs hold
+    const filler = { fileName: 'filler.bin', data: crypto.getRandomValues(new Uint8Array(rgbCapacity - 40)) };
+    const hidden = await Stego.hideInPixelsAsync(filler, carrier, { alpha: true });
+    // At bit depth 1 only the lowest alpha bit may change, and only where the bits above it vary
+    const alphaOf = (data) => data.filter((_, i) => i % 4 === 3);
+    const [before, after] = [alphaOf(carrier.data), alphaOf(hidden.data)];
+    const isVarying = (alpha) => alpha >> 1 !== 0 && alpha >> 1 !== 0x7F;
+    expect(after.filter((alpha, i) => !isVarying(before[i]) && alpha !== before[i])).toHaveLength(0);
+    expect(after.filter((alpha, i) => alpha >> 1 !== before[i] >> 1)).toHaveLength(0);
+    expect(after).not.toEqual(before);
+
+    const extracted = await Stego.extractFromPixelsAsync(hidden.data);
+    expect(extracted.data).toEqual(filler.data);
+  });
+
+  test('round-trips a payload at two bits per alpha sample', async () => {
+    const hidden = await Stego.hideInPixelsAsync(payload, createCarrier(24), { password: 'pw', bitDepth: 2, alpha: true });
+    expect((await Stego.extractFromPixelsAsync(hidden.data, { password: 'pw' })).data).toEqual(payload.data);
+  });
+
+  test("combines with error correction set to 'none' but not with a real level", async () => {
+    const hidden = await Stego.hideInPixelsAsync(payload, createCarrier(32), { alpha: true, ecc: 'none' });
+    expect((await Stego.extractFromPixelsAsync(hidden.data)).data).toEqual(payload.data);
+    await expect(Stego.hideInPixelsAsync(payload, createCarrier(32), { alpha: true, ecc: 'low' })).rejects.toThrow('cannot be combined with scattering or error correction');
+  });
+});
@@ -0,0 +1,36 @@
+import Container from './Container.js';
+import { createChunk, isPng, readChunks } from './PngCodec.js';
+
+/**
+ * Containers stored whole in a private ancillary PNG chunk. Pixels are untouched and capacity is unlimited,
+ * but the chunk is plainly visible to any PNG inspector.
+ */
+class PngChunk {
+  // Ancillary (s), private (t), reserved (E), safe-to-copy (g): decoders skip it and editors may keep it
+  static CHUNK_TYPE = 'stEg';
+
+  /**
+   * @returns {Uint8Array} The PNG with `container` in a chunk right before IEND, replacing any earlier one.
+   */
+  static embed(pngBytes, container) {
+    const parts = [pngBytes.subarray(0, 8)];
+    for (const chunk of readChunks(pngBytes)) {
+      if (chunk.type === this.CHUNK_TYPE) continue;
+      if (chunk.type === 'IEND') parts.push(createChunk(this.CHUNK_TYPE, container));
+      parts.push(pngBytes.subarray(chunk.start, chunk.end));
+    }
+    return Container.concat(parts);
+  }
+
+  /**
+   * Finds a container stored by embed(). Returns null when the image has no container chunk.
+   * @returns {{headerInfo: object, data: Uint8Array}|null}
+   */
+  static readContainer(imageBytes) {
+    if (!isPng(imageBytes)) return null;
+    const chunk = readChunks(imageBytes).find((candidate) => candidate.type === this.CHUNK_TYPE);
+    return chunk ? Container.parse(chunk.data, Container.ENCODING_TYPE_CHUNK) : null;
+  }
+}
+
+export default PngChunk;
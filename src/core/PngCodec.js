@@ -0,0 +1,355 @@
+import pako from 'pako';
+import { crc32 } from './checksums.js';
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+const IDAT_TARGET_SIZE = 64 * 1024;
+
+export const COLOR_TYPE_GRAY = 0;
+export const COLOR_TYPE_RGB = 2;
+export const COLOR_TYPE_PALETTE = 3;
+export const COLOR_TYPE_GRAY_ALPHA = 4;
+export const COLOR_TYPE_RGBA = 6;
+
+const CHANNELS_BY_COLOR_TYPE = {
+  [COLOR_TYPE_GRAY]: 1, [COLOR_TYPE_RGB]: 3, [COLOR_TYPE_PALETTE]: 1, [COLOR_TYPE_GRAY_ALPHA]: 2, [COLOR_TYPE_RGBA]: 4,
+};
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+export const isPng = (bytes) => bytes.length >= PNG_SIGNATURE.length && PNG_SIGNATURE.every((b, i) => bytes[i] === b);
+
+/**
+ * Splits a PNG into its chunks. Each entry keeps its byte range so chunks can be copied verbatim.
+ * @returns {Array<{type: string, data: Uint8Array, start: number, end: number}>}
+ */
+export const readChunks = (bytes) => {
+  if (!isPng(bytes)) throw new Error('Not a PNG file.');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (end > bytes.length) throw new Error(`Truncated PNG chunk ${type}.`);
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length), start: offset, end });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+export const createChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  const typeBytes = new TextEncoder().encode(type);
+  chunk.set(typeBytes, 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(data, crc32(typeBytes)));
+  return chunk;
+};
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+const unfilterRow = (filterType, row, previous, bpp) => {
+  switch (filterType) {
+    case 0:
+      break;
+    case 1:
+      for (let i = bpp; i < row.length; i++) row[i] = (row[i] + row[i - bpp]) & 0xFF;
+      break;
+    case 2:
+      for (let i = 0; i < row.length; i++) row[i] = (row[i] + previous[i]) & 0xFF;
+      break;
+    case 3:
+      for (let i = 0; i < row.length; i++) row[i] = (row[i] + (((i >= bpp ? row[i - bpp] : 0) + previous[i]) >> 1)) & 0xFF;
+      break;
+    case 4:
+      for (let i = 0; i < row.length; i++) {
+        row[i] = (row[i] + paeth(i >= bpp ? row[i - bpp] : 0, previous[i], i >= bpp ? previous[i - bpp] : 0)) & 0xFF;
+      }
+      break;
+    default:
+      throw new Error(`Unknown PNG filter type ${filterType}.`);
+  }
+};
+
+/**
+ * Decodes a PNG into RGBA samples without any colour management: gAMA, cHRM, sRGB and iCCP are ignored
+ * and alpha is never premultiplied, so every stored sample comes back exactly.
+ * Palette and grayscale images are expanded to RGBA; 1/2/4-bit samples are scaled to 8 bits (an exact,
+ * reversible mapping); 16-bit images stay 16-bit.
+ * @returns {{width: number, height: number, bitDepth: 8|16, data: Uint8Array|Uint16Array}}
+ */
+export const decodePng = (bytes) => {
+  const chunks = readChunks(bytes);
+  const ihdr = chunks.find((chunk) => chunk.type === 'IHDR');
+  if (!ihdr) throw new Error('PNG has no IHDR chunk.');
+  const header = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+  const width = header.getUint32(0);
+  const height = header.getUint32(4);
+  const bitDepth = ihdr.data[8];
+  const colorType = ihdr.data[9];
+  const interlaced = ihdr.data[12] === 1;
+  const channels = CHANNELS_BY_COLOR_TYPE[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error(`Unsupported PNG format (color type ${colorType}, ${bitDepth}-bit).`);
+
+  const palette = chunks.find((chunk) => chunk.type === 'PLTE')?.data;
+  const transparency = chunks.find((chunk) => chunk.type === 'tRNS')?.data;
+  if (colorType === COLOR_TYPE_PALETTE && !palette) throw new Error('Palette PNG has no PLTE chunk.');
+
+  const idatChunks = chunks.filter((chunk) => chunk.type === 'IDAT');
+  const compressed = new Uint8Array(idatChunks.reduce((sum, chunk) => sum + chunk.data.length, 0));
+  let compressedOffset = 0;
+  for (const chunk of idatChunks) {
+    compressed.set(chunk.data, compressedOffset);
+    compressedOffset += chunk.data.length;
+  }
+  const raw = pako.inflate(compressed);
+
+  const is16 = bitDepth === 16;
+  const maxSample = (1 << bitDepth) - 1;
+  const outMax = is16 ? 0xFFFF : 0xFF;
+  const scale = is16 || bitDepth === 8 ? 1 : 0xFF / maxSample;
+  const out = is16 ? new Uint16Array(width * height * 4) : new Uint8Array(width * height * 4);
+
+  // tRNS for gray/RGB names one colour (in raw sample values) that is fully transparent
+  let transparentKey = null;
+  if (transparency && (colorType === COLOR_TYPE_GRAY || colorType === COLOR_TYPE_RGB)) {
+    const trnsView = new DataView(transparency.buffer, transparency.byteOffset, transparency.byteLength);
+    transparentKey = colorType === COLOR_TYPE_GRAY
+      ? [trnsView.getUint16(0)]
+      : [trnsView.getUint16(0), trnsView.getUint16(2), trnsView.getUint16(4)];
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const sample = (row, index) => {
+    if (bitDepth === 8) return row[index];
+    if (is16) return (row[index * 2] << 8) | row[index * 2 + 1];
+    const bitOffset = index * bitDepth;
+    return (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxSample;
+  };
+
+  const passes = interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]];
+  let rawOffset = 0;
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+    const stride = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = new Uint8Array(stride);
+
+    for (let py = 0; py < passHeight; py++) {
+      if (rawOffset + 1 + stride > raw.length) throw new Error('PNG image data is truncated.');
+      const filterType = raw[rawOffset];
+      const row = raw.subarray(rawOffset + 1, rawOffset + 1 + stride);
+      rawOffset += 1 + stride;
+      unfilterRow(filterType, row, previous, bpp);
+      previous = row;
+
+      const y = yStart + py * yStep;
+      for (let px = 0; px < passWidth; px++) {
+        const o = (y * width + xStart + px * xStep) * 4;
+        const s = px * channels;
+        let r; let g; let b; let a = outMax;
+        if (colorType === COLOR_TYPE_PALETTE) {
+          const index = sample(row, s);
+          r = palette[index * 3];
+          g = palette[index * 3 + 1];
+          b = palette[index * 3 + 2];
+          a = transparency && index < transparency.length ? transparency[index] : 0xFF;
+        } else if (colorType === COLOR_TYPE_GRAY || colorType === COLOR_TYPE_GRAY_ALPHA) {
+          const gray = sample(row, s);
+          if (colorType === COLOR_TYPE_GRAY_ALPHA) a = sample(row, s + 1) * scale;
+          else if (transparentKey && gray === transparentKey[0]) a = 0;
+          r = g = b = gray * scale;
+        } else {
+          const rawR = sample(row, s);
+          const rawG = sample(row, s + 1);
+          const rawB = sample(row, s + 2);
+          if (colorType === COLOR_TYPE_RGBA) a = sample(row, s + 3);
+          else if (transparentKey && rawR === transparentKey[0] && rawG === transparentKey[1] && rawB === transparentKey[2]) a = 0;
+          r = rawR;
+          g = rawG;
+          b = rawB;
+        }
+        out[o] = r;
+        out[o + 1] = g;
+        out[o + 2] = b;
+        out[o + 3] = a;
+      }
+    }
+  }
+
+  return { width, height, bitDepth: is16 ? 16 : 8, data: out };
+};
+
+/**
+ * Encodes RGBA samples (8-bit Uint8Array or 16-bit Uint16Array) as a PNG, exactly as given.
+ * The alpha channel is dropped when every pixel is opaque. Each row uses the filter with the
+ * smallest sum of absolute differences, the usual libpng heuristic.
+ * @returns {Blob}
+ */
+export const encodePng = ({ width, height, data, bitDepth = 8 }) => {
+  const is16 = bitDepth === 16;
+  const opaque = is16 ? 0xFFFF : 0xFF;
+  let hasAlpha = false;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== opaque) {
+      hasAlpha = true;
+      break;
+    }
+  }
+  const channels = hasAlpha ? 4 : 3;
+  const bytesPerSample = is16 ? 2 : 1;
+  const bpp = channels * bytesPerSample;
+  const stride = width * bpp;
+
+  const filtered = new Uint8Array((stride + 1) * height);
+  let previous = new Uint8Array(stride);
+  let current = new Uint8Array(stride);
+  const candidates = [0, 1, 2, 3, 4].map(() => new Uint8Array(stride));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) {
+        const value = data[(y * width + x) * 4 + c];
+        const o = x * bpp + c * bytesPerSample;
+        if (is16) {
+          current[o] = value >> 8;
+          current[o + 1] = value & 0xFF;
+        } else {
+          current[o] = value;
+        }
+      }
+    }
+
+    let bestType = 0;
+    let bestScore = Infinity;
+    for (let type = 0; type < 5; type++) {
+      const candidate = candidates[type];
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= bpp ? current[i - bpp] : 0;
+        const up = previous[i];
+        const upLeft = i >= bpp ? previous[i - bpp] : 0;
+        let predicted = 0;
+        if (type === 1) predicted = left;
+        else if (type === 2) predicted = up;
+        else if (type === 3) predicted = (left + up) >> 1;
+        else if (type === 4) predicted = paeth(left, up, upLeft);
+        const value = (current[i] - predicted) & 0xFF;
+        candidate[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestType = type;
+      }
+    }
+
+    const rowStart = y * (stride + 1);
+    filtered[rowStart] = bestType;
+    filtered.set(candidates[bestType], rowStart + 1);
+    [previous, current] = [current, previous];
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = hasAlpha ? COLOR_TYPE_RGBA : COLOR_TYPE_RGB;
+
+  return new Blob([
+    PNG_SIGNATURE,
+    createChunk('IHDR', ihdr),
+    createChunk('IDAT', pako.deflate(filtered)),
+    createChunk('IEND', new Uint8Array(0)),
+  ], { type: 'image/png' });
+};
+
+/**
+ * Streaming PNG encoder: rows are filtered and deflated as they arrive, and the finished
+ * chunks are kept as Blob parts, so no full-size pixel buffer or canvas is ever needed.
+ */
+export class PngEncoder {
+  constructor(width, height, { colorType = COLOR_TYPE_RGB, bitDepth = 8 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.rowLength = width * CHANNELS_BY_COLOR_TYPE[colorType] * (bitDepth / 8);
+    this._rowsWritten = 0;
+    this._parts = [PNG_SIGNATURE];
+    this._pending = [];
+    this._pendingLength = 0;
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;
+    this._parts.push(createChunk('IHDR', ihdr));
+
+    this._deflate = new pako.Deflate();
+    this._deflate.onData = (data) => this._queueIdat(data);
+  }
+
+  /**
+   * Appends one or more complete rows of raw samples (no filter bytes).
+   */
+  writeRows(rows) {
+    const rowCount = rows.length / this.rowLength;
+    if (!Number.isInteger(rowCount)) throw new Error('Rows must be a whole number of scanlines.');
+    if (this._rowsWritten + rowCount > this.height) throw new Error('Too many rows for the image height.');
+
+    const filtered = new Uint8Array(rowCount * (this.rowLength + 1));
+    for (let row = 0; row < rowCount; row++) {
+      // Filter type 0 (None): payload bytes are noise, so prediction would not help
+      filtered.set(rows.subarray(row * this.rowLength, (row + 1) * this.rowLength), row * (this.rowLength + 1) + 1);
+    }
+    this._deflate.push(filtered, false);
+    this._rowsWritten += rowCount;
+  }
+
+  /**
+   * @returns {Blob} The finished PNG.
+   */
+  finish() {
+    if (this._rowsWritten !== this.height) throw new Error(`Expected ${this.height} rows, got ${this._rowsWritten}.`);
+    this._deflate.push(new Uint8Array(0), true);
+    if (this._deflate.err) throw new Error(`PNG compression failed: ${this._deflate.msg}`);
+    this._flushIdat();
+    this._parts.push(createChunk('IEND', new Uint8Array(0)));
+    return new Blob(this._parts, { type: 'image/png' });
+  }
+
+  _queueIdat(data) {
+    this._pending.push(data);
+    this._pendingLength += data.length;
+    if (this._pendingLength >= IDAT_TARGET_SIZE) this._flushIdat();
+  }
+
+  _flushIdat() {
+    if (this._pendingLength === 0) return;
+    const data = new Uint8Array(this._pendingLength);
+    let offset = 0;
+    for (const part of this._pending) {
+      data.set(part, offset);
+      offset += part.length;
+    }
+    this._parts.push(createChunk('IDAT', data));
+    this._pending = [];
+    this._pendingLength = 0;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { COLOR_TYPE_RGB, PngEncoder, decodePng, encodePng, readChunks } from './PngCodec.js';
+
+// Written by a separate encoder, with every filter type in turn and the image data split over two IDAT chunks
+const fixture = (name) => new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', name)));
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// The RGBA samples a w x h image decodes to, with `pixel(x, y)` giving each pixel's four samples
+const expectedPixels = (width, height, pixel, ArrayType = Uint8Array) => {
+  const data = new ArrayType(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(pixel(x, y), (y * width + x) * 4);
+  }
+  return data;
+};
+
+describe('decodePng', () => {
+  test('expands a 4-bit palette with tRNS alpha', () => {
+    const { width, height, bitDepth, data } = decodePng(fixture('palette-4bit.png'));
+    expect([width, height, bitDepth]).toEqual([13, 7, 8]);
+    expect(data).toEqual(expectedPixels(13, 7, (x, y) => {
+      const index = (x + 3 * y) % 16;
+      return [index * 16, 255 - index * 16, index * 7, [0, 64, 128, 192][index] ?? 255];
+    }));
+  });
+
+  test('reassembles the passes of an Adam7-interlaced image', () => {
+    const { width, height, data } = decodePng(fixture('adam7-rgba.png'));
+    expect([width, height]).toEqual([11, 9]);
+    expect(data).toEqual(expectedPixels(11, 9, (x, y) => [(x * 23) % 256, (y * 29) % 256, (x * y * 7) % 256, 255 - (x + y) * 5]));
+  });
+
+  test('keeps 16-bit samples and makes the tRNS colour transparent', () => {
+    const { width, height, bitDepth, data } = decodePng(fixture('rgb-16bit.png'));
+    expect([width, height, bitDepth]).toEqual([5, 4, 16]);
+    expect(data).toEqual(expectedPixels(5, 4, (x, y) => [
+      x * 13107, y * 21845, (x * y * 4099) & 0xFFFF, x === 1 && y === 1 ? 0 : 0xFFFF,
+    ], Uint16Array));
+  });
+
+  test('scales 2-bit grayscale to 8 bits', () => {
+    const { data } = decodePng(fixture('gray-2bit.png'));
+    expect(data).toEqual(expectedPixels(9, 3, (x, y) => {
+      const gray = (x + y) % 4;
+      return [gray * 85, gray * 85, gray * 85, gray === 1 ? 0 : 255];
+    }));
+  });
+
+  test('rejects truncated files', () => {
+    const bytes = fixture('adam7-rgba.png');
+    expect(() => decodePng(bytes.subarray(0, bytes.length - 40))).toThrow('Truncated PNG chunk IDAT.');
+    expect(() => decodePng(bytes.subarray(1))).toThrow('Not a PNG file.');
+  });
+});
+
+describe('encodePng', () => {
+  test('round-trips 8-bit RGBA exactly', async () => {
+    const pixels = { width: 17, height: 9, data: expectedPixels(17, 9, (x, y) => [(x * 37) % 256, (y * 71) % 256, (x ^ y) * 9, (x * y) % 256]) };
+    expect(decodePng(await bytesOf(encodePng(pixels)))).toEqual({ ...pixels, bitDepth: 8 });
+  });
+
+  test('drops the alpha channel of an opaque image', async () => {
+    const data = expectedPixels(6, 5, (x, y) => [x * 40, y * 50, 7, 255]);
+    const bytes = await bytesOf(encodePng({ width: 6, height: 5, data }));
+    expect(readChunks(bytes).find((chunk) => chunk.type === 'IHDR').data[9]).toBe(COLOR_TYPE_RGB);
+    expect(decodePng(bytes).data).toEqual(data);
+  });
+
+  test('round-trips 16-bit samples exactly', async () => {
+    const data = expectedPixels(7, 6, (x, y) => [x * 9001, y * 10007, (x * y * 257 + 1) & 0xFFFF, 0xFFFF - x], Uint16Array);
+    expect(decodePng(await bytesOf(encodePng({ width: 7, height: 6, data, bitDepth: 16 })))).toEqual({ width: 7, height: 6, bitDepth: 16, data });
+  });
+});
+
+describe('PngEncoder', () => {
+  test('streams rows in batches into a decodable PNG', async () => {
+    const [width, height] = [300, 250];
+    let seed = 1;
+    const rows = Uint8Array.from({ length: width * height * 3 }, () => {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      return seed >>> 24;
+    });
+    const encoder = new PngEncoder(width, height);
+    encoder.writeRows(rows.subarray(0, width * 3 * 100));
+    encoder.writeRows(rows.subarray(width * 3 * 100));
+    const bytes = await bytesOf(encoder.finish());
+
+    // Incompressible rows overflow one IDAT chunk
+    expect(readChunks(bytes).filter((chunk) => chunk.type === 'IDAT').length).toBeGreaterThan(1);
+    const { data } = decodePng(bytes);
+    expect(data).toEqual(expectedPixels(width, height, (x, y) => [...rows.subarray((y * width + x) * 3, (y * width + x) * 3 + 3), 255]));
+  });
+
+  test('refuses partial rows and missing rows', () => {
+    const encoder = new PngEncoder(4, 2);
+    expect(() => encoder.writeRows(new Uint8Array(5))).toThrow('Rows must be a whole number of scanlines.');
+    encoder.writeRows(new Uint8Array(12));
+    expect(() => encoder.finish()).toThrow('Expected 2 rows, got 1.');
+  });
+});
@@ -0,0 +1,149 @@
+// GF(2^8) with the primitive polynomial x^8 + x^4 + x^3 + x^2 + 1 (0x11D) and generator 2, as in QR codes and CDs.
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11D;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const mul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const div = (a, b) => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]]);
+
+// Polynomials are arrays of coefficients, lowest degree first
+const evaluate = (poly, x) => {
+  let result = 0;
+  for (let i = poly.length - 1; i >= 0; i--) result = mul(result, x) ^ poly[i];
+  return result;
+};
+
+const generatorCache = new Map();
+
+/**
+ * Reed-Solomon codes over GF(256) with codewords of up to 255 bytes: `paritySize` parity bytes correct up to
+ * `paritySize / 2` byte errors anywhere in the codeword. Codewords are systematic (data followed by parity) and
+ * may be shortened, so the last block of a message needs no padding.
+ */
+class ReedSolomon {
+  static MAX_CODEWORD_SIZE = 255;
+
+  /**
+   * @returns {Uint8Array} The `paritySize` parity bytes for `data` (at most 255 - paritySize bytes).
+   */
+  static encode(data, paritySize) {
+    const generator = this._generator(paritySize);
+    // Remainder of data(x) * x^paritySize divided by the generator, by synthetic division (highest degree first)
+    const remainder = new Uint8Array(paritySize);
+    for (let i = 0; i < data.length; i++) {
+      const factor = data[i] ^ remainder[0];
+      remainder.copyWithin(0, 1);
+      remainder[paritySize - 1] = 0;
+      if (factor !== 0) {
+        for (let j = 0; j < paritySize; j++) remainder[j] ^= mul(generator[paritySize - 1 - j], factor);
+      }
+    }
+    return remainder;
+  }
+
+  /**
+   * Corrects `codeword` (data followed by parity) in place.
+   * @returns {number} The number of bytes corrected.
+   * @throws When the codeword has more errors than the parity can correct.
+   */
+  static decode(codeword, paritySize) {
+    const n = codeword.length;
+    const syndromes = new Uint8Array(paritySize);
+    let hasErrors = false;
+    for (let i = 0; i < paritySize; i++) {
+      // Byte p of the codeword is the coefficient of x^(n - 1 - p)
+      let value = 0;
+      const x = EXP[i];
+      for (let p = 0; p < n; p++) value = mul(value, x) ^ codeword[p];
+      syndromes[i] = value;
+      if (value !== 0) hasErrors = true;
+    }
+    if (!hasErrors) return 0;
+
+    const locator = this._berlekampMassey(syndromes);
+    const errorCount = locator.length - 1;
+    if (errorCount * 2 > paritySize) throw new Error('Too many errors to correct.');
+
+    // Chien search: an error at power j makes the locator vanish at alpha^-j
+    const powers = [];
+    for (let j = 0; j < n; j++) {
+      if (evaluate(locator, EXP[(255 - j) % 255]) === 0) powers.push(j);
+    }
+    if (powers.length !== errorCount) throw new Error('Too many errors to correct.');
+
+    // Forney: magnitude = X * omega(X^-1) / locator'(X^-1), with omega = syndromes * locator mod x^paritySize
+    const omega = new Uint8Array(paritySize);
+    for (let i = 0; i < paritySize; i++) {
+      for (let j = 0; j <= Math.min(i, errorCount); j++) omega[i] ^= mul(syndromes[i - j], locator[j]);
+    }
+    const derivative = locator.slice(1).map((coefficient, i) => (i % 2 === 0 ? coefficient : 0));
+    for (const j of powers) {
+      const inverse = EXP[(255 - j) % 255];
+      const denominator = evaluate(derivative, inverse);
+      if (denominator === 0) throw new Error('Too many errors to correct.');
+      codeword[n - 1 - j] ^= mul(EXP[j], div(evaluate(omega, inverse), denominator));
+    }
+    return errorCount;
+  }
+
+  // Product of (x - alpha^i) for i = 0 .. paritySize - 1, lowest degree first
+  static _generator(paritySize) {
+    if (!generatorCache.has(paritySize)) {
+      let generator = [1];
+      for (let i = 0; i < paritySize; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        for (let j = 0; j < generator.length; j++) {
+          next[j] ^= mul(generator[j], EXP[i]);
+          next[j + 1] ^= generator[j];
+        }
+        generator = next;
+      }
+      generatorCache.set(paritySize, Uint8Array.from(generator));
+    }
+    return generatorCache.get(paritySize);
+  }
+
+  /**
+   * Finds the error locator polynomial (lowest degree first, trimmed to its degree) from the syndromes.
+   */
+  static _berlekampMassey(syndromes) {
+    let current = [1];
+    let previous = [1];
+    let length = 0;
+    let shift = 1;
+    let previousDiscrepancy = 1;
+
+    for (let n = 0; n < syndromes.length; n++) {
+      let discrepancy = syndromes[n];
+      for (let i = 1; i <= length; i++) discrepancy ^= mul(current[i] || 0, syndromes[n - i]);
+
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+      const scale = div(discrepancy, previousDiscrepancy);
+      const next = current.slice();
+      for (let i = 0; i < previous.length; i++) {
+        next[i + shift] = (next[i + shift] || 0) ^ mul(scale, previous[i]);
+      }
+      if (2 * length <= n) {
+        previous = current;
+        length = n + 1 - length;
+        previousDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      current = next;
+    }
+    return current.slice(0, length + 1);
+  }
+}
+
+export default ReedSolomon;
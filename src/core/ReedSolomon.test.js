@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+import ReedSolomon from './ReedSolomon.js';
+
+const PARITY_SIZE = 16;
+
+// Deterministic test data: a small linear congruential generator
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) >>> 0;
+  return seed >>> 16;
+};
+
+const createCodeword = (dataSize, next) => {
+  const data = Uint8Array.from({ length: dataSize }, () => next() & 0xFF);
+  const codeword = new Uint8Array(dataSize + PARITY_SIZE);
+  codeword.set(data);
+  codeword.set(ReedSolomon.encode(data, PARITY_SIZE), dataSize);
+  return codeword;
+};
+
+// Changes `count` distinct bytes of the codeword, each to a different value
+const corrupt = (codeword, count, next) => {
+  const damaged = codeword.slice();
+  const positions = new Set();
+  while (positions.size < count) positions.add(next() % codeword.length);
+  for (const position of positions) damaged[position] ^= 1 + (next() % 255);
+  return damaged;
+};
+
+test('leaves an undamaged codeword alone', () => {
+  const codeword = createCodeword(ReedSolomon.MAX_CODEWORD_SIZE - PARITY_SIZE, random(1));
+  const decoded = codeword.slice();
+  expect(ReedSolomon.decode(decoded, PARITY_SIZE)).toBe(0);
+  expect(decoded).toEqual(codeword);
+});
+
+test.each([1, PARITY_SIZE / 4, PARITY_SIZE / 2])('corrects %i damaged bytes', (errorCount) => {
+  const next = random(errorCount);
+  for (const dataSize of [ReedSolomon.MAX_CODEWORD_SIZE - PARITY_SIZE, 40]) {
+    const codeword = createCodeword(dataSize, next);
+    const damaged = corrupt(codeword, errorCount, next);
+    expect(ReedSolomon.decode(damaged, PARITY_SIZE)).toBe(errorCount);
+    expect(damaged).toEqual(codeword);
+  }
+});
+
+test('fails past half the parity instead of returning wrong data', () => {
+  const next = random(7);
+  for (let trial = 0; trial < 20; trial++) {
+    const codeword = createCodeword(100, next);
+    const damaged = corrupt(codeword, PARITY_SIZE / 2 + 1 + (trial % 4), next);
+    expect(() => ReedSolomon.decode(damaged, PARITY_SIZE)).toThrow('Too many errors to correct.');
+  }
+});
@@ -0,0 +1,63 @@
+import Keys from './Keys.js';
+
+/**
+ * Sender signatures on container headers. A signed header (flag 0x20) ends with
+ *
+ *   signer public key (65) | ECDSA P-256 / SHA-256 signature (64, r || s)
+ *
+ * and the signature covers every header byte before it, the signer's key included. The header holds the SHA-256
+ * of the payload, which extraction checks, so the signature vouches for the file name, size and contents.
+ */
+class Signature {
+  static SIGNATURE_SIZE = 64;
+  static SECTION_SIZE = Keys.PUBLIC_KEY_SIZE + this.SIGNATURE_SIZE;
+  static PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+  // Valid signature by a trusted key / valid signature by a key not in the trusted list / bad signature
+  static VERIFIED = 'verified';
+  static UNKNOWN_SIGNER = 'unknown-signer';
+  static UNVERIFIED = 'unverified';
+
+  /**
+   * @returns {Promise<Uint8Array>} The raw signature of `data`.
+   */
+  static async signAsync(data, privateKeyText) {
+    return new Uint8Array(await crypto.subtle.sign(this.PARAMS, await Keys.importSigningKeyAsync(privateKeyText), data));
+  }
+
+  /**
+   * Checks the `signed` section of a parsed header (see Container.parseHeader) against a list of trusted public key texts.
+   * @returns {Promise<{status: string, keyId: string, publicKey: string}|null>} null for unsigned headers.
+   */
+  static async verifyAsync(signed, trustedKeys = []) {
+    if (!signed) return null;
+    const keyId = Keys.formatKeyId(await Keys.getKeyIdAsync(signed.publicKey));
+    const publicKey = Keys.toPublicKeyText(signed.publicKey);
+
+    let isValid = false;
+    try {
+      const key = await Keys.importVerifyingKeyAsync(signed.publicKey);
+      isValid = await crypto.subtle.verify(this.PARAMS, key, signed.value, signed.signedBytes);
+    } catch (e) {
+      isValid = false;
+    }
+    if (!isValid) return { status: this.UNVERIFIED, keyId, publicKey };
+
+    const isTrusted = (trustedKeys || []).some((text) => text.trim() === publicKey);
+    return { status: isTrusted ? this.VERIFIED : this.UNKNOWN_SIGNER, keyId, publicKey };
+  }
+
+  /**
+   * Combines the results for several headers of one payload (multi-part sets): any bad signature, or parts signed
+   * by different keys, makes the whole unverified. Unsigned parts in a signed set count as bad.
+   */
+  static combine(results) {
+    if (results.every((result) => result === null)) return null;
+    const first = results.find((result) => result !== null);
+    const isConsistent = results.every((result) => result && result.keyId === first.keyId);
+    if (!isConsistent || results.some((result) => result.status === this.UNVERIFIED)) return { ...first, status: this.UNVERIFIED };
+    return first;
+  }
+}
+
+export default Signature;
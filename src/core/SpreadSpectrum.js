@@ -0,0 +1,252 @@
+import Container from './Container.js';
+import Lsb from './Lsb.js';
+import ReedSolomon from './ReedSolomon.js';
+
+const GRID_SIZE = 256;
+const BLOCK = 8;
+const BLOCKS_PER_LINE = GRID_SIZE / BLOCK;
+const MAX_MESSAGE_SIZE = 32;
+const PARITY_BYTES = 16;
+const FRAME_BITS = (2 + MAX_MESSAGE_SIZE + PARITY_BYTES) * 8;
+// Zigzag positions 3 to 14 (row * 8 + column): coarse enough to survive quantization and rescaling
+const COEFFICIENTS = [16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4];
+const SLOT_COUNT = BLOCKS_PER_LINE * BLOCKS_PER_LINE * COEFFICIENTS.length;
+
+// Orthonormal 8x8 DCT basis: BASIS[u * 8 + x] = c(u) * cos((2x + 1) u pi / 16)
+const BASIS = new Float64Array(BLOCK * BLOCK);
+for (let u = 0; u < BLOCK; u++) {
+  for (let x = 0; x < BLOCK; x++) {
+    BASIS[u * BLOCK + x] = Math.sqrt((u === 0 ? 1 : 2) / BLOCK) * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * BLOCK));
+  }
+}
+
+/**
+ * Robust marks: a short message spread over the low-middle DCT frequencies of an image's brightness, so it
+ * survives moderate JPEG recompression and rescaling that destroy LSB payloads.
+ *
+ * The luma plane is area-averaged onto a fixed 256x256 grid (which makes the mark independent of the image's
+ * resolution) and split into 8x8 DCT blocks. Every bit of the frame owns a key-seeded set of coefficients
+ * ("chips") with alternating signs; its value is the sign of their correlation. Embedding uses improved spread
+ * spectrum: the correlation is pushed to +-STRENGTH whatever the image contributed, and the change is upsampled
+ * back onto the pixels, repeating until rounding and resampling no longer erode it.
+ *
+ * Frame: encodingType | length | message (zero padded to MAX_MESSAGE_SIZE) | Reed-Solomon parity.
+ * A full container header would not fit, so robust marks carry only this.
+ */
+class SpreadSpectrum {
+  // Marking needs at least one pixel per grid cell; copies scaled down afterwards stay readable
+  static MIN_SIZE = GRID_SIZE;
+  static MAX_MESSAGE_SIZE = MAX_MESSAGE_SIZE;
+  static PARITY_BYTES = PARITY_BYTES;
+  static FRAME_BITS = FRAME_BITS;
+  static COEFFICIENTS = COEFFICIENTS;
+  static SLOT_COUNT = SLOT_COUNT;
+  static CHIPS_PER_BIT = Math.floor(SLOT_COUNT / FRAME_BITS);
+
+  // Target correlation per bit, in DCT units of the 0-255 luma grid
+  static STRENGTH = 4;
+  static EMBED_PASSES = 6;
+
+  // Seeds the chip layout when no key is given, so any copy of the app can read unkeyed marks
+  static DEFAULT_KEY = 'ShadeOfColor:robust';
+
+  /**
+   * Returns a copy of `pixels.data` (RGBA) with `message` marked into it.
+   */
+  static async embedAsync({ width, height, data }, message, key = null, onProgress = null) {
+    if (message.length === 0 || message.length > this.MAX_MESSAGE_SIZE) {
+      throw new Error(`A robust mark holds 1 to ${this.MAX_MESSAGE_SIZE} bytes; this message has ${message.length}.`);
+    }
+    if (width < this.MIN_SIZE || height < this.MIN_SIZE) {
+      throw new Error(`Robust marks need an image of at least ${this.MIN_SIZE}x${this.MIN_SIZE} pixels.`);
+    }
+    const bits = this._toBits(this._createFrame(message));
+    const slots = await this._getSlotsAsync(key);
+    const axes = { x: this._createAxis(width), y: this._createAxis(height) };
+    const result = new Uint8Array(data);
+
+    for (let pass = 0; pass < this.EMBED_PASSES; pass++) {
+      const coefficients = this._measure(result, width, height, axes);
+      const slotDeltas = new Float64Array(this.SLOT_COUNT);
+      let changed = false;
+      for (let bit = 0; bit < bits.length; bit++) {
+        const sign = bits[bit] ? 1 : -1;
+        const shortfall = this.STRENGTH - sign * this._correlate(coefficients, slots, bit);
+        if (shortfall <= 0) continue;
+        changed = true;
+        for (let chip = 0; chip < this.CHIPS_PER_BIT; chip++) {
+          slotDeltas[slots[bit * this.CHIPS_PER_BIT + chip]] = sign * (chip % 2 === 0 ? 1 : -1) * shortfall;
+        }
+      }
+      if (!changed) break;
+      this._applyDelta(result, width, height, axes, this._inverseTransform(slotDeltas));
+      onProgress?.(Math.round(((pass + 1) / this.EMBED_PASSES) * 100));
+    }
+    return result;
+  }
+
+  /**
+   * Reads a robust mark. `confidence` (0 to 1) is the average strength of the bits, relative to a freshly
+   * marked image, after error correction; low values mean the image was heavily altered.
+   * @returns {Promise<{message: Uint8Array, confidence: number, correctedBytes: number}|null>} null when no
+   *   mark is found with this key.
+   */
+  static async extractAsync({ width, height, data }, key = null) {
+    const slots = await this._getSlotsAsync(key);
+    const coefficients = this._measure(data, width, height, { x: this._createAxis(width), y: this._createAxis(height) });
+    const correlations = Array.from({ length: this.FRAME_BITS }, (_, bit) => this._correlate(coefficients, slots, bit));
+
+    const codeword = new Uint8Array(this.FRAME_BITS / 8);
+    correlations.forEach((correlation, bit) => { if (correlation > 0) codeword[bit >> 3] |= 0x80 >> (bit & 7); });
+    let correctedBytes;
+    try {
+      correctedBytes = ReedSolomon.decode(codeword, this.PARITY_BYTES);
+    } catch (e) {
+      return null;
+    }
+    const length = codeword[1];
+    if (codeword[0] !== Container.ENCODING_TYPE_ROBUST || length === 0 || length > this.MAX_MESSAGE_SIZE) return null;
+
+    const expected = this._toBits(codeword);
+    const strength = correlations.reduce((sum, correlation, bit) => (
+      sum + Math.min(1, Math.max(0, (expected[bit] ? correlation : -correlation) / this.STRENGTH))
+    ), 0);
+    return { message: codeword.slice(2, 2 + length), confidence: strength / this.FRAME_BITS, correctedBytes };
+  }
+
+  static _createFrame(message) {
+    const frame = new Uint8Array(2 + this.MAX_MESSAGE_SIZE + this.PARITY_BYTES);
+    frame[0] = Container.ENCODING_TYPE_ROBUST;
+    frame[1] = message.length;
+    frame.set(message, 2);
+    frame.set(ReedSolomon.encode(frame.subarray(0, 2 + this.MAX_MESSAGE_SIZE), this.PARITY_BYTES), 2 + this.MAX_MESSAGE_SIZE);
+    return frame;
+  }
+
+  static _toBits(bytes) {
+    return Uint8Array.from({ length: bytes.length * 8 }, (_, i) => (bytes[i >> 3] >> (7 - (i & 7))) & 1);
+  }
+
+  // Key-seeded order of the coefficient slots; bit b owns the CHIPS_PER_BIT slots from b * CHIPS_PER_BIT
+  static _getSlotsAsync(key) {
+    return Lsb.createChannelOrderAsync(key || this.DEFAULT_KEY, this.SLOT_COUNT, this.SLOT_COUNT);
+  }
+
+  static _correlate(coefficients, slots, bit) {
+    let sum = 0;
+    for (let chip = 0; chip < this.CHIPS_PER_BIT; chip++) {
+      const value = coefficients[slots[bit * this.CHIPS_PER_BIT + chip]];
+      sum += chip % 2 === 0 ? value : -value;
+    }
+    return sum / this.CHIPS_PER_BIT;
+  }
+
+  /**
+   * For one image axis: the source samples each grid cell averages over (with weights), and the two grid
+   * cells each sample interpolates between on the way back.
+   */
+  static _createAxis(size) {
+    const scale = size / GRID_SIZE;
+    const cells = [];
+    for (let cell = 0; cell < GRID_SIZE; cell++) {
+      const start = cell * scale;
+      const end = start + scale;
+      const taps = [];
+      for (let i = Math.floor(start); i < Math.min(size, Math.ceil(end)); i++) {
+        const weight = Math.min(end, i + 1) - Math.max(start, i);
+        if (weight > 0) taps.push([i, weight / scale]);
+      }
+      cells.push(taps);
+    }
+
+    const lower = new Uint16Array(size);
+    const fraction = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      const position = Math.min(GRID_SIZE - 1, Math.max(0, (i + 0.5) / scale - 0.5));
+      lower[i] = Math.min(GRID_SIZE - 2, Math.floor(position));
+      fraction[i] = position - lower[i];
+    }
+    return { cells, lower, fraction };
+  }
+
+  /**
+   * Area-averages the luma of RGBA `data` onto the grid and returns the marked DCT coefficient of every slot.
+   */
+  static _measure(data, width, height, axes) {
+    const rows = new Float64Array(height * GRID_SIZE);
+    for (let y = 0; y < height; y++) {
+      for (let cell = 0; cell < GRID_SIZE; cell++) {
+        let sum = 0;
+        for (const [x, weight] of axes.x.cells[cell]) {
+          const i = (y * width + x) * 4;
+          sum += (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * weight;
+        }
+        rows[y * GRID_SIZE + cell] = sum;
+      }
+    }
+    const grid = new Float64Array(GRID_SIZE * GRID_SIZE);
+    for (let cell = 0; cell < GRID_SIZE; cell++) {
+      for (let column = 0; column < GRID_SIZE; column++) {
+        let sum = 0;
+        for (const [y, weight] of axes.y.cells[cell]) sum += rows[y * GRID_SIZE + column] * weight;
+        grid[cell * GRID_SIZE + column] = sum;
+      }
+    }
+
+    const coefficients = new Float64Array(this.SLOT_COUNT);
+    for (let block = 0; block < BLOCKS_PER_LINE * BLOCKS_PER_LINE; block++) {
+      const top = Math.floor(block / BLOCKS_PER_LINE) * BLOCK;
+      const left = (block % BLOCKS_PER_LINE) * BLOCK;
+      for (const [k, position] of this.COEFFICIENTS.entries()) {
+        const u = position >> 3;
+        const v = position & 7;
+        let sum = 0;
+        for (let y = 0; y < BLOCK; y++) {
+          for (let x = 0; x < BLOCK; x++) sum += grid[(top + y) * GRID_SIZE + left + x] * BASIS[u * BLOCK + y] * BASIS[v * BLOCK + x];
+        }
+        coefficients[block * this.COEFFICIENTS.length + k] = sum;
+      }
+    }
+    return coefficients;
+  }
+
+  // The grid-domain change that adds `slotDeltas` to the marked coefficients
+  static _inverseTransform(slotDeltas) {
+    const grid = new Float64Array(GRID_SIZE * GRID_SIZE);
+    for (let block = 0; block < BLOCKS_PER_LINE * BLOCKS_PER_LINE; block++) {
+      const top = Math.floor(block / BLOCKS_PER_LINE) * BLOCK;
+      const left = (block % BLOCKS_PER_LINE) * BLOCK;
+      for (const [k, position] of this.COEFFICIENTS.entries()) {
+        const delta = slotDeltas[block * this.COEFFICIENTS.length + k];
+        if (delta === 0) continue;
+        const u = position >> 3;
+        const v = position & 7;
+        for (let y = 0; y < BLOCK; y++) {
+          for (let x = 0; x < BLOCK; x++) grid[(top + y) * GRID_SIZE + left + x] += delta * BASIS[u * BLOCK + y] * BASIS[v * BLOCK + x];
+        }
+      }
+    }
+    return grid;
+  }
+
+  // Interpolates the grid change bilinearly onto every pixel and adds it to R, G and B alike (alpha is untouched)
+  static _applyDelta(data, width, height, axes, grid) {
+    for (let y = 0; y < height; y++) {
+      const row = axes.y.lower[y] * GRID_SIZE;
+      const fy = axes.y.fraction[y];
+      for (let x = 0; x < width; x++) {
+        const column = axes.x.lower[x];
+        const fx = axes.x.fraction[x];
+        const top = grid[row + column] * (1 - fx) + grid[row + column + 1] * fx;
+        const bottom = grid[row + GRID_SIZE + column] * (1 - fx) + grid[row + GRID_SIZE + column + 1] * fx;
+        const delta = top * (1 - fy) + bottom * fy;
+        const i = (y * width + x) * 4;
+        for (let channel = 0; channel < 3; channel++) {
+          data[i + channel] = Math.min(255, Math.max(0, Math.round(data[i + channel] + delta)));
+        }
+      }
+    }
+  }
+}
+
+export default SpreadSpectrum;
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+import SpreadSpectrum from './SpreadSpectrum.js';
+
+const KEY = 'mark key';
+const message = new TextEncoder().encode('(c) 2026 shade');
+
+// Deterministic noise in [0, 1)
+const createRandom = (seed) => () => {
+  seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+  return seed / 2 ** 32;
+};
+
+// A photo-like carrier: smooth gradients with some texture, opaque
+const createCarrier = (width, height) => {
+  const random = createRandom(7);
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const shade = 60 + 40 * Math.sin(x / 23) + 30 * Math.cos(y / 17) + random() * 12;
+      data.set([shade + 40, shade, shade * 0.8 + 20, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+// Bilinear rescale, as image editors and messaging apps do
+const resize = ({ width, height, data }, newWidth, newHeight) => {
+  const out = new Uint8Array(newWidth * newHeight * 4);
+  for (let y = 0; y < newHeight; y++) {
+    const sy = Math.min(height - 1, ((y + 0.5) * height) / newHeight - 0.5);
+    const y0 = Math.max(0, Math.floor(sy));
+    const y1 = Math.min(height - 1, y0 + 1);
+    for (let x = 0; x < newWidth; x++) {
+      const sx = Math.min(width - 1, ((x + 0.5) * width) / newWidth - 0.5);
+      const x0 = Math.max(0, Math.floor(sx));
+      const x1 = Math.min(width - 1, x0 + 1);
+      const [fx, fy] = [Math.max(0, sx - x0), Math.max(0, sy - y0)];
+      for (let c = 0; c < 4; c++) {
+        const at = (px, py) => data[(py * width + px) * 4 + c];
+        const top = at(x0, y0) * (1 - fx) + at(x1, y0) * fx;
+        const bottom = at(x0, y1) * (1 - fx) + at(x1, y1) * fx;
+        out[(y * newWidth + x) * 4 + c] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+  return { width: newWidth, height: newHeight, data: out };
+};
+
+// Adds uniform noise of up to +-amplitude to every colour sample
+const addNoise = ({ width, height, data }, amplitude) => {
+  const random = createRandom(99);
+  const noisy = data.map((value, i) => (i % 4 === 3 ? value : Math.min(255, Math.max(0, value + Math.round((random() * 2 - 1) * amplitude)))));
+  return { width, height, data: noisy };
+};
+
+describe('robust marks', () => {
+  let carrier;
+  let marked;
+
+  beforeAll(async () => {
+    carrier = createCarrier(320, 288);
+    marked = { ...carrier, data: await SpreadSpectrum.embedAsync(carrier, message, KEY) };
+  });
+
+  test('read back from the marked image with high confidence', async () => {
+    const mark = await SpreadSpectrum.extractAsync(marked, KEY);
+    expect(mark.message).toEqual(message);
+    expect(mark.confidence).toBeGreaterThan(0.85);
+    expect(mark.correctedBytes).toBe(0);
+  });
+
+  test('survive downscaling, with lower confidence', async () => {
+    const [full, half] = await Promise.all([
+      SpreadSpectrum.extractAsync(marked, KEY),
+      SpreadSpectrum.extractAsync(resize(marked, 200, 180), KEY),
+    ]);
+    expect(half.message).toEqual(message);
+    expect(half.confidence).toBeLessThan(full.confidence);
+    expect(half.confidence).toBeGreaterThan(0.5);
+  });
+
+  test('survive upscaling and noise together', async () => {
+    const mark = await SpreadSpectrum.extractAsync(addNoise(resize(marked, 480, 432), 10), KEY);
+    expect(mark.message).toEqual(message);
+    expect(mark.confidence).toBeGreaterThan(0.5);
+  });
+
+  test('stay hidden from other keys and absent from the carrier', async () => {
+    await expect(SpreadSpectrum.extractAsync(marked, 'another key')).resolves.toBeNull();
+    await expect(SpreadSpectrum.extractAsync(carrier, KEY)).resolves.toBeNull();
+  });
+
+  test('refuse empty or long messages and small images', async () => {
+    await expect(SpreadSpectrum.embedAsync(carrier, new Uint8Array(0), KEY)).rejects.toThrow('A robust mark holds 1 to 32 bytes');
+    await expect(SpreadSpectrum.embedAsync(carrier, new Uint8Array(33), KEY)).rejects.toThrow('this message has 33');
+    await expect(SpreadSpectrum.embedAsync(createCarrier(255, 300), message, KEY)).rejects.toThrow('at least 256x256 pixels');
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Statistical LSB steganalysis on RGBA pixel data. Each test runs on one colour channel at a time:
+ * - Chi-square attack (Westfeld & Pfitzmann): replacing LSBs evens out the counts of each value pair 2k/2k+1.
+ * - RS analysis (Fridrich, Goljan & Du): regular and singular pixel groups react asymmetrically to LSB flips.
+ * - Sample pair analysis (Dumitrescu, Wu & Wang): statistics of adjacent sample pairs give the embedding rate.
+ * RS and SPA estimate the fraction of samples carrying payload bits; the chi-square p-value is the
+ * probability that the value pairs are as even as a fully embedded region would make them.
+ */
+class Steganalysis {
+  static CHANNEL_NAMES = ['Red', 'Green', 'Blue'];
+  static CHI_SQUARE_WINDOWS = 10;
+  static CHI_SQUARE_MIN_EXPECTED = 5;
+  static RS_MASK = [0, 1, 1, 0];
+
+  // Detectability thresholds on the estimated embedding rate and the first chi-square window
+  static MEDIUM_ESTIMATE = 0.05;
+  static HIGH_ESTIMATE = 0.15;
+  static MEDIUM_P_VALUE = 0.5;
+  static HIGH_P_VALUE = 0.95;
+
+  // PSNR above which hidden data counts as imperceptible, and above which it is at most faint noise
+  static IMPERCEPTIBLE_PSNR = 40;
+  static FAINT_PSNR = 30;
+
+  // SSIM is taken on luma over square windows of this size, this many pixels apart
+  static SSIM_WINDOW = 8;
+  static SSIM_STEP = 4;
+
+  /**
+   * Runs every test on the R, G and B channels.
+   * @returns {{width: number, height: number, channels: Array<object>, estimate: number, detectability: 'low'|'medium'|'high'}}
+   */
+  static analyze(pixelData, width, height, onFraction = null) {
+    const channels = this.CHANNEL_NAMES.map((name, channel) => {
+      const values = this._channelValues(pixelData, channel);
+      const result = {
+        name,
+        chiSquare: this._chiSquare(values),
+        rs: this._rsAnalysis(values, width, height),
+        spa: this._samplePairAnalysis(values, width, height),
+      };
+      onFraction?.((channel + 1) / this.CHANNEL_NAMES.length);
+      return result;
+    });
+
+    const estimate = Math.max(...channels.map(({ rs, spa }) => (rs.estimate + spa.estimate) / 2));
+    const firstWindow = Math.max(...channels.map(({ chiSquare }) => chiSquare.curve[0]));
+    let detectability = 'low';
+    if (estimate >= this.HIGH_ESTIMATE || firstWindow >= this.HIGH_P_VALUE) detectability = 'high';
+    else if (estimate >= this.MEDIUM_ESTIMATE || firstWindow >= this.MEDIUM_P_VALUE) detectability = 'medium';
+
+    return { width, height, channels, estimate, detectability };
+  }
+
+  /**
+   * Counts how an image differs from the carrier it was produced from. Both must have the same size.
+   * @returns {{changedPixels: number, channels: Array<{name: string, changed: number, lsbFlips: number, maxDelta: number}>}}
+   */
+  static compare(pixelData, carrierData) {
+    if (pixelData.length !== carrierData.length) throw new Error('The image and the carrier have different dimensions.');
+    const names = [...this.CHANNEL_NAMES, 'Alpha'];
+    const channels = names.map((name) => ({ name, changed: 0, lsbFlips: 0, maxDelta: 0 }));
+    let changedPixels = 0;
+
+    for (let i = 0; i < pixelData.length; i += 4) {
+      let pixelChanged = false;
+      for (let c = 0; c < 4; c++) {
+        const delta = Math.abs(pixelData[i + c] - carrierData[i + c]);
+        if (delta === 0) continue;
+        pixelChanged = true;
+        channels[c].changed++;
+        if ((pixelData[i + c] ^ carrierData[i + c]) & 1) channels[c].lsbFlips++;
+        if (delta > channels[c].maxDelta) channels[c].maxDelta = delta;
+      }
+      if (pixelChanged) changedPixels++;
+    }
+    return { changedPixels, channels };
+  }
+
+  /**
+   * Renders one bit plane of a channel as black and white RGBA pixels.
+   */
+  static renderBitPlane(pixelData, channel, bit) {
+    const output = new Uint8Array(pixelData.length);
+    for (let i = 0; i < pixelData.length; i += 4) {
+      const value = (pixelData[i + channel] >> bit) & 1 ? 255 : 0;
+      output[i] = value;
+      output[i + 1] = value;
+      output[i + 2] = value;
+      output[i + 3] = 255;
+    }
+    return output;
+  }
+
+  /**
+   * Renders the difference as a heatmap over a dimmed copy of the carrier. The largest channel delta in the image
+   * is shown white and smaller ones run through yellow and red, so even 1-level changes stand out.
+   * @returns {{data: Uint8Array, maxDelta: number}} RGBA pixels, and the delta that maps to white.
+   */
+  static renderHeatmap(pixelData, carrierData) {
+    const deltas = new Uint8Array(pixelData.length / 4);
+    let maxDelta = 0;
+    for (let p = 0; p < deltas.length; p++) {
+      for (let c = 0; c < 3; c++) deltas[p] = Math.max(deltas[p], Math.abs(pixelData[p * 4 + c] - carrierData[p * 4 + c]));
+      if (deltas[p] > maxDelta) maxDelta = deltas[p];
+    }
+
+    const output = new Uint8Array(pixelData.length);
+    for (let p = 0; p < deltas.length; p++) {
+      const i = p * 4;
+      if (deltas[p]) {
+        const heat = (deltas[p] / maxDelta) * 3;
+        output[i] = Math.round(Math.min(1, 0.4 + heat) * 255);
+        output[i + 1] = Math.round(Math.min(1, Math.max(0, heat - 1)) * 255);
+        output[i + 2] = Math.round(Math.min(1, Math.max(0, heat - 2)) * 255);
+      } else {
+        const dimmed = this._luma(carrierData, i) * 0.25;
+        output[i] = dimmed;
+        output[i + 1] = dimmed;
+        output[i + 2] = dimmed;
+      }
+      output[i + 3] = 255;
+    }
+    return { data: output, maxDelta };
+  }
+
+  /**
+   * Full-reference quality of an image against its carrier: MSE over the R, G and B samples, PSNR in dB (Infinity
+   * when they are equal) and mean SSIM on luma (see SSIM_WINDOW). Both must have the same size.
+   * @returns {{mse: number, psnr: number, ssim: number}}
+   */
+  static measureDistortion(pixelData, carrierData, width, height) {
+    if (pixelData.length !== carrierData.length) throw new Error('The image and the carrier have different dimensions.');
+    let squaredError = 0;
+    for (let i = 0; i < pixelData.length; i += 4) {
+      for (let c = 0; c < 3; c++) squaredError += (pixelData[i + c] - carrierData[i + c]) ** 2;
+    }
+    const mse = squaredError / (width * height * 3);
+    return { mse, psnr: this._psnr(mse), ssim: this._ssim(pixelData, carrierData, width, height) };
+  }
+
+  /**
+   * Expected MSE and PSNR of hiding `embeddedBytes` of random-looking data in the LSBs of `sampleCount` colour
+   * samples at `bitDepth`, before encoding. Each rewritten sample's low bits become independent of the old ones,
+   * which costs (4^bitDepth - 1) / 6 squared levels on average when the old ones look random, as in photos; flat
+   * artwork loses more.
+   * @returns {{mse: number, psnr: number, changedFraction: number}}
+   */
+  static estimateLsbDistortion(sampleCount, embeddedBytes, bitDepth) {
+    const changedFraction = Math.min(1, (embeddedBytes * 8) / bitDepth / sampleCount);
+    const mse = (changedFraction * (4 ** bitDepth - 1)) / 6;
+    return { mse, psnr: this._psnr(mse), changedFraction };
+  }
+
+  /**
+   * @returns {'imperceptible'|'faint'|'visible'} How visible distortion of this PSNR (dB) is to the eye.
+   */
+  static rateQuality(psnr) {
+    if (psnr >= this.IMPERCEPTIBLE_PSNR) return 'imperceptible';
+    return psnr >= this.FAINT_PSNR ? 'faint' : 'visible';
+  }
+
+  static _psnr(mse) {
+    return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+  }
+
+  static _luma(data, i) {
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+
+  static _ssim(pixelData, carrierData, width, height) {
+    const x = new Float32Array(width * height);
+    const y = new Float32Array(width * height);
+    for (let p = 0; p < x.length; p++) {
+      x[p] = this._luma(pixelData, p * 4);
+      y[p] = this._luma(carrierData, p * 4);
+    }
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    // Images smaller than a window count as one window
+    const windowWidth = Math.min(this.SSIM_WINDOW, width);
+    const windowHeight = Math.min(this.SSIM_WINDOW, height);
+    const n = windowWidth * windowHeight;
+    let total = 0;
+    let windows = 0;
+    for (let top = 0; top + windowHeight <= height; top += this.SSIM_STEP) {
+      for (let left = 0; left + windowWidth <= width; left += this.SSIM_STEP) {
+        let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+        for (let row = top; row < top + windowHeight; row++) {
+          for (let p = row * width + left, end = p + windowWidth; p < end; p++) {
+            sumX += x[p];
+            sumY += y[p];
+            sumXX += x[p] * x[p];
+            sumYY += y[p] * y[p];
+            sumXY += x[p] * y[p];
+          }
+        }
+        const meanX = sumX / n;
+        const meanY = sumY / n;
+        const varianceX = sumXX / n - meanX * meanX;
+        const varianceY = sumYY / n - meanY * meanY;
+        const covariance = sumXY / n - meanX * meanY;
+        total += ((2 * meanX * meanY + C1) * (2 * covariance + C2)) / ((meanX * meanX + meanY * meanY + C1) * (varianceX + varianceY + C2));
+        windows++;
+      }
+    }
+    return total / windows;
+  }
+
+  static _channelValues(pixelData, channel) {
+    const values = new Uint8Array(pixelData.length / 4);
+    for (let i = 0; i < values.length; i++) values[i] = pixelData[i * 4 + channel];
+    return values;
+  }
+
+  /**
+   * Chi-square p-values over growing prefixes of the channel (10%, 20%, ... 100% of the samples),
+   * so sequential embedding from the first pixel shows up as high values that drop off later.
+   */
+  static _chiSquare(values) {
+    const histogram = new Uint32Array(256);
+    const curve = [];
+    for (let window = 1; window <= this.CHI_SQUARE_WINDOWS; window++) {
+      const start = Math.floor(((window - 1) * values.length) / this.CHI_SQUARE_WINDOWS);
+      const end = Math.floor((window * values.length) / this.CHI_SQUARE_WINDOWS);
+      for (let i = start; i < end; i++) histogram[values[i]]++;
+
+      let statistic = 0;
+      let categories = 0;
+      for (let k = 0; k < 128; k++) {
+        const expected = (histogram[2 * k] + histogram[2 * k + 1]) / 2;
+        if (expected < this.CHI_SQUARE_MIN_EXPECTED) continue;
+        statistic += ((histogram[2 * k] - expected) ** 2) / expected;
+        categories++;
+      }
+      curve.push(categories > 1 ? 1 - this._chiSquareCdf(statistic, categories - 1) : 0);
+    }
+    return { pValue: curve[curve.length - 1], curve };
+  }
+
+  /**
+   * RS analysis over non-overlapping groups of 4 horizontally adjacent samples.
+   * @returns {{estimate: number, regular: number, singular: number, regularNegative: number, singularNegative: number}}
+   */
+  static _rsAnalysis(values, width, height) {
+    const original = this._rsCounts(values, width, height, false);
+    const flipped = this._rsCounts(values, width, height, true);
+
+    const d0 = original.regular - original.singular;
+    const d1 = flipped.regular - flipped.singular;
+    const n0 = original.regularNegative - original.singularNegative;
+    const n1 = flipped.regularNegative - flipped.singularNegative;
+    const a = 2 * (d1 + d0);
+    const b = n0 - n1 - d1 - 3 * d0;
+    const c = d0 - n0;
+
+    let z;
+    if (Math.abs(a) < 1e-12) {
+      z = Math.abs(b) < 1e-12 ? 0 : -c / b;
+    } else {
+      const discriminant = Math.max(0, b * b - 4 * a * c);
+      const roots = [(-b + Math.sqrt(discriminant)) / (2 * a), (-b - Math.sqrt(discriminant)) / (2 * a)];
+      z = Math.abs(roots[0]) < Math.abs(roots[1]) ? roots[0] : roots[1];
+    }
+    const estimate = Math.abs(z - 0.5) < 1e-12 ? 1 : z / (z - 0.5);
+    return { estimate: this._clampRate(estimate), ...original };
+  }
+
+  static _rsCounts(values, width, height, flipAll) {
+    const groupSize = this.RS_MASK.length;
+    const group = new Int16Array(groupSize);
+    const positive = new Int16Array(groupSize);
+    const negative = new Int16Array(groupSize);
+    const counts = { regular: 0, singular: 0, regularNegative: 0, singularNegative: 0 };
+    let groups = 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x + groupSize <= width; x += groupSize) {
+        for (let i = 0; i < groupSize; i++) {
+          const value = values[y * width + x + i];
+          group[i] = flipAll ? value ^ 1 : value;
+          // F1 swaps 2k <-> 2k+1; F-1 swaps 2k-1 <-> 2k
+          positive[i] = this.RS_MASK[i] ? group[i] ^ 1 : group[i];
+          negative[i] = this.RS_MASK[i] ? ((group[i] + 1) ^ 1) - 1 : group[i];
+        }
+        const base = this._smoothness(group);
+        const withPositive = this._smoothness(positive);
+        const withNegative = this._smoothness(negative);
+        if (withPositive > base) counts.regular++;
+        else if (withPositive < base) counts.singular++;
+        if (withNegative > base) counts.regularNegative++;
+        else if (withNegative < base) counts.singularNegative++;
+        groups++;
+      }
+    }
+
+    if (groups > 0) {
+      for (const key of Object.keys(counts)) counts[key] /= groups;
+    }
+    return counts;
+  }
+
+  static _smoothness(group) {
+    let sum = 0;
+    for (let i = 1; i < group.length; i++) sum += Math.abs(group[i] - group[i - 1]);
+    return sum;
+  }
+
+  /**
+   * Sample pair analysis over all horizontally adjacent pairs (u, v).
+   * X: v even and u < v, or v odd and u > v. Y: the opposite orderings. Z: u = v.
+   * W: u and v differ only in their LSB. The rate p solves (W + Z) / 2 * p^2 + (2X - P) * p + (Y - X) = 0.
+   */
+  static _samplePairAnalysis(values, width, height) {
+    let pairs = 0;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    let w = 0;
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col + 1 < width; col++) {
+        const u = values[row * width + col];
+        const v = values[row * width + col + 1];
+        pairs++;
+        if (u === v) {
+          z++;
+          continue;
+        }
+        if ((v & 1) === 0 ? u < v : u > v) x++;
+        else y++;
+        if (u >> 1 === v >> 1) w++;
+      }
+    }
+
+    const a = (w + z) / 2;
+    const b = 2 * x - pairs;
+    const c = y - x;
+    let estimate = 0;
+    if (a > 0) {
+      // Near full embedding the discriminant can dip below zero; the real part is then the best estimate
+      const discriminant = Math.max(0, b * b - 4 * a * c);
+      const roots = [(-b + Math.sqrt(discriminant)) / (2 * a), (-b - Math.sqrt(discriminant)) / (2 * a)];
+      // The smaller root is the rate; in clean images it lands just either side of zero
+      estimate = Math.min(...roots);
+    } else if (b !== 0) {
+      estimate = -c / b;
+    }
+    return { estimate: this._clampRate(Number.isFinite(estimate) ? estimate : 0) };
+  }
+
+  static _clampRate(rate) {
+    return Math.min(1, Math.max(0, rate));
+  }
+
+  static _chiSquareCdf(statistic, degreesOfFreedom) {
+    return this._regularizedGammaP(degreesOfFreedom / 2, statistic / 2);
+  }
+
+  // Regularized lower incomplete gamma function: series below a + 1, continued fraction above
+  static _regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logPrefix = -x + a * Math.log(x) - this._logGamma(a);
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 1000; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+      }
+      return Math.min(1, sum * Math.exp(logPrefix));
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 1000; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefix) * h);
+  }
+
+  // Lanczos approximation (g = 7, n = 9)
+  static _logGamma(value) {
+    const coefficients = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+      12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+    ];
+    if (value < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * value))) - this._logGamma(1 - value);
+    const x = value - 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < coefficients.length; i++) sum += coefficients[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+  }
+}
+
+export default Steganalysis;
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import Steganalysis from './Steganalysis.js';
+
+const [WIDTH, HEIGHT] = [128, 128];
+
+const createRandom = (seed) => () => {
+  seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+  return seed / 2 ** 32;
+};
+
+// A flat patch on the left and a gently noisy gradient on the right, like sky over a landscape
+const createCarrier = () => {
+  const random = createRandom(5);
+  const data = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      for (let c = 0; c < 3; c++) {
+        data[(y * WIDTH + x) * 4 + c] = Math.round(x < WIDTH / 2 ? 100 + c * 30 : 60 + (x + y) / 2 + c * 10 + (random() - 0.5) * 3);
+      }
+      data[(y * WIDTH + x) * 4 + 3] = 255;
+    }
+  }
+  return data;
+};
+
+// Replaces the LSB of this fraction of the colour samples with a random bit, as an LSB payload does
+const embed = (data, rate) => {
+  const random = createRandom(11);
+  return data.map((value, i) => (i % 4 === 3 || random() >= rate ? value : (value & ~1) | (random() < 0.5 ? 1 : 0)));
+};
+
+describe('analyze', () => {
+  const carrier = createCarrier();
+
+  test('finds nothing in a clean image', () => {
+    const report = Steganalysis.analyze(carrier, WIDTH, HEIGHT);
+    expect(report.detectability).toBe('low');
+    expect(report.estimate).toBeLessThan(0.02);
+    for (const { chiSquare } of report.channels) expect(chiSquare.pValue).toBeLessThan(0.05);
+  });
+
+  test('flags a fully embedded image', () => {
+    const report = Steganalysis.analyze(embed(carrier, 1), WIDTH, HEIGHT);
+    expect(report.detectability).toBe('high');
+    expect(report.estimate).toBeGreaterThan(0.8);
+    for (const { chiSquare } of report.channels) expect(chiSquare.pValue).toBeGreaterThan(0.95);
+  });
+
+  test('estimates the embedding rate with RS and sample pair analysis', () => {
+    const report = Steganalysis.analyze(embed(carrier, 0.25), WIDTH, HEIGHT);
+    for (const { rs, spa } of report.channels) {
+      expect(rs.estimate).toBeCloseTo(0.25, 1);
+      expect(spa.estimate).toBeCloseTo(0.25, 1);
+    }
+    expect(report.detectability).toBe('high');
+  });
+});
+
+describe('measureDistortion', () => {
+  const carrier = createCarrier();
+
+  test('gives infinite PSNR and an SSIM of 1 for identical images', () => {
+    expect(Steganalysis.measureDistortion(carrier, carrier.slice(), WIDTH, HEIGHT)).toEqual({ mse: 0, psnr: Infinity, ssim: 1 });
+  });
+
+  test('measures a uniform shift exactly', () => {
+    const shifted = carrier.map((value, i) => (i % 4 === 3 ? value : value + 2));
+    const { mse, psnr, ssim } = Steganalysis.measureDistortion(shifted, carrier, WIDTH, HEIGHT);
+    expect(mse).toBe(4);
+    expect(psnr).toBeCloseTo(10 * Math.log10((255 * 255) / 4), 10);
+    expect(ssim).toBeLessThan(1);
+    expect(ssim).toBeGreaterThan(0.99);
+  });
+
+  test('matches the estimate for full 1-bit embedding', () => {
+    const { mse } = Steganalysis.measureDistortion(embed(carrier, 1), carrier, WIDTH, HEIGHT);
+    const estimate = Steganalysis.estimateLsbDistortion(WIDTH * HEIGHT * 3, (WIDTH * HEIGHT * 3) / 8, 1);
+    expect(estimate.mse).toBe(0.5);
+    expect(mse).toBeCloseTo(estimate.mse, 1);
+    expect(Steganalysis.rateQuality(estimate.psnr)).toBe('imperceptible');
+  });
+});
+
+describe('compare and renderHeatmap', () => {
+  const carrier = createCarrier();
+  const changed = carrier.slice();
+  changed[0] ^= 1; // red LSB of pixel 0
+  changed[6] += 3; // blue of pixel 1
+
+  test('count the changed pixels and LSB flips per channel', () => {
+    const { changedPixels, channels } = Steganalysis.compare(changed, carrier);
+    expect(changedPixels).toBe(2);
+    expect(channels.map(({ changed: count, lsbFlips, maxDelta }) => [count, lsbFlips, maxDelta])).toEqual([[1, 1, 1], [0, 0, 0], [1, 1, 3], [0, 0, 0]]);
+  });
+
+  test('shows the largest change white and dims unchanged pixels', () => {
+    const { data, maxDelta } = Steganalysis.renderHeatmap(changed, carrier);
+    expect(maxDelta).toBe(3);
+    expect(Array.from(data.subarray(4, 8))).toEqual([255, 255, 255, 255]);
+    expect(data[0]).toBeGreaterThan(data[1]);
+    // A quarter of the luma of the unchanged (100, 130, 160) pixel 2
+    expect(Array.from(data.subarray(8, 12))).toEqual([31, 31, 31, 255]);
+  });
+
+  test('refuse images of different sizes', () => {
+    expect(() => Steganalysis.compare(carrier, carrier.subarray(4))).toThrow('different dimensions');
+    expect(() => Steganalysis.measureDistortion(carrier, carrier.subarray(4), WIDTH, HEIGHT)).toThrow('different dimensions');
+  });
+});
@@ -0,0 +1,441 @@
+import pako from 'pako';
+import Cipher from './Cipher.js';
+import Container from './Container.js';
+import CoverImage from './CoverImage.js';
+import Deniable from './Deniable.js';
+import Ecc from './Ecc.js';
+import GeneratedImage from './GeneratedImage.js';
+import Jsteg from './Jsteg.js';
+import Keys from './Keys.js';
+import Lsb from './Lsb.js';
+import PngChunk from './PngChunk.js';
+import Signature from './Signature.js';
+import SpreadSpectrum from './SpreadSpectrum.js';
+import { isJpeg } from './JpegCodec.js';
+import { decodePng, encodePng, isPng } from './PngCodec.js';
+
+/**
+ * High-level operations on bytes and pixel buffers; the browser and CLI front ends are thin adapters over these.
+ *
+ * Payloads are `{ fileName, data }` for one file or `{ files: [{ path, data }], fileName? }` for a bundle.
+ * Pixels are `{ width, height, data, data16? }`: `data` holds 8-bit RGBA samples (the high bytes for 16-bit
+ * images) and `data16`, when present, the full 16-bit samples whose low bytes are carried through unchanged.
+ */
+class Stego {
+  /**
+   * Hides a payload in the LSBs of a carrier.
+   * @param {{password?: string|null, recipients?: string[]|null, signingKey?: string|null, encryptHeader?: boolean, bitDepth?: number, scatter?: boolean, stegoKey?: string|null, ecc?: string|null, alpha?: boolean, lowBytes?: boolean, onProgress?: function}} options
+   *   `recipients` lists public keys (see Keys) to encrypt for instead of a password, and `signingKey` is a private
+   *   key that signs the header (every hide method takes both). `encryptHeader` encrypts the header with the
+   *   password too, so the carrier shows no trace of a container (LSB and JPEG carriers, without `ecc`).
+   *   `scatter` spreads the bits over a key-seeded permutation of the channels; the key is `stegoKey` if given,
+   *   otherwise the password. `ecc` names an error correction level (see Ecc.LEVELS). `alpha` and `lowBytes` let
+   *   the container run on into the alpha LSBs of partly transparent pixels and the low bytes of a 16-bit carrier (see
+   *   Lsb.embedExtended); neither combines with `scatter` or `ecc`.
+   * @returns {Promise<object>} The carrier's pixels with the container embedded.
+   */
+  static async hideInPixelsAsync(payload, carrier, { password = null, recipients = null, signingKey = null, encryptHeader = false, bitDepth = 1, scatter = false, stegoKey = null, ecc = null, alpha = false, lowBytes = false, onProgress = null } = {}) {
+    const scatterKey = this._getScatterKey(scatter, stegoKey, password);
+    const headerPassword = this._getHeaderPassword(encryptHeader, password, ecc);
+    const extra = { alpha, lowBytes: lowBytes && Boolean(carrier.data16) };
+    const isExtended = extra.alpha || extra.lowBytes;
+    if (isExtended && (scatter || Ecc.getParityBytes(ecc) > 0)) {
+      throw new Error('The alpha channel and 16-bit low bytes cannot be combined with scattering or error correction.');
+    }
+    onProgress?.(10);
+    const encodingType = scatter ? Container.ENCODING_TYPE_LSB_SCATTERED : Container.ENCODING_TYPE_LSB;
+    const container = await this._createLsbContainerAsync(payload, { password, recipients, signingKey, headerPassword, ecc, encodingType, bitDepth, extra });
+    onProgress?.(40);
+
+    const capacity = Lsb.capacity(carrier.width, carrier.height, bitDepth)
+      + (isExtended ? Lsb.extraCapacity(carrier.data, carrier.data16, bitDepth, extra) : 0);
+    if (container.length > capacity) {
+      throw new Error(`File is too large for the selected carrier image and bit depth. Required: ${container.length} bytes, Available: ${capacity} bytes.`);
+    }
+    onProgress?.(50);
+
+    if (isExtended) {
+      const embedded = Lsb.embedExtended(carrier.data, carrier.data16, container, bitDepth, extra);
+      onProgress?.(100);
+      return { ...carrier, ...embedded };
+    }
+    const data = await Lsb.embedAsync(carrier.data, container, bitDepth, scatterKey);
+    onProgress?.(100);
+    return { ...carrier, data };
+  }
+
+  /**
+   * Spreads one payload over several carriers. Each part carries its own header with a shared set ID plus
+   * part index and count; the payload is compressed, hashed and encrypted once, then split in proportion
+   * to each carrier's capacity. With `ecc` every part is error-corrected on its own.
+   * @returns {Promise<object[]>} One pixel buffer per carrier, in the order the carriers were given.
+   */
+  static async hideAcrossPixelsAsync(payload, carriers, { password = null, recipients = null, signingKey = null, encryptHeader = false, bitDepth = 1, scatter = false, stegoKey = null, ecc = null, onProgress = null } = {}) {
+    const scatterKey = this._getScatterKey(scatter, stegoKey, password);
+    const headerPassword = this._getHeaderPassword(encryptHeader, password, ecc);
+    if (carriers.length > 0xFFFF) throw new Error('Too many carrier images.');
+    const multipart = { setId: crypto.getRandomValues(new Uint8Array(Container.SET_ID_SIZE)), partCount: carriers.length };
+    const encodingType = scatter ? Container.ENCODING_TYPE_LSB_SCATTERED : Container.ENCODING_TYPE_LSB;
+    const sealed = await Container.sealAsync(await Container.packPayloadAsync(payload), { password, recipients, signingKey }, { encodingType, bitDepth, multipart });
+    const processedData = sealed.data;
+    onProgress?.(25);
+
+    const headerFields = {
+      fileName: sealed.fileName, sha256Hash: sealed.sha256Hash, kdf: sealed.kdf, isArchive: sealed.isArchive, contentType: sealed.contentType,
+      isCompressed: true, bitDepth, encodingType,
+    };
+    const headerSize = Container.createHeader({ ...headerFields, fileSize: 0, multipart: { ...multipart, partIndex: 0 } }).length
+      + (signingKey ? Signature.SECTION_SIZE : 0) + (headerPassword ? Container.SEALED_HEADER_OVERHEAD : 0);
+    const parityBytes = Ecc.getParityBytes(ecc);
+    const capacities = carriers.map((carrier) => {
+      const capacity = Lsb.capacity(carrier.width, carrier.height, bitDepth);
+      return Math.max(0, (parityBytes ? Ecc.maxContainerSize(capacity, parityBytes) : capacity) - headerSize);
+    });
+    const totalCapacity = capacities.reduce((sum, capacity) => sum + capacity, 0);
+    if (processedData.length > totalCapacity) {
+      throw new Error(`File is too large for the selected carrier images and bit depth. Required: ${processedData.length + headerSize * carriers.length} bytes, Available: ${totalCapacity + headerSize * carriers.length} bytes.`);
+    }
+
+    // Split in proportion to capacity, then hand the rounding remainder to carriers with room to spare
+    const partSizes = capacities.map((capacity) => Math.floor((processedData.length * capacity) / totalCapacity));
+    let remainder = processedData.length - partSizes.reduce((sum, size) => sum + size, 0);
+    for (let i = 0; remainder > 0; i++) {
+      const extra = Math.min(remainder, capacities[i] - partSizes[i]);
+      partSizes[i] += extra;
+      remainder -= extra;
+    }
+
+    const parts = [];
+    let offset = 0;
+    for (const [partIndex, carrier] of carriers.entries()) {
+      const partSize = partSizes[partIndex];
+      let header = await Container.signHeaderAsync(Container.createHeader({ ...headerFields, fileSize: partSize, multipart: { ...multipart, partIndex } }), signingKey);
+      if (headerPassword) header = await Container.sealHeaderAsync(header, headerPassword);
+      const container = this._protect(Container.concat([header, processedData.subarray(offset, offset + partSize)]), ecc, headerFields.encodingType, bitDepth);
+      offset += partSize;
+
+      parts.push({ ...carrier, data: await Lsb.embedAsync(carrier.data, container, bitDepth, scatterKey) });
+      onProgress?.(25 + Math.round(((partIndex + 1) / carriers.length) * 75));
+    }
+    return parts;
+  }
+
+  /**
+   * Hides a payload, and optionally a decoy, in a deniable LSB carrier (see Deniable): each is sealed with its own
+   * password and nothing is left in the clear, so extracting with the decoy password shows only the decoy.
+   * Without a decoy the second slot holds random bytes, which look the same.
+   * @param {{password: string, decoyPayload?: object|null, decoyPassword?: string|null, signingKey?: string|null, bitDepth?: number, onProgress?: function}} options
+   * @returns {Promise<object>} The carrier's pixels; every LSB up to `bitDepth` is rewritten.
+   */
+  static async hideDeniableAsync(payload, carrier, { password = null, decoyPayload = null, decoyPassword = null, signingKey = null, bitDepth = 1, onProgress = null } = {}) {
+    if (!password) throw new Error('Deniable mode needs a password.');
+    if (decoyPayload && !decoyPassword) throw new Error('The decoy file needs a password of its own.');
+    if (decoyPayload && decoyPassword === password) throw new Error('The decoy password must differ from the real one.');
+    onProgress?.(10);
+
+    const headerFields = { encodingType: Container.ENCODING_TYPE_DENIABLE, bitDepth };
+    const entries = [{ container: await Container.buildAsync(payload, { signingKey }, headerFields), password }];
+    if (decoyPayload) entries.push({ container: await Container.buildAsync(decoyPayload, { signingKey }, headerFields), password: decoyPassword });
+    onProgress?.(30);
+
+    const capacity = Deniable.capacity(carrier.width, carrier.height, bitDepth);
+    const required = Math.max(...entries.map((entry) => entry.container.length));
+    if (required > capacity) {
+      throw new Error(`File is too large for the selected carrier image and bit depth. Required: ${required} bytes, Available: ${capacity} bytes per slot.`);
+    }
+    const data = await Deniable.embedAsync(carrier.data, entries, bitDepth);
+    onProgress?.(100);
+    return { ...carrier, data };
+  }
+
+  /**
+   * Stores a payload in a private chunk of a PNG, leaving its pixels untouched. An existing container chunk is replaced.
+   * @returns {Promise<Uint8Array>} The PNG file.
+   */
+  static async hideInPngChunkAsync(payload, pngBytes, { password = null, recipients = null, signingKey = null } = {}) {
+    const container = await Container.buildAsync(payload, { password, recipients, signingKey }, { encodingType: Container.ENCODING_TYPE_CHUNK, bitDepth: 0 });
+    return PngChunk.embed(pngBytes, container);
+  }
+
+  /**
+   * Hides a payload in the DCT coefficients of a baseline JPEG without recompressing it.
+   * `ecc` names an error correction level and `encryptHeader` encrypts the header, as for pixel carriers.
+   * @returns {Promise<Uint8Array>} The JPEG file.
+   */
+  static async hideInJpegAsync(payload, jpegBytes, { password = null, recipients = null, signingKey = null, encryptHeader = false, ecc = null } = {}) {
+    this._getHeaderPassword(encryptHeader, password, ecc);
+    const container = await Container.buildAsync(payload, { password, recipients, signingKey, encryptHeader }, { encodingType: Container.ENCODING_TYPE_JPEG_DCT, bitDepth: 1 });
+    return Jsteg.embed(jpegBytes, this._protect(container, ecc, Container.ENCODING_TYPE_JPEG_DCT, 1));
+  }
+
+  /**
+   * Marks a short message (up to SpreadSpectrum.MAX_MESSAGE_SIZE bytes) into the frequency domain of a carrier
+   * so it survives moderate JPEG recompression and rescaling. The message is not encrypted; `stegoKey` seeds
+   * where it goes, and without it a public default is used.
+   * @returns {Promise<object>} The carrier's pixels with the mark; save them losslessly (encodePixels).
+   */
+  static async hideRobustMarkAsync(message, carrier, { stegoKey = null, onProgress = null } = {}) {
+    return { ...carrier, data: await SpreadSpectrum.embedAsync(carrier, message, stegoKey, onProgress) };
+  }
+
+  /**
+   * Reads a robust mark from decoded pixels (any format, including recompressed or resized copies).
+   * @returns {Promise<{message: Uint8Array, confidence: number, correctedBytes: number}>} `confidence` runs from 0
+   *   to 1, where 1 is an untouched marked image.
+   */
+  static async extractRobustMarkAsync(pixels, { stegoKey = null } = {}) {
+    const mark = await SpreadSpectrum.extractAsync(pixels, stegoKey);
+    if (!mark) throw new Error('No robust mark found. The image may carry none, use another key, or be too altered to read.');
+    return mark;
+  }
+
+  /**
+   * Creates a new image from the payload bytes. Bundles are packed in memory; single files can be given as
+   * a streaming source (see GeneratedImage.createAsync) to keep memory use bounded.
+   * With a `style` (see CoverImage.STYLES) the image is instead a procedural picture, sized to fit, with the
+   * payload in its LSBs at `bitDepth`; such covers need the payload in memory.
+   * @returns {Promise<Blob>} The PNG.
+   */
+  static async createImageAsync(payload, { password = null, recipients = null, signingKey = null, style = null, bitDepth = CoverImage.DEFAULT_BIT_DEPTH, onProgress = null } = {}) {
+    if (style) return this._createCoverImageAsync(payload, { password, recipients, signingKey, style, bitDepth, onProgress });
+    let source = payload;
+    if (!payload.read) {
+      const { data, fileName, isArchive, contentType } = await Container.packPayloadAsync(payload);
+      source = GeneratedImage.fromBytes(data, fileName, isArchive, contentType);
+    }
+    return GeneratedImage.createAsync(source, { password, recipients, signingKey, onProgress });
+  }
+
+  /**
+   * Extracts a payload from a PNG or JPEG file. Files encrypted for recipients open with any one of `privateKeys`.
+   * `correctedBytes` counts the bytes error correction repaired, and `signer` is the header signature checked
+   * against `trustedKeys` (see Signature.verifyAsync), or null when the header is unsigned.
+   * @returns {Promise<{fileName: string, data: Uint8Array, files: Array|null, contentType: number, correctedBytes: number, signer: object|null}>}
+   */
+  static async extractAsync(imageBytes, { password = null, privateKeys = null, trustedKeys = null, stegoKey = null, onProgress = null } = {}) {
+    const embedded = await this.readEmbeddedContainerAsync(imageBytes, password);
+    if (embedded) {
+      onProgress?.(60);
+      return this.openContainerAsync(embedded.headerInfo, embedded.data, { password, privateKeys, trustedKeys, onProgress });
+    }
+    const { data, data16 } = this.decodePixels(imageBytes);
+    return this.extractFromPixelsAsync(data, { password, privateKeys, trustedKeys, stegoKey, data16, onProgress });
+  }
+
+  /**
+   * Extracts a payload from the pixels of a generated or LSB carrier.
+   * `stegoKey` locates scattered payloads; without it the password is tried as the key. Carriers with no
+   * readable header are tried for a header encrypted with the password, then as deniable carriers.
+   * `data16` holds the 16-bit samples of the image, needed when the container runs into their low bytes.
+   */
+  static async extractFromPixelsAsync(pixelData, { password = null, privateKeys = null, trustedKeys = null, stegoKey = null, data16 = null, onProgress = null } = {}) {
+    onProgress?.(20);
+    let located;
+    try {
+      located = await Lsb.locateHeaderAsync(pixelData, stegoKey || password, password);
+    } catch (e) {
+      if (!password) throw e;
+      const opened = await Deniable.openAsync(pixelData, password);
+      if (!opened) throw new Error('Invalid signature. No hidden data found, or none that this password opens.');
+      onProgress?.(60);
+      return this.openContainerAsync(opened.headerInfo, opened.data, { trustedKeys, onProgress });
+    }
+    const { headerInfo, scatterKey, data } = located;
+    if (headerInfo.isMultipart) {
+      throw new Error(`This image is part ${headerInfo.partIndex + 1} of ${headerInfo.partCount} of a multi-part payload. Select all parts to extract it.`);
+    }
+    onProgress?.(40);
+
+    const containerData = data || await Lsb.readContainerDataAsync(pixelData, headerInfo, scatterKey, data16);
+    onProgress?.(60);
+    return this.openContainerAsync(headerInfo, containerData, { password, privateKeys, trustedKeys, onProgress });
+  }
+
+  /**
+   * Opens the data of a located container (see Container.openAsync) and reports repairs and the signer, as the
+   * extract methods do.
+   */
+  static async openContainerAsync(headerInfo, containerData, { password = null, privateKeys = null, trustedKeys = null, onProgress = null } = {}) {
+    const extracted = await Container.openAsync(headerInfo, containerData, { password, privateKeys }, onProgress);
+    const signer = await Signature.verifyAsync(headerInfo.signed, trustedKeys);
+    return { ...extracted, correctedBytes: headerInfo.ecc?.correctedBytes ?? 0, signer };
+  }
+
+  /**
+   * Reassembles a payload spread over several carriers by hideAcrossPixelsAsync.
+   * Parts may be given in any order; missing parts are reported by index.
+   * @param {Uint8Array[]} pixelDataList
+   */
+  static async extractMultipartAsync(pixelDataList, { password = null, privateKeys = null, trustedKeys = null, stegoKey = null, onProgress = null } = {}) {
+    const parts = [];
+    for (const [i, pixelData] of pixelDataList.entries()) {
+      parts.push({ ...await Lsb.locateHeaderAsync(pixelData, stegoKey || password, password), pixelData });
+      onProgress?.(Math.round(((i + 1) / pixelDataList.length) * 30));
+    }
+
+    const set = Container.collectParts(parts.map((part) => part.headerInfo));
+    if (set.missingParts.length > 0) {
+      throw new Error(`Missing part(s) ${set.missingParts.map((index) => index + 1).join(', ')} of ${set.partCount}.`);
+    }
+
+    const chunks = [];
+    for (let index = 0; index < set.partCount; index++) {
+      const part = parts.find((candidate) => candidate.headerInfo.partIndex === index);
+      chunks.push(part.data || await Lsb.readContainerDataAsync(part.pixelData, part.headerInfo, part.scatterKey));
+    }
+    onProgress?.(60);
+
+    const firstHeader = parts.find((part) => part.headerInfo.partIndex === 0).headerInfo;
+    const extracted = await Container.openAsync(firstHeader, Container.concat(chunks), { password, privateKeys }, onProgress);
+    const signers = await Promise.all(parts.map((part) => Signature.verifyAsync(part.headerInfo.signed, trustedKeys)));
+    return {
+      ...extracted,
+      correctedBytes: parts.reduce((sum, part) => sum + (part.headerInfo.ecc?.correctedBytes ?? 0), 0),
+      signer: Signature.combine(signers),
+    };
+  }
+
+  /**
+   * Reads the container header of a PNG or JPEG file without extracting the payload. The result's `signer` is the
+   * header signature checked against `trustedKeys`, as for extraction. Encrypted headers need the `password`.
+   */
+  static async readMetadataAsync(imageBytes, { password = null, stegoKey = null, trustedKeys = null } = {}) {
+    const embedded = await this.readEmbeddedContainerAsync(imageBytes, password);
+    if (embedded) return this.verifyHeaderAsync(embedded.headerInfo, trustedKeys);
+    return this.readPixelMetadataAsync(this.decodePixels(imageBytes).data, { password, stegoKey, trustedKeys });
+  }
+
+  static async readPixelMetadataAsync(pixelData, { password = null, stegoKey = null, trustedKeys = null } = {}) {
+    const { headerInfo } = await Lsb.locateHeaderAsync(pixelData, stegoKey || password, password);
+    return this.verifyHeaderAsync(headerInfo, trustedKeys);
+  }
+
+  /**
+   * A parsed header with its `signer` (see Signature.verifyAsync) added.
+   */
+  static async verifyHeaderAsync(headerInfo, trustedKeys = null) {
+    return { ...headerInfo, signer: await Signature.verifyAsync(headerInfo.signed, trustedKeys) };
+  }
+
+  /**
+   * Finds a container the file holds outside its pixels (PNG chunk or JPEG coefficients).
+   * @returns {{headerInfo: object, data: Uint8Array}|null} null when the container, if any, is in the pixels.
+   */
+  static readEmbeddedContainer(imageBytes) {
+    return PngChunk.readContainer(imageBytes) || Jsteg.readContainer(imageBytes);
+  }
+
+  /**
+   * readEmbeddedContainer, falling back to a JPEG container whose header is encrypted with `password`.
+   */
+  static async readEmbeddedContainerAsync(imageBytes, password = null) {
+    try {
+      return this.readEmbeddedContainer(imageBytes);
+    } catch (e) {
+      const sealed = password && isJpeg(imageBytes)
+        ? await Jsteg.readSealedContainerAsync(imageBytes, password)
+        : null;
+      if (!sealed) throw e;
+      return sealed;
+    }
+  }
+
+  /**
+   * Container bytes an LSB carrier needs for this payload: the header and compressed data plus whatever `options`
+   * add (encryption, recipient entries, signature, encrypted header), but not error correction (see
+   * Ecc.maxContainerSize). With `partCount` > 1 every part's header is included. The CLI and the web app pick
+   * bit depths with this, so a payload that fits here fits in hide.
+   * @param {{isEncrypted?: boolean, recipientCount?: number, isSigned?: boolean, isHeaderEncrypted?: boolean}} options
+   */
+  static async estimateLsbContainerSizeAsync(payload, partCount = 1, { isEncrypted = false, recipientCount = 0, isSigned = false, isHeaderEncrypted = false } = {}) {
+    const { data, fileName, contentType } = await Container.packPayloadAsync(payload);
+    const compressedSize = pako.deflate(data).length;
+    const kdf = isEncrypted || recipientCount > 0 ? this._placeholderKdf(recipientCount) : null;
+    const fileSize = kdf ? Cipher.ciphertextSize(compressedSize) : compressedSize;
+    const header = Container.createHeader({
+      fileSize, fileName, contentType, kdf, sha256Hash: new Uint8Array(Container.SHA256_SIZE),
+      encodingType: Container.ENCODING_TYPE_LSB, isCompressed: true, bitDepth: 1,
+      multipart: partCount > 1 ? { setId: new Uint8Array(Container.SET_ID_SIZE), partIndex: 0, partCount } : null,
+    });
+    const headerSize = header.length + (isSigned ? Signature.SECTION_SIZE : 0) + (isHeaderEncrypted ? Container.SEALED_HEADER_OVERHEAD : 0);
+    return headerSize * partCount + fileSize;
+  }
+
+  /**
+   * Decodes a PNG without any colour management, so every stored sample comes back exactly.
+   * Other formats need a platform decoder (canvas in browsers).
+   */
+  static decodePixels(imageBytes) {
+    if (!isPng(imageBytes)) throw new Error('Unsupported image format. Only PNG and JPEG files can be read without a browser.');
+    const { width, height, bitDepth, data } = decodePng(imageBytes);
+    if (bitDepth === 8) return { width, height, data, data16: null };
+    return { width, height, data: Uint8Array.from(data, (sample) => sample >> 8), data16: data };
+  }
+
+  /**
+   * Encodes pixels as a PNG, restoring the untouched low bytes of 16-bit carriers.
+   * @returns {Blob}
+   */
+  static encodePixels({ width, height, data, data16 = null }) {
+    if (!data16) return encodePng({ width, height, data });
+    const samples = new Uint16Array(data16.length);
+    for (let i = 0; i < samples.length; i++) samples[i] = (data[i] << 8) | (data16[i] & 0xFF);
+    return encodePng({ width, height, data: samples, bitDepth: 16 });
+  }
+
+  static async _createCoverImageAsync(payload, { password, recipients, signingKey, style, bitDepth, onProgress }) {
+    if (payload.read) throw new Error('Cover images need the payload in memory, not a streaming source.');
+    if (!Number.isInteger(bitDepth) || bitDepth < 1 || bitDepth > 8) throw new Error('Bit depth must be between 1 and 8.');
+    onProgress?.(10);
+    const container = await this._createLsbContainerAsync(payload, { password, recipients, signingKey, encodingType: Container.ENCODING_TYPE_LSB, bitDepth });
+    onProgress?.(40);
+
+    const { width, height } = CoverImage.getSize(container.length, bitDepth);
+    const cover = CoverImage.render(style, width, height);
+    onProgress?.(80);
+    const data = await Lsb.embedAsync(cover.data, container, bitDepth);
+    onProgress?.(100);
+    return this.encodePixels({ ...cover, data });
+  }
+
+  // Seals a payload into the container an LSB carrier holds: signed, header-encrypted and error-corrected as asked
+  static async _createLsbContainerAsync(payload, { password = null, recipients = null, signingKey = null, headerPassword = null, ecc = null, encodingType, bitDepth, extra = {} }) {
+    const extraFields = { usesAlpha: Boolean(extra.alpha), usesLowBytes: Boolean(extra.lowBytes) };
+    const sealed = await Container.sealAsync(await Container.packPayloadAsync(payload), { password, recipients, signingKey }, { encodingType, bitDepth, ...extraFields });
+    let header = await Container.signHeaderAsync(Container.createHeader({
+      fileSize: sealed.data.length, fileName: sealed.fileName, sha256Hash: sealed.sha256Hash, kdf: sealed.kdf,
+      encodingType, isCompressed: true, isArchive: sealed.isArchive, contentType: sealed.contentType, bitDepth, ...extraFields,
+    }), signingKey);
+    if (headerPassword) header = await Container.sealHeaderAsync(header, headerPassword);
+    return this._protect(Container.concat([header, sealed.data]), ecc, encodingType, bitDepth);
+  }
+
+  // KDF fields of the right size for estimating, as Cipher.createKeyAsync would make them
+  static _placeholderKdf(recipientCount) {
+    if (!recipientCount) return { id: Cipher.KDF_PBKDF2_SHA256, iterations: 0, salt: new Uint8Array(Cipher.SALT_SIZE) };
+    const recipients = Array.from({ length: recipientCount }, () => ({ keyId: new Uint8Array(Keys.KEY_ID_SIZE), wrappedKey: new Uint8Array(Cipher.WRAPPED_KEY_SIZE) }));
+    return { id: Cipher.KDF_ECDH_P256, ephemeralPublicKey: new Uint8Array(Keys.PUBLIC_KEY_SIZE), recipients };
+  }
+
+  static _protect(container, ecc, encodingType, bitDepth) {
+    const parityBytes = Ecc.getParityBytes(ecc);
+    return parityBytes ? Ecc.encode(container, { parityBytes, encodingType, bitDepth }) : container;
+  }
+
+  // The password that seals the header, or null when it stays in the clear
+  static _getHeaderPassword(encryptHeader, password, ecc) {
+    if (!encryptHeader) return null;
+    if (!password) throw new Error('Encrypting the header needs a password.');
+    if (Ecc.getParityBytes(ecc) > 0) throw new Error('Error correction cannot be combined with an encrypted header.');
+    return password;
+  }
+
+  static _getScatterKey(scatter, stegoKey, password) {
+    if (!scatter) return null;
+    const scatterKey = stegoKey || password;
+    if (!scatterKey) throw new Error('Scattered mode needs a password or stego key.');
+    return scatterKey;
+  }
+}
+
+export default Stego;
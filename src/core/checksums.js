@@ -0,0 +1,22 @@
+let crcTable = null;
+
+const getCrcTable = () => {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+};
+
+/**
+ * CRC-32 (IEEE 802.3), as used by ZIP and PNG. Pass the previous result as `crc` to continue a running checksum.
+ */
+export const crc32 = (data, crc = 0) => {
+  const table = getCrcTable();
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) c = table[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+};
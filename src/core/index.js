@@ -0,0 +1,22 @@
+/**
+ * ShadeOfColor core: the container format, its carriers and codecs, with no DOM dependencies.
+ * Runs in browsers, workers and Node 20+ (anything with Web Crypto and Blob). See README.md for the API.
+ */
+export { default as Stego } from './Stego.js';
+export { default as Container } from './Container.js';
+export { default as Cipher } from './Cipher.js';
+export { default as Keys } from './Keys.js';
+export { default as Signature } from './Signature.js';
+export { default as Lsb } from './Lsb.js';
+export { default as Deniable } from './Deniable.js';
+export { default as Ecc } from './Ecc.js';
+export { default as ReedSolomon } from './ReedSolomon.js';
+export { default as PngChunk } from './PngChunk.js';
+export { default as SpreadSpectrum } from './SpreadSpectrum.js';
+export { default as Jsteg } from './Jsteg.js';
+export { default as GeneratedImage } from './GeneratedImage.js';
+export { default as CoverImage } from './CoverImage.js';
+export { default as Steganalysis } from './Steganalysis.js';
+export { default as Sha256 } from './Sha256.js';
+export { decodePng, encodePng, isPng, readChunks, createChunk, PngEncoder } from './PngCodec.js';
+export { decodeJpegCoefficients, encodeJpegCoefficients, isJpeg } from './JpegCodec.js';
@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { Stego, encodePng } from './index.js';
+
+const PASSWORD = 'correct horse battery staple';
+const payload = { fileName: 'notes.txt', data: new TextEncoder().encode('Meet at the usual place at noon.') };
+
+const blobBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+const createCarrierAsync = async (width, height) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i % 4 === 3) ? 255 : (i * 37) & 0xFF;
+  return blobBytes(encodePng({ width, height, data }));
+};
+
+describe('core entry point', () => {
+  test('hides in a generated image and extracts it', async () => {
+    const image = await blobBytes(await Stego.createImageAsync(payload, { password: PASSWORD }));
+    const extracted = await Stego.extractAsync(image, { password: PASSWORD });
+    expect(extracted.fileName).toBe('notes.txt');
+    expect(extracted.data).toEqual(payload.data);
+  });
+
+  test('hides in the pixels of an existing PNG and extracts it', async () => {
+    const carrier = Stego.decodePixels(await createCarrierAsync(64, 64));
+    const hidden = await Stego.hideInPixelsAsync(payload, carrier, { password: PASSWORD, bitDepth: 2, scatter: true });
+    const image = await blobBytes(Stego.encodePixels(hidden));
+
+    const extracted = await Stego.extractAsync(image, { password: PASSWORD });
+    expect(extracted.fileName).toBe('notes.txt');
+    expect(extracted.data).toEqual(payload.data);
+  });
+});
+
+describe('command line', () => {
+  const run = promisify(execFile);
+  const cli = path.join(__dirname, '..', '..', 'bin', 'shade-of-color.mjs');
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shade-of-color-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const shadeOfColor = (args, password) => run(process.execPath, [cli, ...args, '--password-env', 'SOC_PASSWORD'], {
+    cwd: dir,
+    env: { ...process.env, SOC_PASSWORD: password },
+    timeout: 60000,
+  });
+
+  test('hides in a carrier and extracts it', async () => {
+    fs.writeFileSync(path.join(dir, 'carrier.png'), await createCarrierAsync(64, 64));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), payload.data);
+
+    await shadeOfColor(['hide', 'notes.txt', '--carrier', 'carrier.png', '-o', 'out.png', '-q'], PASSWORD);
+    await shadeOfColor(['extract', 'out.png', '-o', 'extracted.txt', '-q'], PASSWORD);
+    expect(new Uint8Array(fs.readFileSync(path.join(dir, 'extracted.txt')))).toEqual(payload.data);
+
+    await expect(shadeOfColor(['extract', 'out.png', '-o', 'wrong.txt', '-q'], 'wrong')).rejects.toMatchObject({ code: 3 });
+  });
+});
@@ -1,409 +1,357 @@
-// Cache-buster comment
-/* global pako */
+import { Container, Jsteg, Lsb, Signature, Stego, Steganalysis, encodePng, isPng } from '../core/index.js';
 
 /**
- * Client-side Image Processor for Steganography
- * Supports two methods:
- * 1. Generate: Creates a new noisy image from the file data. High capacity, not subtle.
+ * Client-side Image Processor for Steganography: the browser adapter over the core in src/core.
+ * It turns File/Blob inputs into bytes and pixel buffers, falls back to canvas for image formats the core
+ * cannot decode, and returns Blobs ready for download. Supported methods:
+ * 1. Generate: Creates a new noisy image from the file data. High capacity, not subtle. Optionally a procedural
+ *    cover picture (gradient, clouds or tiles) carrying the data in its LSBs instead.
  * 2. LSB: Hides file data in the least significant bits of an existing carrier image. Low capacity, very subtle.
+ *    Optionally scattered: channels are visited in a permutation seeded from the password or a stego key, or
+ *    extended into the alpha LSBs of partly transparent pixels and the low bytes of 16-bit samples.
+ * 3. Chunk: Stores the container in a private ancillary PNG chunk. Pixels are untouched and capacity is unlimited,
+ *    but the chunk is plainly visible to any PNG inspector.
+ * 4. JPEG DCT: JSteg-style embedding in the quantized DCT coefficients of a baseline JPEG, without recompression.
+ * 5. Deniable: LSB slots for a real and a decoy file, each fully encrypted with its own password.
  */
 class ClientImageProcessor {
-  static SIGNATURE = "SC";
-  static ENCODING_TYPE_GENERATED = 0;
-  static ENCODING_TYPE_LSB = 1;
-
   static MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1GB
-  static BYTES_PER_PIXEL_GENERATED = 3; // RGB
-  static SHA256_SIZE = 32;
+  // Canvas decoding premultiplies alpha, which rounds the colour of partly transparent pixels
+  static CANVAS_ALPHA_ERROR = 'The alpha channel can only carry data in PNGs the built-in decoder reads; this image was decoded by the browser, which alters partly transparent pixels.';
 
   /**
    * Hides a file inside an existing carrier image using LSB steganography.
-   * @param {File} payloadFile - The file to hide.
+   * @param {File|Array<{file: File, path: string}>|{message: string, contentType: number}} payloadFile - The file to
+   *   hide, several files to bundle, or a text message (see Container.createMessagePayload); every hide method takes all three.
    * @param {File} carrierImageFile - The image to hide the file in.
    * @param {string|null} password - Optional password for encryption.
    * @param {number} bitDepth - The number of LSBs to use (1-4).
    * @param {function|null} onProgress - Progress callback.
+   * @param {{scatter?: boolean, stegoKey?: string|null, ecc?: string|null, recipients?: string[]|null, signingKey?: string|null, encryptHeader?: boolean, alpha?: boolean, lowBytes?: boolean}} options - `scatter`
+   *   spreads the bits over a key-seeded permutation of the channels; the key is `stegoKey` if given, otherwise the password.
+   *   `ecc` adds Reed-Solomon error correction at the given level ('low', 'medium' or 'high'). `recipients` lists
+   *   public keys to encrypt for instead of the password, and `signingKey` is a private key that signs the header;
+   *   the other hide methods accept both too. `encryptHeader` encrypts the header with the password as well
+   *   (also for multi-part and JPEG carriers). `alpha` and `lowBytes` add the alpha LSBs of partly transparent
+   *   pixels and the low bytes of 16-bit samples to the capacity (see getExtraCapacityAsync); `alpha` needs a
+   *   carrier the built-in PNG decoder reads.
    * @returns {Promise<Blob>} A new PNG blob with the hidden data.
    */
-  static async hideInExistingImageAsync(payloadFile, carrierImageFile, password = null, bitDepth = 1, onProgress = null) {
+  static async hideInExistingImageAsync(payloadFile, carrierImageFile, password = null, bitDepth = 1, onProgress = null, options = {}) {
     onProgress?.(5);
-    const [rawPayloadData, carrierImg] = await Promise.all([
-      this._readFileAsArrayBuffer(payloadFile),
-      this._loadImage(carrierImageFile),
+    const [payload, carrierImg] = await Promise.all([
+      this._readPayloadAsync(payloadFile),
+      this._loadPixelsAsync(carrierImageFile),
     ]);
-    onProgress?.(10);
-
-    // Compress the payload first
-    const compressedPayload = pako.deflate(rawPayloadData);
-    onProgress?.(15);
-
-    const fileName = payloadFile.name;
-    const isEncrypted = password != null;
-
-    // Hash the ORIGINAL data, not the compressed or encrypted data
-    const sha256Hash = await this._computeSHA256(rawPayloadData);
-    onProgress?.(20);
+    if (options.alpha && carrierImg.isCanvasDecoded) throw new Error(this.CANVAS_ALPHA_ERROR);
+    const pixels = await Stego.hideInPixelsAsync(payload, carrierImg, { ...options, password, bitDepth, onProgress });
+    return Stego.encodePixels(pixels);
+  }
 
-    let processedData = compressedPayload;
-    if (isEncrypted) {
-      processedData = await this._encryptData(compressedPayload, password);
-    }
-    onProgress?.(30);
+  /**
+   * Hides a file, and optionally a decoy, in a deniable carrier (see Deniable): nothing in the image is readable
+   * without a password, and the decoy password opens only the decoy.
+   * @param {{decoyFile?: File|Array|null, decoyPassword?: string|null, signingKey?: string|null}} options
+   * @returns {Promise<Blob>} A new PNG blob.
+   */
+  static async hideDeniableAsync(payloadFile, carrierImageFile, password, bitDepth = 1, onProgress = null, options = {}) {
+    onProgress?.(5);
+    const { decoyFile = null, ...rest } = options;
+    const [payload, decoyPayload, carrierImg] = await Promise.all([
+      this._readPayloadAsync(payloadFile),
+      decoyFile ? this._readPayloadAsync(decoyFile) : null,
+      this._loadPixelsAsync(carrierImageFile),
+    ]);
+    const pixels = await Stego.hideDeniableAsync(payload, carrierImg, { ...rest, decoyPayload, password, bitDepth, onProgress });
+    return Stego.encodePixels(pixels);
+  }
 
-    const header = this._createHeader(processedData.byteLength, fileName, sha256Hash, isEncrypted, this.ENCODING_TYPE_LSB, true, bitDepth);
-    const totalData = new Uint8Array(header.length + processedData.byteLength);
-    totalData.set(header, 0);
-    totalData.set(new Uint8Array(processedData), header.length);
+  /**
+   * Hides a file in a private ancillary chunk of the carrier PNG, leaving the pixels untouched.
+   * Non-PNG carriers are converted to PNG first; an existing container chunk is replaced.
+   * @returns {Promise<Blob>} The carrier PNG with the container chunk inserted before IEND.
+   */
+  static async hideInChunkAsync(payloadFile, carrierImageFile, password = null, onProgress = null, options = {}) {
+    onProgress?.(5);
+    const [payload, carrierBytes] = await Promise.all([
+      this._readPayloadAsync(payloadFile),
+      this._readBytesAsync(carrierImageFile),
+    ]);
     onProgress?.(40);
 
-    const carrierCapacity = Math.floor((carrierImg.width * carrierImg.height * 3 * bitDepth) / 8);
-    if (totalData.length > carrierCapacity) {
-      throw new Error(`File is too large for the selected carrier image and bit depth. Required: ${totalData.length} bytes, Available: ${carrierCapacity} bytes.`);
-    }
-    onProgress?.(50);
-
-    const canvas = document.createElement('canvas');
-    canvas.width = carrierImg.width;
-    canvas.height = carrierImg.height;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(carrierImg, 0, 0);
-    const imageData = ctx.getImageData(0, 0, carrierImg.width, carrierImg.height);
+    const pngBytes = isPng(carrierBytes)
+      ? carrierBytes
+      : await this._readBytesAsync(Stego.encodePixels(await this._loadPixelsAsync(carrierImageFile, carrierBytes)));
     onProgress?.(60);
 
-    this._writeDataWithBitDepth(imageData.data, totalData, bitDepth);
-    onProgress?.(80);
-
-    ctx.putImageData(imageData, 0, 0);
-    onProgress?.(90);
-
-    return new Promise((resolve) => {
-      canvas.toBlob((blob) => {
-        onProgress?.(100);
-        resolve(blob);
-      }, 'image/png');
-    });
+    const blob = new Blob([await Stego.hideInPngChunkAsync(payload, pngBytes, { ...options, password })], { type: 'image/png' });
+    onProgress?.(100);
+    return blob;
   }
 
   /**
-   * Creates a new carrier image from the file data (original method).
+   * Hides a file in a baseline JPEG, JSteg style, without recompressing it.
+   * @param {{ecc?: string|null, recipients?: string[]|null}} options - As for hideInExistingImageAsync.
+   * @returns {Promise<Blob>} The modified JPEG.
    */
-  static async createCarrierImageAsync(file, password = null, onProgress = null) {
-    const fileData = await this._readFileAsArrayBuffer(file);
-    if (fileData.byteLength > this.MAX_FILE_SIZE) throw new Error('File too large.');
-    onProgress?.(10);
+  static async hideInJpegAsync(payloadFile, carrierImageFile, password = null, onProgress = null, options = {}) {
+    onProgress?.(5);
+    const [payload, jpegBytes] = await Promise.all([
+      this._readPayloadAsync(payloadFile),
+      this._readBytesAsync(carrierImageFile),
+    ]);
+    onProgress?.(50);
 
-    const sha256Hash = await this._computeSHA256(fileData);
-    onProgress?.(20);
+    const blob = new Blob([await Stego.hideInJpegAsync(payload, jpegBytes, { ...options, password })], { type: 'image/jpeg' });
+    onProgress?.(100);
+    return blob;
+  }
 
-    let processedData = fileData;
-    if (password) {
-      processedData = await this._encryptData(fileData, password);
-      onProgress?.(30);
-    }
+  /**
+   * Marks a short text (up to 32 UTF-8 bytes) into the carrier's frequency domain so it survives recompression
+   * and resizing by messaging apps. `stegoKey` seeds where the mark goes; the text itself is not encrypted.
+   * @returns {Promise<Blob>} The marked image as a PNG.
+   */
+  static async hideRobustMarkAsync(message, carrierImageFile, stegoKey = null, onProgress = null) {
+    onProgress?.(5);
+    const carrier = await this._loadPixelsAsync(carrierImageFile);
+    const pixels = await Stego.hideRobustMarkAsync(new TextEncoder().encode(message), carrier, { stegoKey, onProgress });
+    return Stego.encodePixels(pixels);
+  }
 
-    const header = this._createHeader(processedData.byteLength, file.name, sha256Hash, !!password, this.ENCODING_TYPE_GENERATED, false, 0);
+  /**
+   * Reads a robust mark from any image the browser can decode, including recompressed or resized copies.
+   * @returns {Promise<{text: string, data: Uint8Array, confidence: number}>} `confidence` runs from 0 to 1.
+   */
+  static async extractRobustMarkAsync(imageFile, stegoKey = null, onProgress = null) {
+    onProgress?.(10);
+    const pixels = await this._loadPixelsAsync(imageFile);
     onProgress?.(40);
+    const { message, confidence } = await Stego.extractRobustMarkAsync(pixels, { stegoKey });
+    onProgress?.(100);
+    return { text: new TextDecoder().decode(message), data: message, confidence };
+  }
 
-    const totalData = new Uint8Array(header.length + processedData.byteLength);
-    totalData.set(header, 0);
-    totalData.set(new Uint8Array(processedData), header.length);
-    onProgress?.(50);
+  /**
+   * Returns the bytes a carrier gains with the `alpha` (per bit depth, 1 to 8) and `lowBytes` options of hideInExistingImageAsync.
+   * @returns {Promise<{alpha: number[], lowBytes: number}>} `alpha` is all 0 for carriers the browser decoded, and
+   *   `lowBytes` is 0 unless the carrier is a 16-bit PNG.
+   */
+  static async getExtraCapacityAsync(carrierImageFile) {
+    const { data, data16, isCanvasDecoded } = await this._loadPixelsAsync(carrierImageFile);
+    return {
+      alpha: Array.from({ length: 8 }, (_, i) => (isCanvasDecoded ? 0 : Lsb.extraCapacity(data, data16, i + 1, { alpha: true }))),
+      lowBytes: Lsb.extraCapacity(data, data16, 1, { lowBytes: true }),
+    };
+  }
 
-    const pixelCount = Math.ceil(totalData.length / this.BYTES_PER_PIXEL_GENERATED);
-    const imageSize = Math.ceil(Math.sqrt(pixelCount));
-    onProgress?.(60);
+  /**
+   * Returns how many container bytes (header included) hideInJpegAsync can store in this JPEG.
+   */
+  static async getJpegCapacityAsync(carrierImageFile) {
+    return Jsteg.capacity(await this._readBytesAsync(carrierImageFile));
+  }
 
-    const canvas = document.createElement('canvas');
-    canvas.width = imageSize;
-    canvas.height = imageSize;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, imageSize, imageSize);
-
-    const imageData = ctx.getImageData(0, 0, imageSize, imageSize);
-    this._writeBytesDirectly(imageData.data, totalData);
-    ctx.putImageData(imageData, 0, 0);
-    onProgress?.(90);
-
-    return new Promise((resolve) => {
-      canvas.toBlob((blob) => {
-        onProgress?.(100);
-        resolve(blob);
-      }, 'image/png');
-    });
+  /**
+   * Creates a new carrier image from the file data (original method).
+   * `file` may also be an array of { file, path } entries, bundled like in hideInExistingImageAsync.
+   * Single files are streamed from disk in slices, so memory use does not grow with the file size.
+   * `options.style` draws a cover picture instead (see Stego.createImageAsync), with the payload read into memory.
+   */
+  static async createCarrierImageAsync(file, password = null, onProgress = null, options = {}) {
+    const size = Array.isArray(file) ? file.reduce((sum, entry) => sum + entry.file.size, 0) : file.size;
+    if (size > this.MAX_FILE_SIZE) throw new Error('File too large.');
+    const payload = Array.isArray(file) || this._isMessage(file) || options.style
+      ? await this._readPayloadAsync(file)
+      : { fileName: file.name, size, read: (offset, length) => this._readBytesAsync(file.slice(offset, offset + length)) };
+    return Stego.createImageAsync(payload, { ...options, password, onProgress });
   }
 
   /**
    * Extracts a file from any supported carrier image.
+   * `options.stegoKey` locates scattered payloads; without it the password is tried as the key.
+   * `options.privateKeys` opens files encrypted for recipients.
+   * The result's `correctedBytes` counts the bytes error correction repaired, and `signer` is the header signature
+   * checked against `options.trustedKeys` (see Signature.verifyAsync), or null when unsigned. Messages have a
+   * `contentType` for which Container.isMessage holds, and their `data` is UTF-8 text to show rather than save.
    */
-  static async extractFileAsync(imageFile, password = null, onProgress = null) {
-    const img = await this._loadImage(imageFile);
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = img.width;
-    canvas.height = img.height;
-    ctx.drawImage(img, 0, 0);
-
-    try {
-      const imageData = ctx.getImageData(0, 0, img.width, img.height);
-      const pixelData = imageData.data;
-      onProgress?.(20);
-
-      const headerInfo = this._readHeader(pixelData);
-      onProgress?.(40);
-
-      let fileDataFromImage;
-      if (headerInfo.encodingType === this.ENCODING_TYPE_LSB) {
-        fileDataFromImage = this._readDataWithBitDepth(pixelData, headerInfo.totalHeaderSize, headerInfo.fileSize, headerInfo.bitDepth);
-      } else {
-        fileDataFromImage = this._readBytesDirectly(pixelData, headerInfo.totalHeaderSize, headerInfo.fileSize);
-      }
+  static async extractFileAsync(imageFile, password = null, onProgress = null, options = {}) {
+    const imageBytes = await this._readBytesAsync(imageFile);
+    const embedded = await Stego.readEmbeddedContainerAsync(imageBytes, password);
+    if (embedded) {
       onProgress?.(60);
-
-      let decryptedData = fileDataFromImage;
-      if (headerInfo.isEncrypted) {
-        if (!password) throw new Error('File is encrypted, but no password was provided.');
-        try {
-          decryptedData = await this._decryptData(fileDataFromImage, password);
-        } catch (e) {
-          throw new Error('Decryption failed. The password may be incorrect.');
-        }
-      }
-      onProgress?.(70);
-
-      let finalData = decryptedData;
-      if (headerInfo.isCompressed) {
-        finalData = pako.inflate(decryptedData);
-      }
-      onProgress?.(80);
-
-      const computedHash = await this._computeSHA256(finalData);
-      if (!this._arraysEqual(computedHash, headerInfo.sha256Hash)) {
-        throw new Error('SHA256 hash mismatch. The file is likely corrupted.');
-      }
-      
-      onProgress?.(100);
-      return { fileName: headerInfo.fileName, data: finalData };
-    } catch (error) {
-      throw error;
+      return Stego.openContainerAsync(embedded.headerInfo, embedded.data, { ...options, password, onProgress });
     }
+    const pixels = await this._loadPixelsAsync(imageFile, imageBytes);
+    return this._explainCanvasFallbackAsync([pixels], () => Stego.extractFromPixelsAsync(pixels.data, { ...options, password, data16: pixels.data16, onProgress }));
   }
 
   /**
-   * Extracts metadata from a carrier image.
+   * Reassembles a payload spread over several carriers by hideAcrossImagesAsync.
+   * Parts may be given in any order; missing parts are reported by index.
    */
-  static async extractMetadataAsync(imageFile) {
-    const img = await this._loadImage(imageFile);
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = img.width;
-    canvas.height = img.height;
-    ctx.drawImage(img, 0, 0);
-    const pixelData = ctx.getImageData(0, 0, img.width, img.height).data;
-    return this._readHeader(pixelData);
+  static async extractMultipartAsync(imageFiles, password = null, onProgress = null, options = {}) {
+    const pixelsList = [];
+    for (const imageFile of imageFiles) {
+      pixelsList.push(await this._loadPixelsAsync(imageFile));
+    }
+    return this._explainCanvasFallbackAsync(pixelsList, () => Stego.extractMultipartAsync(pixelsList.map((pixels) => pixels.data), { ...options, password, onProgress }));
   }
 
-  // --- INTERNAL HELPERS ---
-
-  static _createHeader(fileSize, fileName, sha256Hash, isEncrypted, encodingType, isCompressed, bitDepth) {
-    const fileNameBytes = new TextEncoder().encode(fileName);
-    if (fileNameBytes.length > 255) throw new Error('Filename too long');
-
-    const header = new Uint8Array(512);
-    let offset = 0;
-
-    header.set(new TextEncoder().encode(this.SIGNATURE), offset);
-    offset += 2;
-    header[offset++] = encodingType;
-    header[offset++] = isCompressed ? 1 : 0;
-    header[offset++] = bitDepth;
-
-    const sizeView = new DataView(new ArrayBuffer(8));
-    // eslint-disable-next-line no-undef
-    sizeView.setBigUint64(0, BigInt(fileSize), true);
-    header.set(new Uint8Array(sizeView.buffer), offset);
-    offset += 8;
-
-    header[offset++] = fileNameBytes.length;
-    header.set(fileNameBytes, offset);
-    offset += fileNameBytes.length;
-
-    header[offset++] = isEncrypted ? 1 : 0;
-
-    header.set(sha256Hash, offset);
-    offset += this.SHA256_SIZE;
+  /**
+   * Reads the headers of a set of multi-part carriers and reports which parts are present, and who signed them.
+   */
+  static async inspectMultipartAsync(imageFiles, options = {}) {
+    const headers = [];
+    for (const imageFile of imageFiles) {
+      headers.push(await this.extractMetadataAsync(imageFile, options));
+    }
+    return { ...Container.collectParts(headers), signer: Signature.combine(headers.map((header) => header.signer)) };
+  }
 
-    return header.slice(0, offset);
+  /**
+   * Extracts metadata from a carrier image. `options.trustedKeys` sets which signers count as verified, and
+   * `options.password` opens encrypted headers.
+   */
+  static async extractMetadataAsync(imageFile, options = {}) {
+    const imageBytes = await this._readBytesAsync(imageFile);
+    const embedded = await Stego.readEmbeddedContainerAsync(imageBytes, options.password);
+    if (embedded) return Stego.verifyHeaderAsync(embedded.headerInfo, options.trustedKeys);
+    const pixels = await this._loadPixelsAsync(imageFile, imageBytes);
+    return this._explainCanvasFallbackAsync([pixels], () => Stego.readPixelMetadataAsync(pixels.data, options));
   }
 
-  static _readHeader(pixelData) {
-    // First try direct reading (for generated images)
-    try {
-      const sigBytes = this._readBytesDirectly(pixelData, 0, 5);
-      const signature = String.fromCharCode(sigBytes[0], sigBytes[1]);
-      if (signature === this.SIGNATURE) {
-        const encodingType = sigBytes[2];
-        const isCompressed = sigBytes[3] === 1;
-        const bitDepth = sigBytes[4];
-        
-        let readFunc = (encodingType === this.ENCODING_TYPE_LSB) 
-          ? (offset, len) => this._readDataWithBitDepth(pixelData, offset, len, bitDepth)
-          : (offset, len) => this._readBytesDirectly(pixelData, offset, len);
-        
-        let offset = 5;
-        const fileSizeData = readFunc(offset, 8);
-        const fileSize = new DataView(fileSizeData.buffer).getBigUint64(0, true);
-        offset += 8;
-
-        const fileNameLengthData = readFunc(offset, 1);
-        const fileNameLength = fileNameLengthData[0];
-        offset += 1;
-
-        const fileNameBytes = readFunc(offset, fileNameLength);
-        const fileName = new TextDecoder().decode(fileNameBytes);
-        offset += fileNameLength;
-
-        const isEncryptedData = readFunc(offset, 1);
-        const isEncrypted = isEncryptedData[0] === 1;
-        offset += 1;
-
-        const sha256Hash = readFunc(offset, this.SHA256_SIZE);
-        offset += this.SHA256_SIZE;
-
-        return {
-          signature, encodingType, isCompressed, bitDepth,
-          fileSize: Number(fileSize),
-          fileName, isEncrypted, sha256Hash,
-          totalHeaderSize: offset
-        };
-      }
-    } catch (e) {
-      // Continue to LSB attempt
-    }
-    
-    // Try LSB reading with different bit depths
-    for (let testBitDepth = 1; testBitDepth <= 8; testBitDepth++) {
+  /**
+   * Checks each image for a container with extractMetadataAsync, to audit a whole folder in one job.
+   * @returns {Promise<Array<{header: object|null, error: string|null}>>} One entry per image, in order. `header` is
+   *   the parsed header without its raw signature bytes, or null when none was found, with `error` saying why.
+   */
+  static async scanImagesAsync(imageFiles, onProgress = null, options = {}) {
+    const results = [];
+    for (const [index, imageFile] of imageFiles.entries()) {
       try {
-        const sigBytes = this._readDataWithBitDepth(pixelData, 0, 5, testBitDepth);
-        const signature = String.fromCharCode(sigBytes[0], sigBytes[1]);
-        if (signature === this.SIGNATURE) {
-          const encodingType = sigBytes[2];
-          const isCompressed = sigBytes[3] === 1;
-          const bitDepth = sigBytes[4];
-          
-          if (encodingType === this.ENCODING_TYPE_LSB && bitDepth === testBitDepth) {
-            const readFunc = (offset, len) => this._readDataWithBitDepth(pixelData, offset, len, bitDepth);
-            
-            let offset = 5;
-            const fileSizeData = readFunc(offset, 8);
-            const fileSize = new DataView(fileSizeData.buffer).getBigUint64(0, true);
-            offset += 8;
-
-            const fileNameLengthData = readFunc(offset, 1);
-            const fileNameLength = fileNameLengthData[0];
-            offset += 1;
-
-            const fileNameBytes = readFunc(offset, fileNameLength);
-            const fileName = new TextDecoder().decode(fileNameBytes);
-            offset += fileNameLength;
-
-            const isEncryptedData = readFunc(offset, 1);
-            const isEncrypted = isEncryptedData[0] === 1;
-            offset += 1;
-
-            const sha256Hash = readFunc(offset, this.SHA256_SIZE);
-            offset += this.SHA256_SIZE;
-
-            return {
-              signature, encodingType, isCompressed, bitDepth,
-              fileSize: Number(fileSize),
-              fileName, isEncrypted, sha256Hash,
-              totalHeaderSize: offset
-            };
-          }
-        }
+        const { signed, ...header } = await this.extractMetadataAsync(imageFile, options);
+        results.push({ header, error: null });
       } catch (e) {
-        // Continue trying next bit depth
+        results.push({ header: null, error: e.message });
       }
+      onProgress?.(Math.round(((index + 1) / imageFiles.length) * 100));
     }
-    
-    throw new Error('Invalid signature. Not a valid carrier image.');
+    return results;
   }
 
-  static _writeBytesDirectly(imageData, bytes) {
-    let byteIndex = 0;
-    for (let i = 0; i < imageData.length && byteIndex < bytes.length; i += 4) {
-      imageData[i] = bytes[byteIndex++];
-      if (byteIndex < bytes.length) imageData[i + 1] = bytes[byteIndex++];
-      if (byteIndex < bytes.length) imageData[i + 2] = bytes[byteIndex++];
-    }
+  /**
+   * Returns the number of bytes an LSB container for this payload needs, with the encryption and signature
+   * overhead described by `options` (see Stego.estimateLsbContainerSizeAsync). With `partCount` > 1 every
+   * part's header is included.
+   */
+  static async estimateLsbPayloadSizeAsync(payloadFile, partCount = 1, options = {}) {
+    return Stego.estimateLsbContainerSizeAsync(await this._readPayloadAsync(payloadFile), partCount, options);
   }
 
-  static _readBytesDirectly(pixelData, startOffset, length) {
-    const bytes = new Uint8Array(length);
-    for (let i = 0; i < length; i++) {
-      const dataBytePosition = startOffset + i;
-      const pixel = Math.floor(dataBytePosition / 3);
-      const channel = dataBytePosition % 3;
-      bytes[i] = pixelData[pixel * 4 + channel];
-    }
-    return bytes;
+  /**
+   * Spreads one payload over several carrier images (see Stego.hideAcrossPixelsAsync).
+   * @returns {Promise<Blob[]>} One PNG per carrier, in the order the carriers were given.
+   */
+  static async hideAcrossImagesAsync(payloadFile, carrierImageFiles, password = null, bitDepth = 1, onProgress = null, options = {}) {
+    onProgress?.(5);
+    const [payload, carrierImgs] = await Promise.all([
+      this._readPayloadAsync(payloadFile),
+      Promise.all(carrierImageFiles.map((carrierImageFile) => this._loadPixelsAsync(carrierImageFile))),
+    ]);
+    const parts = await Stego.hideAcrossPixelsAsync(payload, carrierImgs, { ...options, password, bitDepth, onProgress });
+    return parts.map((pixels) => Stego.encodePixels(pixels));
   }
 
-  static _writeDataWithBitDepth(imageData, bytes, bitDepth) {
-    let dataBitIndex = 0;
-    let dataByte = bytes[0];
-    let dataByteBitIndex = 0;
-
-    for (let i = 0; i < imageData.length; i++) {
-      if (i % 4 === 3) continue; // Skip alpha channel
-
-      if (dataBitIndex >= bytes.length * 8) break;
-
-      let bitsToStore = 0;
-      for (let j = 0; j < bitDepth; j++) {
-        if (dataBitIndex >= bytes.length * 8) break;
-        
-        const bit = (dataByte >> (7 - dataByteBitIndex)) & 1;
-        bitsToStore = (bitsToStore << 1) | bit;
-
-        dataBitIndex++;
-        dataByteBitIndex++;
-        if (dataByteBitIndex === 8) {
-          dataByteBitIndex = 0;
-          dataByte = bytes[Math.floor(dataBitIndex / 8)];
-        }
+  /**
+   * Runs chi-square, RS and sample pair analysis on the image's colour channels.
+   * With `carrierFile`, also reports how the image differs from the carrier it was produced from,
+   * including a PNG heatmap of the difference, as compareImagesAsync does.
+   */
+  static async analyzeImageAsync(imageFile, carrierFile = null, onProgress = null) {
+    const image = await this._loadPixelsAsync(imageFile);
+    onProgress?.(20);
+    const report = Steganalysis.analyze(image.data, image.width, image.height, (fraction) => onProgress?.(20 + Math.round(fraction * 60)));
+
+    if (carrierFile) {
+      const carrier = await this._loadPixelsAsync(carrierFile);
+      if (carrier.width !== image.width || carrier.height !== image.height) {
+        throw new Error(`The carrier is ${carrier.width}x${carrier.height} but the image is ${image.width}x${image.height}.`);
       }
-      
-      const originalChannelValue = imageData[i];
-      const clearedChannelValue = originalChannelValue & (0xFF << bitDepth);
-      imageData[i] = clearedChannelValue | bitsToStore;
+      const { data, maxDelta } = Steganalysis.renderHeatmap(image.data, carrier.data);
+      report.comparison = {
+        ...Steganalysis.compare(image.data, carrier.data),
+        ...Steganalysis.measureDistortion(image.data, carrier.data, image.width, image.height),
+        maxDelta,
+        heatmap: encodePng({ width: image.width, height: image.height, data }),
+      };
     }
+    onProgress?.(100);
+    return report;
   }
 
-  static _readDataWithBitDepth(pixelData, startOffset, length, bitDepth) {
-    const bytes = new Uint8Array(length);
-    // eslint-disable-next-line no-unused-vars
-    const mask = (1 << bitDepth) - 1;
-    let bitIndex = startOffset * 8;
-
-    for (let i = 0; i < length; i++) {
-      let currentByte = 0;
-      for (let j = 0; j < 8; j += bitDepth) {
-        if (bitIndex >= pixelData.length * 8) break;
-        const pixelIndex = Math.floor(bitIndex / (3 * bitDepth));
-        const channelOffset = Math.floor((bitIndex % (3 * bitDepth)) / bitDepth);
-        const channelIndex = pixelIndex * 4 + channelOffset;
-        const bits = pixelData[channelIndex] & mask;
-        currentByte = (currentByte << bitDepth) | bits;
-        bitIndex += bitDepth;
-      }
-      bytes[i] = currentByte;
+  /**
+   * Measures how much an encoded image differs from the carrier it was made from: the changes per channel (see
+   * Steganalysis.compare), MSE, PSNR and SSIM, and an amplified heatmap of the difference as a PNG.
+   * @returns {Promise<object>} `{ width, height, changedPixels, channels, mse, psnr, ssim, maxDelta, heatmap }`
+   */
+  static async compareImagesAsync(imageFile, carrierFile, onProgress = null) {
+    const [image, carrier] = await Promise.all([this._loadPixelsAsync(imageFile), this._loadPixelsAsync(carrierFile)]);
+    const { width, height } = image;
+    if (carrier.width !== width || carrier.height !== height) {
+      throw new Error(`The carrier is ${carrier.width}x${carrier.height} but the image is ${width}x${height}.`);
     }
-    return bytes;
+    onProgress?.(30);
+    const distortion = Steganalysis.measureDistortion(image.data, carrier.data, width, height);
+    onProgress?.(70);
+    const { data, maxDelta } = Steganalysis.renderHeatmap(image.data, carrier.data);
+    onProgress?.(100);
+    return { width, height, ...Steganalysis.compare(image.data, carrier.data), ...distortion, maxDelta, heatmap: encodePng({ width, height, data }) };
+  }
+
+  /**
+   * Renders one bit plane (0 = LSB) of a colour channel (0-2 = R, G, B) as a black and white PNG.
+   */
+  static async renderBitPlaneAsync(imageFile, channel, bit) {
+    const { width, height, data } = await this._loadPixelsAsync(imageFile);
+    return encodePng({ width, height, data: Steganalysis.renderBitPlane(data, channel, bit) });
+  }
+
+  /**
+   * Display name for a payload: the file name, the shared top-level folder of a bundle, or "N-files".
+   */
+  static getPayloadName(payload) {
+    if (this._isMessage(payload)) return Container.MESSAGE_FILE_NAMES[payload.contentType];
+    if (!Array.isArray(payload)) return payload.name;
+    return Container.getBundleName(payload.map(({ file, path }) => path || file.name));
+  }
+
+  // --- INTERNAL HELPERS ---
+
+  /**
+   * Reads a File, an array of { file, path } entries, or a message into a core payload.
+   */
+  static async _readPayloadAsync(payload) {
+    if (this._isMessage(payload)) return Container.createMessagePayload(payload.message, payload.contentType);
+    if (!Array.isArray(payload)) return { fileName: payload.name, data: await this._readBytesAsync(payload) };
+    const files = await Promise.all(payload.map(async ({ file, path }) => ({
+      path: path || file.name,
+      data: await this._readBytesAsync(file),
+    })));
+    return { fileName: this.getPayloadName(payload), files };
+  }
+
+  static _isMessage(payload) {
+    return typeof payload.message === 'string';
   }
 
+  static async _readBytesAsync(file) {
+    return new Uint8Array(await this._readFileAsArrayBuffer(file));
+  }
+
+  // FileReader only exists in browsers and workers; Node's Blob and File offer arrayBuffer()
   static async _readFileAsArrayBuffer(file) {
+    if (typeof FileReader === 'undefined') return file.arrayBuffer();
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onload = () => resolve(reader.result);
@@ -412,53 +360,84 @@ class ClientImageProcessor {
     });
   }
 
-  static async _loadImage(imageFile) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = () => reject(new Error('Failed to load image file.'));
-      img.src = URL.createObjectURL(imageFile);
-    });
+  // Canvas fallback. Inside a worker there is no DOM: images are decoded with createImageBitmap and drawn on an OffscreenCanvas.
+  static _hasDom() {
+    return typeof document !== 'undefined';
+  }
+
+  static _createCanvas(width, height) {
+    if (!this._hasDom()) return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
   }
 
-  static async _computeSHA256(data) {
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    return new Uint8Array(hashBuffer);
+  static _getPixelData(img) {
+    const canvas = this._createCanvas(img.width, img.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, img.width, img.height).data;
   }
 
-  static async _encryptData(data, password) {
-    const key = await this._deriveKey(password);
-    const iv = crypto.getRandomValues(new Uint8Array(16));
-    const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, data);
-    const result = new Uint8Array(iv.length + encrypted.byteLength);
-    result.set(iv, 0);
-    result.set(new Uint8Array(encrypted), iv.length);
-    return result;
+  /**
+   * Decodes a carrier into pixels. PNGs go through the core codec, so samples come back exactly as stored;
+   * anything else falls back to canvas, which may premultiply alpha and apply colour management
+   * (`isCanvasDecoded`). So does a PNG the codec rejects, with the reason in `pngError`.
+   * Pass `imageBytes` when the file has already been read.
+   * @returns {Promise<{width: number, height: number, data: Uint8Array, data16: Uint16Array|null, isCanvasDecoded: boolean, pngError: string|null}>}
+   */
+  static async _loadPixelsAsync(imageFile, imageBytes = null) {
+    const bytes = imageBytes || await this._readBytesAsync(imageFile);
+    let pngError = null;
+    if (isPng(bytes)) {
+      try {
+        return { ...Stego.decodePixels(bytes), isCanvasDecoded: false, pngError };
+      } catch (error) {
+        if (!this._canUseCanvas()) throw error;
+        pngError = error.message;
+      }
+    }
+
+    const img = await this._loadImage(imageFile);
+    return { width: img.width, height: img.height, data: new Uint8Array(this._getPixelData(img).buffer), data16: null, isCanvasDecoded: true, pngError };
   }
 
-  static async _decryptData(data, password) {
-    const key = await this._deriveKey(password);
-    const iv = data.slice(0, 16);
-    const encryptedData = data.slice(16);
-    const decrypted = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, encryptedData);
-    return new Uint8Array(decrypted);
+  /**
+   * Runs `readAsync`, and if it fails on pixels of a PNG that had to be decoded by canvas, adds that to the error:
+   * hidden bits only survive exact decoding.
+   */
+  static async _explainCanvasFallbackAsync(pixelsList, readAsync) {
+    try {
+      return await readAsync();
+    } catch (error) {
+      const fallback = pixelsList.find((pixels) => pixels.pngError);
+      if (!fallback) throw error;
+      throw new Error(`${error.message} The built-in decoder could not read this PNG (${fallback.pngError}), so the browser decoded it, which can change pixel values.`);
+    }
   }
 
-  static async _deriveKey(password) {
-    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
-    return crypto.subtle.deriveKey(
-      { name: 'PBKDF2', salt: new Uint8Array(16), iterations: 10000, hash: 'SHA-256' },
-      keyMaterial,
-      { name: 'AES-CBC', length: 256 },
-      false,
-      ['encrypt', 'decrypt']
-    );
+  // Workers in browsers without OffscreenCanvas can still run every job on PNG carriers
+  static _canUseCanvas() {
+    return this._hasDom() || (typeof createImageBitmap !== 'undefined' && typeof OffscreenCanvas !== 'undefined');
   }
 
-  static _arraysEqual(a, b) {
-    if (a.length !== b.length) return false;
-    return a.every((val, index) => val === b[index]);
+  static async _loadImage(imageFile) {
+    if (!this._canUseCanvas()) {
+      throw new Error(typeof createImageBitmap === 'undefined'
+        ? 'Only PNG images can be decoded outside a browser.'
+        : 'This browser can only decode PNG carriers in the background; convert the image to PNG first.');
+    }
+    if (!this._hasDom()) {
+      return createImageBitmap(imageFile, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    }
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load image file.'));
+      img.src = URL.createObjectURL(imageFile);
+    });
   }
 }
 
-export default ClientImageProcessor;
\ No newline at end of file
+export default ClientImageProcessor;
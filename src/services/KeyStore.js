@@ -0,0 +1,66 @@
+import { Keys } from '../core/index.js';
+
+/**
+ * The web app's key ring for recipient encryption, kept in localStorage: the user's own key pairs and the public
+ * keys of their contacts. Entries are `{ keyId, name, publicKey, privateKey }`, where `keyId` is the formatted
+ * key id (see Keys.formatKeyId) and `privateKey` is null for contacts.
+ * Private keys are stored unencrypted in this browser profile, so the UI offers a backup download instead of sync.
+ */
+class KeyStore {
+  static STORAGE_KEY = 'shadeofcolor.keys';
+
+  static list() {
+    try {
+      return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Creates a key pair for the user.
+   * @returns {Promise<object[]>} The updated key ring.
+   */
+  static async generateAsync(name) {
+    const { publicKey, privateKey } = await Keys.generateAsync();
+    return this._add({ name, publicKey, privateKey });
+  }
+
+  /**
+   * Adds a contact's public key, or one of the user's private keys (pasted, or a whole key file).
+   * Importing the private key of a known contact turns it into one of the user's keys.
+   * @returns {Promise<object[]>} The updated key ring.
+   */
+  static async importAsync(name, text) {
+    const { publicKeys, privateKeys } = Keys.parseKeyFile(text);
+    if (privateKeys.length > 0) {
+      return this._add({ name, publicKey: await Keys.getPublicKeyAsync(privateKeys[0]), privateKey: privateKeys[0] });
+    }
+    if (publicKeys.length === 0) throw new Error(`Paste a public key (starting with ${Keys.PUBLIC_PREFIX}) or a key file.`);
+    Keys.parsePublicKey(publicKeys[0]);
+    return this._add({ name, publicKey: publicKeys[0], privateKey: null });
+  }
+
+  static remove(keyId) {
+    return this._save(this.list().filter((entry) => entry.keyId !== keyId));
+  }
+
+  static async _add({ name, publicKey, privateKey }) {
+    const keyId = Keys.formatKeyId(await Keys.getKeyIdAsync(publicKey));
+    const entries = this.list();
+    const existing = entries.find((entry) => entry.keyId === keyId);
+    if (existing) {
+      if (!privateKey || existing.privateKey) throw new Error(`This key is already saved as "${existing.name}".`);
+      existing.privateKey = privateKey;
+      return this._save(entries);
+    }
+    return this._save([...entries, { keyId, name: name.trim() || keyId, publicKey, privateKey }]);
+  }
+
+  static _save(entries) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+    return entries;
+  }
+}
+
+export default KeyStore;
@@ -0,0 +1,56 @@
+const ascii = (bytes, offset, text) => [...text].every((char, i) => bytes[offset + i] === char.charCodeAt(0));
+
+// Checked in order; each entry is [test, mime, kind]. Kinds the preview cannot show inline are 'binary'.
+const SIGNATURES = [
+  [(b) => b[0] === 0x89 && ascii(b, 1, 'PNG'), 'image/png', 'image'],
+  [(b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF, 'image/jpeg', 'image'],
+  [(b) => ascii(b, 0, 'GIF87a') || ascii(b, 0, 'GIF89a'), 'image/gif', 'image'],
+  [(b) => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WEBP'), 'image/webp', 'image'],
+  [(b) => ascii(b, 0, 'BM') && b.length >= 14 && (b[2] | (b[3] << 8) | (b[4] << 16)) === b.length, 'image/bmp', 'image'],
+  [(b) => b[0] === 0 && b[1] === 0 && b[2] === 1 && b[3] === 0, 'image/x-icon', 'image'],
+  [(b) => ascii(b, 4, 'ftypavif'), 'image/avif', 'image'],
+  [(b) => ascii(b, 0, '%PDF-'), 'application/pdf', 'pdf'],
+  [(b) => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WAVE'), 'audio/wav', 'audio'],
+  [(b) => ascii(b, 0, 'OggS'), 'audio/ogg', 'audio'],
+  [(b) => ascii(b, 0, 'fLaC'), 'audio/flac', 'audio'],
+  [(b) => ascii(b, 0, 'ID3') || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0 && (b[1] & 0x06) !== 0), 'audio/mpeg', 'audio'],
+  [(b) => ascii(b, 4, 'ftypM4A'), 'audio/mp4', 'audio'],
+  [(b) => ascii(b, 4, 'ftypqt'), 'video/quicktime', 'video'],
+  [(b) => ascii(b, 4, 'ftyp') && !ascii(b, 8, 'hei') && !ascii(b, 8, 'mif1'), 'video/mp4', 'video'],
+  [(b) => b[0] === 0x1A && b[1] === 0x45 && b[2] === 0xDF && b[3] === 0xA3, 'video/webm', 'video'],
+  [(b) => ascii(b, 0, 'PK\x03\x04'), 'application/zip', 'binary'],
+  [(b) => b[0] === 0x1F && b[1] === 0x8B, 'application/gzip', 'binary'],
+];
+
+// How much of a file without a signature is checked for being UTF-8 text
+const TEXT_SAMPLE_BYTES = 4096;
+
+/**
+ * Tells what an extracted file is from its first bytes rather than its name, which the sender chose, so the
+ * preview never renders a file as something it is not.
+ */
+class MediaType {
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {{mime: string, kind: 'image'|'audio'|'video'|'pdf'|'text'|'binary'}}
+   */
+  static detect(bytes) {
+    const match = SIGNATURES.find(([test]) => test(bytes));
+    if (match) return { mime: match[1], kind: match[2] };
+    if (this._isText(bytes.subarray(0, TEXT_SAMPLE_BYTES))) return { mime: 'text/plain', kind: 'text' };
+    return { mime: 'application/octet-stream', kind: 'binary' };
+  }
+
+  // Valid UTF-8 (a sequence cut off at the end of the sample is fine) without control characters besides whitespace
+  static _isText(sample) {
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    } catch (e) {
+      return false;
+    }
+    return !/[\x00-\x08\x0E-\x1A\x1C-\x1F\x7F]/.test(text); // eslint-disable-line no-control-regex
+  }
+}
+
+export default MediaType;
@@ -0,0 +1,109 @@
+import ClientImageProcessor from './ClientImageProcessor.js';
+
+/**
+ * Runs ClientImageProcessor methods in a dedicated Web Worker so the per-bit loops,
+ * compression and crypto never block the UI thread.
+ * Each job gets its own worker; aborting the job terminates it immediately.
+ * Falls back to the main thread where workers are unavailable; such jobs run to the end and
+ * cannot be cancelled, so callers should not offer to (see isSupported).
+ */
+class WorkerProcessor {
+  // Position of the onProgress argument in each method's signature.
+  static PROGRESS_ARG_INDEX = {
+    hideInExistingImageAsync: 4,
+    hideAcrossImagesAsync: 4,
+    hideDeniableAsync: 4,
+    hideInChunkAsync: 3,
+    hideInJpegAsync: 3,
+    hideRobustMarkAsync: 3,
+    createCarrierImageAsync: 2,
+    extractFileAsync: 2,
+    extractMultipartAsync: 2,
+    extractRobustMarkAsync: 2,
+    extractMetadataAsync: null,
+    inspectMultipartAsync: null,
+    scanImagesAsync: 1,
+    estimateLsbPayloadSizeAsync: null,
+    getJpegCapacityAsync: null,
+    getExtraCapacityAsync: null,
+    analyzeImageAsync: 2,
+    compareImagesAsync: 2,
+    renderBitPlaneAsync: null,
+  };
+
+  /**
+   * Whether jobs run in a worker, and so can be cancelled.
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Runs `ClientImageProcessor[method](...args)`.
+   * @param {string} method - Name of a public ClientImageProcessor method.
+   * @param {Array} args - Arguments with the progress callback left out; later arguments shift down.
+   * @param {{onProgress?: function, signal?: AbortSignal}} options
+   * @returns {Promise<*>} The method's result.
+   */
+  static async run(method, args, { onProgress = null, signal = null } = {}) {
+    if (!(method in this.PROGRESS_ARG_INDEX)) throw new Error(`Unknown processing method: ${method}`);
+    if (signal?.aborted) throw this._abortError();
+    const progressArgIndex = this.PROGRESS_ARG_INDEX[method];
+
+    if (!this.isSupported()) {
+      // Nothing can interrupt the job here; an abort only drops its result, e.g. to stop a queue before its next job
+      const callArgs = this._withProgressArg(args, progressArgIndex, onProgress);
+      const result = await ClientImageProcessor[method](...callArgs);
+      if (signal?.aborted) throw this._abortError();
+      return result;
+    }
+
+    const { default: createStegoWorker } = await import('./createStegoWorker.js');
+    const worker = createStegoWorker();
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        finish();
+        reject(this._abortError());
+      };
+      signal?.addEventListener('abort', onAbort);
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          onProgress?.(data.value);
+        } else if (data.type === 'result') {
+          finish();
+          resolve(data.result);
+        } else {
+          finish();
+          reject(new Error(data.message));
+        }
+      };
+      worker.onerror = (e) => {
+        finish();
+        reject(new Error(e.message || 'Processing worker failed.'));
+      };
+
+      const callArgs = this._withProgressArg(args, progressArgIndex, null);
+      worker.postMessage({ method, args: callArgs, progressArgIndex });
+    });
+  }
+
+  static _withProgressArg(args, progressArgIndex, onProgress) {
+    const callArgs = [...args];
+    if (progressArgIndex == null) return callArgs;
+    // Missing optional arguments stay undefined so their defaults still apply
+    while (callArgs.length < progressArgIndex) callArgs.push(undefined);
+    callArgs.splice(progressArgIndex, 0, onProgress);
+    return callArgs;
+  }
+
+  static _abortError() {
+    return new DOMException('Processing cancelled.', 'AbortError');
+  }
+}
+
+export default WorkerProcessor;
@@ -0,0 +1,72 @@
+import { crc32 } from '../core/checksums.js';
+
+/**
+ * Minimal ZIP writer (stored entries, no compression) for handing several extracted files
+ * back to the user as one download. Paths are written as UTF-8.
+ */
+class ZipWriter {
+  /**
+   * @param {Array<{path: string, data: Uint8Array}>} files
+   * @returns {Blob} An application/zip blob.
+   */
+  static createZip(files) {
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    const { dosTime, dosDate } = this._dosDateTime(new Date());
+
+    for (const file of files) {
+      const nameBytes = new TextEncoder().encode(file.path);
+      const crc = crc32(file.data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      parts.push(new Uint8Array(local.buffer), nameBytes, file.data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, file.data.length, true);
+      central.setUint32(24, file.data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+      centralDirectory.push(new Uint8Array(central.buffer), nameBytes);
+
+      offset += 30 + nameBytes.length + file.data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+
+  static _dosDateTime(date) {
+    return {
+      dosTime: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      dosDate: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+}
+
+export default ZipWriter;
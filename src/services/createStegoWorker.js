@@ -0,0 +1,3 @@
+const createStegoWorker = () => new Worker(new URL('./stego.worker.js', import.meta.url));
+
+export default createStegoWorker;
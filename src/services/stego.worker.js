@@ -0,0 +1,23 @@
+/* eslint-disable no-restricted-globals */
+import ClientImageProcessor from './ClientImageProcessor.js';
+
+/**
+ * Worker entry point. Receives { method, args, progressArgIndex }, runs the matching
+ * ClientImageProcessor method and posts progress, result or error messages back.
+ */
+self.onmessage = async (e) => {
+  const { method, args, progressArgIndex } = e.data;
+  try {
+    if (typeof ClientImageProcessor[method] !== 'function' || method.startsWith('_')) {
+      throw new Error(`Unknown processing method: ${method}`);
+    }
+    if (progressArgIndex != null) {
+      args[progressArgIndex] = (value) => self.postMessage({ type: 'progress', value });
+    }
+    const result = await ClientImageProcessor[method](...args);
+    const transfer = result?.data instanceof Uint8Array ? [result.data.buffer] : [];
+    self.postMessage({ type: 'result', result }, transfer);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { Blob } from 'buffer';
+import { webcrypto } from 'crypto';
+
+// Neither of Jest's environments exposes Web Crypto, and its Node environment has no Blob; src/core needs both
+global.crypto ??= webcrypto;
+global.Blob ??= Blob;